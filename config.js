@@ -4,8 +4,40 @@ module.exports = {
   PORT: parseInt(process.env.PORT) || 3000,
   WEB_APP_URL: process.env.WEB_APP_URL || 'http://localhost:3000',
   DB_PATH: process.env.DB_PATH || (process.env.RAILWAY_ENVIRONMENT ? '/data/smartschool.db' : './data/smartschool.db'),
+  DB_AUTO_MIGRATE: process.env.DB_AUTO_MIGRATE !== 'false',
+  BACKUP_DIR: process.env.BACKUP_DIR || '',
+  BACKUP_ENABLED: process.env.BACKUP_ENABLED !== 'false',
+  BACKUP_HOUR: process.env.BACKUP_HOUR ? parseInt(process.env.BACKUP_HOUR) || 0 : 2,
+  BACKUP_KEEP_DAILY: parseInt(process.env.BACKUP_KEEP_DAILY) || 7,
+  BACKUP_KEEP_WEEKLY: process.env.BACKUP_KEEP_WEEKLY ? parseInt(process.env.BACKUP_KEEP_WEEKLY) || 0 : 4,
   TIMEZONE: process.env.TIMEZONE || 'America/New_York',
   SNMP_GATEWAY_URL: process.env.SNMP_GATEWAY_URL || 'http://localhost:5017',
+  SNMP_POLLER_ENABLED: process.env.SNMP_POLLER_ENABLED === 'true',
+  SNMP_POLL_INTERVAL: parseInt(process.env.SNMP_POLL_INTERVAL) || 60000,
+  SNMP_COMMUNITY: process.env.SNMP_COMMUNITY || 'public',
+  SNMP_PORT: parseInt(process.env.SNMP_PORT) || 161,
+  SNMP_VERSION: process.env.SNMP_VERSION || '2c',
+  SNMP_TIMEOUT: parseInt(process.env.SNMP_TIMEOUT) || 3000,
+  SNMP_TRAP_RECEIVER_ENABLED: process.env.SNMP_TRAP_RECEIVER_ENABLED === 'true',
+  SNMP_TRAP_PORT: parseInt(process.env.SNMP_TRAP_PORT) || 162,
+  SNMP_TRAP_RATE_LIMIT: parseInt(process.env.SNMP_TRAP_RATE_LIMIT) || 60,
+  GATEWAY_ALLOW_UNSIGNED: process.env.GATEWAY_ALLOW_UNSIGNED === 'true',
+  WATCHDOG_ENABLED: process.env.WATCHDOG_ENABLED !== 'false',
+  WATCHDOG_SILENCE_MINUTES: parseInt(process.env.WATCHDOG_SILENCE_MINUTES) || 15,
+  WATCHDOG_STALE_STATUS: process.env.WATCHDOG_STALE_STATUS === 'unknown' ? 'unknown' : 'offline',
+  ALERT_RULES_ENABLED: process.env.ALERT_RULES_ENABLED !== 'false',
+  GATEWAY_REPORT_RETENTION_DAYS: parseInt(process.env.GATEWAY_REPORT_RETENTION_DAYS) || 14,
+  TRAP_ARCHIVE_ENABLED: process.env.TRAP_ARCHIVE_ENABLED !== 'false',
+  TRAP_ARCHIVE_HOUR: process.env.TRAP_ARCHIVE_HOUR ? parseInt(process.env.TRAP_ARCHIVE_HOUR) || 0 : 3,
+  TRAP_ARCHIVE_DIR: process.env.TRAP_ARCHIVE_DIR || '',
+  RECYCLE_BIN_RETENTION_DAYS: process.env.RECYCLE_BIN_RETENTION_DAYS ? parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS) || 0 : 30,
+  REORDER_ENABLED: process.env.REORDER_ENABLED !== 'false',
+  REORDER_THRESHOLD: process.env.REORDER_THRESHOLD ? parseInt(process.env.REORDER_THRESHOLD) || 0 : 15,
+  REORDER_LEAD_DAYS: process.env.REORDER_LEAD_DAYS ? parseInt(process.env.REORDER_LEAD_DAYS) || 0 : 14,
+  AVAILABILITY_TARGET: process.env.AVAILABILITY_TARGET ? parseFloat(process.env.AVAILABILITY_TARGET) || 0 : 99,
+  DEFAULT_COST_PER_PAGE: parseFloat(process.env.DEFAULT_COST_PER_PAGE) || 0,
+  AUDIT_RETENTION_DAYS: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365,
+  SESSION_TTL_HOURS: parseInt(process.env.SESSION_TTL_HOURS) || 12,
   BLUEPRINT_DIR: process.env.BLUEPRINT_DIR || './uploads/blueprints',
   GMAIL_USER: process.env.GMAIL_USER || '',
   GMAIL_CLIENT_ID: process.env.GMAIL_CLIENT_ID || '',
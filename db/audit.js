@@ -0,0 +1,226 @@
+/**
+ * Audit Trail
+ * Records who changed what through the write helpers in db/database.js.
+ *
+ * Each /api request runs inside an audit context (middleware/audit.js) that
+ * carries the signed-in user, route and IP. The helpers call record() after
+ * every insert/update/remove/clearTable/setSetting, and the change lands in
+ * audit_log as a before/after diff of the fields that actually changed.
+ * Writes outside a request (poller, trap receiver, startup seeding) have no
+ * context and are not audited.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const config = require('../config');
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_VALUE_LENGTH = 300;
+
+// Tables that are themselves logs, or churn too much to be worth a diff
+const IGNORED_TABLES = ['audit_log', 'sessions', 'gateway_reports', 'supply_history', 'page_count_history', 'device_status_history', 'mib_objects'];
+
+// Bookkeeping fields: left out of diffs, and an update touching only these
+// (e.g. a gateway heartbeat refreshing lastSeen) is not recorded
+const NOISE_FIELDS = ['updatedAt', 'lastSeen', 'lastSeenAt', 'lastUsedAt', 'lastUsedIp', 'lastLoginAt'];
+
+const SECRET_FIELD = /password$|passwordHash|secret|token|apikey/i;
+
+var storage = new AsyncLocalStorage();
+var lastPruneAt = 0;
+
+// ============================================
+// REQUEST CONTEXT
+// ============================================
+
+/**
+ * Run fn with an audit context: { actor, actorId, actorRole, route, ip }
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+function getContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Change who the current request is attributed to (e.g. once a gateway's
+ * API key has been verified).
+ */
+function setActor(actor, actorId, actorRole) {
+  var context = getContext();
+  if (!context) return;
+  context.actor = actor;
+  context.actorId = actorId || '';
+  context.actorRole = actorRole || '';
+}
+
+// ============================================
+// DIFFS
+// ============================================
+
+function formatValue(field, value) {
+  if (value === undefined) return null;
+  if (value === null || value === '') return value;
+  if (SECRET_FIELD.test(field)) return '[redacted]';
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return value.substring(0, MAX_VALUE_LENGTH) + '… (' + value.length + ' chars)';
+  }
+  return value;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * { field: { from, to } } for every field whose value differs.
+ * before is null for an insert, after is null for a delete; for an update
+ * only the fields present in after are compared.
+ */
+function diff(before, after) {
+  var changes = {};
+  var fields = Object.keys(after || before || {});
+  fields.forEach(function(field) {
+    if (NOISE_FIELDS.indexOf(field) >= 0) return;
+    var from = before ? before[field] : null;
+    var to = after ? after[field] : null;
+    if (isBlank(from) && isBlank(to)) return;
+    if (String(isBlank(from) ? '' : from) === String(isBlank(to) ? '' : to)) return;
+    changes[field] = { from: formatValue(field, from), to: formatValue(field, to) };
+  });
+  return changes;
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+function isAudited(table) {
+  return !!getContext() && IGNORED_TABLES.indexOf(table) < 0;
+}
+
+/**
+ * Record one change. Entry: { action, table, rowId, before, after, changes }
+ * (changes overrides the computed diff, e.g. for clear). Never throws: a
+ * failed audit write must not undo the change it describes.
+ */
+function record(db, entry) {
+  var context = getContext();
+  if (!context || IGNORED_TABLES.indexOf(entry.table) >= 0) return;
+
+  try {
+    var changes = entry.changes || diff(entry.before, entry.after);
+    if (entry.action !== 'clear' && Object.keys(changes).length === 0) return;
+
+    db.prepare(
+      'INSERT INTO audit_log (id, timestamp, actor, actorId, actorRole, ip, route, action, tableName, rowId, changes) ' +
+      'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    ).run(
+      crypto.randomUUID(),
+      new Date().toISOString(),
+      context.actor || 'anonymous',
+      context.actorId || '',
+      context.actorRole || '',
+      context.ip || '',
+      context.route || '',
+      entry.action,
+      entry.table,
+      entry.rowId === undefined || entry.rowId === null ? '' : String(entry.rowId),
+      JSON.stringify(changes)
+    );
+    prune(db);
+  } catch (e) {
+    console.error('Error recording audit entry:', e);
+  }
+}
+
+/**
+ * Days to keep entries: the auditRetentionDays setting, else AUDIT_RETENTION_DAYS.
+ */
+function getRetentionDays(db) {
+  var row = db.prepare("SELECT value FROM settings WHERE key = 'auditRetentionDays'").get();
+  var days = row ? parseInt(row.value) : NaN;
+  return days > 0 ? days : config.AUDIT_RETENTION_DAYS;
+}
+
+function prune(db) {
+  var now = Date.now();
+  if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = now;
+  var cutoff = new Date(now - getRetentionDays(db) * 86400000).toISOString();
+  db.prepare('DELETE FROM audit_log WHERE timestamp < ?').run(cutoff);
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Matching entries, newest first, with changes parsed.
+ * Filters: { search, table, action, actor, from, to, limit, offset }
+ *   search matches actor, route, table, row id and the diff text;
+ *   from/to are dates (YYYY-MM-DD) or ISO timestamps.
+ * Returns { entries, total }
+ */
+function query(db, filters) {
+  filters = filters || {};
+  var where = [];
+  var params = [];
+
+  if (filters.search) {
+    var like = '%' + String(filters.search).trim() + '%';
+    where.push('(actor LIKE ? OR route LIKE ? OR tableName LIKE ? OR rowId LIKE ? OR changes LIKE ?)');
+    params.push(like, like, like, like, like);
+  }
+  if (filters.table) { where.push('tableName = ?'); params.push(filters.table); }
+  if (filters.action) { where.push('action = ?'); params.push(filters.action); }
+  if (filters.actor) { where.push('actor = ?'); params.push(filters.actor); }
+  if (filters.from) { where.push('timestamp >= ?'); params.push(toTimestamp(filters.from, false)); }
+  if (filters.to) { where.push('timestamp <= ?'); params.push(toTimestamp(filters.to, true)); }
+
+  var clause = where.length ? ' WHERE ' + where.join(' AND ') : '';
+  var limit = Math.min(parseInt(filters.limit) || 100, 10000);
+  var offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+  var total = db.prepare('SELECT COUNT(*) as count FROM audit_log' + clause).get(...params).count;
+  var entries = db.prepare('SELECT * FROM audit_log' + clause + ' ORDER BY timestamp DESC LIMIT ? OFFSET ?')
+    .all(...params, limit, offset)
+    .map(function(row) {
+      var changes = {};
+      try { changes = JSON.parse(row.changes || '{}'); } catch (e) { /* keep empty */ }
+      return { ...row, changes: changes };
+    });
+
+  return { entries: entries, total: total };
+}
+
+// A bare date covers the whole day
+function toTimestamp(value, endOfDay) {
+  var str = String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str + (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z');
+  return str;
+}
+
+/**
+ * Distinct tables and actors present in the log, for filter dropdowns.
+ */
+function getFilterOptions(db) {
+  return {
+    tables: db.prepare("SELECT DISTINCT tableName FROM audit_log WHERE tableName != '' ORDER BY tableName").all().map(function(r) { return r.tableName; }),
+    actors: db.prepare("SELECT DISTINCT actor FROM audit_log WHERE actor != '' ORDER BY actor").all().map(function(r) { return r.actor; })
+  };
+}
+
+module.exports = {
+  IGNORED_TABLES,
+  runWithContext,
+  getContext,
+  setActor,
+  diff,
+  isAudited,
+  record,
+  getRetentionDays,
+  query,
+  getFilterOptions
+};
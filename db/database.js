@@ -2,6 +2,7 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const config = require('../config');
+const audit = require('./audit');
 
 // Ensure data directory exists
 const dbDir = path.dirname(path.resolve(config.DB_PATH));
@@ -13,10 +14,10 @@ const db = new Database(path.resolve(config.DB_PATH));
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
-// Initialize schema
+// Initialize schema, then bring older databases up to date (db/migrations)
 const schemaPath = path.join(__dirname, 'schema.sql');
 const schema = fs.readFileSync(schemaPath, 'utf8');
-db.exec(schema);
+require('./migrate').initialize(db, schema);
 
 // Generate short ID (matches Utilities.getUuid().substring(0,8) from Code.gs)
 function generateId() {
@@ -24,19 +25,39 @@ function generateId() {
   return crypto.randomUUID().substring(0, 8);
 }
 
+const RAW = { includeDeleted: true };
+
+// Tables whose deletes go to the Recycle Bin: rows get a deletedAt marker
+// and are hidden from getAll/getById/getByColumn until restored or purged
+const SOFT_DELETE_TABLES = ['devices', 'teachers', 'service_requests', 'incidents', 'repair_templates', 'email_templates'];
+
+function isSoftDeleteTable(table) {
+  return SOFT_DELETE_TABLES.indexOf(table) >= 0;
+}
+
+// WHERE condition that hides soft-deleted rows ('' when nothing to hide).
+// options: { includeDeleted: true } to read the raw table.
+function liveCondition(table, options) {
+  if (!isSoftDeleteTable(table) || (options && options.includeDeleted)) return '';
+  return `("deletedAt" IS NULL OR "deletedAt" = '')`;
+}
+
 // Get all rows from a table (replaces getSheetData)
-function getAll(table) {
-  return db.prepare(`SELECT * FROM "${table}"`).all();
+function getAll(table, options) {
+  const live = liveCondition(table, options);
+  return db.prepare(`SELECT * FROM "${table}"${live ? ' WHERE ' + live : ''}`).all();
 }
 
 // Get row by ID (replaces findRowById)
-function getById(table, id) {
-  return db.prepare(`SELECT * FROM "${table}" WHERE id = ?`).get(id);
+function getById(table, id, options) {
+  const live = liveCondition(table, options);
+  return db.prepare(`SELECT * FROM "${table}" WHERE id = ?${live ? ' AND ' + live : ''}`).get(id);
 }
 
 // Get rows by column value
-function getByColumn(table, column, value) {
-  return db.prepare(`SELECT * FROM "${table}" WHERE "${column}" = ?`).all(value);
+function getByColumn(table, column, value, options) {
+  const live = liveCondition(table, options);
+  return db.prepare(`SELECT * FROM "${table}" WHERE "${column}" = ?${live ? ' AND ' + live : ''}`).all(value);
 }
 
 // Insert a row (replaces sheet.appendRow)
@@ -44,8 +65,15 @@ function insert(table, obj) {
   const keys = Object.keys(obj);
   const placeholders = keys.map(() => '?').join(', ');
   const values = keys.map(k => obj[k] === undefined ? '' : obj[k]);
+  const audited = audit.isAudited(table);
+  // INSERT OR REPLACE may overwrite an existing row; audit that as an update
+  const before = audited && obj.id !== undefined ? getById(table, obj.id, RAW) : null;
   const stmt = db.prepare(`INSERT OR REPLACE INTO "${table}" (${keys.map(k => `"${k}"`).join(', ')}) VALUES (${placeholders})`);
-  return stmt.run(...values);
+  const result = stmt.run(...values);
+  if (audited) {
+    audit.record(db, { action: before ? 'update' : 'insert', table, rowId: obj.id, before, after: obj });
+  }
+  return result;
 }
 
 // Update a row by ID (replaces sheet.getRange().setValues())
@@ -54,27 +82,115 @@ function update(table, id, obj) {
   if (keys.length === 0) return;
   const sets = keys.map(k => `"${k}" = ?`).join(', ');
   const values = keys.map(k => obj[k] === undefined ? '' : obj[k]);
+  const before = audit.isAudited(table) ? getById(table, id, RAW) : null;
   const stmt = db.prepare(`UPDATE "${table}" SET ${sets} WHERE id = ?`);
-  return stmt.run(...values, id);
+  const result = stmt.run(...values, id);
+  if (before) {
+    const after = {};
+    keys.forEach(k => { after[k] = obj[k]; });
+    audit.record(db, { action: 'update', table, rowId: id, before, after });
+  }
+  return result;
 }
 
 // Update a single field
 function updateField(table, id, field, value) {
+  const before = audit.isAudited(table) ? getById(table, id, RAW) : null;
   const stmt = db.prepare(`UPDATE "${table}" SET "${field}" = ? WHERE id = ?`);
-  return stmt.run(value === undefined ? '' : value, id);
+  const result = stmt.run(value === undefined ? '' : value, id);
+  if (before) {
+    audit.record(db, { action: 'update', table, rowId: id, before, after: { [field]: value } });
+  }
+  return result;
 }
 
 // Delete by ID (replaces sheet.deleteRow)
 function remove(table, id) {
-  return db.prepare(`DELETE FROM "${table}" WHERE id = ?`).run(id);
+  const before = audit.isAudited(table) ? getById(table, id, RAW) : null;
+  const result = db.prepare(`DELETE FROM "${table}" WHERE id = ?`).run(id);
+  if (before && result.changes > 0) {
+    audit.record(db, { action: 'delete', table, rowId: id, before, after: null });
+  }
+  return result;
 }
 
 // Delete all rows
 function clearTable(table) {
-  return db.prepare(`DELETE FROM "${table}"`).run();
+  const result = db.prepare(`DELETE FROM "${table}"`).run();
+  audit.record(db, { action: 'clear', table, changes: { rows: { from: result.changes, to: 0 } } });
+  return result;
 }
 
-// Count rows
+// ============================================
+// SOFT DELETE / RECYCLE BIN
+// ============================================
+
+function deletedByName() {
+  const context = audit.getContext();
+  return context ? context.actor || '' : '';
+}
+
+// Move a row to the Recycle Bin. Returns true if a live row was deleted.
+function softDelete(table, id) {
+  const before = getById(table, id);
+  if (!before) return false;
+  db.prepare(`UPDATE "${table}" SET "deletedAt" = ?, "deletedBy" = ? WHERE id = ?`)
+    .run(new Date().toISOString(), deletedByName(), id);
+  audit.record(db, { action: 'delete', table, rowId: id, before, after: null });
+  return true;
+}
+
+// Move every live row of a table to the Recycle Bin. Returns the row count.
+function softDeleteAll(table) {
+  const live = liveCondition(table);
+  const result = db.prepare(`UPDATE "${table}" SET "deletedAt" = ?, "deletedBy" = ? WHERE ${live}`)
+    .run(new Date().toISOString(), deletedByName());
+  audit.record(db, { action: 'clear', table, changes: { rows: { from: result.changes, to: 0 } } });
+  return result.changes;
+}
+
+// Rows currently in the Recycle Bin, most recently deleted first
+function getDeleted(table) {
+  return db.prepare(`SELECT * FROM "${table}" WHERE "deletedAt" != '' ORDER BY "deletedAt" DESC`).all();
+}
+
+// Bring a row back from the Recycle Bin. Returns true if it was restored.
+function restoreDeleted(table, id) {
+  const before = getById(table, id, RAW);
+  if (!before || !before.deletedAt) return false;
+  db.prepare(`UPDATE "${table}" SET "deletedAt" = '', "deletedBy" = '' WHERE id = ?`).run(id);
+  audit.record(db, {
+    action: 'restore',
+    table,
+    rowId: id,
+    before: { deletedAt: before.deletedAt, deletedBy: before.deletedBy },
+    after: { deletedAt: '', deletedBy: '' }
+  });
+  return true;
+}
+
+// Permanently delete a row that is in the Recycle Bin
+function purgeDeleted(table, id) {
+  const before = getById(table, id, RAW);
+  if (!before || !before.deletedAt) return false;
+  db.prepare(`DELETE FROM "${table}" WHERE id = ?`).run(id);
+  audit.record(db, { action: 'purge', table, rowId: id, before, after: null });
+  return true;
+}
+
+// Permanently delete Recycle Bin rows deleted before cutoff (ISO string;
+// omit to empty the bin). Returns the purged ids.
+function purgeDeletedBefore(table, cutoff) {
+  const where = `"deletedAt" != ''` + (cutoff ? ` AND "deletedAt" < ?` : '');
+  const params = cutoff ? [cutoff] : [];
+  const ids = db.prepare(`SELECT id FROM "${table}" WHERE ${where}`).all(...params).map(r => r.id);
+  if (ids.length === 0) return ids;
+  db.prepare(`DELETE FROM "${table}" WHERE ${where}`).run(...params);
+  audit.record(db, { action: 'purge', table, changes: { rows: { from: ids.length, to: 0 } } });
+  return ids;
+}
+
+// Count rows (including soft-deleted ones)
 function count(table) {
   return db.prepare(`SELECT COUNT(*) as count FROM "${table}"`).get().count;
 }
@@ -87,7 +203,9 @@ function getSetting(key) {
 
 function setSetting(key, value) {
   const now = new Date().toISOString();
+  const before = audit.isAudited('settings') ? getSetting(key) : null;
   db.prepare('INSERT OR REPLACE INTO settings (key, value, updatedAt) VALUES (?, ?, ?)').run(key, value, now);
+  auditKeyValue('settings', key, before, value);
 }
 
 function getEmailConfigValue(key) {
@@ -97,7 +215,21 @@ function getEmailConfigValue(key) {
 
 function setEmailConfigValue(key, value) {
   const now = new Date().toISOString();
+  const before = audit.isAudited('email_config') ? getEmailConfigValue(key) : null;
   db.prepare('INSERT OR REPLACE INTO email_config (key, value, updatedAt) VALUES (?, ?, ?)').run(key, value, now);
+  auditKeyValue('email_config', key, before, value);
+}
+
+// Key-value rows are audited by key; secrets are redacted by field name,
+// so the key doubles as the field
+function auditKeyValue(table, key, before, value) {
+  audit.record(db, {
+    action: before === null ? 'insert' : 'update',
+    table,
+    rowId: key,
+    before: before === null ? null : { [key]: before },
+    after: { [key]: value }
+  });
 }
 
 module.exports = {
@@ -111,6 +243,15 @@ module.exports = {
   updateField,
   remove,
   clearTable,
+  SOFT_DELETE_TABLES,
+  isSoftDeleteTable,
+  liveCondition,
+  softDelete,
+  softDeleteAll,
+  getDeleted,
+  restoreDeleted,
+  purgeDeleted,
+  purgeDeletedBefore,
   count,
   getSetting,
   setSetting,
@@ -0,0 +1,294 @@
+/**
+ * Schema Migrations
+ * schema.sql describes the current schema and is applied with
+ * CREATE TABLE IF NOT EXISTS, which never changes existing tables. Changes
+ * to existing tables (new columns, data fixes, indexes on new columns) go in
+ * numbered up-scripts under db/migrations/:
+ *
+ *   NNN_description.sql  - executed as-is
+ *   NNN_description.js   - module.exports = { description, up(db, helpers) }
+ *
+ * Applied versions are recorded in schema_version. A brand-new database is
+ * created from schema.sql and stamped with the latest version; an existing
+ * one gets a backup (data/backups/, or BACKUP_DIR) before pending migrations run, each in
+ * its own transaction.
+ *
+ * CLI: npm run migrate          - apply pending migrations
+ *      npm run migrate:status   - list applied/pending migrations
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+
+// ============================================
+// MIGRATION FILES
+// ============================================
+
+/**
+ * All migration files, sorted by version.
+ * Returns [{ version, name, file }]
+ */
+function getMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+  var seen = {};
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(function(file) {
+      var match = file.match(/^(\d+)_(.+)\.(sql|js)$/);
+      if (!match) return null;
+      var version = parseInt(match[1], 10);
+      if (seen[version]) {
+        throw new Error('Duplicate migration version ' + version + ': ' + seen[version] + ', ' + file);
+      }
+      seen[version] = file;
+      return { version: version, name: match[2], file: file };
+    })
+    .filter(Boolean)
+    .sort(function(a, b) { return a.version - b.version; });
+}
+
+// ============================================
+// SCHEMA_VERSION TABLE
+// ============================================
+
+function ensureVersionTable(db) {
+  db.exec(
+    'CREATE TABLE IF NOT EXISTS schema_version (' +
+    '  version INTEGER PRIMARY KEY,' +
+    "  name TEXT DEFAULT ''," +
+    "  appliedAt TEXT DEFAULT ''" +
+    ')'
+  );
+}
+
+function hasVersionTable(db) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'").get();
+}
+
+function getAppliedVersions(db) {
+  if (!hasVersionTable(db)) return {};
+  var rows = db.prepare('SELECT version, name, appliedAt FROM schema_version ORDER BY version').all();
+  var applied = {};
+  rows.forEach(function(r) { applied[r.version] = r; });
+  return applied;
+}
+
+function getCurrentVersion(db) {
+  if (!hasVersionTable(db)) return 0;
+  return db.prepare('SELECT MAX(version) as version FROM schema_version').get().version || 0;
+}
+
+function getPending(db) {
+  var applied = getAppliedVersions(db);
+  return getMigrations().filter(function(m) { return !applied[m.version]; });
+}
+
+function recordVersion(db, migration, appliedAt) {
+  db.prepare('INSERT OR REPLACE INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)')
+    .run(migration.version, migration.name, appliedAt || new Date().toISOString());
+}
+
+// ============================================
+// HELPERS (passed to .js migrations)
+// ============================================
+
+function createHelpers(db) {
+  function tableExists(table) {
+    return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  }
+
+  function hasColumn(table, column) {
+    return db.prepare('PRAGMA table_info("' + table + '")').all()
+      .some(function(c) { return c.name === column; });
+  }
+
+  /**
+   * ALTER TABLE ADD COLUMN, skipped if the column already exists.
+   * definition: e.g. "TEXT DEFAULT ''"
+   */
+  function addColumn(table, column, definition) {
+    if (!tableExists(table) || hasColumn(table, column)) return false;
+    db.exec('ALTER TABLE "' + table + '" ADD COLUMN "' + column + '" ' + definition);
+    return true;
+  }
+
+  return { tableExists, hasColumn, addColumn };
+}
+
+// ============================================
+// APPLYING
+// ============================================
+
+/**
+ * Copy the database aside before migrating (VACUUM INTO is synchronous, so
+ * it can run during startup). Returns the backup path.
+ */
+function backupDatabase(db, fromVersion) {
+  var dbPath = db.name;
+  var backupDir = config.BACKUP_DIR ? path.resolve(config.BACKUP_DIR) : path.join(path.dirname(dbPath), 'backups');
+  if (!fs.existsSync(backupDir)) fs.mkdirSync(backupDir, { recursive: true });
+  var stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  var backupPath = path.join(backupDir, path.basename(dbPath, '.db') + '-pre-migrate-v' + fromVersion + '-' + stamp + '.db');
+  db.exec("VACUUM INTO '" + backupPath.replace(/'/g, "''") + "'");
+  return backupPath;
+}
+
+function runMigration(db, migration, helpers) {
+  var filePath = path.join(MIGRATIONS_DIR, migration.file);
+  var apply = db.transaction(function() {
+    if (migration.file.endsWith('.sql')) {
+      db.exec(fs.readFileSync(filePath, 'utf8'));
+    } else {
+      var mod = require(filePath);
+      if (typeof mod.up !== 'function') {
+        throw new Error(migration.file + ' does not export up(db, helpers)');
+      }
+      mod.up(db, helpers);
+    }
+    recordVersion(db, migration);
+  });
+  apply();
+}
+
+/**
+ * Apply pending migrations. Options: { backup: true, log: console.log }
+ * Returns { applied: [...names], backupPath, version }
+ */
+function migrate(db, options) {
+  options = options || {};
+  var log = options.log || console.log;
+  var pending = getPending(db);
+  var result = { applied: [], backupPath: null, version: getCurrentVersion(db) };
+  if (pending.length === 0) return result;
+
+  if (options.backup !== false && db.name !== ':memory:') {
+    result.backupPath = backupDatabase(db, result.version);
+    log('Database backed up to ' + result.backupPath);
+  }
+
+  var helpers = createHelpers(db);
+  pending.forEach(function(migration) {
+    try {
+      runMigration(db, migration, helpers);
+    } catch (e) {
+      e.message = 'Migration ' + migration.file + ' failed: ' + e.message +
+        (result.backupPath ? ' (pre-migration backup: ' + result.backupPath + ')' : '');
+      throw e;
+    }
+    result.applied.push(migration.file);
+    log('Applied migration ' + migration.file);
+  });
+  result.version = getCurrentVersion(db);
+  return result;
+}
+
+/**
+ * Startup entry point used by db/database.js (and `npm run migrate`):
+ * create/extend tables from schema.sql, then stamp a new database or
+ * migrate an existing one. Options: { autoMigrate } (default DB_AUTO_MIGRATE)
+ * Returns { created, applied, backupPath, version }
+ */
+function initialize(db, schemaSql, options) {
+  options = options || {};
+  var autoMigrate = options.autoMigrate !== undefined ? options.autoMigrate : config.DB_AUTO_MIGRATE;
+  var isNew = !db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").get();
+
+  db.exec(schemaSql);
+  ensureVersionTable(db);
+
+  if (isNew) {
+    // schema.sql is already current; nothing to upgrade
+    var now = new Date().toISOString();
+    getMigrations().forEach(function(m) { recordVersion(db, m, now); });
+    return { created: true, applied: [], backupPath: null, version: getCurrentVersion(db) };
+  }
+
+  var pending = getPending(db);
+  if (pending.length > 0 && !autoMigrate) {
+    console.warn(pending.length + ' pending database migration(s); run "npm run migrate" (DB_AUTO_MIGRATE is off)');
+    return { created: false, applied: [], backupPath: null, version: getCurrentVersion(db) };
+  }
+  var result = migrate(db);
+  if (result.applied.length) console.log('Database schema upgraded to version ' + result.version);
+  return { created: false, applied: result.applied, backupPath: result.backupPath, version: result.version };
+}
+
+/**
+ * Applied and pending migrations for status displays.
+ */
+function getStatus(db) {
+  var applied = getAppliedVersions(db);
+  var migrations = getMigrations().map(function(m) {
+    return {
+      version: m.version,
+      file: m.file,
+      applied: !!applied[m.version],
+      appliedAt: applied[m.version] ? applied[m.version].appliedAt : ''
+    };
+  });
+  return {
+    version: getCurrentVersion(db),
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    pending: migrations.filter(function(m) { return !m.applied; }).length,
+    migrations: migrations
+  };
+}
+
+module.exports = {
+  getMigrations,
+  getCurrentVersion,
+  getPending,
+  createHelpers,
+  backupDatabase,
+  migrate,
+  initialize,
+  getStatus
+};
+
+// ============================================
+// CLI
+// ============================================
+
+if (require.main === module) {
+  var command = process.argv[2] || 'up';
+  var dbPath = path.resolve(config.DB_PATH);
+
+  if (command === 'status') {
+    if (!fs.existsSync(dbPath)) {
+      console.log('No database at ' + dbPath + ' yet; it will be created at the latest version on first start.');
+      process.exit(0);
+    }
+    var statusDb = new Database(dbPath, { readonly: true });
+    var status = getStatus(statusDb);
+    console.log('Database: ' + dbPath);
+    console.log('Schema version: ' + status.version + ' (latest ' + status.latest + ', ' + status.pending + ' pending)');
+    status.migrations.forEach(function(m) {
+      console.log('  ' + (m.applied ? '[x] ' : '[ ] ') + m.file + (m.applied ? '  ' + m.appliedAt : ''));
+    });
+    statusDb.close();
+  } else if (command === 'up') {
+    var dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    var upDb = new Database(dbPath);
+    upDb.pragma('journal_mode = WAL');
+    try {
+      var result = initialize(upDb, fs.readFileSync(SCHEMA_PATH, 'utf8'), { autoMigrate: true });
+      if (result.created) {
+        console.log('Created new database at version ' + result.version);
+      } else if (!result.applied.length) {
+        console.log('Database is up to date (version ' + result.version + ')');
+      }
+    } catch (e) {
+      console.error(e.message);
+      process.exitCode = 1;
+    } finally {
+      upDb.close();
+    }
+  } else {
+    console.error('Usage: node db/migrate.js [up|status]');
+    process.exitCode = 1;
+  }
+}
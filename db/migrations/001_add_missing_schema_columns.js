@@ -0,0 +1,134 @@
+/**
+ * Baseline: databases created before migrations existed only got the columns
+ * schema.sql had at the time (e.g. computer_repairs.isQuickTicket is missing
+ * on older installs). Add whatever columns they lack.
+ *
+ * The column list is schema.sql as it stood when migrations were introduced,
+ * frozen here; columns added to the schema since then come with their own
+ * migrations. A bare name is TEXT DEFAULT ''.
+ */
+const COLUMNS = {
+  devices: [
+    'name', 'ip', 'model', ['type', "TEXT DEFAULT 'printer'"], 'location', 'machineId',
+    'serialNumber', ['status', "TEXT DEFAULT 'unknown'"], 'lastSeen', ['x', 'REAL DEFAULT 0'],
+    ['y', 'REAL DEFAULT 0'], ['blueprintId', "TEXT DEFAULT 'blueprint1'"],
+    ['supplies', "TEXT DEFAULT '[]'"], ['messages', "TEXT DEFAULT '[]'"],
+    ['inputTrays', "TEXT DEFAULT '[]'"], ['pageCount', 'INTEGER DEFAULT 0'], 'createdAt',
+    'updatedAt'
+  ],
+  supply_history: [
+    'deviceId', 'supplyName', ['level', 'REAL DEFAULT 0'], ['maxCapacity', 'REAL DEFAULT 0'],
+    ['percentage', 'REAL DEFAULT 0'], 'timestamp'
+  ],
+  snmp_traps: [
+    'sourceIp', 'trapData', 'parsedMessage', ['severity', "TEXT DEFAULT 'info'"], 'receivedAt',
+    'processed', 'resolvedAt', 'resolvedBy', 'assignedTo', 'assignedAt'
+  ],
+  trap_communities: [
+    'communities', 'updatedAt'
+  ],
+  gateway_keys: [
+    'name', 'secret', ['active', "TEXT DEFAULT 'true'"], 'createdBy', 'createdAt', 'revokedAt',
+    'lastUsedAt', 'lastUsedIp'
+  ],
+  gateway_reports: [
+    'keyId', 'gatewayName', 'action', 'sourceIp', 'deviceId', 'deviceIp', 'detail',
+    ['accepted', "TEXT DEFAULT 'true'"], 'error', 'timestamp'
+  ],
+  technicians: [
+    'name', 'email', 'phone', ['active', "TEXT DEFAULT 'true'"], 'createdAt', 'updatedAt'
+  ],
+  users: [
+    ['username', "TEXT"], 'displayName', 'email', 'passwordHash',
+    ['role', "TEXT DEFAULT 'read-only'"], 'technicianId', ['active', "TEXT DEFAULT 'true'"],
+    'lastLoginAt', 'createdAt', 'updatedAt'
+  ],
+  sessions: [
+    ['userId', "TEXT"], 'ip', 'userAgent', 'createdAt', 'lastSeenAt', 'expiresAt'
+  ],
+  email_config: [
+    'value', 'updatedAt'
+  ],
+  email_history: [
+    'deviceId', 'recipient', 'cc', 'subject', 'body', 'htmlBody', 'sentAt', 'status',
+    'errorMessage'
+  ],
+  settings: [
+    'value', 'updatedAt'
+  ],
+  blueprints: [
+    'name', 'imageData', 'createdAt', 'updatedAt'
+  ],
+  teachers: [
+    'empId', 'name', 'email', 'roomNumber', 'createdAt', 'updatedAt'
+  ],
+  device_types: [
+    'name', 'icon', 'color', 'pageTitle', 'description', 'blueprintId',
+    ['active', "TEXT DEFAULT 'true'"], 'createdAt', 'updatedAt'
+  ],
+  issue_buttons: [
+    'deviceTypeId', 'label', 'icon', 'color', ['sortOrder', 'INTEGER DEFAULT 0'],
+    ['active', "TEXT DEFAULT 'true'"], 'createdAt', 'updatedAt'
+  ],
+  service_requests: [
+    'deviceId', 'deviceName', 'deviceType', 'location', 'blueprintId', 'issueType', 'issueLabel',
+    'employeeId', 'employeeName', 'employeeEmail', 'technicianId', 'technicianName',
+    ['status', "TEXT DEFAULT 'pending'"], 'notes', 'submittedAt', 'assignedAt', 'completedAt',
+    'createdAt', 'updatedAt'
+  ],
+  qr_codes: [
+    'deviceId', 'qrData', 'generatedAt', 'printedAt', ['active', "TEXT DEFAULT 'true'"]
+  ],
+  email_templates: [
+    'name', 'type', 'subject', 'htmlBody', ['active', "TEXT DEFAULT 'true'"], 'createdAt',
+    'updatedAt'
+  ],
+  incidents: [
+    'employeeId', 'employeeName', 'employeeEmail', 'roomNumber', 'shortDescription', 'description',
+    'category', 'subcategory', 'channel', 'impact', 'userType', 'snowIncidentNumber', 'snowUrl',
+    ['emailStatus', "TEXT DEFAULT 'not-sent'"], 'emailSentAt', ['status', "TEXT DEFAULT 'open'"],
+    'createdAt', 'updatedAt'
+  ],
+  email_queue: [
+    'incidentId', 'toAddr', 'subject', 'body', ['status', "TEXT DEFAULT 'pending'"], 'scheduledAt',
+    'sentAt', 'createdAt', 'error'
+  ],
+  ai_training: [
+    'rawDescription', 'improvedDescription', 'category', 'subcategory', 'channel', 'impact',
+    'serviceOffering', 'keywords', 'aiAccepted', ['confidence', 'REAL DEFAULT 0'], 'source',
+    'incidentId', 'createdAt'
+  ],
+  computer_repairs: [
+    'employeeId', 'employeeName', 'employeeEmail', 'roomNumber', 'serialNumber', 'computerModel',
+    'manufacturer', 'warrantyDate', ['warrantyStatus', "TEXT DEFAULT 'unknown'"], 'assetTag',
+    'shortDescription', 'description', 'category', 'subcategory', 'channel', 'impact', 'userType',
+    'snowIncidentNumber', 'snowUrl', ['repairStatus', "TEXT DEFAULT 'pending'"],
+    ['emailStatus', "TEXT DEFAULT 'not-sent'"], 'emailSentAt', 'photoDataUrl', 'createdAt',
+    'updatedAt', 'isQuickTicket'
+  ],
+  cr_training: [
+    'rawDescription', 'improvedDescription', 'category', 'subcategory', 'impact', 'aiAccepted',
+    ['confidence', 'REAL DEFAULT 0'], 'source', 'repairId', 'isQuickTicket', 'createdAt'
+  ],
+  repair_templates: [
+    'name', 'icon', 'shortDescription', 'description', 'channel', 'category', 'subcategory',
+    'serviceOffering', 'manufacturer', 'model', 'assetLocation', 'impact', 'userType',
+    'requiresSerial', 'requiresPhoto', ['sortOrder', 'INTEGER DEFAULT 0'],
+    ['active', "TEXT DEFAULT 'true'"], 'createdAt', 'updatedAt'
+  ]
+};
+
+module.exports = {
+  description: 'Add columns declared in schema.sql that older databases lack',
+  up: function(db, helpers) {
+    var added = [];
+    Object.keys(COLUMNS).forEach(function(table) {
+      COLUMNS[table].forEach(function(column) {
+        var name = Array.isArray(column) ? column[0] : column;
+        var definition = Array.isArray(column) ? column[1] : "TEXT DEFAULT ''";
+        if (helpers.addColumn(table, name, definition)) added.push(table + '.' + name);
+      });
+    });
+    if (added.length) console.log('  Added columns: ' + added.join(', '));
+  }
+};
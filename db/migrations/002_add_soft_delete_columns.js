@@ -0,0 +1,15 @@
+/**
+ * Soft delete: rows removed from these tables are kept with a deletedAt
+ * marker (and who deleted them) until purged from the Recycle Bin.
+ */
+var TABLES = ['devices', 'teachers', 'service_requests', 'incidents', 'repair_templates', 'email_templates'];
+
+module.exports = {
+  description: 'Add deletedAt/deletedBy to soft-deletable tables',
+  up: function(db, helpers) {
+    TABLES.forEach(function(table) {
+      helpers.addColumn(table, 'deletedAt', "TEXT DEFAULT ''");
+      helpers.addColumn(table, 'deletedBy', "TEXT DEFAULT ''");
+    });
+  }
+};
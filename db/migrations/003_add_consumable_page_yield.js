@@ -0,0 +1,10 @@
+/**
+ * Page yield lets the print volume report estimate cost per page from a
+ * cartridge's unit cost.
+ */
+module.exports = {
+  description: 'Add pageYield to consumables',
+  up: function(db, helpers) {
+    helpers.addColumn('consumables', 'pageYield', 'INTEGER DEFAULT 0');
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Repeated traps from the same source fold into one open trap with an
+ * occurrence count and first/last seen times; clearedBy names the trap that
+ * closed it automatically (e.g. "Paper Jam Cleared").
+ */
+module.exports = {
+  description: 'Add occurrences, firstSeenAt, lastSeenAt and clearedBy to snmp_traps',
+  up: function(db, helpers) {
+    helpers.addColumn('snmp_traps', 'occurrences', 'INTEGER DEFAULT 1');
+    helpers.addColumn('snmp_traps', 'firstSeenAt', "TEXT DEFAULT ''");
+    helpers.addColumn('snmp_traps', 'lastSeenAt', "TEXT DEFAULT ''");
+    helpers.addColumn('snmp_traps', 'clearedBy', "TEXT DEFAULT ''");
+    db.prepare("UPDATE snmp_traps SET firstSeenAt = receivedAt, lastSeenAt = receivedAt WHERE firstSeenAt = ''").run();
+  }
+};
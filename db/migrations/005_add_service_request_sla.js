@@ -0,0 +1,17 @@
+/**
+ * Service requests get the SLA policy they were created under, the
+ * time-to-assign and time-to-complete deadlines (in working time), when
+ * each deadline was breached and when the pre-breach warning went out.
+ */
+module.exports = {
+  description: 'Add SLA policy, deadline, breach and warning columns to service_requests',
+  up: function(db, helpers) {
+    helpers.addColumn('service_requests', 'slaPolicyId', "TEXT DEFAULT ''");
+    helpers.addColumn('service_requests', 'assignDueAt', "TEXT DEFAULT ''");
+    helpers.addColumn('service_requests', 'completeDueAt', "TEXT DEFAULT ''");
+    helpers.addColumn('service_requests', 'assignBreachedAt', "TEXT DEFAULT ''");
+    helpers.addColumn('service_requests', 'completeBreachedAt', "TEXT DEFAULT ''");
+    helpers.addColumn('service_requests', 'assignWarnedAt', "TEXT DEFAULT ''");
+    helpers.addColumn('service_requests', 'completeWarnedAt', "TEXT DEFAULT ''");
+  }
+};
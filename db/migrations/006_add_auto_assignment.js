@@ -0,0 +1,14 @@
+/**
+ * Technicians get skills (device types and buildings they cover) and an
+ * on-shift flag for auto-assignment; service requests record whether they
+ * were assigned automatically or by hand.
+ */
+module.exports = {
+  description: 'Add technician skills and on-shift status, and service request assignment method',
+  up: function(db, helpers) {
+    helpers.addColumn('technicians', 'skillDeviceTypes', "TEXT DEFAULT ''");
+    helpers.addColumn('technicians', 'skillBuildings', "TEXT DEFAULT ''");
+    helpers.addColumn('technicians', 'onShift', "TEXT DEFAULT 'true'");
+    helpers.addColumn('service_requests', 'assignmentMethod', "TEXT DEFAULT ''");
+  }
+};
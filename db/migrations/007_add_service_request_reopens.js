@@ -0,0 +1,11 @@
+/**
+ * Count how often a completed service request was reopened, and when last,
+ * for the technician reopen rate.
+ */
+module.exports = {
+  description: 'Add reopen count and last reopened time to service_requests',
+  up: function(db, helpers) {
+    helpers.addColumn('service_requests', 'reopenCount', 'INTEGER DEFAULT 0');
+    helpers.addColumn('service_requests', 'reopenedAt', "TEXT DEFAULT ''");
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Service requests get a status token for the requester's tracking page
+ * (/request/status/<token>); existing requests are given one too.
+ */
+const crypto = require('crypto');
+
+module.exports = {
+  description: 'Add statusToken to service_requests',
+  up: function(db, helpers) {
+    helpers.addColumn('service_requests', 'statusToken', "TEXT DEFAULT ''");
+    var setToken = db.prepare('UPDATE service_requests SET statusToken = ? WHERE id = ?');
+    db.prepare("SELECT id FROM service_requests WHERE statusToken = ''").all().forEach(function(row) {
+      setToken.run(crypto.randomBytes(24).toString('hex'), row.id);
+    });
+  }
+};
@@ -20,7 +20,9 @@ CREATE TABLE IF NOT EXISTS devices (
   inputTrays TEXT DEFAULT '[]',
   pageCount INTEGER DEFAULT 0,
   createdAt TEXT DEFAULT '',
-  updatedAt TEXT DEFAULT ''
+  updatedAt TEXT DEFAULT '',
+  deletedAt TEXT DEFAULT '',
+  deletedBy TEXT DEFAULT ''
 );
 
 CREATE TABLE IF NOT EXISTS supply_history (
@@ -33,6 +35,31 @@ CREATE TABLE IF NOT EXISTS supply_history (
   timestamp TEXT DEFAULT ''
 );
 
+-- Supply forecasts read a device's recent readings in time order
+CREATE INDEX IF NOT EXISTS idx_supply_history_device ON supply_history (deviceId, supplyName, timestamp);
+
+-- Status periods per device; the open period has an empty endedAt
+CREATE TABLE IF NOT EXISTS device_status_history (
+  id TEXT PRIMARY KEY,
+  deviceId TEXT DEFAULT '',
+  status TEXT DEFAULT '',
+  previousStatus TEXT DEFAULT '',
+  startedAt TEXT DEFAULT '',
+  endedAt TEXT DEFAULT '',
+  durationSeconds INTEGER DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_device_status_history_device ON device_status_history (deviceId, startedAt);
+
+-- Lifetime page counter readings; pages = printed since the previous reading
+CREATE TABLE IF NOT EXISTS page_count_history (
+  id TEXT PRIMARY KEY,
+  deviceId TEXT DEFAULT '',
+  pageCount INTEGER DEFAULT 0,
+  pages INTEGER DEFAULT 0,
+  timestamp TEXT DEFAULT ''
+);
+CREATE INDEX IF NOT EXISTS idx_page_count_history_device ON page_count_history (deviceId, timestamp);
+
 CREATE TABLE IF NOT EXISTS snmp_traps (
   id TEXT PRIMARY KEY,
   sourceIp TEXT DEFAULT '',
@@ -44,19 +71,99 @@ CREATE TABLE IF NOT EXISTS snmp_traps (
   resolvedAt TEXT DEFAULT '',
   resolvedBy TEXT DEFAULT '',
   assignedTo TEXT DEFAULT '',
-  assignedAt TEXT DEFAULT ''
+  assignedAt TEXT DEFAULT '',
+  occurrences INTEGER DEFAULT 1,
+  firstSeenAt TEXT DEFAULT '',
+  lastSeenAt TEXT DEFAULT '',
+  clearedBy TEXT DEFAULT ''
+);
+CREATE INDEX IF NOT EXISTS idx_snmp_traps_source ON snmp_traps (sourceIp, resolvedAt);
+
+CREATE TABLE IF NOT EXISTS trap_communities (
+  id TEXT PRIMARY KEY,
+  communities TEXT DEFAULT '',
+  updatedAt TEXT DEFAULT ''
 );
 
+CREATE TABLE IF NOT EXISTS gateway_keys (
+  id TEXT PRIMARY KEY,
+  name TEXT DEFAULT '',
+  secret TEXT DEFAULT '',
+  active TEXT DEFAULT 'true',
+  createdBy TEXT DEFAULT '',
+  createdAt TEXT DEFAULT '',
+  revokedAt TEXT DEFAULT '',
+  lastUsedAt TEXT DEFAULT '',
+  lastUsedIp TEXT DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS gateway_reports (
+  id TEXT PRIMARY KEY,
+  keyId TEXT DEFAULT '',
+  gatewayName TEXT DEFAULT '',
+  action TEXT DEFAULT '',
+  sourceIp TEXT DEFAULT '',
+  deviceId TEXT DEFAULT '',
+  deviceIp TEXT DEFAULT '',
+  detail TEXT DEFAULT '',
+  accepted TEXT DEFAULT 'true',
+  error TEXT DEFAULT '',
+  timestamp TEXT DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id TEXT PRIMARY KEY,
+  timestamp TEXT DEFAULT '',
+  actor TEXT DEFAULT '',
+  actorId TEXT DEFAULT '',
+  actorRole TEXT DEFAULT '',
+  ip TEXT DEFAULT '',
+  route TEXT DEFAULT '',
+  action TEXT DEFAULT '',
+  tableName TEXT DEFAULT '',
+  rowId TEXT DEFAULT '',
+  changes TEXT DEFAULT '{}'
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp);
+
 CREATE TABLE IF NOT EXISTS technicians (
   id TEXT PRIMARY KEY,
   name TEXT DEFAULT '',
   email TEXT DEFAULT '',
   phone TEXT DEFAULT '',
   active TEXT DEFAULT 'true',
+  skillDeviceTypes TEXT DEFAULT '',
+  skillBuildings TEXT DEFAULT '',
+  onShift TEXT DEFAULT 'true',
+  createdAt TEXT DEFAULT '',
+  updatedAt TEXT DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  username TEXT UNIQUE NOT NULL,
+  displayName TEXT DEFAULT '',
+  email TEXT DEFAULT '',
+  passwordHash TEXT DEFAULT '',
+  role TEXT DEFAULT 'read-only',
+  technicianId TEXT DEFAULT '',
+  active TEXT DEFAULT 'true',
+  lastLoginAt TEXT DEFAULT '',
   createdAt TEXT DEFAULT '',
   updatedAt TEXT DEFAULT ''
 );
 
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  userId TEXT NOT NULL,
+  ip TEXT DEFAULT '',
+  userAgent TEXT DEFAULT '',
+  createdAt TEXT DEFAULT '',
+  lastSeenAt TEXT DEFAULT '',
+  expiresAt TEXT DEFAULT ''
+);
+
 CREATE TABLE IF NOT EXISTS email_config (
   key TEXT PRIMARY KEY,
   value TEXT DEFAULT '',
@@ -97,7 +204,9 @@ CREATE TABLE IF NOT EXISTS teachers (
   email TEXT DEFAULT '',
   roomNumber TEXT DEFAULT '',
   createdAt TEXT DEFAULT '',
-  updatedAt TEXT DEFAULT ''
+  updatedAt TEXT DEFAULT '',
+  deletedAt TEXT DEFAULT '',
+  deletedBy TEXT DEFAULT ''
 );
 
 CREATE TABLE IF NOT EXISTS device_types (
@@ -144,8 +253,21 @@ CREATE TABLE IF NOT EXISTS service_requests (
   submittedAt TEXT DEFAULT '',
   assignedAt TEXT DEFAULT '',
   completedAt TEXT DEFAULT '',
+  slaPolicyId TEXT DEFAULT '',
+  assignDueAt TEXT DEFAULT '',
+  completeDueAt TEXT DEFAULT '',
+  assignBreachedAt TEXT DEFAULT '',
+  completeBreachedAt TEXT DEFAULT '',
+  assignWarnedAt TEXT DEFAULT '',
+  completeWarnedAt TEXT DEFAULT '',
+  assignmentMethod TEXT DEFAULT '',
+  reopenCount INTEGER DEFAULT 0,
+  reopenedAt TEXT DEFAULT '',
+  statusToken TEXT DEFAULT '',
   createdAt TEXT DEFAULT '',
-  updatedAt TEXT DEFAULT ''
+  updatedAt TEXT DEFAULT '',
+  deletedAt TEXT DEFAULT '',
+  deletedBy TEXT DEFAULT ''
 );
 
 CREATE TABLE IF NOT EXISTS qr_codes (
@@ -165,7 +287,9 @@ CREATE TABLE IF NOT EXISTS email_templates (
   htmlBody TEXT DEFAULT '',
   active TEXT DEFAULT 'true',
   createdAt TEXT DEFAULT '',
-  updatedAt TEXT DEFAULT ''
+  updatedAt TEXT DEFAULT '',
+  deletedAt TEXT DEFAULT '',
+  deletedBy TEXT DEFAULT ''
 );
 
 CREATE TABLE IF NOT EXISTS incidents (
@@ -187,7 +311,9 @@ CREATE TABLE IF NOT EXISTS incidents (
   emailSentAt TEXT DEFAULT '',
   status TEXT DEFAULT 'open',
   createdAt TEXT DEFAULT '',
-  updatedAt TEXT DEFAULT ''
+  updatedAt TEXT DEFAULT '',
+  deletedAt TEXT DEFAULT '',
+  deletedBy TEXT DEFAULT ''
 );
 
 CREATE TABLE IF NOT EXISTS email_queue (
@@ -285,5 +411,245 @@ CREATE TABLE IF NOT EXISTS repair_templates (
   sortOrder INTEGER DEFAULT 0,
   active TEXT DEFAULT 'true',
   createdAt TEXT DEFAULT '',
+  updatedAt TEXT DEFAULT '',
+  deletedAt TEXT DEFAULT '',
+  deletedBy TEXT DEFAULT ''
+);
+
+-- Consumables inventory: cartridge SKUs, the device models they fit, and
+-- the text that identifies them in a device's supply list (e.g. "Black Toner")
+CREATE TABLE IF NOT EXISTS consumables (
+  id TEXT PRIMARY KEY,
+  sku TEXT DEFAULT '',
+  name TEXT DEFAULT '',
+  supplyMatch TEXT DEFAULT '',
+  models TEXT DEFAULT '',
+  vendor TEXT DEFAULT '',
+  vendorEmail TEXT DEFAULT '',
+  unitCost REAL DEFAULT 0,
+  pageYield INTEGER DEFAULT 0,
+  reorderQty INTEGER DEFAULT 1,
+  minStock INTEGER DEFAULT 0,
+  notes TEXT DEFAULT '',
+  createdAt TEXT DEFAULT '',
+  updatedAt TEXT DEFAULT ''
+);
+
+-- Stock on hand per consumable and location (device location names)
+CREATE TABLE IF NOT EXISTS consumable_stock (
+  id TEXT PRIMARY KEY,
+  consumableId TEXT DEFAULT '',
+  location TEXT DEFAULT '',
+  quantity INTEGER DEFAULT 0,
+  updatedAt TEXT DEFAULT ''
+);
+
+-- Cartridge replacements detected in supply readings, and manual stock changes
+CREATE TABLE IF NOT EXISTS consumable_usage (
+  id TEXT PRIMARY KEY,
+  consumableId TEXT DEFAULT '',
+  sku TEXT DEFAULT '',
+  deviceId TEXT DEFAULT '',
+  deviceName TEXT DEFAULT '',
+  location TEXT DEFAULT '',
+  supplyName TEXT DEFAULT '',
+  quantity INTEGER DEFAULT 0,
+  previousLevel REAL DEFAULT 0,
+  newLevel REAL DEFAULT 0,
+  reason TEXT DEFAULT '',
+  createdAt TEXT DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS reorder_requests (
+  id TEXT PRIMARY KEY,
+  consumableId TEXT DEFAULT '',
+  sku TEXT DEFAULT '',
+  itemName TEXT DEFAULT '',
+  deviceId TEXT DEFAULT '',
+  deviceName TEXT DEFAULT '',
+  location TEXT DEFAULT '',
+  supplyName TEXT DEFAULT '',
+  reason TEXT DEFAULT '',
+  level REAL DEFAULT 0,
+  daysLeft TEXT DEFAULT '',
+  onHand INTEGER DEFAULT 0,
+  quantity INTEGER DEFAULT 1,
+  status TEXT DEFAULT 'open',
+  poNumber TEXT DEFAULT '',
+  emailedTo TEXT DEFAULT '',
+  orderedAt TEXT DEFAULT '',
+  receivedAt TEXT DEFAULT '',
+  createdBy TEXT DEFAULT '',
+  createdAt TEXT DEFAULT '',
+  updatedAt TEXT DEFAULT ''
+);
+
+-- Alert rules: conditions (trap, supply level or offline duration, narrowed by
+-- device type, location, message and severity) and the actions to take
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id TEXT PRIMARY KEY,
+  name TEXT DEFAULT '',
+  enabled TEXT DEFAULT 'true',
+  triggerType TEXT DEFAULT 'trap',
+  deviceTypes TEXT DEFAULT '[]',
+  locations TEXT DEFAULT '[]',
+  messagePattern TEXT DEFAULT '',
+  minSeverity TEXT DEFAULT 'info',
+  supplyThreshold INTEGER DEFAULT 10,
+  offlineMinutes INTEGER DEFAULT 30,
+  emailTechnicianId TEXT DEFAULT '',
+  emailTo TEXT DEFAULT '',
+  createServiceRequest TEXT DEFAULT 'false',
+  webhookUrl TEXT DEFAULT '',
+  escalateAfterMinutes INTEGER DEFAULT 0,
+  escalateWhen TEXT DEFAULT 'unassigned',
+  escalateTo TEXT DEFAULT '',
+  cooldownMinutes INTEGER DEFAULT 30,
+  createdAt TEXT DEFAULT '',
+  updatedAt TEXT DEFAULT ''
+);
+
+-- Alerts raised by the rules (open, escalated, acknowledged) until the trap is
+-- resolved, the condition clears or the linked service request is completed
+CREATE TABLE IF NOT EXISTS alert_events (
+  id TEXT PRIMARY KEY,
+  ruleId TEXT DEFAULT '',
+  ruleName TEXT DEFAULT '',
+  triggerType TEXT DEFAULT '',
+  deviceId TEXT DEFAULT '',
+  deviceName TEXT DEFAULT '',
+  location TEXT DEFAULT '',
+  sourceIp TEXT DEFAULT '',
+  trapId TEXT DEFAULT '',
+  supplyName TEXT DEFAULT '',
+  message TEXT DEFAULT '',
+  severity TEXT DEFAULT '',
+  serviceRequestId TEXT DEFAULT '',
+  actions TEXT DEFAULT '[]',
+  status TEXT DEFAULT 'open',
+  triggeredAt TEXT DEFAULT '',
+  escalatedAt TEXT DEFAULT '',
+  acknowledgedAt TEXT DEFAULT '',
+  acknowledgedBy TEXT DEFAULT '',
+  resolvedAt TEXT DEFAULT '',
+  resolvedBy TEXT DEFAULT ''
+);
+CREATE INDEX IF NOT EXISTS idx_alert_events_rule ON alert_events (ruleId, deviceId, triggeredAt);
+
+-- Vendor trap dictionaries: per-vendor alert codes (prtAlertTable vendor
+-- code) with the message and severity to use, or ignored to drop them
+CREATE TABLE IF NOT EXISTS trap_dictionaries (
+  id TEXT PRIMARY KEY,
+  vendor TEXT DEFAULT '',
+  enterpriseOid TEXT DEFAULT '',
+  enabled TEXT DEFAULT 'true',
+  createdAt TEXT DEFAULT '',
+  updatedAt TEXT DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS trap_dictionary_codes (
+  id TEXT PRIMARY KEY,
+  dictionaryId TEXT DEFAULT '',
+  code INTEGER DEFAULT 0,
+  message TEXT DEFAULT '',
+  severity TEXT DEFAULT 'warning',
+  ignored TEXT DEFAULT 'false',
+  updatedAt TEXT DEFAULT ''
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trap_dictionary_codes ON trap_dictionary_codes (dictionaryId, code);
+
+-- Uploaded vendor MIB modules and their parsed definitions; oid stays ''
+-- until the parent it is defined under is known (see services/mibs.js)
+CREATE TABLE IF NOT EXISTS mib_modules (
+  id TEXT PRIMARY KEY,
+  moduleName TEXT DEFAULT '',
+  fileName TEXT DEFAULT '',
+  definitions INTEGER DEFAULT 0,
+  notifications INTEGER DEFAULT 0,
+  uploadedAt TEXT DEFAULT '',
+  uploadedBy TEXT DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS mib_objects (
+  id TEXT PRIMARY KEY,
+  moduleId TEXT DEFAULT '',
+  moduleName TEXT DEFAULT '',
+  name TEXT DEFAULT '',
+  kind TEXT DEFAULT '',
+  oid TEXT DEFAULT '',
+  parentName TEXT DEFAULT '',
+  subIds TEXT DEFAULT '',
+  syntax TEXT DEFAULT '',
+  enums TEXT DEFAULT '{}',
+  objects TEXT DEFAULT '[]',
+  description TEXT DEFAULT ''
+);
+CREATE INDEX IF NOT EXISTS idx_mib_objects_oid ON mib_objects (oid);
+CREATE INDEX IF NOT EXISTS idx_mib_objects_name ON mib_objects (name);
+
+-- Trap archive files written by the retention job (services/trapRetention.js);
+-- the rows themselves live in the gzipped JSONL file, not in the database
+CREATE TABLE IF NOT EXISTS trap_archives (
+  id TEXT PRIMARY KEY,
+  fileName TEXT DEFAULT '',
+  archivedAt TEXT DEFAULT '',
+  rowCount INTEGER DEFAULT 0,
+  bySeverity TEXT DEFAULT '{}',
+  oldestAt TEXT DEFAULT '',
+  newestAt TEXT DEFAULT '',
+  bytes INTEGER DEFAULT 0
+);
+
+-- SLA policies for service requests: targets in working minutes (see
+-- services/sla.js); issueType/deviceType '' match any
+CREATE TABLE IF NOT EXISTS sla_policies (
+  id TEXT PRIMARY KEY,
+  name TEXT DEFAULT '',
+  issueType TEXT DEFAULT '',
+  deviceType TEXT DEFAULT '',
+  assignMinutes INTEGER DEFAULT 0,
+  completeMinutes INTEGER DEFAULT 0,
+  warnMinutes INTEGER DEFAULT 30,
+  supervisorEmail TEXT DEFAULT '',
+  enabled TEXT DEFAULT 'true',
+  createdAt TEXT DEFAULT '',
   updatedAt TEXT DEFAULT ''
 );
+
+-- Why each service request was assigned (see services/autoAssign.js):
+-- method is auto, manual or override; technicianId '' when nobody was found
+CREATE TABLE IF NOT EXISTS assignment_log (
+  id TEXT PRIMARY KEY,
+  requestId TEXT DEFAULT '',
+  technicianId TEXT DEFAULT '',
+  technicianName TEXT DEFAULT '',
+  method TEXT DEFAULT '',
+  strategy TEXT DEFAULT '',
+  reason TEXT DEFAULT '',
+  assignedBy TEXT DEFAULT '',
+  createdAt TEXT DEFAULT ''
+);
+CREATE INDEX IF NOT EXISTS idx_assignment_log_request ON assignment_log (requestId, createdAt);
+
+-- Weekly technician shifts in TIMEZONE (see services/techSchedule.js); an
+-- endTime at or before startTime runs past midnight
+CREATE TABLE IF NOT EXISTS technician_shifts (
+  id TEXT PRIMARY KEY,
+  technicianId TEXT DEFAULT '',
+  day TEXT DEFAULT '',
+  startTime TEXT DEFAULT '',
+  endTime TEXT DEFAULT '',
+  createdAt TEXT DEFAULT ''
+);
+CREATE INDEX IF NOT EXISTS idx_technician_shifts_tech ON technician_shifts (technicianId);
+
+-- Technician PTO: whole days, startDate to endDate inclusive (YYYY-MM-DD)
+CREATE TABLE IF NOT EXISTS technician_pto (
+  id TEXT PRIMARY KEY,
+  technicianId TEXT DEFAULT '',
+  startDate TEXT DEFAULT '',
+  endDate TEXT DEFAULT '',
+  note TEXT DEFAULT '',
+  createdBy TEXT DEFAULT '',
+  createdAt TEXT DEFAULT ''
+);
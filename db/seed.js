@@ -37,9 +37,7 @@ function seed() {
   const settingsDefaults = {
     'theme': 'system',
     'pollInterval': '15000',
-    'autoRefreshTraps': 'true',
-    'securityPassword': '',
-    'passwordProtected': 'false'
+    'autoRefreshTraps': 'true'
   };
 
   for (const [key, value] of Object.entries(settingsDefaults)) {
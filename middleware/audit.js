@@ -0,0 +1,20 @@
+/**
+ * Audit Context Middleware
+ * Runs each /api request inside an audit context so every write made by the
+ * route (through the db/database.js helpers) is attributed to the signed-in
+ * user and the route that made it. See db/audit.js.
+ */
+const audit = require('../db/audit');
+
+function auditContext(req, res, next) {
+  var user = req.user;
+  audit.runWithContext({
+    actor: user ? user.username : 'anonymous',
+    actorId: user ? user.id : '',
+    actorRole: user ? user.role : '',
+    route: req.originalUrl.split('?')[0],
+    ip: req.ip || ''
+  }, next);
+}
+
+module.exports = { auditContext };
@@ -0,0 +1,243 @@
+/**
+ * API Authentication Middleware
+ * Resolves the session cookie to req.user and enforces the minimum role
+ * for every /api route. Mounted in server.js ahead of all routers, so a
+ * route is protected even if its module forgets about auth.
+ */
+const auth = require('../services/auth');
+
+const SESSION_COOKIE = 'ssm_session';
+
+// Reachable without a login: the public request page (QR codes) and the
+// requester's status page (which needs the request's secret token), the login
+// flow itself, and the gateway's report endpoints (which check their own
+// signed API key instead, see routes/gateway.js).
+const PUBLIC_ROUTES = [
+  'getWorkingHoursStatus',
+  'getRequestPageData',
+  'getRequestStatus',
+  'lookupEmployee',
+  'createServiceRequest',
+  'login',
+  'logout',
+  'getCurrentUser',
+  'setupFirstAdmin',
+  'gateway',
+  'gateway/devices'
+];
+
+// Routes open to roles below admin. Anything not listed here - including
+// new reads - requires admin until it is added on purpose.
+const ROUTE_ROLES = {
+  // Reads: every signed-in user
+  events: 'read-only',
+  getEventStreamStatus: 'read-only',
+  getAppConfig: 'read-only',
+  getAfterHoursSettings: 'read-only',
+  isWithinWorkingHours: 'read-only',
+  getIssueButtons: 'read-only',
+  getIssueButtonsByDeviceType: 'read-only',
+  getDevices: 'read-only',
+  getDeviceById: 'read-only',
+  getDeviceTypes: 'read-only',
+  getDeviceTypeById: 'read-only',
+  getSupplyForecast: 'read-only',
+  getPrintVolumeReport: 'read-only',
+  getAvailabilityReport: 'read-only',
+  getBlueprints: 'read-only',
+  getBlueprintImage: 'read-only',
+  getQRCodes: 'read-only',
+  getQRCodeForDevice: 'read-only',
+  getLabelLayout: 'read-only',
+  getTraps: 'read-only',
+  getDeviceTrapTimeline: 'read-only',
+  parseTrapMessage: 'read-only',
+  getTrapDictionaries: 'read-only',
+  getTrapDictionaryCodes: 'read-only',
+  getMibModules: 'read-only',
+  lookupMibOid: 'read-only',
+  getSnmpPollerStatus: 'read-only',
+  getTrapReceiverStatus: 'read-only',
+  getWatchdogStatus: 'read-only',
+  getGatewayReports: 'read-only',
+  getTeachers: 'read-only',
+  getTechnicians: 'read-only',
+  getAutoAssignSettings: 'read-only',
+  getTechnicianAvailability: 'read-only',
+  getTechnicianSchedules: 'read-only',
+  getTechnicianReport: 'read-only',
+  getServiceRequests: 'read-only',
+  getAssignmentLog: 'read-only',
+  getSlaPolicies: 'read-only',
+  getIncidents: 'read-only',
+  classifyIncident: 'read-only',
+  improveDescription: 'read-only',
+  getTrainingData: 'read-only',
+  getAnalyticsData: 'read-only',
+  getServiceOffering: 'read-only',
+  getComputerRepairs: 'read-only',
+  getComputerRepairById: 'read-only',
+  classifyComputerRepair: 'read-only',
+  findSimilarComputerRepairs: 'read-only',
+  getRepairTemplates: 'read-only',
+  getEmailHistory: 'read-only',
+  getEmailById: 'read-only',
+  getEmailTemplates: 'read-only',
+  previewManufacturerEmail: 'read-only',
+  getInventory: 'read-only',
+  getReorderRequests: 'read-only',
+  previewPurchaseOrder: 'read-only',
+  getAlertRules: 'read-only',
+  getAlertEvents: 'read-only',
+  getRecycleBin: 'read-only',
+  getSheetStats: 'read-only',
+  getSpreadsheetInfo: 'read-only',
+  getWorkbookCellCount: 'read-only',
+  getTrapRetention: 'read-only',
+
+  // Help desk: work tickets, incidents and repairs
+  assignServiceRequest: 'help-desk',
+  unassignServiceRequest: 'help-desk',
+  autoAssignServiceRequest: 'help-desk',
+  reopenServiceRequest: 'help-desk',
+  exportServiceRequests: 'help-desk',
+  createIncident: 'help-desk',
+  updateIncidentField: 'help-desk',
+  sendIncidentEmail: 'help-desk',
+  queueIncidentEmail: 'help-desk',
+  saveTrainingEntry: 'help-desk',
+  getLatestSnIncident: 'help-desk',
+  createComputerRepair: 'help-desk',
+  updateComputerRepairField: 'help-desk',
+  sendComputerRepairEmail: 'help-desk',
+  queueComputerRepairEmail: 'help-desk',
+  saveCrTrainingEntry: 'help-desk',
+  sendDeviceEmail: 'help-desk',
+  sendManufacturerEmail: 'help-desk',
+  processEmailQueue: 'help-desk',
+  assignTrap: 'help-desk',
+  assignTrapsByIp: 'help-desk',
+  exportTeachers: 'help-desk',
+  changePassword: 'read-only',
+
+  // Technicians: close out work and look after devices
+  completeServiceRequest: 'technician',
+  setTechnicianOnShift: 'technician',
+  resolveTrap: 'technician',
+  resolveTrapsByIp: 'technician',
+  reprocessAllTraps: 'technician',
+  addTrap: 'technician',
+  saveDevice: 'technician',
+  updateDeviceStatus: 'technician',
+  pollDevicesNow: 'technician',
+  generateQRCode: 'technician',
+  generateQRCodesForDevices: 'technician',
+  markQRCodePrinted: 'technician',
+  setConsumableStock: 'technician',
+  markReorderReceived: 'technician',
+  acknowledgeAlert: 'technician',
+
+  // Reads that expose accounts or credentials
+  getUsers: 'admin',
+  getGatewayKeys: 'admin',
+  getEmailQueue: 'admin',
+  getAuditLog: 'admin',
+  getBackups: 'admin',
+  getSettings: 'admin',
+  getEmailConfig: 'admin',
+  getTrapCommunities: 'admin'
+};
+
+/**
+ * Minimum role for an /api route name, or null if it is public.
+ */
+function getRequiredRole(routeName) {
+  if (PUBLIC_ROUTES.indexOf(routeName) >= 0) return null;
+  if (Object.prototype.hasOwnProperty.call(ROUTE_ROLES, routeName)) return ROUTE_ROLES[routeName];
+  return 'admin';
+}
+
+function getSessionToken(req) {
+  var header = req.headers.cookie || '';
+  var match = header.split(';').map(function(c) { return c.trim(); })
+    .find(function(c) { return c.indexOf(SESSION_COOKIE + '=') === 0; });
+  return match ? decodeURIComponent(match.substring(SESSION_COOKIE.length + 1)) : '';
+}
+
+function isSecureRequest(req) {
+  return req.secure || req.get('X-Forwarded-Proto') === 'https';
+}
+
+function setSessionCookie(req, res, token, maxAgeMs) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: isSecureRequest(req),
+    path: '/',
+    maxAge: maxAgeMs
+  });
+}
+
+function clearSessionCookie(req, res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: isSecureRequest(req), path: '/' });
+}
+
+/**
+ * Attach req.user from the session cookie (if any). Never rejects.
+ */
+function loadUser(req, res, next) {
+  try {
+    req.sessionToken = getSessionToken(req);
+    req.user = auth.getSessionUser(req.sessionToken);
+  } catch (error) {
+    console.error('Error resolving session:', error);
+    req.user = null;
+  }
+  next();
+}
+
+/**
+ * /api guard: 401 without a session, 403 when the role is too low.
+ */
+function requireApiRole(req, res, next) {
+  var routeName = req.path.replace(/^\/+|\/+$/g, '');
+  var required = getRequiredRole(routeName);
+  if (!required) return next();
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      authRequired: true,
+      setupRequired: auth.countUsers() === 0
+    });
+  }
+  if (!auth.hasRole(req.user, required)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Your role (' + req.user.role + ') cannot use ' + routeName + '; requires ' + required
+    });
+  }
+  next();
+}
+
+/**
+ * Guard for non-API paths (uploads): any signed-in user.
+ */
+function requireLogin(req, res, next) {
+  if (!req.user) return res.status(401).send('Authentication required');
+  next();
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  PUBLIC_ROUTES,
+  ROUTE_ROLES,
+  getRequiredRole,
+  getSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  loadUser,
+  requireApiRole,
+  requireLogin
+};
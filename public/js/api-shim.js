@@ -26,6 +26,17 @@
         body: JSON.stringify({ args: argsArray })
       })
       .then(function(response) {
+        if (response.status === 401 && !/^\/(login|request)/.test(window.location.pathname)) {
+          // Session missing or expired - sign in again and come back here
+          window.location.href = '/login?next=' + encodeURIComponent(window.location.pathname + window.location.search);
+          return new Promise(function() {});
+        }
+        if (response.status === 403) {
+          return response.json().then(function(data) {
+            if (typeof window.showToast === 'function') window.showToast(data.error || 'Permission denied', 'error');
+            throw new Error(data.error || 'Permission denied');
+          });
+        }
         if (!response.ok) {
           throw new Error('HTTP ' + response.status + ': ' + response.statusText);
         }
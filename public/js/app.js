@@ -578,8 +578,9 @@ const state = {
   serviceRequestRefreshInterval: null,
   viewMode: 'bars', // 'bars', 'gauges', or 'cards'
   audioEnabled: true,
-  isAuthenticated: false,
-  passwordProtected: false,
+  // Signed-in user { id, username, displayName, role, technicianId, technicianName }
+  currentUser: null,
+  users: [],
   // Trap alert tracking - stores {trapId: lastAlertTime} to avoid duplicate alerts
   trapAlertTimes: {},
   // Re-alert interval in milliseconds (1 hour = 3600000)
@@ -593,7 +594,15 @@ const state = {
   _deviceCacheKey: null,
   // Remote mode: true when gateway is unreachable (accessing from outside school network)
   isRemote: false,
-  gatewayOnline: false
+  gatewayOnline: false,
+  snmpPollerEnabled: false,
+  // Stale device watchdog status (gateway last check-in)
+  watchdog: null,
+  // True while the /api/events stream is open; polling is skipped meanwhile
+  eventStreamConnected: false,
+  // Supply run-out forecasts { deviceId: [{ supplyName, daysLeft, ... }] } and when they were fetched
+  supplyForecasts: {},
+  supplyForecastsLoadedAt: 0
 };
 
 // ============================================
@@ -913,9 +922,9 @@ async function initializeApp() {
     // Apply splash screen customization immediately
     applySplashSettingsToScreen();
 
-    // Check if password protected (with timeout)
-    await withTimeout(checkPasswordProtection(), 10000, 'checkPasswordProtection')
-      .catch(function(e) { console.error('Password check failed/timeout:', e); });
+    // Resolve the signed-in user (redirects to /login without a session)
+    await withTimeout(loadCurrentUser(), 10000, 'loadCurrentUser')
+      .catch(function(e) { console.error('Loading current user failed/timeout:', e); });
 
     // Load all data with timeout protection (30 second timeout per call)
     console.log('initializeApp: loading data...');
@@ -937,6 +946,7 @@ async function initializeApp() {
     setupBlueprintCanvas();
     setupTrapAutoRefresh();
     setupServiceRequestAutoRefresh();
+    startEventStream();
 
     // Update UI
     updateAllStats();
@@ -970,10 +980,20 @@ async function initializeApp() {
       });
     }
 
+    // Load built-in poller state before the first gateway check
+    loadSnmpPollerStatus();
+
+    // Open reorder requests for the Inventory badge
+    loadReorderRequests();
+
     // Check gateway status on load and set up periodic checks
     checkGatewayStatus();
     setInterval(checkGatewayStatus, 10000);
 
+    // Gateway check-in banner (stale device watchdog)
+    loadWatchdogStatus();
+    setInterval(loadWatchdogStatus, 60000);
+
     // Start real-time trap listener (push notifications from gateway)
     startRealTimeTrapListener();
 
@@ -1203,6 +1223,11 @@ async function loadTraps() {
 }
 
 async function loadSettings() {
+  // All settings are admin-only; others get what they need from getAppConfig
+  if (!hasRole('admin')) {
+    state.settings = {};
+    return;
+  }
   return new Promise((resolve, reject) => {
     google.script.run
       .withSuccessHandler(settings => {
@@ -1220,7 +1245,7 @@ async function loadSettings() {
 
 async function loadEmailConfig() {
   return new Promise((resolve, reject) => {
-    google.script.run
+    var runner = google.script.run
       .withSuccessHandler(config => {
         state.emailConfig = config || {};
         resolve();
@@ -1229,8 +1254,10 @@ async function loadEmailConfig() {
         console.error('Error loading email config:', err);
         state.emailConfig = {};
         resolve();
-      })
-      .getEmailConfig();
+      });
+    // The full config holds credentials; other roles only get the display settings
+    if (hasRole('admin')) runner.getEmailConfig();
+    else runner.getAppConfig();
   });
 }
 
@@ -1268,6 +1295,7 @@ async function loadTechnicians() {
     google.script.run
       .withSuccessHandler(function(techs) {
         state.technicians = techs || [];
+        loadTechnicianAvailability();
         resolve();
       })
       .withFailureHandler(function(err) {
@@ -1279,41 +1307,29 @@ async function loadTechnicians() {
   });
 }
 
-async function checkPasswordProtection() {
+async function loadCurrentUser() {
   return new Promise(function(resolve) {
     google.script.run
       .withSuccessHandler(function(result) {
-        console.log('Password protection check result:', result);
-        state.passwordProtected = result.protected === true;
-        console.log('state.passwordProtected set to:', state.passwordProtected);
-
-        if (state.passwordProtected) {
-          // Check if already authenticated this session
-          var sessionAuth = sessionStorage.getItem('authenticated');
-          if (sessionAuth === 'true') {
-            state.isAuthenticated = true;
-            console.log('Session auth found, isAuthenticated = true');
-          } else {
-            state.isAuthenticated = false;
-            console.log('No session auth, isAuthenticated = false');
-          }
-        } else {
-          state.isAuthenticated = true;
-          console.log('Not password protected, isAuthenticated = true');
+        if (!result || !result.success || !result.user) {
+          window.location.href = '/login?next=' + encodeURIComponent(window.location.pathname + window.location.search);
+          return;
         }
-        // Update lock indicators on nav items
-        setTimeout(function() {
-          updateNavLockIndicators();
-        }, 500);
+        state.currentUser = result.user;
+        // A linked technician is who this user acts as when resolving/assigning
+        if (result.user.technicianName) {
+          state.currentTechName = result.user.technicianName;
+          localStorage.setItem('currentTechName', result.user.technicianName);
+        }
+        renderCurrentUser();
+        applyRoleVisibility();
         resolve();
       })
       .withFailureHandler(function(err) {
-        console.error('Password protection check failed:', err);
-        state.passwordProtected = false;
-        state.isAuthenticated = true;
+        console.error('Error loading current user:', err);
         resolve();
       })
-      .isPasswordProtected();
+      .getCurrentUser();
   });
 }
 
@@ -2355,57 +2371,10 @@ document.addEventListener('DOMContentLoaded', function() {
 // Navigation
 // ============================================
 
-// Default locked tabs - can be customized by user
-var lockedTabs = JSON.parse(localStorage.getItem('lockedTabs') || '["devices", "analytics", "requests", "repairs", "settings"]');
-
 function switchTab(tabName) {
-  // Check if this tab requires authentication
-  var isProtectedTab = lockedTabs.indexOf(tabName) !== -1;
-
-  if (isProtectedTab && state.passwordProtected === true && state.isAuthenticated !== true) {
-    showAuthPromptForTab(tabName);
-    return;
-  }
-
   performTabSwitch(tabName);
 }
 
-// Toggle lock status for a tab
-function toggleTabLock(tabName, isLocked) {
-  if (isLocked) {
-    // Add to locked tabs if not already there
-    if (lockedTabs.indexOf(tabName) === -1) {
-      lockedTabs.push(tabName);
-    }
-  } else {
-    // Remove from locked tabs
-    var index = lockedTabs.indexOf(tabName);
-    if (index > -1) {
-      lockedTabs.splice(index, 1);
-    }
-  }
-
-  // Save to localStorage
-  localStorage.setItem('lockedTabs', JSON.stringify(lockedTabs));
-
-  // Update nav lock indicators
-  updateNavLockIndicators();
-
-  showToast(tabName.charAt(0).toUpperCase() + tabName.slice(1) + ' tab is now ' + (isLocked ? 'locked' : 'unlocked'), 'success');
-}
-
-// Load saved tab lock settings
-function loadTabLockSettings() {
-  var allTabs = ['blueprint', 'dashboard', 'devices', 'traps', 'analytics', 'requests', 'repairs', 'settings'];
-
-  allTabs.forEach(function(tabName) {
-    var checkbox = document.getElementById('lock-tab-' + tabName);
-    if (checkbox) {
-      checkbox.checked = lockedTabs.indexOf(tabName) !== -1;
-    }
-  });
-}
-
 function performTabSwitch(tabName) {
   state.currentTab = tabName;
 
@@ -2429,86 +2398,16 @@ function performTabSwitch(tabName) {
     setTimeout(function() { loadOverviewDashboard(); }, 100);
   }
 
-  // Re-render icons after tab switch
-  setTimeout(() => lucide.createIcons(), 100);
-}
-
-// Show auth prompt for protected tabs
-function showAuthPromptForTab(targetTab) {
-  var existingModal = document.getElementById('password-modal');
-  if (existingModal) existingModal.remove();
-
-  var modal = document.createElement('div');
-  modal.className = 'modal active';
-  modal.id = 'password-modal';
-  modal.innerHTML = '<div class="modal-backdrop"></div>' +
-    '<div class="modal-content" style="max-width: 400px;">' +
-    '<div class="modal-header">' +
-    '<h3><i data-lucide="lock"></i> Password Required</h3>' +
-    '</div>' +
-    '<div class="modal-body">' +
-    '<p style="margin-bottom: 16px; color: var(--text-secondary);">This section is password protected. Please enter the password to continue.</p>' +
-    '<div class="form-group">' +
-    '<label>Password</label>' +
-    '<input type="password" id="auth-password-tab" placeholder="Enter password" autofocus>' +
-    '</div>' +
-    '</div>' +
-    '<div class="modal-footer">' +
-    '<button class="btn btn-outline" onclick="closeAuthPromptForTab()">Cancel</button>' +
-    '<button class="btn btn-primary" onclick="verifyPasswordForTab(\'' + targetTab + '\')"><i data-lucide="unlock"></i> Unlock</button>' +
-    '</div>' +
-    '</div>';
-
-  document.body.appendChild(modal);
-  lucide.createIcons();
-
-  // Focus password field
-  setTimeout(function() {
-    var input = document.getElementById('auth-password-tab');
-    if (input) {
-      input.focus();
-      input.addEventListener('keypress', function(e) {
-        if (e.key === 'Enter') {
-          verifyPasswordForTab(targetTab);
-        }
-      });
-    }
-  }, 100);
-}
-
-function closeAuthPromptForTab() {
-  var modal = document.getElementById('password-modal');
-  if (modal) modal.remove();
-}
+  if (tabName === 'inventory') {
+    loadInventory();
+  }
 
-function verifyPasswordForTab(targetTab) {
-  var password = document.getElementById('auth-password-tab').value;
-  if (!password) {
-    showToast('Please enter a password', 'warning');
-    return;
+  if (tabName === 'audit') {
+    loadAuditLog();
   }
 
-  google.script.run
-    .withSuccessHandler(function(result) {
-      if (result.valid) {
-        state.isAuthenticated = true;
-        sessionStorage.setItem('authenticated', 'true');
-        closeAuthPromptForTab();
-        showToast('Access granted', 'success');
-        // Update lock indicators
-        updateNavLockIndicators();
-        // Now switch to the target tab
-        performTabSwitch(targetTab);
-      } else {
-        showToast('Incorrect password', 'error');
-        document.getElementById('auth-password-tab').value = '';
-        document.getElementById('auth-password-tab').focus();
-      }
-    })
-    .withFailureHandler(function(err) {
-      showToast('Authentication error: ' + err.message, 'error');
-    })
-    .verifySecurityPassword(password);
+  // Re-render icons after tab switch
+  setTimeout(() => lucide.createIcons(), 100);
 }
 
 function toggleSidebar() {
@@ -2647,6 +2546,41 @@ function switchSettingsPanel(sectionName) {
     renderTemplateSettingsList();
   }
 
+  if (sectionName === 'recycle-bin') {
+    loadRecycleBin();
+  }
+
+  if (sectionName === 'alert-rules') {
+    loadAlertRules();
+  }
+
+  if (sectionName === 'trap-dictionaries') {
+    loadTrapDictionaries();
+  }
+
+  if (sectionName === 'mib-files') {
+    loadMibModules();
+  }
+
+  if (sectionName === 'sla-policies') {
+    loadSlaPolicies();
+  }
+
+  if (sectionName === 'technicians') {
+    loadAutoAssignSettings();
+  }
+
+  if (sectionName === 'tech-schedules') {
+    loadTechSchedules();
+  }
+
+  // Refresh built-in poller status when the gateway panel is opened
+  if (sectionName === 'gateway') {
+    loadSnmpPollerStatus();
+    loadTrapReceiverStatus();
+    loadGatewayKeys();
+  }
+
   // Re-render icons after panel switch
   setTimeout(() => {
     if (typeof lucide !== 'undefined') {
@@ -4597,9 +4531,10 @@ function showEnhancedDeviceModal(deviceId) {
     // SNMP Trap Problems (from copier)
     deviceTraps.forEach(function(trap, idx) {
       var priorityClass = trap.severity === 'critical' ? 'critical' : trap.severity === 'warning' ? 'warning' : 'medium';
-      var timeAgo = getTimeAgo(trap.receivedAt);
+      var timeAgo = getTimeAgo(trap.lastSeenAt || trap.receivedAt);
       var assignedTo = trap.assignedTo || '';
       var trapUniqueId = 'snmp-' + idx;
+      var occurrences = parseInt(trap.occurrences) || 1;
 
       // Try to extract meaningful message from trap data
       var displayMessage = trap.parsedMessage;
@@ -4612,6 +4547,9 @@ function showEnhancedDeviceModal(deviceId) {
       bodyHtml += '<div class="problem-header">';
       bodyHtml += '<span class="problem-type-badge snmp">SNMP</span>';
       bodyHtml += '<span class="problem-priority ' + priorityClass + '">' + (trap.severity || 'Info') + '</span>';
+      if (occurrences > 1) {
+        bodyHtml += '<span class="trap-occurrences" title="First seen ' + new Date(trap.firstSeenAt || trap.receivedAt).toLocaleString() + '">×' + occurrences + '</span>';
+      }
       bodyHtml += '<span class="problem-time">' + timeAgo + '</span>';
       bodyHtml += '</div>';
       bodyHtml += '<div class="problem-message">' + escapeHtml(displayMessage) + '</div>';
@@ -4690,13 +4628,21 @@ function showEnhancedDeviceModal(deviceId) {
     bodyHtml += '</div>'; // problems-section
   }
 
+  // ===== TRAP TIMELINE - RAISED, REPEATED, CLEARED =====
+  bodyHtml += '<div class="trap-timeline-section">';
+  bodyHtml += '<div class="section-header"><span class="section-icon">🕒</span> Alert Timeline</div>';
+  bodyHtml += '<div class="trap-timeline" id="trap-timeline-' + device.id + '">';
+  bodyHtml += '<div class="activity-loading"><i data-lucide="loader" class="spin"></i> Loading alert history...</div>';
+  bodyHtml += '</div>';
+  bodyHtml += '</div>';
+
   // ===== SUPPLY LEVELS - COMPACT HORIZONTAL BARS =====
   if (device.supplies && device.supplies.length > 0) {
     bodyHtml += '<div class="supplies-section-compact">';
     bodyHtml += '<div class="section-header"><span class="section-icon">📊</span> Supply Levels</div>';
     bodyHtml += '<div class="compact-supplies-grid">';
 
-    device.supplies.forEach(function(s) {
+    device.supplies.forEach(function(s, index) {
       var supplyInfo = getSupplyDisplayInfo(s);
       var shortName = s.name.length > 20 ? s.name.substring(0, 18) + '...' : s.name;
 
@@ -4706,6 +4652,7 @@ function showEnhancedDeviceModal(deviceId) {
       bodyHtml += '<div class="supply-fill-compact" style="width:' + supplyInfo.displayPercentage + '%;background:' + supplyInfo.barColor + '"></div>';
       bodyHtml += '</div>';
       bodyHtml += '<span class="supply-pct ' + supplyInfo.levelClass + '">' + supplyInfo.displayPercentage + '%</span>';
+      bodyHtml += renderSupplyForecast(device.id, s.name, 'modal-supply-forecast-' + index);
       bodyHtml += '</div>';
     });
 
@@ -4732,6 +4679,65 @@ function showEnhancedDeviceModal(deviceId) {
   modal.classList.add('device-detail-modal');
   modal.classList.add('compact-modal');
   lucide.createIcons();
+
+  if (device.supplies && device.supplies.length > 0) refreshDeviceSupplyForecast(device);
+  loadDeviceTrapTimeline(device.id);
+}
+
+var TRAP_TIMELINE_SHOWN = 15;
+var TRAP_TIMELINE_LABELS = {
+  raised: { icon: 'alert-circle', text: 'Raised' },
+  repeated: { icon: 'repeat', text: 'Repeated' },
+  assigned: { icon: 'user-check', text: 'Assigned' },
+  cleared: { icon: 'check-circle-2', text: 'Cleared' },
+  resolved: { icon: 'check', text: 'Resolved' }
+};
+
+/**
+ * Fill the device modal's alert timeline: each trap raised, its repeats
+ * (folded into one alert), assignment and how it was cleared.
+ */
+function loadDeviceTrapTimeline(deviceId) {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      var el = document.getElementById('trap-timeline-' + deviceId);
+      if (!el) return;
+      if (!result || !result.success) {
+        el.innerHTML = '<div class="trap-timeline-empty">Could not load alert history</div>';
+        return;
+      }
+      el.innerHTML = renderTrapTimeline(result.timeline || []);
+      lucide.createIcons();
+    })
+    .withFailureHandler(function() {
+      var el = document.getElementById('trap-timeline-' + deviceId);
+      if (el) el.innerHTML = '<div class="trap-timeline-empty">Could not load alert history</div>';
+    })
+    .getDeviceTrapTimeline(deviceId);
+}
+
+function renderTrapTimeline(entries) {
+  if (entries.length === 0) return '<div class="trap-timeline-empty">No alerts received from this device</div>';
+  var html = '';
+  entries.slice(0, TRAP_TIMELINE_SHOWN).forEach(function(e) {
+    var label = TRAP_TIMELINE_LABELS[e.type] || TRAP_TIMELINE_LABELS.raised;
+    var detail = '';
+    if (e.type === 'repeated') detail = '×' + e.occurrences + ' since ' + new Date(e.firstSeenAt).toLocaleString();
+    else if (e.detail) detail = (e.type === 'assigned' ? 'to ' : 'by ') + e.detail;
+
+    html += '<div class="trap-timeline-entry ' + e.type + ' ' + (e.severity || 'info') + '">';
+    html += '<i data-lucide="' + label.icon + '"></i>';
+    html += '<div class="trap-timeline-body">';
+    html += '<div class="trap-timeline-title"><strong>' + label.text + '</strong> ' + escapeHtml(e.message || 'SNMP Alert') + '</div>';
+    if (detail) html += '<div class="trap-timeline-detail">' + escapeHtml(detail) + '</div>';
+    html += '</div>';
+    html += '<span class="trap-timeline-time" title="' + new Date(e.at).toLocaleString() + '">' + getTimeAgo(e.at) + '</span>';
+    html += '</div>';
+  });
+  if (entries.length > TRAP_TIMELINE_SHOWN) {
+    html += '<div class="trap-timeline-empty">' + (entries.length - TRAP_TIMELINE_SHOWN) + ' older event(s) not shown</div>';
+  }
+  return html;
 }
 
 // ============================================
@@ -4960,18 +4966,28 @@ function buildTechDropdownItems(type, itemId, deviceIp, deviceId) {
   var html = '';
 
   if (state.technicians && state.technicians.length > 0) {
-    state.technicians.forEach(function(tech) {
+    // Available and on-call technicians first; the rest stay pickable
+    var ranked = state.technicians.slice().sort(function(a, b) {
+      var ra = techAvailability.byId[a.id] || {};
+      var rb = techAvailability.byId[b.id] || {};
+      return ((rb.available || rb.onCall) ? 1 : 0) - ((ra.available || ra.onCall) ? 1 : 0);
+    });
+    ranked.forEach(function(tech) {
       var techName = escapeHtml(tech.name);
       var firstName = tech.name.split(' ')[0];
       var initials = tech.name.split(' ').map(function(n) { return n.charAt(0); }).join('').toUpperCase();
+      var availability = techAvailability.byId[tech.id];
+      var itemClass = 'tech-dropdown-item' + (availability && !availability.available && !availability.onCall ? ' unavailable' : '');
 
       if (type === 'snmp') {
-        html += '<div class="tech-dropdown-item" onclick="assignTrapToTech(\'' + deviceIp + '\', \'' + techName + '\', \'' + deviceId + '\')">';
+        html += '<div class="' + itemClass + '" onclick="assignTrapToTech(\'' + deviceIp + '\', \'' + techName + '\', \'' + deviceId + '\')">';
       } else {
-        html += '<div class="tech-dropdown-item" onclick="assignServiceRequestToTech(\'' + itemId + '\', \'' + techName + '\', \'' + deviceId + '\')">';
+        html += '<div class="' + itemClass + '" onclick="assignServiceRequestToTech(\'' + itemId + '\', \'' + techName + '\', \'' + deviceId + '\')">';
       }
       html += '<span class="tech-avatar-mini">' + initials + '</span>';
-      html += '<span class="tech-name-mini">' + techName + '</span>';
+      html += '<span class="tech-name-mini">' + techName +
+        (availability ? '<span class="tech-status-mini' + (availability.onCall ? ' on-call' : '') + '">' + techStatusHtml(availability) + '</span>' : '') +
+        '</span>';
       html += '</div>';
     });
   } else {
@@ -5975,7 +5991,9 @@ function renderOverviewDashboard() {
         html += '</div>';
         html += '<div class="supply-bar-track">';
         html += '<div class="supply-bar-fill ' + supplyInfo.levelClass + '" style="width: ' + supplyInfo.displayPercentage + '%"></div>';
-        html += '</div></div>';
+        html += '</div>';
+        html += renderSupplyForecast(device.id, s.name);
+        html += '</div>';
       });
 
       if (device.supplies.length > 4) {
@@ -5990,6 +6008,74 @@ function renderOverviewDashboard() {
   renderRecentTraps();
 
   lucide.createIcons();
+
+  if (Date.now() - state.supplyForecastsLoadedAt > SUPPLY_FORECAST_REFRESH_MS) loadSupplyForecasts();
+}
+
+// ============================================
+// SUPPLY FORECASTS (services/supplyForecast.js)
+// ============================================
+
+var SUPPLY_FORECAST_REFRESH_MS = 10 * 60 * 1000;
+var supplyForecastsLoading = false;
+
+function loadSupplyForecasts() {
+  if (supplyForecastsLoading) return;
+  supplyForecastsLoading = true;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      supplyForecastsLoading = false;
+      state.supplyForecastsLoadedAt = Date.now();
+      if (!result || !result.success) return;
+      state.supplyForecasts = result.forecasts || {};
+      if (state.currentTab === 'dashboard' && dashboardViewMode !== 'cards' && dashboardViewMode !== 'gauges') {
+        renderOverviewDashboard();
+      }
+    })
+    .withFailureHandler(function(err) {
+      supplyForecastsLoading = false;
+      state.supplyForecastsLoadedAt = Date.now();
+      console.warn('Could not load supply forecasts:', err.message);
+    })
+    .getSupplyForecast();
+}
+
+// Fetch fresh forecasts for the device in the open modal and fill in its rows
+function refreshDeviceSupplyForecast(device) {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) return;
+      state.supplyForecasts[device.id] = (result.forecasts || {})[device.id] || [];
+      device.supplies.forEach(function(s, index) {
+        var el = document.getElementById('modal-supply-forecast-' + index);
+        if (el) el.outerHTML = renderSupplyForecast(device.id, s.name, 'modal-supply-forecast-' + index);
+      });
+    })
+    .getSupplyForecast(device.id);
+}
+
+function findSupplyForecast(deviceId, supplyName) {
+  var forecasts = state.supplyForecasts[deviceId] || [];
+  return forecasts.find(function(f) { return f.supplyName === supplyName; }) || null;
+}
+
+/**
+ * "Runs out in ~N days" label for a supply, or an empty placeholder when
+ * there is no forecast yet (elementId lets the modal fill it in later).
+ */
+function renderSupplyForecast(deviceId, supplyName, elementId) {
+  var forecast = findSupplyForecast(deviceId, supplyName);
+  var idAttr = elementId ? ' id="' + elementId + '"' : '';
+  if (!forecast || forecast.daysLeft === null || forecast.daysLeft === undefined) {
+    var reason = forecast && forecast.reason ? forecast.reason : '';
+    return '<span class="supply-forecast muted"' + idAttr + (reason ? ' title="' + escapeHtml(reason) + '"' : '') + '>' +
+      (elementId ? '—' : '') + '</span>';
+  }
+  var days = forecast.daysLeft;
+  var urgency = days <= 7 ? 'critical' : days <= 21 ? 'low' : 'ok';
+  var text = days === 0 ? 'Runs out today' : 'Runs out in ~' + days + (days === 1 ? ' day' : ' days');
+  var title = 'About ' + forecast.ratePerDay + '% per day; empty around ' + new Date(forecast.emptyDate).toLocaleDateString();
+  return '<span class="supply-forecast ' + urgency + '"' + idAttr + ' title="' + escapeHtml(title) + '">' + text + '</span>';
 }
 
 function renderCardViewDashboard() {
@@ -6455,9 +6541,11 @@ function renderTrapsList() {
     `;
   } else {
     container.innerHTML = state.traps.map(trap => {
-      const timeAgo = getTimeAgo(trap.receivedAt);
+      const timeAgo = getTimeAgo(trap.lastSeenAt || trap.receivedAt);
       const isUnresolved = trap.processed === 0;
       const displayMsg = (trap.parsedMessage && trap.parsedMessage !== 'Device Alert') ? trap.parsedMessage : extractTrapDescription(trap);
+      const occurrences = parseInt(trap.occurrences) || 1;
+      const firstSeen = trap.firstSeenAt || trap.receivedAt;
 
       return `
         <div class="trap-card ${isUnresolved ? 'unresolved' : ''}">
@@ -6465,10 +6553,14 @@ function renderTrapsList() {
           <div class="trap-card-content">
             <div class="trap-card-header">
               <span class="trap-card-ip">${trap.sourceIp}</span>
+              ${occurrences > 1 ? `<span class="trap-occurrences" title="Repeated ${occurrences} times">×${occurrences}</span>` : ''}
               <span class="trap-card-time">${timeAgo}</span>
             </div>
             <div class="trap-card-message">${displayMsg}</div>
-            <div class="trap-card-date">${new Date(trap.receivedAt).toLocaleString()}</div>
+            <div class="trap-card-date">${occurrences > 1
+              ? 'First ' + new Date(firstSeen).toLocaleString() + ' · last ' + new Date(trap.lastSeenAt).toLocaleString()
+              : new Date(trap.receivedAt).toLocaleString()}</div>
+            ${trap.clearedBy ? `<div class="trap-card-cleared">Cleared by ${escapeHtml(trap.clearedBy)}</div>` : ''}
           </div>
           <div class="trap-card-actions">
             <button class="btn btn-ghost btn-sm" onclick="zoomToDeviceByIp('${trap.sourceIp}')" title="Locate on map">
@@ -6662,9 +6754,10 @@ function setupTrapAutoRefresh() {
     state.trapRefreshInterval = null;
   }
 
-  // Only poll when toggle is ON
+  // Only poll when toggle is ON (and the event stream is down)
   if (state.trapAutoRefresh) {
     state.trapRefreshInterval = setInterval(() => {
+      if (state.eventStreamConnected) return;
       loadTraps().then(() => {
         renderTrapsList();
         renderDashboard();
@@ -6675,6 +6768,103 @@ function setupTrapAutoRefresh() {
   }
 }
 
+// ============================================
+// Server Event Stream (SSE push of data changes)
+// ============================================
+var eventSource = null;
+var eventStreamTimers = {};
+
+/**
+ * Coalesce bursts of events into a single refresh per kind
+ */
+function scheduleEventRefresh(kind, fn, delay) {
+  if (eventStreamTimers[kind]) return;
+  eventStreamTimers[kind] = setTimeout(function() {
+    delete eventStreamTimers[kind];
+    fn();
+  }, delay || 500);
+}
+
+function refreshDeviceViews() {
+  updateAllStats();
+  renderDeviceMarkers();
+  renderDeviceTable();
+  renderDashboard();
+}
+
+function refreshTrapViews() {
+  loadTraps().then(function() {
+    renderTrapsList();
+    renderDashboard();
+    updateAllStats();
+    renderDeviceMarkers();
+  });
+}
+
+/**
+ * Subscribe to /api/events. Polling intervals stay in place as a fallback
+ * and skip their work while the stream is connected.
+ */
+function startEventStream() {
+  if (eventSource || typeof EventSource === 'undefined') return;
+
+  eventSource = new EventSource('/api/events');
+  var hadError = false;
+
+  eventSource.onopen = function() {
+    state.eventStreamConnected = true;
+    // After a dropped connection, resync anything the replay buffer missed
+    if (hadError) {
+      hadError = false;
+      loadDevices().then(refreshDeviceViews);
+      refreshTrapViews();
+      loadServiceRequests();
+    }
+  };
+
+  eventSource.onerror = function() {
+    // EventSource reconnects by itself; polling covers the gap
+    state.eventStreamConnected = false;
+    hadError = true;
+  };
+
+  eventSource.addEventListener('device.updated', function(e) {
+    var payload = JSON.parse(e.data);
+    var updated = payload.device;
+    if (!updated) return;
+    var index = state.devices.findIndex(function(d) { return d.id === updated.id; });
+    if (index >= 0) {
+      state.devices[index] = Object.assign({}, state.devices[index], updated, {
+        pageCount: parseInt(updated.pageCount) || 0
+      });
+    }
+    scheduleEventRefresh('devices', refreshDeviceViews, 1000);
+  });
+
+  eventSource.addEventListener('trap.added', function() {
+    scheduleEventRefresh('traps', refreshTrapViews);
+  });
+
+  eventSource.addEventListener('trap.updated', function() {
+    scheduleEventRefresh('traps', refreshTrapViews);
+  });
+
+  ['serviceRequest.created', 'serviceRequest.assigned', 'serviceRequest.unassigned',
+   'serviceRequest.completed', 'serviceRequest.reopened', 'serviceRequest.sla', 'serviceRequest.deleted', 'serviceRequest.restored', 'incident.created', 'incident.updated'].forEach(function(type) {
+    eventSource.addEventListener(type, function() {
+      scheduleEventRefresh('serviceRequests', loadServiceRequests);
+    });
+  });
+}
+
+function stopEventStream() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  state.eventStreamConnected = false;
+}
+
 // ============================================
 // Real-time Trap Listener (push from gateway)
 // ============================================
@@ -6903,11 +7093,9 @@ function applySettings() {
     techDisplay.textContent = state.currentTechName || '(Not set - click to set)';
   }
 
-  // Update password status
-  updatePasswordStatus();
-
-  // Load tab lock settings
-  loadTabLockSettings();
+  // Update account / user management section
+  renderCurrentUser();
+  if (hasRole('admin')) loadUsers();
 
   // Render technicians list
   renderTechniciansList();
@@ -7062,7 +7250,7 @@ function saveAlertSoundSetting(enabled) {
 function confirmClearDevices() {
   showConfirmCard({
     title: 'Delete All Devices',
-    message: 'Are you sure you want to delete <strong>ALL</strong> devices? This cannot be undone.',
+    message: 'Are you sure you want to delete <strong>ALL</strong> devices? They can be restored from the Recycle Bin until they are purged.',
     type: 'danger',
     confirmText: 'Delete All',
     onConfirm: function() {
@@ -7506,6 +7694,23 @@ async function checkGatewayStatus(showFeedback = false) {
 
   state.gatewayOnline = false;
 
+  // Built-in poller on the server replaces the gateway for device status
+  if (state.snmpPollerEnabled) {
+    if (statusIcon) {
+      statusIcon.className = 'gateway-status-icon online';
+      statusIcon.innerHTML = '<i data-lucide="server"></i>';
+    }
+    if (statusTitle) statusTitle.textContent = 'Built-in Poller Active';
+    if (statusDesc) statusDesc.textContent = 'Devices are polled directly by the server';
+    if (btnStart) btnStart.classList.add('hidden');
+    if (btnStop) btnStop.classList.add('hidden');
+    if (sidebarIndicator) sidebarIndicator.className = 'status-dot online';
+    if (sidebarText) sidebarText.textContent = 'Poller: Active';
+    if (statusIcon && typeof lucide !== 'undefined') lucide.createIcons();
+    if (showFeedback) showToast('Built-in SNMP poller is active', 'success');
+    return false;
+  }
+
   // Try to reach the controller too — if both gateway AND controller are unreachable,
   // we're most likely accessing remotely (not on the school network)
   var controllerReachable = false;
@@ -7560,41 +7765,469 @@ async function checkGatewayStatus(showFeedback = false) {
 // Check gateway status periodically - moved to DOMContentLoaded
 // setInterval is set up in initializeApp()
 
-// Restart Gateway function
-function restartGateway() {
-  const trapPort = document.getElementById('setting-trap-port')?.value || 1162;
-  const pollInterval = document.getElementById('setting-poll-interval')?.value || 60;
+// ============================================
+// Stale Device Watchdog
+// ============================================
+function loadWatchdogStatus() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) return;
+      state.watchdog = result;
+      renderGatewayCheckinBanner(result);
+      fillWatchdogSettings(result);
+    })
+    .withFailureHandler(function(err) {
+      console.error('Failed to load watchdog status:', err);
+    })
+    .getWatchdogStatus();
+}
 
-  showToast('Restarting gateway...', 'info');
+function renderGatewayCheckinBanner(status) {
+  var banner = document.getElementById('gateway-checkin-banner');
+  var text = document.getElementById('gateway-checkin-text');
+  if (!banner || !text) return;
 
-  fetch(CONTROLLER_URL + '/restart', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ trapPort: parseInt(trapPort), pollInterval: parseInt(pollInterval) })
-  })
-  .then(response => response.json())
-  .then(result => {
-    showToast(result.message || 'Gateway restarting...', 'success');
-    setTimeout(() => checkGatewayStatus(true), 3000);
-  })
-  .catch(err => {
-    showToast('Controller not running. Start it first.', 'warning');
-    startGateway();
-  });
-}
+  // Nothing has ever reported: the gateway isn't set up yet
+  if (!status.lastReportAt) {
+    banner.classList.add('hidden');
+    return;
+  }
 
-// Fetch and display gateway logs
-function fetchGatewayLogs() {
-  showToast('Fetching logs...', 'info');
+  var checkIn = status.lastCheckIn;
+  var html;
+  if (status.gatewaySilent) {
+    html = '<strong>Gateway silent</strong> — no reports since ' + escapeHtml(new Date(status.lastReportAt).toLocaleString()) +
+      ' (' + getTimeAgo(new Date(status.lastReportAt)) + '). Devices not seen for ' + status.silenceMinutes +
+      ' minutes are shown as ' + escapeHtml(status.staleStatus) + '.';
+  } else if (checkIn && checkIn.at === status.lastReportAt) {
+    html = 'Gateway last checked in ' + getTimeAgo(new Date(checkIn.at)) +
+      (checkIn.gatewayName ? ' — ' + escapeHtml(checkIn.gatewayName) : '') +
+      (checkIn.sourceIp ? ' <span class="text-muted">(' + escapeHtml(checkIn.sourceIp) + ')</span>' : '');
+  } else {
+    html = 'Built-in poller last reported ' + getTimeAgo(new Date(status.lastReportAt));
+  }
+  text.innerHTML = html;
+  banner.classList.toggle('silent', !!status.gatewaySilent);
+  banner.classList.remove('hidden');
+  banner.title = new Date(status.lastReportAt).toLocaleString();
+}
+
+function fillWatchdogSettings(status) {
+  var enabled = document.getElementById('watchdog-enabled');
+  var minutes = document.getElementById('watchdog-silence-minutes');
+  var staleStatus = document.getElementById('watchdog-stale-status');
+  var statusText = document.getElementById('watchdog-status-text');
+  if (enabled) enabled.checked = !!status.enabled;
+  if (minutes && document.activeElement !== minutes) minutes.value = status.silenceMinutes;
+  if (staleStatus) staleStatus.value = status.staleStatus;
+  if (statusText) {
+    statusText.textContent = !status.enabled ? 'Off'
+      : status.gatewaySilent ? 'Gateway silent since ' + new Date(status.silentSince).toLocaleString()
+      : status.lastCheck ? 'Last check ' + getTimeAgo(new Date(status.lastCheck.at))
+      : 'Checks every minute';
+  }
+}
 
-  // Try controller logs first
-  fetch(CONTROLLER_URL + '/logs')
-    .then(response => {
-      if (!response.ok) throw new Error('Controller not reachable');
-      return response.json();
+function saveWatchdogSettings() {
+  var settings = {
+    enabled: document.getElementById('watchdog-enabled')?.checked || false,
+    silenceMinutes: parseInt(document.getElementById('watchdog-silence-minutes')?.value) || 15,
+    staleStatus: document.getElementById('watchdog-stale-status')?.value || 'offline'
+  };
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast('Failed to save watchdog settings: ' + (result?.error || 'Unknown error'), 'error');
+        return;
+      }
+      state.watchdog = result;
+      fillWatchdogSettings(result);
+      renderGatewayCheckinBanner(result);
+      showToast(result.enabled ? 'Watchdog settings saved' : 'Watchdog disabled', 'success');
     })
-    .then(data => {
-      showGatewayLogsModal(data.logs || []);
+    .withFailureHandler(function(err) {
+      showToast('Failed to save watchdog settings: ' + err.message, 'error');
+    })
+    .saveWatchdogSettings(settings);
+}
+
+// ============================================
+// Built-in SNMP Poller
+// ============================================
+function loadSnmpPollerStatus() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) return;
+      state.snmpPollerEnabled = !!result.enabled;
+
+      var enabledInput = document.getElementById('snmp-poller-enabled');
+      var intervalInput = document.getElementById('snmp-poller-interval');
+      if (enabledInput) enabledInput.checked = !!result.enabled;
+      if (intervalInput) intervalInput.value = Math.round((result.interval || 60000) / 1000);
+      renderSnmpPollerLastRun(result.lastRun);
+    })
+    .withFailureHandler(function(err) {
+      console.error('Failed to load SNMP poller status:', err);
+    })
+    .getSnmpPollerStatus();
+}
+
+function renderSnmpPollerLastRun(lastRun) {
+  var el = document.getElementById('snmp-poller-last-run');
+  if (!el) return;
+  if (!lastRun) {
+    el.textContent = 'Never';
+    return;
+  }
+  el.textContent = getTimeAgo(new Date(lastRun.startedAt)) + ' — ' +
+    lastRun.polled + ' polled, ' + lastRun.online + ' online, ' +
+    lastRun.issue + ' issue, ' + lastRun.offline + ' offline';
+}
+
+function saveSnmpPollerSettings() {
+  var enabled = document.getElementById('snmp-poller-enabled')?.checked || false;
+  var seconds = parseInt(document.getElementById('snmp-poller-interval')?.value) || 60;
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast('Failed to save poller settings: ' + (result?.error || 'Unknown error'), 'error');
+        return;
+      }
+      state.snmpPollerEnabled = !!result.enabled;
+      showToast(result.enabled ? 'Built-in poller enabled' : 'Built-in poller disabled', 'success');
+      checkGatewayStatus();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Failed to save poller settings: ' + err.message, 'error');
+    })
+    .saveSnmpPollerSettings({ enabled: enabled, interval: seconds * 1000 });
+}
+
+function pollDevicesNow() {
+  var btn = document.getElementById('btn-poll-now');
+  if (btn) btn.disabled = true;
+  showToast('Polling devices...', 'info');
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (btn) btn.disabled = false;
+      if (!result || !result.success) {
+        showToast('Poll failed: ' + (result?.error || 'Unknown error'), 'error');
+        return;
+      }
+      renderSnmpPollerLastRun(result);
+      showToast('Polled ' + result.polled + ' device(s): ' + result.online + ' online, ' + result.issue + ' issue, ' + result.offline + ' offline', 'success');
+      loadDevices();
+    })
+    .withFailureHandler(function(err) {
+      if (btn) btn.disabled = false;
+      showToast('Poll failed: ' + err.message, 'error');
+    })
+    .pollDevicesNow();
+}
+
+// ============================================
+// Built-in Trap Receiver
+// ============================================
+function loadTrapReceiverStatus() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) return;
+      var enabledInput = document.getElementById('trap-receiver-enabled');
+      var portInput = document.getElementById('trap-receiver-port');
+      var rateInput = document.getElementById('trap-receiver-rate-limit');
+      if (enabledInput) enabledInput.checked = !!result.enabled;
+      if (portInput) portInput.value = result.port;
+      if (rateInput) rateInput.value = result.rateLimit;
+      renderTrapReceiverStatus(result);
+    })
+    .withFailureHandler(function(err) {
+      console.error('Failed to load trap receiver status:', err);
+    })
+    .getTrapReceiverStatus();
+
+  loadTrapCommunities();
+}
+
+function renderTrapReceiverStatus(status) {
+  var el = document.getElementById('trap-receiver-status-text');
+  if (!el) return;
+  if (status.listening) {
+    var s = status.stats || {};
+    el.textContent = 'Listening on udp/' + status.listeningPort + ' — ' + s.stored + ' stored, ' + (s.ignored || 0) + ' ignored, ' +
+      s.rejectedCommunity + ' rejected (community), ' + s.rateLimited + ' rate limited';
+  } else if (status.enabled && status.lastError) {
+    el.textContent = 'Not listening: ' + status.lastError;
+  } else {
+    el.textContent = 'Not listening';
+  }
+}
+
+function saveTrapReceiverSettings() {
+  var settings = {
+    enabled: document.getElementById('trap-receiver-enabled')?.checked || false,
+    port: parseInt(document.getElementById('trap-receiver-port')?.value) || 162,
+    rateLimit: parseInt(document.getElementById('trap-receiver-rate-limit')?.value) || 60
+  };
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast('Failed to save trap receiver settings: ' + (result?.error || 'Unknown error'), 'error');
+        return;
+      }
+      renderTrapReceiverStatus(result);
+      if (result.enabled && !result.listening) {
+        showToast('Trap receiver could not start: ' + (result.lastError || 'see server log'), 'warning');
+      } else {
+        showToast(result.enabled ? 'Trap receiver listening on port ' + result.port : 'Trap receiver disabled', 'success');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Failed to save trap receiver settings: ' + err.message, 'error');
+    })
+    .saveTrapReceiverSettings(settings);
+}
+
+function loadTrapCommunities() {
+  if (!hasRole('admin')) return;
+  var container = document.getElementById('trap-community-list');
+  if (!container) return;
+
+  google.script.run
+    .withSuccessHandler(function(rows) {
+      var byDevice = {};
+      (rows || []).forEach(function(r) { byDevice[r.deviceId] = r.communities; });
+      var devices = (state.devices || []).filter(function(d) { return d.ip; });
+
+      if (devices.length === 0) {
+        container.innerHTML = '<p class="text-muted" style="font-size: 13px;">No devices with an IP address.</p>';
+        return;
+      }
+
+      container.innerHTML = devices.map(function(d) {
+        return '<div class="form-row" style="align-items: center; margin-bottom: 6px;">' +
+          '<div class="form-group" style="margin-bottom: 0;"><strong>' + escapeHtml(d.name || d.id) + '</strong> <small class="text-muted">' + escapeHtml(d.ip) + '</small></div>' +
+          '<div class="form-group" style="margin-bottom: 0;"><input type="text" placeholder="default" value="' + escapeHtml(byDevice[d.id] || '') + '" ' +
+          'onchange="saveTrapCommunities(\'' + d.id + '\', this.value)"></div>' +
+          '</div>';
+      }).join('');
+    })
+    .withFailureHandler(function(err) {
+      console.error('Failed to load trap communities:', err);
+    })
+    .getTrapCommunities();
+}
+
+function saveTrapCommunities(deviceId, communities) {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result && result.success) {
+        showToast('Trap communities saved', 'success');
+      } else {
+        showToast('Failed to save communities: ' + (result?.error || 'Unknown error'), 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Failed to save communities: ' + err.message, 'error');
+    })
+    .saveTrapCommunities(deviceId, communities);
+}
+
+// ============================================
+// Gateway API Keys & Report Audit
+// ============================================
+
+function loadGatewayKeys() {
+  var body = document.getElementById('gateway-keys-body');
+  if (!body || !hasRole('admin')) return;
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) return;
+      var allowEl = document.getElementById('gateway-allow-unsigned');
+      if (allowEl) allowEl.checked = !!result.allowUnsigned;
+
+      if (result.keys.length === 0) {
+        body.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No gateway keys yet</td></tr>';
+      } else {
+        body.innerHTML = result.keys.map(function(k) {
+          return '<tr>' +
+            '<td><strong>' + escapeHtml(k.name) + '</strong></td>' +
+            '<td><code>' + escapeHtml(k.id) + '</code></td>' +
+            '<td>' + (k.createdAt ? new Date(k.createdAt).toLocaleDateString() : '') + (k.createdBy ? ' <small class="text-muted">by ' + escapeHtml(k.createdBy) + '</small>' : '') + '</td>' +
+            '<td>' + (k.lastUsedAt ? getTimeAgo(k.lastUsedAt) + ' <small class="text-muted">' + escapeHtml(k.lastUsedIp) + '</small>' : 'Never') + '</td>' +
+            '<td>' + (k.active ? '<span class="status-badge online"><span class="dot"></span>Active</span>' :
+              '<span class="status-badge offline"><span class="dot"></span>Revoked</span>') + '</td>' +
+            '<td>' + (k.active ? '<button class="btn btn-ghost btn-sm" onclick="revokeGatewayKey(\'' + k.id + '\')" title="Revoke"><i data-lucide="ban"></i></button>' : '') + '</td>' +
+            '</tr>';
+        }).join('');
+      }
+      lucide.createIcons();
+    })
+    .withFailureHandler(function(err) {
+      console.error('Failed to load gateway keys:', err);
+    })
+    .getGatewayKeys();
+
+  loadGatewayReports();
+}
+
+function createGatewayKey() {
+  var nameEl = document.getElementById('gateway-key-name');
+  var name = nameEl ? nameEl.value.trim() : '';
+  if (!name) {
+    showToast('Enter a name for the gateway', 'warning');
+    return;
+  }
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result && result.success) {
+        nameEl.value = '';
+        showGatewaySecretModal(result.key);
+        loadGatewayKeys();
+      } else {
+        showToast('Failed to create key: ' + (result?.error || 'Unknown error'), 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Failed to create key: ' + err.message, 'error');
+    })
+    .createGatewayKey(name);
+}
+
+// The secret is only returned once, right after creation
+function showGatewaySecretModal(key) {
+  var modal = document.createElement('div');
+  modal.className = 'modal active';
+  modal.id = 'gateway-secret-modal';
+  modal.innerHTML = '<div class="modal-backdrop"></div>' +
+    '<div class="modal-content" style="max-width: 560px;">' +
+    '<div class="modal-header">' +
+    '<h3><i data-lucide="key-round"></i> Key for ' + escapeHtml(key.name) + '</h3>' +
+    '</div>' +
+    '<div class="modal-body">' +
+    '<p style="margin-bottom: 12px; color: var(--text-secondary);">Copy the secret into the gateway\'s configuration now. It will not be shown again.</p>' +
+    '<div class="form-group"><label>Key ID</label><input type="text" readonly value="' + key.id + '" onclick="this.select()"></div>' +
+    '<div class="form-group"><label>Secret</label><input type="text" readonly value="' + key.secret + '" onclick="this.select()"></div>' +
+    '</div>' +
+    '<div class="modal-footer">' +
+    '<button class="btn btn-primary" onclick="document.getElementById(\'gateway-secret-modal\').remove()">Done</button>' +
+    '</div>' +
+    '</div>';
+  document.body.appendChild(modal);
+  lucide.createIcons();
+}
+
+function revokeGatewayKey(keyId) {
+  showConfirmCard({
+    title: 'Revoke Gateway Key',
+    message: 'Requests signed with ' + keyId + ' will be rejected immediately. Continue?',
+    type: 'danger',
+    confirmText: 'Revoke',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result && result.success) {
+            showToast('Gateway key revoked', 'success');
+            loadGatewayKeys();
+          } else {
+            showToast('Failed to revoke key: ' + (result?.error || 'Unknown error'), 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Failed to revoke key: ' + err.message, 'error');
+        })
+        .revokeGatewayKey(keyId);
+    }
+  });
+}
+
+function saveGatewaySecuritySettings() {
+  var allowUnsigned = document.getElementById('gateway-allow-unsigned').checked;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result && result.success) {
+        showToast(result.allowUnsigned ? 'Unsigned gateway requests are now accepted' : 'Gateway requests must now be signed', result.allowUnsigned ? 'warning' : 'success');
+      } else {
+        showToast('Failed to save: ' + (result?.error || 'Unknown error'), 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Failed to save: ' + err.message, 'error');
+    })
+    .saveGatewaySecuritySettings({ allowUnsigned: allowUnsigned });
+}
+
+function loadGatewayReports() {
+  var body = document.getElementById('gateway-reports-body');
+  if (!body) return;
+  var rejectedOnly = document.getElementById('gateway-reports-rejected')?.checked;
+
+  google.script.run
+    .withSuccessHandler(function(reports) {
+      reports = reports || [];
+      if (reports.length === 0) {
+        body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No gateway reports</td></tr>';
+        return;
+      }
+      var devicesById = {};
+      (state.devices || []).forEach(function(d) { devicesById[d.id] = d; });
+      body.innerHTML = reports.map(function(r) {
+        var device = devicesById[r.deviceId];
+        var accepted = r.accepted !== 'false';
+        return '<tr>' +
+          '<td title="' + escapeHtml(r.timestamp) + '">' + getTimeAgo(r.timestamp) + '</td>' +
+          '<td>' + escapeHtml(r.gatewayName || r.keyId || '-') + ' <small class="text-muted">' + escapeHtml(r.sourceIp) + '</small></td>' +
+          '<td>' + escapeHtml(r.action) + '</td>' +
+          '<td>' + escapeHtml(device ? device.name : (r.deviceIp || r.deviceId || '')) + '</td>' +
+          '<td' + (accepted ? '' : ' style="color: var(--danger);"') + '>' + escapeHtml(accepted ? r.detail : 'Rejected: ' + r.error) + '</td>' +
+          '</tr>';
+      }).join('');
+    })
+    .withFailureHandler(function(err) {
+      console.error('Failed to load gateway reports:', err);
+    })
+    .getGatewayReports({ rejectedOnly: !!rejectedOnly, limit: 100 });
+}
+
+// Restart Gateway function
+function restartGateway() {
+  const trapPort = document.getElementById('setting-trap-port')?.value || 1162;
+  const pollInterval = document.getElementById('setting-poll-interval')?.value || 60;
+
+  showToast('Restarting gateway...', 'info');
+
+  fetch(CONTROLLER_URL + '/restart', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ trapPort: parseInt(trapPort), pollInterval: parseInt(pollInterval) })
+  })
+  .then(response => response.json())
+  .then(result => {
+    showToast(result.message || 'Gateway restarting...', 'success');
+    setTimeout(() => checkGatewayStatus(true), 3000);
+  })
+  .catch(err => {
+    showToast('Controller not running. Start it first.', 'warning');
+    startGateway();
+  });
+}
+
+// Fetch and display gateway logs
+function fetchGatewayLogs() {
+  showToast('Fetching logs...', 'info');
+
+  // Try controller logs first
+  fetch(CONTROLLER_URL + '/logs')
+    .then(response => {
+      if (!response.ok) throw new Error('Controller not reachable');
+      return response.json();
+    })
+    .then(data => {
+      showGatewayLogsModal(data.logs || []);
     })
     .catch(err => {
       // Try gateway directly
@@ -7939,12 +8572,22 @@ function renderTechniciansList() {
   } else {
     var html = '';
     state.technicians.forEach(function(tech) {
-      html += '<div class="tech-card">' +
+      var load = autoAssignData.technicians.find(function(t) { return t.id === tech.id; });
+      var onShift = isTechOnShift(tech);
+      html += '<div class="tech-card' + (onShift ? '' : ' off-shift') + '">' +
         '<div class="tech-avatar">' + (tech.name.charAt(0).toUpperCase()) + '</div>' +
         '<div class="tech-info">' +
         '<span class="tech-name">' + tech.name + '</span>' +
         '<span class="tech-contact">' + (tech.email || tech.phone || 'No contact info') + '</span>' +
+        '<span class="tech-contact" title="Skills">' + escapeHtml(describeTechSkills(tech)) +
+          (load ? ' · ' + load.openRequests + ' open' : '') + '</span>' +
+        (load && load.availability ? '<span class="tech-contact">' + techStatusHtml(load.availability) + '</span>' : '') +
         '</div>' +
+        '<label class="toggle-label" title="On shift - only on-shift technicians are auto-assigned">' +
+        '<input type="checkbox"' + (onShift ? ' checked' : '') + ' onchange="toggleTechnicianOnShift(\'' + tech.id + '\', this.checked)">' +
+        '<span class="toggle-slider"></span></label>' +
+        '<button class="btn btn-ghost btn-sm" onclick="openTechSkillsModal(\'' + tech.id + '\')" title="Skills">' +
+        '<i data-lucide="badge-check"></i></button>' +
         '<button class="btn btn-ghost btn-sm" onclick="deleteTechnicianConfirm(\'' + tech.id + '\')">' +
         '<i data-lucide="trash-2"></i></button>' +
         '</div>';
@@ -7979,87 +8622,502 @@ function deleteTechnicianConfirm(techId) {
 }
 
 // ============================================
-// Security Password Functions
+// Auto-Assignment
 // ============================================
 
-function showPasswordModal() {
-  var modal = document.createElement('div');
-  modal.className = 'modal active';
-  modal.id = 'password-modal';
-  modal.innerHTML = '<div class="modal-backdrop"></div>' +
-    '<div class="modal-content" style="max-width: 400px;">' +
-    '<div class="modal-header">' +
-    '<h3><i data-lucide="lock"></i> Enter Password</h3>' +
-    '</div>' +
-    '<div class="modal-body">' +
-    '<div class="form-group">' +
-    '<label>Password</label>' +
-    '<input type="password" id="auth-password" placeholder="Enter password" onkeypress="if(event.key===\'Enter\')verifyPassword()">' +
-    '</div>' +
-    '</div>' +
-    '<div class="modal-footer">' +
-    '<button class="btn btn-primary" onclick="verifyPassword()">' +
-    '<i data-lucide="unlock"></i> Unlock</button>' +
-    '</div>' +
-    '</div>';
+var autoAssignData = { settings: null, technicians: [] };
 
-  document.body.appendChild(modal);
-  document.getElementById('auth-password').focus();
-  lucide.createIcons();
+var AUTO_ASSIGN_STRATEGY_LABELS = {
+  'round-robin': 'round-robin',
+  'least-loaded': 'least loaded',
+  'location': 'by location'
+};
+
+function parseSkillList(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    var list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
 }
 
-function verifyPassword() {
-  var password = document.getElementById('auth-password').value;
+function isTechOnShift(tech) {
+  return tech.onShift !== false && tech.onShift !== 'false';
+}
 
+function loadAutoAssignSettings() {
   google.script.run
     .withSuccessHandler(function(result) {
-      if (result.valid) {
-        state.isAuthenticated = true;
-        sessionStorage.setItem('authenticated', 'true');
-        var modal = document.getElementById('password-modal');
-        if (modal) modal.remove();
-        showToast('Access granted', 'success');
-      } else {
-        showToast('Incorrect password', 'error');
-        document.getElementById('auth-password').value = '';
-        document.getElementById('auth-password').focus();
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading auto-assignment', 'error');
+        return;
+      }
+      autoAssignData.settings = result.settings;
+      autoAssignData.technicians = result.technicians || [];
+      document.getElementById('auto-assign-enabled').checked = !!result.settings.enabled;
+      document.getElementById('auto-assign-strategy').value = result.settings.strategy;
+      var available = autoAssignData.technicians.filter(function(t) { return t.availability && t.availability.available; }).length;
+      var text = document.getElementById('auto-assign-status-text');
+      if (text) {
+        text.textContent = (result.settings.enabled ? 'On, ' + AUTO_ASSIGN_STRATEGY_LABELS[result.settings.strategy] : 'Off — new requests wait to be claimed') +
+          ' · ' + available + ' of ' + autoAssignData.technicians.length + ' technicians available now';
       }
+      renderTechniciansList();
     })
     .withFailureHandler(function(err) {
-      showToast('Error verifying password', 'error');
+      showToast('Error loading auto-assignment: ' + err.message, 'error');
     })
-    .verifySecurityPassword(password);
+    .getAutoAssignSettings();
 }
 
-function showChangePasswordModal() {
-  var modal = document.createElement('div');
-  modal.className = 'modal active';
-  modal.id = 'change-password-modal';
+function saveAutoAssignSettings() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Auto-assignment saved', 'success');
+        loadAutoAssignSettings();
+      } else {
+        showToast(result.error || 'Error saving auto-assignment', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving auto-assignment: ' + err.message, 'error');
+    })
+    .saveAutoAssignSettings({
+      enabled: document.getElementById('auto-assign-enabled').checked,
+      strategy: document.getElementById('auto-assign-strategy').value
+    });
+}
 
-  var needsOldPassword = state.passwordProtected;
-  var oldPasswordField = needsOldPassword ?
-    '<div class="form-group">' +
-    '<label>Current Password</label>' +
-    '<input type="password" id="old-password" placeholder="Enter current password">' +
-    '</div>' : '';
+// "Printer, Projector · Main Building" or "All devices · All buildings"
+function describeTechSkills(tech) {
+  var types = parseSkillList(tech.skillDeviceTypes).map(alertDeviceTypeName);
+  var buildings = parseSkillList(tech.skillBuildings).map(function(id) {
+    return state.blueprints[id] ? state.blueprints[id].name : id;
+  });
+  return (types.length ? types.join(', ') : 'All devices') + ' · ' + (buildings.length ? buildings.join(', ') : 'All buildings');
+}
 
-  modal.innerHTML = '<div class="modal-backdrop" onclick="closeChangePasswordModal()"></div>' +
-    '<div class="modal-content" style="max-width: 450px;">' +
+function toggleTechnicianOnShift(techId, onShift) {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast(onShift ? 'On shift' : 'Off shift', 'success');
+        loadTechnicians().then(loadAutoAssignSettings);
+      } else {
+        showToast(result.error || 'Error updating shift', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error updating shift: ' + err.message, 'error');
+    })
+    .setTechnicianOnShift(techId, onShift);
+}
+
+function openTechSkillsModal(techId) {
+  var tech = state.technicians.find(function(t) { return t.id === techId; });
+  if (!tech) return;
+  document.getElementById('tech-skills-id').value = tech.id;
+  document.getElementById('tech-skills-modal-title').innerHTML = '<i data-lucide="badge-check"></i> Skills: ' + escapeHtml(tech.name);
+  alertRuleCheckboxes('tech-skills-device-types', (state.deviceTypes || []).map(function(t) {
+    return { value: t.id, label: t.name };
+  }), parseSkillList(tech.skillDeviceTypes));
+  alertRuleCheckboxes('tech-skills-buildings', Object.keys(state.blueprints).map(function(id) {
+    return { value: id, label: state.blueprints[id].name || id };
+  }).sort(function(a, b) { return a.label.localeCompare(b.label); }), parseSkillList(tech.skillBuildings));
+  document.getElementById('tech-skills-modal').classList.add('active');
+  lucide.createIcons();
+}
+
+function closeTechSkillsModal() {
+  document.getElementById('tech-skills-modal').classList.remove('active');
+}
+
+function saveTechSkills() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Skills saved', 'success');
+        closeTechSkillsModal();
+        loadTechnicians().then(loadAutoAssignSettings);
+      } else {
+        showToast(result.error || 'Error saving skills', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving skills: ' + err.message, 'error');
+    })
+    .saveTechnicianSkills(document.getElementById('tech-skills-id').value, {
+      deviceTypes: alertRuleCheckedValues('tech-skills-device-types'),
+      buildings: alertRuleCheckedValues('tech-skills-buildings')
+    });
+}
+
+// ============================================
+// Schedules & On-Call
+// ============================================
+
+var techAvailability = { byId: {}, onCallId: '' };
+var techAvailabilityTimer = null;
+var techSchedulesData = { shifts: [], pto: [], rotation: null };
+
+var SCHEDULE_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+var SCHEDULE_DAY_LABELS = { mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat', sun: 'Sun' };
+
+// Who is available now, for the assignment dropdowns (refreshed every 5 minutes)
+function loadTechnicianAvailability() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) return;
+      techAvailability.byId = {};
+      (result.technicians || []).forEach(function(t) { techAvailability.byId[t.id] = t; });
+      techAvailability.onCallId = result.onCallId || '';
+    })
+    .withFailureHandler(function(err) {
+      console.error('Error loading technician availability:', err);
+    })
+    .getTechnicianAvailability();
+  if (!techAvailabilityTimer) techAvailabilityTimer = setInterval(loadTechnicianAvailability, 5 * 60 * 1000);
+}
+
+function techStatusHtml(availability) {
+  if (!availability) return '';
+  return '<span class="tech-status-dot ' + availability.status + '"></span>' +
+    escapeHtml(availability.onCall ? 'On call · ' + availability.label : availability.label);
+}
+
+function techOptionsHtml() {
+  return state.technicians.map(function(t) {
+    return '<option value="' + escapeHtml(t.id).replace(/"/g, '&quot;') + '">' + escapeHtml(t.name) + '</option>';
+  }).join('');
+}
+
+function loadTechSchedules() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading schedules', 'error');
+        return;
+      }
+      techSchedulesData.shifts = result.shifts || [];
+      techSchedulesData.pto = result.pto || [];
+      techSchedulesData.rotation = result.rotation;
+      techAvailability.byId = {};
+      (result.technicians || []).forEach(function(t) { techAvailability.byId[t.id] = t; });
+      techAvailability.onCallId = result.onCallId || '';
+
+      document.getElementById('oncall-start-date').value = result.rotation.startDate || '';
+      document.getElementById('oncall-days').value = result.rotation.days;
+      document.getElementById('oncall-add-technician').innerHTML = techOptionsHtml();
+      document.getElementById('pto-technician').innerHTML = techOptionsHtml();
+      renderTechAvailability();
+      renderOnCallRotation();
+      renderTechPto();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading schedules: ' + err.message, 'error');
+    })
+    .getTechnicianSchedules();
+}
+
+// "Mon 07:00–15:30, Tue 07:00–15:30" or "Always scheduled"
+function describeShifts(techId) {
+  var shifts = techSchedulesData.shifts.filter(function(s) { return s.technicianId === techId; });
+  if (shifts.length === 0) return '<span class="text-muted">Always scheduled</span>';
+  return shifts.map(function(s) {
+    return SCHEDULE_DAY_LABELS[s.day] + ' ' + escapeHtml(s.startTime) + '–' + escapeHtml(s.endTime);
+  }).join('<br>');
+}
+
+function renderTechAvailability() {
+  var body = document.getElementById('tech-availability-body');
+  if (!body) return;
+  if (state.technicians.length === 0) {
+    body.innerHTML = '<tr><td colspan="4" class="text-center text-muted">No technicians added yet</td></tr>';
+    return;
+  }
+  body.innerHTML = state.technicians.map(function(tech) {
+    return '<tr>' +
+      '<td><strong>' + escapeHtml(tech.name) + '</strong></td>' +
+      '<td>' + (techStatusHtml(techAvailability.byId[tech.id]) || '-') + '</td>' +
+      '<td>' + describeShifts(tech.id) + '</td>' +
+      '<td><button type="button" class="btn btn-ghost btn-sm" onclick="openTechShiftsModal(\'' + tech.id + '\')" title="Edit shifts"><i data-lucide="pencil"></i></button></td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function renderOnCallRotation() {
+  var list = document.getElementById('oncall-rotation-list');
+  if (!list) return;
+  var ids = techSchedulesData.rotation.technicianIds;
+  if (ids.length === 0) {
+    list.innerHTML = '<p class="text-muted" style="font-size:13px;">Nobody on call - after-hours requests go to the company email.</p>';
+    return;
+  }
+  list.innerHTML = ids.map(function(id, index) {
+    var tech = state.technicians.find(function(t) { return t.id === id; });
+    return '<div class="oncall-rotation-item">' +
+      '<span class="oncall-rotation-turn">' + (index + 1) + '</span>' +
+      '<span class="oncall-rotation-name">' + escapeHtml(tech ? tech.name : 'Removed technician') +
+        (id === techAvailability.onCallId ? ' <span class="tech-status-mini on-call" style="display:inline;">On call now</span>' : '') + '</span>' +
+      '<button type="button" class="btn btn-ghost btn-sm" onclick="moveOnCallTechnician(' + index + ', -1)" title="Earlier"' + (index === 0 ? ' disabled' : '') + '><i data-lucide="chevron-up"></i></button>' +
+      '<button type="button" class="btn btn-ghost btn-sm" onclick="moveOnCallTechnician(' + index + ', 1)" title="Later"' + (index === ids.length - 1 ? ' disabled' : '') + '><i data-lucide="chevron-down"></i></button>' +
+      '<button type="button" class="btn btn-ghost btn-sm text-danger" onclick="removeOnCallTechnician(' + index + ')" title="Remove"><i data-lucide="x"></i></button>' +
+      '</div>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function addOnCallTechnician() {
+  var id = document.getElementById('oncall-add-technician').value;
+  if (!id) return;
+  if (techSchedulesData.rotation.technicianIds.indexOf(id) >= 0) {
+    showToast('Already in the rotation', 'warning');
+    return;
+  }
+  techSchedulesData.rotation.technicianIds.push(id);
+  renderOnCallRotation();
+}
+
+function moveOnCallTechnician(index, delta) {
+  var ids = techSchedulesData.rotation.technicianIds;
+  var target = index + delta;
+  if (target < 0 || target >= ids.length) return;
+  ids.splice(target, 0, ids.splice(index, 1)[0]);
+  renderOnCallRotation();
+}
+
+function removeOnCallTechnician(index) {
+  techSchedulesData.rotation.technicianIds.splice(index, 1);
+  renderOnCallRotation();
+}
+
+function saveOnCallRotation() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('On-call rotation saved', 'success');
+        loadTechSchedules();
+      } else {
+        showToast(result.error || 'Error saving rotation', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving rotation: ' + err.message, 'error');
+    })
+    .saveOnCallRotation({
+      technicianIds: techSchedulesData.rotation.technicianIds,
+      startDate: document.getElementById('oncall-start-date').value,
+      days: document.getElementById('oncall-days').value
+    });
+}
+
+function renderTechPto() {
+  var body = document.getElementById('tech-pto-body');
+  if (!body) return;
+  if (techSchedulesData.pto.length === 0) {
+    body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No upcoming PTO</td></tr>';
+    return;
+  }
+  body.innerHTML = techSchedulesData.pto.map(function(p, index) {
+    var tech = state.technicians.find(function(t) { return t.id === p.technicianId; });
+    return '<tr>' +
+      '<td>' + escapeHtml(tech ? tech.name : p.technicianId) + '</td>' +
+      '<td>' + escapeHtml(p.startDate) + '</td>' +
+      '<td>' + escapeHtml(p.endDate) + '</td>' +
+      '<td>' + escapeHtml(p.note || '') + '</td>' +
+      '<td><button type="button" class="btn btn-ghost btn-sm text-danger" onclick="deleteTechnicianPto(' + index + ')" title="Cancel PTO"><i data-lucide="trash-2"></i></button></td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function addTechnicianPto() {
+  var startDate = document.getElementById('pto-start-date').value;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('PTO added', 'success');
+        document.getElementById('pto-start-date').value = '';
+        document.getElementById('pto-end-date').value = '';
+        document.getElementById('pto-note').value = '';
+        loadTechSchedules();
+        loadTechnicianAvailability();
+      } else {
+        showToast(result.error || 'Error adding PTO', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error adding PTO: ' + err.message, 'error');
+    })
+    .addTechnicianPto({
+      technicianId: document.getElementById('pto-technician').value,
+      startDate: startDate,
+      endDate: document.getElementById('pto-end-date').value || startDate,
+      note: document.getElementById('pto-note').value
+    });
+}
+
+function deleteTechnicianPto(index) {
+  var pto = techSchedulesData.pto[index];
+  if (!pto) return;
+  showConfirmCard({
+    title: 'Cancel PTO',
+    message: 'Remove the PTO from <strong>' + escapeHtml(pto.startDate) + '</strong> to <strong>' + escapeHtml(pto.endDate) + '</strong>?',
+    type: 'danger',
+    confirmText: 'Remove',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('PTO removed', 'success');
+            loadTechSchedules();
+            loadTechnicianAvailability();
+          } else {
+            showToast(result.error || 'Error removing PTO', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error removing PTO: ' + err.message, 'error');
+        })
+        .deleteTechnicianPto(pto.id);
+    }
+  });
+}
+
+// One row per weekday: worked?, start, end
+function openTechShiftsModal(techId) {
+  var tech = state.technicians.find(function(t) { return t.id === techId; });
+  if (!tech) return;
+  var shifts = techSchedulesData.shifts.filter(function(s) { return s.technicianId === techId; });
+  document.getElementById('tech-shifts-id').value = techId;
+  document.getElementById('tech-shifts-modal-title').innerHTML = '<i data-lucide="calendar-clock"></i> Shifts: ' + escapeHtml(tech.name);
+  document.getElementById('tech-shifts-days').innerHTML = SCHEDULE_DAYS.map(function(day) {
+    var shift = shifts.find(function(s) { return s.day === day; });
+    return '<div class="form-row tech-shift-row" data-day="' + day + '">' +
+      '<label class="checkbox-option" style="min-width: 70px;"><input type="checkbox" class="tech-shift-on"' + (shift ? ' checked' : '') + '>' +
+        '<span>' + SCHEDULE_DAY_LABELS[day] + '</span></label>' +
+      '<input type="time" class="tech-shift-start" value="' + (shift ? shift.startTime : '07:00') + '">' +
+      '<input type="time" class="tech-shift-end" value="' + (shift ? shift.endTime : '15:30') + '">' +
+      '</div>';
+  }).join('');
+  document.getElementById('tech-shifts-modal').classList.add('active');
+  lucide.createIcons();
+}
+
+function closeTechShiftsModal() {
+  document.getElementById('tech-shifts-modal').classList.remove('active');
+}
+
+function saveTechShifts() {
+  var shifts = [];
+  document.querySelectorAll('#tech-shifts-days .tech-shift-row').forEach(function(row) {
+    if (!row.querySelector('.tech-shift-on').checked) return;
+    shifts.push({
+      day: row.dataset.day,
+      startTime: row.querySelector('.tech-shift-start').value,
+      endTime: row.querySelector('.tech-shift-end').value
+    });
+  });
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Shifts saved', 'success');
+        closeTechShiftsModal();
+        loadTechSchedules();
+        loadTechnicianAvailability();
+      } else {
+        showToast(result.error || 'Error saving shifts', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving shifts: ' + err.message, 'error');
+    })
+    .saveTechnicianShifts(document.getElementById('tech-shifts-id').value, shifts);
+}
+
+// ============================================
+// Users, Roles & Account
+// ============================================
+
+var ROLE_ORDER = ['read-only', 'help-desk', 'technician', 'admin'];
+var ROLE_LABELS = {
+  'read-only': 'Read-only',
+  'help-desk': 'Help Desk',
+  'technician': 'Technician',
+  'admin': 'Admin'
+};
+
+// True if the signed-in user's role is at least `required`
+function hasRole(required) {
+  if (!state.currentUser) return false;
+  return ROLE_ORDER.indexOf(state.currentUser.role) >= ROLE_ORDER.indexOf(required);
+}
+
+// Hide elements marked data-min-role="..." from users below that role.
+// The server enforces the same rules; this only keeps the UI tidy.
+function applyRoleVisibility() {
+  document.querySelectorAll('[data-min-role]').forEach(function(el) {
+    el.style.display = hasRole(el.getAttribute('data-min-role')) ? '' : 'none';
+  });
+}
+
+function renderCurrentUser() {
+  var user = state.currentUser;
+  if (!user) return;
+
+  var nameEl = document.getElementById('current-user-name');
+  var roleEl = document.getElementById('current-user-role');
+  if (nameEl) nameEl.textContent = user.displayName;
+  if (roleEl) roleEl.textContent = ROLE_LABELS[user.role] || user.role;
+
+  var accountEl = document.getElementById('account-status');
+  if (accountEl) {
+    accountEl.innerHTML = '<strong>' + escapeHtml(user.displayName) + '</strong> (' + escapeHtml(user.username) + ') &middot; ' +
+      '<span class="role-badge role-' + user.role + '">' + (ROLE_LABELS[user.role] || user.role) + '</span>' +
+      (user.technicianName ? ' &middot; Technician: ' + escapeHtml(user.technicianName) : '');
+  }
+}
+
+function logout() {
+  google.script.run
+    .withSuccessHandler(function() {
+      window.location.href = '/login';
+    })
+    .withFailureHandler(function() {
+      window.location.href = '/login';
+    })
+    .logout();
+}
+
+function showChangePasswordModal() {
+  var modal = document.createElement('div');
+  modal.className = 'modal active';
+  modal.id = 'change-password-modal';
+
+  modal.innerHTML = '<div class="modal-backdrop" onclick="closeChangePasswordModal()"></div>' +
+    '<div class="modal-content" style="max-width: 450px;">' +
     '<div class="modal-header">' +
-    '<h3><i data-lucide="key"></i> ' + (needsOldPassword ? 'Change' : 'Set') + ' Password</h3>' +
+    '<h3><i data-lucide="key"></i> Change Password</h3>' +
     '<button class="modal-close" onclick="closeChangePasswordModal()"><i data-lucide="x"></i></button>' +
     '</div>' +
     '<div class="modal-body">' +
-    oldPasswordField +
+    '<div class="form-group">' +
+    '<label>Current Password</label>' +
+    '<input type="password" id="old-password" placeholder="Enter current password" autocomplete="current-password">' +
+    '</div>' +
     '<div class="form-group">' +
     '<label>New Password</label>' +
-    '<input type="password" id="new-password" placeholder="Enter new password">' +
+    '<input type="password" id="new-password" placeholder="At least 8 characters" autocomplete="new-password">' +
     '</div>' +
     '<div class="form-group">' +
     '<label>Confirm New Password</label>' +
-    '<input type="password" id="confirm-password" placeholder="Confirm new password">' +
+    '<input type="password" id="confirm-password" placeholder="Confirm new password" autocomplete="new-password">' +
     '</div>' +
-    '<p style="font-size: 0.8125rem; color: var(--text-muted);">Leave blank to disable password protection.</p>' +
+    '<p style="font-size: 0.8125rem; color: var(--text-muted);">Your other signed-in sessions will be signed out.</p>' +
     '</div>' +
     '<div class="modal-footer">' +
     '<button class="btn btn-ghost" onclick="closeChangePasswordModal()">Cancel</button>' +
@@ -8078,11 +9136,11 @@ function closeChangePasswordModal() {
 }
 
 function saveNewPassword() {
-  var oldPassword = document.getElementById('old-password') ? document.getElementById('old-password').value : '';
+  var oldPassword = document.getElementById('old-password').value;
   var newPassword = document.getElementById('new-password').value;
   var confirmPassword = document.getElementById('confirm-password').value;
 
-  if (newPassword && newPassword !== confirmPassword) {
+  if (newPassword !== confirmPassword) {
     showToast('Passwords do not match', 'warning');
     return;
   }
@@ -8092,100 +9150,2012 @@ function saveNewPassword() {
       if (result.success) {
         closeChangePasswordModal();
         showToast(result.message, 'success');
-        state.passwordProtected = !!newPassword;
-        updatePasswordStatus();
       } else {
-        showToast(result.error || 'Error setting password', 'error');
+        showToast(result.error || 'Error changing password', 'error');
       }
     })
     .withFailureHandler(function(err) {
-      showToast('Error setting password', 'error');
+      showToast('Error changing password', 'error');
+    })
+    .changePassword(oldPassword, newPassword);
+}
+
+function loadUsers() {
+  google.script.run
+    .withSuccessHandler(function(users) {
+      state.users = users || [];
+      renderUsersList();
+    })
+    .withFailureHandler(function(err) {
+      console.error('Error loading users:', err);
     })
-    .setSecurityPassword(newPassword, oldPassword);
+    .getUsers();
 }
 
-function updatePasswordStatus() {
-  var statusEl = document.getElementById('password-status');
-  var lockBtn = document.getElementById('lock-app-btn');
+function renderUsersList() {
+  var container = document.getElementById('users-list');
+  if (!container) return;
 
-  if (statusEl) {
-    if (state.passwordProtected) {
-      statusEl.innerHTML = '<span class="status-badge online"><span class="dot"></span>Enabled</span>';
-      if (lockBtn) lockBtn.style.display = 'inline-flex';
-    } else {
-      statusEl.innerHTML = '<span class="status-badge offline"><span class="dot"></span>Disabled</span>';
-      if (lockBtn) lockBtn.style.display = 'none';
-    }
+  if (state.users.length === 0) {
+    container.innerHTML = '<div class="empty-state"><i data-lucide="users"></i><p>No users yet</p></div>';
+  } else {
+    container.innerHTML = state.users.map(function(user) {
+      var isSelf = state.currentUser && user.id === state.currentUser.id;
+      return '<div class="tech-card' + (user.active ? '' : ' inactive') + '">' +
+        '<div class="tech-avatar">' + escapeHtml(user.displayName.charAt(0).toUpperCase()) + '</div>' +
+        '<div class="tech-info">' +
+        '<span class="tech-name">' + escapeHtml(user.displayName) + (isSelf ? ' (you)' : '') + '</span>' +
+        '<span class="tech-contact">' + escapeHtml(user.username) +
+        (user.technicianName ? ' &middot; ' + escapeHtml(user.technicianName) : '') +
+        (user.active ? '' : ' &middot; Deactivated') +
+        ' &middot; Last login: ' + (user.lastLoginAt ? getTimeAgo(new Date(user.lastLoginAt)) : 'never') + '</span>' +
+        '</div>' +
+        '<span class="role-badge role-' + user.role + '">' + (ROLE_LABELS[user.role] || user.role) + '</span>' +
+        '<button class="btn btn-ghost btn-sm" onclick="showUserModal(\'' + user.id + '\')" title="Edit">' +
+        '<i data-lucide="pencil"></i></button>' +
+        (user.active && !isSelf ?
+          '<button class="btn btn-ghost btn-sm" onclick="deactivateUserConfirm(\'' + user.id + '\')" title="Deactivate">' +
+          '<i data-lucide="user-x"></i></button>' : '') +
+        '</div>';
+    }).join('');
   }
+  lucide.createIcons();
+}
+
+function showUserModal(userId) {
+  var user = userId ? state.users.find(function(u) { return u.id === userId; }) : null;
+  var isNew = !user;
+  user = user || { username: '', displayName: '', email: '', role: 'read-only', technicianId: '', active: true };
 
-  // Update nav items with lock indicators for protected tabs
-  updateNavLockIndicators();
+  var roleOptions = ROLE_ORDER.map(function(role) {
+    return '<option value="' + role + '"' + (user.role === role ? ' selected' : '') + '>' + ROLE_LABELS[role] + '</option>';
+  }).join('');
+  var techOptions = '<option value="">(Not a technician)</option>' + state.technicians.map(function(tech) {
+    return '<option value="' + tech.id + '"' + (user.technicianId === tech.id ? ' selected' : '') + '>' + escapeHtml(tech.name) + '</option>';
+  }).join('');
+
+  var modal = document.createElement('div');
+  modal.className = 'modal active';
+  modal.id = 'user-modal';
+  modal.innerHTML = '<div class="modal-backdrop" onclick="closeUserModal()"></div>' +
+    '<div class="modal-content" style="max-width: 480px;">' +
+    '<div class="modal-header">' +
+    '<h3><i data-lucide="user"></i> ' + (isNew ? 'Add User' : 'Edit User') + '</h3>' +
+    '<button class="modal-close" onclick="closeUserModal()"><i data-lucide="x"></i></button>' +
+    '</div>' +
+    '<div class="modal-body">' +
+    '<input type="hidden" id="user-id" value="' + (userId || '') + '">' +
+    '<div class="form-row">' +
+    '<div class="form-group"><label>Username</label>' +
+    '<input type="text" id="user-username" value="' + escapeHtml(user.username).replace(/"/g, '&quot;') + '" autocapitalize="none"></div>' +
+    '<div class="form-group"><label>Display Name</label>' +
+    '<input type="text" id="user-display-name" value="' + escapeHtml(user.displayName).replace(/"/g, '&quot;') + '"></div>' +
+    '</div>' +
+    '<div class="form-group"><label>Email</label>' +
+    '<input type="email" id="user-email" value="' + escapeHtml(user.email).replace(/"/g, '&quot;') + '"></div>' +
+    '<div class="form-row">' +
+    '<div class="form-group"><label>Role</label><select id="user-role">' + roleOptions + '</select></div>' +
+    '<div class="form-group"><label>Linked Technician</label><select id="user-technician">' + techOptions + '</select></div>' +
+    '</div>' +
+    '<div class="form-group"><label>' + (isNew ? 'Password' : 'Reset Password') + '</label>' +
+    '<input type="password" id="user-password" autocomplete="new-password" placeholder="' +
+    (isNew ? 'At least 8 characters' : 'Leave blank to keep current password') + '"></div>' +
+    (isNew ? '' : '<div class="trap-option-row"><span>Active</span>' +
+      '<label class="toggle-switch"><input type="checkbox" id="user-active"' + (user.active ? ' checked' : '') + '>' +
+      '<span class="toggle-slider"></span></label></div>') +
+    '</div>' +
+    '<div class="modal-footer">' +
+    '<button class="btn btn-ghost" onclick="closeUserModal()">Cancel</button>' +
+    '<button class="btn btn-primary" onclick="saveUserFromModal()"><i data-lucide="save"></i> Save User</button>' +
+    '</div>' +
+    '</div>';
+
+  document.body.appendChild(modal);
+  lucide.createIcons();
 }
 
-// Lock the app immediately (require password again)
-function lockAppNow() {
-  state.isAuthenticated = false;
-  sessionStorage.removeItem('authenticated');
-  updateNavLockIndicators();
-  showToast('App locked. Password required for protected areas.', 'info');
+function closeUserModal() {
+  var modal = document.getElementById('user-modal');
+  if (modal) modal.remove();
+}
 
-  // Switch to an open tab
-  switchTab('blueprint');
+function saveUserFromModal() {
+  var activeEl = document.getElementById('user-active');
+  var user = {
+    id: document.getElementById('user-id').value || null,
+    username: document.getElementById('user-username').value.trim(),
+    displayName: document.getElementById('user-display-name').value.trim(),
+    email: document.getElementById('user-email').value.trim(),
+    role: document.getElementById('user-role').value,
+    technicianId: document.getElementById('user-technician').value,
+    password: document.getElementById('user-password').value,
+    active: activeEl ? activeEl.checked : true
+  };
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        closeUserModal();
+        showToast('User saved', 'success');
+        if (state.currentUser && result.user.id === state.currentUser.id) {
+          loadCurrentUser();
+        }
+        loadUsers();
+      } else {
+        showToast(result.error || 'Error saving user', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving user', 'error');
+    })
+    .saveUser(user);
 }
 
-// Remove password protection completely
-function removePassword() {
+function deactivateUserConfirm(userId) {
+  var user = state.users.find(function(u) { return u.id === userId; });
   showConfirmCard({
-    title: 'Remove Password',
-    message: 'Are you sure you want to remove password protection? All areas will be accessible without a password.',
-    type: 'warn',
-    confirmText: 'Remove Password',
+    title: 'Deactivate User',
+    message: 'Deactivate ' + (user ? user.displayName : 'this user') + '? They will be signed out and can no longer log in.',
+    type: 'danger',
+    confirmText: 'Deactivate',
     onConfirm: function() {
       google.script.run
         .withSuccessHandler(function(result) {
           if (result.success) {
-            state.passwordProtected = false;
-            state.isAuthenticated = true;
-            sessionStorage.removeItem('authenticated');
-            updatePasswordStatus();
-            showToast('Password protection removed', 'success');
+            showToast('User deactivated', 'success');
+            loadUsers();
           } else {
-            showToast(result.error || 'Error removing password', 'error');
+            showToast(result.error || 'Error deactivating user', 'error');
           }
         })
         .withFailureHandler(function(err) {
-          showToast('Error removing password', 'error');
+          showToast('Error deactivating user', 'error');
         })
-        .setSecurityPassword('', '');
+        .deleteUser(userId);
     }
   });
 }
 
-function updateNavLockIndicators() {
-  var allTabs = ['blueprint', 'dashboard', 'devices', 'traps', 'analytics', 'requests', 'repairs', 'settings'];
+// ============================================
+// Consumables Inventory & Reorders
+// ============================================
 
-  allTabs.forEach(function(tabName) {
-    var navItem = document.querySelector('.nav-item[data-tab="' + tabName + '"]');
-    if (!navItem) return;
+var inventoryData = { consumables: [], locations: [], usage: [], settings: {} };
+var reorderRequestsData = [];
 
-    // Remove existing lock indicator
-    var existingLock = navItem.querySelector('.nav-lock-indicator');
-    if (existingLock) existingLock.remove();
+var REORDER_REASON_LABELS = {
+  'low-level': 'Supply low',
+  'forecast': 'Forecast',
+  'low-stock': 'Stock below minimum',
+  'manual': 'Manual'
+};
 
-    // Add lock indicator if this tab is locked, password protected, and not authenticated
-    var isLocked = lockedTabs.indexOf(tabName) !== -1;
-    if (isLocked && state.passwordProtected && !state.isAuthenticated) {
-      var lockSpan = document.createElement('span');
-      lockSpan.className = 'nav-lock-indicator';
-      lockSpan.innerHTML = '<i data-lucide="lock" style="width:12px;height:12px;"></i>';
-      navItem.appendChild(lockSpan);
-    }
-  });
+var USAGE_REASON_LABELS = {
+  replacement: 'Cartridge replaced',
+  received: 'Delivery received',
+  count: 'Stock count',
+  adjustment: 'Adjustment'
+};
 
-  // Refresh icons
-  if (typeof lucide !== 'undefined') {
-    lucide.createIcons();
+function loadInventory() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading inventory', 'error');
+        return;
+      }
+      inventoryData = result;
+      renderConsumables();
+      renderConsumableUsage();
+      fillReorderSettings(result.settings || {});
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading inventory: ' + err.message, 'error');
+    })
+    .getInventory();
+  loadReorderRequests();
+}
+
+function loadReorderRequests() {
+  var statusFilter = document.getElementById('reorder-filter-status');
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) return;
+      reorderRequestsData = result.requests || [];
+      renderReorderRequests();
+      if (!statusFilter || statusFilter.value === 'active') updateReorderBadge(reorderRequestsData);
+    })
+    .withFailureHandler(function(err) {
+      console.warn('Could not load reorder requests:', err.message);
+    })
+    .getReorderRequests({ status: statusFilter ? statusFilter.value : 'active' });
+}
+
+function updateReorderBadge(activeRequests) {
+  var open = activeRequests.filter(function(r) { return r.status === 'open'; }).length;
+  var badge = document.getElementById('reorder-badge');
+  if (!badge) return;
+  badge.textContent = open;
+  badge.classList.toggle('hidden', open === 0);
+}
+
+function renderReorderRequests() {
+  var body = document.getElementById('reorder-requests-body');
+  if (!body) return;
+  if (reorderRequestsData.length === 0) {
+    body.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No reorder requests</td></tr>';
+    return;
   }
+  var isAdmin = hasRole('admin');
+  var canReceive = hasRole('technician');
+  body.innerHTML = reorderRequestsData.map(function(r) {
+    var why = REORDER_REASON_LABELS[r.reason] || r.reason;
+    if (r.reason === 'low-level' || r.reason === 'forecast') {
+      why += '<br><small class="text-muted">' + escapeHtml(r.supplyName) + ' at ' + Math.round(r.level) + '%' +
+        (r.daysLeft !== '' ? ', ~' + escapeHtml(r.daysLeft) + ' days left' : '') + '</small>';
+    }
+    var status = '<span class="reorder-status status-' + escapeHtml(r.status) + '">' + escapeHtml(r.status) + '</span>';
+    if (r.poNumber) status += '<br><small class="text-muted" title="Sent to ' + escapeHtml(r.emailedTo).replace(/"/g, '&quot;') + '">' + escapeHtml(r.poNumber) + '</small>';
+
+    var actions = '';
+    if (r.status === 'open' || r.status === 'ordered') {
+      if (isAdmin && r.consumableId) {
+        actions += '<button type="button" class="btn btn-outline btn-sm" onclick="openPurchaseOrderModal(\'' + r.id + '\')"><i data-lucide="send"></i> ' +
+          (r.status === 'ordered' ? 'Resend PO' : 'Send PO') + '</button> ';
+      }
+      if (canReceive && r.consumableId) {
+        actions += '<button type="button" class="btn btn-outline btn-sm" onclick="markReorderReceived(\'' + r.id + '\')"><i data-lucide="package-check"></i> Received</button> ';
+      }
+      if (isAdmin) {
+        actions += '<button type="button" class="btn btn-ghost btn-sm text-danger" onclick="cancelReorderRequest(\'' + r.id + '\')" title="Cancel request"><i data-lucide="x"></i></button>';
+      }
+    }
+
+    return '<tr>' +
+      '<td title="' + escapeHtml(r.createdAt) + '">' + getTimeAgo(r.createdAt) +
+        '<br><small class="text-muted">' + escapeHtml(r.createdBy || '') + '</small></td>' +
+      '<td><strong>' + escapeHtml(r.sku || r.itemName) + '</strong>' +
+        (r.sku && r.itemName ? '<br><small class="text-muted">' + escapeHtml(r.itemName) + '</small>' : '') + '</td>' +
+      '<td>' + escapeHtml(r.deviceName || '') + (r.deviceName ? '<br>' : '') + '<small class="text-muted">' + escapeHtml(r.location || 'No location') + '</small></td>' +
+      '<td>' + why + '</td>' +
+      '<td>' + r.quantity + '<br><small class="text-muted">' + r.onHand + ' on hand</small></td>' +
+      '<td>' + status + '</td>' +
+      '<td style="white-space: nowrap;">' + actions + '</td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function renderConsumables() {
+  var body = document.getElementById('consumables-body');
+  if (!body) return;
+  var consumables = inventoryData.consumables || [];
+  if (consumables.length === 0) {
+    body.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No consumables yet. Add the cartridges your devices use to track stock and reorders.</td></tr>';
+    return;
+  }
+  var isAdmin = hasRole('admin');
+  var canCount = hasRole('technician');
+  body.innerHTML = consumables.map(function(c, index) {
+    var stock = c.stock || { total: 0, locations: {} };
+    var minStock = parseInt(c.minStock) || 0;
+    var stockHtml = Object.keys(stock.locations).sort().map(function(loc) {
+      var qty = stock.locations[loc];
+      var low = minStock > 0 && qty < minStock;
+      return '<span class="stock-chip' + (low ? ' low' : '') + '" title="' + escapeHtml(loc || 'No location').replace(/"/g, '&quot;') + '">' +
+        escapeHtml(loc || 'No location') + ': <strong>' + qty + '</strong></span>';
+    }).join(' ') || '<span class="text-muted">None</span>';
+
+    var actions = '';
+    if (canCount) actions += '<button type="button" class="btn btn-outline btn-sm" onclick="openStockModal(' + index + ', \'count\')" title="Set stock count"><i data-lucide="boxes"></i></button> ';
+    if (isAdmin) {
+      actions += '<button type="button" class="btn btn-outline btn-sm" onclick="openStockModal(' + index + ', \'reorder\')" title="Reorder"><i data-lucide="shopping-cart"></i></button> ' +
+        '<button type="button" class="btn btn-ghost btn-sm" onclick="openConsumableModal(' + index + ')" title="Edit"><i data-lucide="edit-2"></i></button>' +
+        '<button type="button" class="btn btn-ghost btn-sm text-danger" onclick="deleteConsumable(' + index + ')" title="Delete"><i data-lucide="trash-2"></i></button>';
+    }
+
+    return '<tr>' +
+      '<td><strong>' + escapeHtml(c.sku || c.name) + '</strong>' +
+        (c.sku && c.name ? '<br><small class="text-muted">' + escapeHtml(c.name) + '</small>' : '') + '</td>' +
+      '<td>' + escapeHtml(c.supplyMatch) + '<br><small class="text-muted">' + escapeHtml(c.models || 'Any model') + '</small></td>' +
+      '<td>' + escapeHtml(c.vendor || '') + (c.vendorEmail ? '<br><small class="text-muted">' + escapeHtml(c.vendorEmail) + '</small>' : '') + '</td>' +
+      '<td>' + (Number(c.unitCost) ? Number(c.unitCost).toFixed(2) : '<span class="text-muted">—</span>') +
+        (parseInt(c.pageYield) ? '<br><small class="text-muted">' + parseInt(c.pageYield).toLocaleString() + ' pages</small>' : '') + '</td>' +
+      '<td>' + c.reorderQty + '<br><small class="text-muted">' + (minStock ? 'min ' + minStock : 'no minimum') + '</small></td>' +
+      '<td><div class="stock-chips">' + stockHtml + '</div></td>' +
+      '<td style="white-space: nowrap;">' + actions + '</td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function renderConsumableUsage() {
+  var body = document.getElementById('consumable-usage-body');
+  if (!body) return;
+  var usage = inventoryData.usage || [];
+  if (usage.length === 0) {
+    body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No replacements or stock changes yet</td></tr>';
+    return;
+  }
+  body.innerHTML = usage.map(function(u) {
+    var qty = parseInt(u.quantity) || 0;
+    var detail = USAGE_REASON_LABELS[u.reason] || u.reason;
+    if (u.reason === 'replacement') {
+      detail += ': ' + escapeHtml(u.deviceName) + ' ' + escapeHtml(u.supplyName) + ' ' + Math.round(u.previousLevel) + '% → ' + Math.round(u.newLevel) + '%';
+      if (qty === 0) detail += ' <small class="text-muted">(none in stock)</small>';
+    }
+    return '<tr>' +
+      '<td title="' + escapeHtml(u.createdAt) + '">' + getTimeAgo(u.createdAt) + '</td>' +
+      '<td>' + escapeHtml(u.sku || '') + '</td>' +
+      '<td>' + escapeHtml(u.location || 'No location') + '</td>' +
+      '<td class="' + (qty < 0 ? 'text-danger' : '') + '">' + (qty > 0 ? '+' : '') + qty + '</td>' +
+      '<td>' + detail + '</td>' +
+      '</tr>';
+  }).join('');
+}
+
+function fillReorderSettings(settings) {
+  var enabled = document.getElementById('reorder-enabled');
+  if (enabled) enabled.checked = !!settings.enabled;
+  var autoSend = document.getElementById('reorder-auto-send');
+  if (autoSend) autoSend.checked = !!settings.autoSend;
+  var fields = { 'reorder-threshold': settings.threshold, 'reorder-lead-days': settings.leadDays, 'purchasing-email': settings.purchasingEmail || '' };
+  Object.keys(fields).forEach(function(id) {
+    var input = document.getElementById(id);
+    if (input && document.activeElement !== input) input.value = fields[id];
+  });
+}
+
+function saveReorderSettings() {
+  var settings = {
+    enabled: document.getElementById('reorder-enabled')?.checked || false,
+    autoSend: document.getElementById('reorder-auto-send')?.checked || false,
+    threshold: parseInt(document.getElementById('reorder-threshold')?.value),
+    leadDays: parseInt(document.getElementById('reorder-lead-days')?.value),
+    purchasingEmail: document.getElementById('purchasing-email')?.value || ''
+  };
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Reorder settings saved', 'success');
+        fillReorderSettings(result.settings || {});
+      } else {
+        showToast(result.error || 'Error saving reorder settings', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving reorder settings: ' + err.message, 'error');
+    })
+    .saveReorderSettings(settings);
+}
+
+function checkReordersNow() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast(result.raised ? result.raised + ' reorder request(s) raised' : 'Nothing needs reordering', result.raised ? 'success' : 'info');
+        loadReorderRequests();
+      } else {
+        showToast(result.error || 'Error checking levels', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error checking levels: ' + err.message, 'error');
+    })
+    .checkReordersNow();
+}
+
+// ----- Consumable editor -----
+
+var CONSUMABLE_FIELDS = {
+  'consumable-sku': 'sku',
+  'consumable-name': 'name',
+  'consumable-supply-match': 'supplyMatch',
+  'consumable-models': 'models',
+  'consumable-vendor': 'vendor',
+  'consumable-vendor-email': 'vendorEmail',
+  'consumable-unit-cost': 'unitCost',
+  'consumable-page-yield': 'pageYield',
+  'consumable-reorder-qty': 'reorderQty',
+  'consumable-min-stock': 'minStock',
+  'consumable-notes': 'notes'
+};
+
+function openConsumableModal(index) {
+  var c = index === undefined ? null : inventoryData.consumables[index];
+  document.getElementById('consumable-id').value = c ? c.id : '';
+  Object.keys(CONSUMABLE_FIELDS).forEach(function(id) {
+    var value = c ? c[CONSUMABLE_FIELDS[id]] : '';
+    if (!c && id === 'consumable-reorder-qty') value = 1;
+    if (!c && id === 'consumable-min-stock') value = 0;
+    document.getElementById(id).value = value === undefined || value === null ? '' : value;
+  });
+
+  // Suggest the models of known devices
+  var models = {};
+  state.devices.forEach(function(d) { if (d.model) models[d.model] = true; });
+  document.getElementById('consumable-model-options').innerHTML = Object.keys(models).sort().map(function(m) {
+    return '<option value="' + escapeHtml(m).replace(/"/g, '&quot;') + '">';
+  }).join('');
+
+  document.getElementById('consumable-modal-title').innerHTML = '<i data-lucide="package"></i> ' + (c ? 'Edit Consumable' : 'New Consumable');
+  document.getElementById('consumable-modal').classList.add('active');
+  lucide.createIcons();
+}
+
+function closeConsumableModal() {
+  document.getElementById('consumable-modal').classList.remove('active');
+}
+
+function saveConsumable() {
+  var consumable = { id: document.getElementById('consumable-id').value || null };
+  Object.keys(CONSUMABLE_FIELDS).forEach(function(id) {
+    consumable[CONSUMABLE_FIELDS[id]] = document.getElementById(id).value;
+  });
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Consumable saved', 'success');
+        closeConsumableModal();
+        loadInventory();
+      } else {
+        showToast(result.error || 'Error saving consumable', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving consumable: ' + err.message, 'error');
+    })
+    .saveConsumable(consumable);
+}
+
+function deleteConsumable(index) {
+  var c = inventoryData.consumables[index];
+  if (!c) return;
+  showConfirmCard({
+    title: 'Delete Consumable',
+    message: 'Delete <strong>' + escapeHtml(c.sku || c.name) + '</strong> and its stock counts? Past reorder requests are kept.',
+    type: 'danger',
+    confirmText: 'Delete',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('Consumable deleted', 'success');
+            loadInventory();
+          } else {
+            showToast(result.error || 'Error deleting consumable', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error deleting consumable: ' + err.message, 'error');
+        })
+        .deleteConsumable(c.id);
+    }
+  });
+}
+
+// ----- Stock count / manual reorder -----
+
+function openStockModal(index, mode) {
+  var c = inventoryData.consumables[index];
+  if (!c) return;
+  document.getElementById('stock-consumable-id').value = c.id;
+  document.getElementById('stock-mode').value = mode;
+  document.getElementById('stock-modal-title').textContent = (mode === 'reorder' ? 'Reorder ' : 'Stock of ') + (c.sku || c.name);
+  document.getElementById('stock-quantity-label').textContent = mode === 'reorder' ? 'Quantity to order' : 'Quantity on hand';
+  document.getElementById('stock-location-options').innerHTML = (inventoryData.locations || []).map(function(loc) {
+    return '<option value="' + escapeHtml(loc).replace(/"/g, '&quot;') + '">';
+  }).join('');
+  var locations = Object.keys((c.stock || {}).locations || {});
+  document.getElementById('stock-location').value = locations.length === 1 ? locations[0] : '';
+  if (mode === 'reorder') {
+    document.getElementById('stock-quantity').value = c.reorderQty || 1;
+  } else {
+    fillStockQuantity();
+  }
+  document.getElementById('stock-modal').classList.add('active');
+  lucide.createIcons();
+}
+
+// Show the current count for the chosen location
+function fillStockQuantity() {
+  if (document.getElementById('stock-mode').value !== 'count') return;
+  var id = document.getElementById('stock-consumable-id').value;
+  var c = (inventoryData.consumables || []).find(function(x) { return x.id === id; });
+  var loc = document.getElementById('stock-location').value.trim();
+  var qty = c && c.stock && c.stock.locations[loc] !== undefined ? c.stock.locations[loc] : 0;
+  document.getElementById('stock-quantity').value = qty;
+}
+
+function closeStockModal() {
+  document.getElementById('stock-modal').classList.remove('active');
+}
+
+function submitStockModal() {
+  var id = document.getElementById('stock-consumable-id').value;
+  var mode = document.getElementById('stock-mode').value;
+  var location = document.getElementById('stock-location').value.trim();
+  var quantity = parseInt(document.getElementById('stock-quantity').value);
+  if (isNaN(quantity) || quantity < (mode === 'reorder' ? 1 : 0)) {
+    showToast('Enter a valid quantity', 'warning');
+    return;
+  }
+  var runner = google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast(mode === 'reorder' ? 'Reorder request raised' : 'Stock updated', 'success');
+        closeStockModal();
+        loadInventory();
+      } else {
+        showToast(result.error || 'Error saving', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving: ' + err.message, 'error');
+    });
+  if (mode === 'reorder') runner.createReorderRequest(id, location, quantity);
+  else runner.setConsumableStock(id, location, quantity);
+}
+
+// ----- Purchase orders -----
+
+function openPurchaseOrderModal(requestId) {
+  document.getElementById('po-request-id').value = requestId;
+  document.getElementById('po-to').value = '';
+  document.getElementById('po-cc').value = '';
+  document.getElementById('po-notes').value = '';
+  document.getElementById('purchase-order-modal').classList.add('active');
+  lucide.createIcons();
+  previewPurchaseOrder(true);
+}
+
+function closePurchaseOrderModal() {
+  document.getElementById('purchase-order-modal').classList.remove('active');
+}
+
+function previewPurchaseOrder(fillRecipient) {
+  var requestId = document.getElementById('po-request-id').value;
+  var options = {
+    to: document.getElementById('po-to').value.trim(),
+    notes: document.getElementById('po-notes').value
+  };
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error building purchase order', 'error');
+        return;
+      }
+      if (fillRecipient === true) document.getElementById('po-to').value = result.to || '';
+      document.getElementById('po-number').textContent = result.poNumber;
+      document.getElementById('po-subject').textContent = result.subject;
+      var iframe = document.getElementById('po-preview-frame');
+      var doc = iframe.contentDocument || iframe.contentWindow.document;
+      doc.open();
+      doc.write(result.html);
+      doc.close();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error building purchase order: ' + err.message, 'error');
+    })
+    .previewPurchaseOrder(requestId, options);
+}
+
+function sendPurchaseOrder() {
+  var requestId = document.getElementById('po-request-id').value;
+  var options = {
+    to: document.getElementById('po-to').value.trim(),
+    cc: document.getElementById('po-cc').value.trim(),
+    notes: document.getElementById('po-notes').value
+  };
+  if (!options.to) {
+    showToast('Enter the vendor email to send the purchase order to', 'warning');
+    return;
+  }
+  var btn = document.getElementById('po-send-btn');
+  if (btn) btn.disabled = true;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (btn) btn.disabled = false;
+      if (result.success) {
+        showToast('Purchase order ' + result.request.poNumber + ' sent', 'success');
+        closePurchaseOrderModal();
+        loadReorderRequests();
+      } else {
+        showToast(result.error || 'Error sending purchase order', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      if (btn) btn.disabled = false;
+      showToast('Error sending purchase order: ' + err.message, 'error');
+    })
+    .sendPurchaseOrder(requestId, options);
+}
+
+function markReorderReceived(requestId) {
+  var r = reorderRequestsData.find(function(x) { return x.id === requestId; });
+  if (!r) return;
+  showConfirmCard({
+    title: 'Delivery Received',
+    message: 'Add <strong>' + r.quantity + ' × ' + escapeHtml(r.sku || r.itemName) + '</strong> to stock at ' + escapeHtml(r.location || 'no location') + '?',
+    type: 'info',
+    confirmText: 'Add to Stock',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('Stock updated', 'success');
+            loadInventory();
+          } else {
+            showToast(result.error || 'Error receiving delivery', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error receiving delivery: ' + err.message, 'error');
+        })
+        .markReorderReceived(requestId);
+    }
+  });
+}
+
+function cancelReorderRequest(requestId) {
+  showConfirmCard({
+    title: 'Cancel Reorder',
+    message: 'Cancel this reorder request? It will not be raised again for the same device until its cartridge is replaced.',
+    type: 'warn',
+    confirmText: 'Cancel Request',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('Reorder request cancelled', 'success');
+            loadReorderRequests();
+          } else {
+            showToast(result.error || 'Error cancelling request', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error cancelling request: ' + err.message, 'error');
+        })
+        .cancelReorderRequest(requestId);
+    }
+  });
+}
+
+// ============================================
+// Audit Log
+// ============================================
+
+var AUDIT_PAGE_SIZE = 100;
+var AUDIT_ACTION_LABELS = { insert: 'Created', update: 'Updated', delete: 'Deleted', clear: 'Cleared', restore: 'Restored', purge: 'Purged' };
+var auditEntries = [];
+
+function getAuditFilters() {
+  return {
+    search: document.getElementById('audit-search')?.value.trim() || '',
+    table: document.getElementById('audit-filter-table')?.value || '',
+    action: document.getElementById('audit-filter-action')?.value || '',
+    actor: document.getElementById('audit-filter-actor')?.value || '',
+    from: document.getElementById('audit-filter-from')?.value || '',
+    to: document.getElementById('audit-filter-to')?.value || ''
+  };
+}
+
+var debouncedAuditSearch = debounce(function() { loadAuditLog(); }, 400);
+
+function loadAuditLog(append) {
+  var body = document.getElementById('audit-log-body');
+  if (!body || !hasRole('admin')) return;
+  var filters = getAuditFilters();
+  filters.limit = AUDIT_PAGE_SIZE;
+  filters.offset = append ? auditEntries.length : 0;
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading audit log', 'error');
+        return;
+      }
+      auditEntries = append ? auditEntries.concat(result.entries) : result.entries;
+      fillAuditFilterOptions('audit-filter-table', result.tables, 'All Tables');
+      fillAuditFilterOptions('audit-filter-actor', result.actors, 'All Users');
+      var retention = document.getElementById('audit-retention-days');
+      if (retention && document.activeElement !== retention) retention.value = result.retentionDays;
+      renderAuditLog(result.total);
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading audit log: ' + err.message, 'error');
+    })
+    .getAuditLog(filters);
+}
+
+function loadMoreAuditLog() {
+  loadAuditLog(true);
+}
+
+// Refill a filter dropdown, keeping the current selection
+function fillAuditFilterOptions(selectId, values, allLabel) {
+  var select = document.getElementById(selectId);
+  if (!select) return;
+  var current = select.value;
+  select.innerHTML = '<option value="">' + allLabel + '</option>' + (values || []).map(function(v) {
+    var value = escapeHtml(v).replace(/"/g, '&quot;');
+    return '<option value="' + value + '"' + (v === current ? ' selected' : '') + '>' + escapeHtml(v) + '</option>';
+  }).join('');
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  return String(value);
+}
+
+function renderAuditChanges(entry) {
+  var changes = entry.changes || {};
+  if (changes.rows && !entry.rowId) {
+    return (entry.action === 'purge' ? 'Purged ' : 'Deleted all rows') + ' (' + changes.rows.from + ')';
+  }
+  var lines = Object.keys(changes).map(function(field) {
+    var c = changes[field];
+    var html = '<strong>' + escapeHtml(field) + '</strong>: ';
+    if (entry.action === 'insert') return html + '<span class="audit-to">' + escapeHtml(formatAuditValue(c.to)) + '</span>';
+    if (entry.action === 'delete' || entry.action === 'purge') return html + '<span class="audit-from">' + escapeHtml(formatAuditValue(c.from)) + '</span>';
+    return html + '<span class="audit-from">' + escapeHtml(formatAuditValue(c.from)) + '</span> → ' +
+      '<span class="audit-to">' + escapeHtml(formatAuditValue(c.to)) + '</span>';
+  });
+  if (lines.length === 0) return '<span class="text-muted">No field values</span>';
+  if (lines.length <= 4) return lines.join('<br>');
+  return lines.slice(0, 3).join('<br>') +
+    '<details><summary>' + (lines.length - 3) + ' more fields</summary>' + lines.slice(3).join('<br>') + '</details>';
+}
+
+function renderAuditLog(total) {
+  var body = document.getElementById('audit-log-body');
+  var countEl = document.getElementById('audit-count');
+  var moreBtn = document.getElementById('audit-load-more');
+
+  if (auditEntries.length === 0) {
+    body.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No audit entries match</td></tr>';
+  } else {
+    body.innerHTML = auditEntries.map(function(e) {
+      return '<tr>' +
+        '<td title="' + escapeHtml(e.timestamp) + '">' + escapeHtml(new Date(e.timestamp).toLocaleString()) + '</td>' +
+        '<td>' + escapeHtml(e.actor) + (e.ip ? '<br><small class="text-muted">' + escapeHtml(e.ip) + '</small>' : '') + '</td>' +
+        '<td><span class="audit-action action-' + escapeHtml(e.action) + '">' + escapeHtml(AUDIT_ACTION_LABELS[e.action] || e.action) + '</span></td>' +
+        '<td>' + escapeHtml(e.tableName) + (e.rowId ? '<br><small class="text-muted">' + escapeHtml(e.rowId) + '</small>' : '') + '</td>' +
+        '<td class="audit-changes">' + renderAuditChanges(e) + '</td>' +
+        '<td><small>' + escapeHtml(e.route) + '</small></td>' +
+        '</tr>';
+    }).join('');
+  }
+
+  if (countEl) countEl.textContent = 'Showing ' + auditEntries.length + ' of ' + total + ' entries';
+  if (moreBtn) moreBtn.style.display = auditEntries.length < total ? '' : 'none';
+}
+
+function exportAuditLog() {
+  showToast('Preparing audit export...', 'info');
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error exporting audit log', 'error');
+        return;
+      }
+      if (result.entries.length === 0) {
+        showToast('No audit entries to export', 'warning');
+        return;
+      }
+      var headers = ['Timestamp', 'User', 'Role', 'IP', 'Action', 'Table', 'Row ID', 'Route', 'Changes'];
+      var csvRows = [headers.join(',')];
+      result.entries.forEach(function(e) {
+        var changes = Object.keys(e.changes || {}).map(function(field) {
+          var c = e.changes[field];
+          return field + ': ' + formatAuditValue(c.from) + ' -> ' + formatAuditValue(c.to);
+        }).join('; ');
+        var row = [e.timestamp, e.actor, e.actorRole, e.ip, e.action, e.tableName, e.rowId, e.route, changes]
+          .map(function(val) {
+            return '"' + String(val === undefined || val === null ? '' : val).replace(/"/g, '""') + '"';
+          });
+        csvRows.push(row.join(','));
+      });
+      var blob = new Blob([csvRows.join('\n')], { type: 'text/csv;charset=utf-8;' });
+      var url = URL.createObjectURL(blob);
+      var a = document.createElement('a');
+      a.href = url;
+      a.download = 'audit_log_' + new Date().toISOString().split('T')[0] + '.csv';
+      a.click();
+      URL.revokeObjectURL(url);
+      showToast(result.truncated
+        ? 'Exported the newest ' + result.entries.length + ' of ' + result.total + ' entries'
+        : 'Export completed', result.truncated ? 'warning' : 'success');
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error exporting audit log: ' + err.message, 'error');
+    })
+    .exportAuditLog(getAuditFilters());
+}
+
+function saveAuditRetention() {
+  var days = parseInt(document.getElementById('audit-retention-days')?.value);
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Audit entries will be kept for ' + result.retentionDays + ' days', 'success');
+      } else {
+        showToast(result.error || 'Error saving retention', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving retention: ' + err.message, 'error');
+    })
+    .saveAuditSettings({ retentionDays: days });
+}
+
+// ============================================
+// Recycle Bin
+// ============================================
+
+var recycleBinItems = [];
+
+function loadRecycleBin() {
+  var body = document.getElementById('recycle-bin-body');
+  if (!body) return;
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading recycle bin', 'error');
+        return;
+      }
+      recycleBinItems = result.items || [];
+      var retention = document.getElementById('recycle-bin-retention');
+      if (retention && document.activeElement !== retention) retention.value = result.retentionDays;
+      renderRecycleBin();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading recycle bin: ' + err.message, 'error');
+    })
+    .getRecycleBin();
+}
+
+function renderRecycleBin() {
+  var body = document.getElementById('recycle-bin-body');
+  if (!body) return;
+  if (recycleBinItems.length === 0) {
+    body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">The recycle bin is empty</td></tr>';
+    return;
+  }
+  body.innerHTML = recycleBinItems.map(function(item, index) {
+    return '<tr>' +
+      '<td><strong>' + escapeHtml(item.name) + '</strong>' +
+        (item.detail ? '<br><small class="text-muted">' + escapeHtml(item.detail) + '</small>' : '') + '</td>' +
+      '<td>' + escapeHtml(item.type) + '</td>' +
+      '<td title="' + escapeHtml(item.deletedAt) + '">' + getTimeAgo(item.deletedAt) +
+        (item.deletedBy ? '<br><small class="text-muted">by ' + escapeHtml(item.deletedBy) + '</small>' : '') + '</td>' +
+      '<td>' + (item.purgeAt ? escapeHtml(new Date(item.purgeAt).toLocaleDateString()) : '<span class="text-muted">Never</span>') + '</td>' +
+      '<td style="white-space: nowrap;">' +
+        '<button type="button" class="btn btn-outline btn-sm" onclick="restoreRecycleBinItem(' + index + ')"><i data-lucide="undo-2"></i> Restore</button> ' +
+        '<button type="button" class="btn btn-ghost btn-sm text-danger" onclick="purgeRecycleBinItem(' + index + ')" title="Delete permanently"><i data-lucide="trash-2"></i></button>' +
+      '</td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+// Reload whatever list a restored item belongs to
+function refreshAfterRestore(table) {
+  if (table === 'devices') loadDevices().then(refreshDeviceViews);
+  else if (table === 'teachers') loadTeachers();
+  else if (table === 'service_requests' || table === 'incidents') loadServiceRequests();
+  else if (table === 'repair_templates') loadRepairTemplates();
+  else if (table === 'email_templates') loadEmailTemplates();
+}
+
+function restoreRecycleBinItem(index) {
+  var item = recycleBinItems[index];
+  if (!item) return;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast(item.type + ' restored', 'success');
+        refreshAfterRestore(item.table);
+        loadRecycleBin();
+      } else {
+        showToast(result.error || 'Error restoring item', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error restoring item: ' + err.message, 'error');
+    })
+    .restoreDeletedItem(item.table, item.id);
+}
+
+function purgeRecycleBinItem(index) {
+  var item = recycleBinItems[index];
+  if (!item) return;
+  showConfirmCard({
+    title: 'Delete Permanently',
+    message: 'Permanently delete ' + escapeHtml(item.type.toLowerCase()) + ' "<strong>' + escapeHtml(item.name) + '</strong>"? This cannot be undone.',
+    type: 'danger',
+    confirmText: 'Delete Permanently',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('Item deleted permanently', 'success');
+            loadRecycleBin();
+          } else {
+            showToast(result.error || 'Error deleting item', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error deleting item: ' + err.message, 'error');
+        })
+        .purgeDeletedItem(item.table, item.id);
+    }
+  });
+}
+
+function confirmEmptyRecycleBin() {
+  if (recycleBinItems.length === 0) {
+    showToast('The recycle bin is already empty', 'info');
+    return;
+  }
+  showConfirmCard({
+    title: 'Empty Recycle Bin',
+    message: 'Permanently delete all ' + recycleBinItems.length + ' items in the recycle bin? This cannot be undone.',
+    type: 'danger',
+    confirmText: 'Empty Recycle Bin',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast(result.purged + ' items deleted permanently', 'success');
+            loadRecycleBin();
+          } else {
+            showToast(result.error || 'Error emptying recycle bin', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error emptying recycle bin: ' + err.message, 'error');
+        })
+        .emptyRecycleBin();
+    }
+  });
+}
+
+function saveRecycleBinSettings() {
+  var days = parseInt(document.getElementById('recycle-bin-retention')?.value);
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast(result.retentionDays
+          ? 'Deleted items will be purged after ' + result.retentionDays + ' days'
+          : 'Deleted items will be kept until purged', 'success');
+        loadRecycleBin();
+      } else {
+        showToast(result.error || 'Error saving settings', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving settings: ' + err.message, 'error');
+    })
+    .saveRecycleBinSettings({ retentionDays: days });
+}
+
+// ============================================
+// Alert Rules
+// ============================================
+
+var alertRulesData = { rules: [], events: [], status: null };
+
+var ALERT_TRIGGER_LABELS = {
+  trap: 'Trap',
+  supply: 'Low supply',
+  offline: 'Offline'
+};
+
+var ALERT_ACTION_LABELS = {
+  email: 'Email',
+  serviceRequest: 'Service request',
+  webhook: 'Webhook',
+  escalation: 'Escalation email'
+};
+
+function loadAlertRules() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading alert rules', 'error');
+        return;
+      }
+      alertRulesData.rules = result.rules || [];
+      alertRulesData.status = result.status || null;
+      var toggle = document.getElementById('alert-rules-enabled');
+      if (toggle && result.status) toggle.checked = !!result.status.enabled;
+      var text = document.getElementById('alert-rules-status-text');
+      if (text && result.status) {
+        text.textContent = !result.status.enabled ? 'Off — no alerts are raised'
+          : result.status.activeAlerts + ' active alert' + (result.status.activeAlerts === 1 ? '' : 's') +
+            (result.status.lastCheck ? ' · last check ' + getTimeAgo(result.status.lastCheck) : '');
+      }
+      renderAlertRules();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading alert rules: ' + err.message, 'error');
+    })
+    .getAlertRules();
+  loadAlertEvents();
+}
+
+function alertDeviceTypeName(typeId) {
+  var type = (state.deviceTypes || []).find(function(t) { return t.id === typeId || t.name === typeId; });
+  return type ? type.name : typeId;
+}
+
+// "Toner at or below 10%", "Jam, warning or worse", ...
+function describeAlertCondition(rule) {
+  if (rule.triggerType === 'offline') return 'Offline ' + rule.offlineMinutes + '+ min';
+  if (rule.triggerType === 'supply') {
+    return (rule.messagePattern ? escapeHtml(rule.messagePattern) : 'Any supply') + ' at or below ' + rule.supplyThreshold + '%';
+  }
+  return (rule.messagePattern ? '"' + escapeHtml(rule.messagePattern) + '"' : 'Any trap') +
+    (rule.minSeverity && rule.minSeverity !== 'info' ? ', ' + escapeHtml(rule.minSeverity) + ' or worse' : '');
+}
+
+function renderAlertRules() {
+  var body = document.getElementById('alert-rules-body');
+  if (!body) return;
+  if (alertRulesData.rules.length === 0) {
+    body.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No alert rules yet</td></tr>';
+    return;
+  }
+  body.innerHTML = alertRulesData.rules.map(function(rule, index) {
+    var scope = [];
+    if (rule.deviceTypes.length) scope.push(rule.deviceTypes.map(alertDeviceTypeName).map(escapeHtml).join(', '));
+    if (rule.locations.length) scope.push(rule.locations.map(escapeHtml).join(', '));
+
+    var actions = [];
+    if (rule.emailTechnicianId) {
+      var tech = (state.technicians || []).find(function(t) { return t.id === rule.emailTechnicianId; });
+      actions.push('Email ' + escapeHtml(tech ? tech.name : 'technician'));
+    }
+    if (rule.emailTo) actions.push('Email ' + escapeHtml(rule.emailTo));
+    if (rule.createServiceRequest) actions.push('Service request');
+    if (rule.webhookUrl) actions.push('Webhook');
+
+    var escalation = rule.escalateAfterMinutes > 0
+      ? 'After ' + rule.escalateAfterMinutes + ' min ' + escapeHtml(rule.escalateWhen) +
+        (rule.escalateTo ? '<br><small class="text-muted">' + escapeHtml(rule.escalateTo) + '</small>' : '')
+      : '<span class="text-muted">None</span>';
+
+    return '<tr class="' + (rule.enabled ? '' : 'alert-rule-disabled') + '">' +
+      '<td><strong>' + escapeHtml(rule.name) + '</strong>' + (rule.enabled ? '' : '<br><small class="text-muted">Disabled</small>') + '</td>' +
+      '<td>' + (ALERT_TRIGGER_LABELS[rule.triggerType] || escapeHtml(rule.triggerType)) + '<br><small class="text-muted">' + describeAlertCondition(rule) + '</small></td>' +
+      '<td>' + (scope.length ? scope.join('<br>') : '<span class="text-muted">All devices</span>') + '</td>' +
+      '<td>' + actions.join('<br>') + '</td>' +
+      '<td>' + escalation + '</td>' +
+      '<td>' + (rule.activeAlerts || 0) + '</td>' +
+      '<td style="white-space: nowrap;">' +
+        '<button type="button" class="btn btn-ghost btn-sm" onclick="openAlertRuleModal(' + index + ')" title="Edit"><i data-lucide="pencil"></i></button>' +
+        '<button type="button" class="btn btn-ghost btn-sm" onclick="testAlertRule(' + index + ')" title="Send a test alert"><i data-lucide="send"></i></button>' +
+        '<button type="button" class="btn btn-ghost btn-sm text-danger" onclick="deleteAlertRule(' + index + ')" title="Delete"><i data-lucide="trash-2"></i></button>' +
+      '</td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function loadAlertEvents() {
+  var filter = document.getElementById('alert-events-filter');
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading alerts', 'error');
+        return;
+      }
+      alertRulesData.events = result.events || [];
+      renderAlertEvents();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading alerts: ' + err.message, 'error');
+    })
+    .getAlertEvents({ status: filter ? filter.value : 'active' });
+}
+
+function renderAlertEvents() {
+  var body = document.getElementById('alert-events-body');
+  if (!body) return;
+  if (alertRulesData.events.length === 0) {
+    body.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No alerts</td></tr>';
+    return;
+  }
+  body.innerHTML = alertRulesData.events.map(function(alert, index) {
+    var actions = (alert.actions || []).map(function(a) {
+      var label = ALERT_ACTION_LABELS[a.type] || a.type;
+      return '<span class="' + (a.success ? '' : 'failed') + '" title="' + escapeHtml(a.detail || '').replace(/"/g, '&quot;') + '">' +
+        (a.success ? '✓ ' : '✗ ') + escapeHtml(label) + '</span>';
+    }).join('');
+
+    var statusNote = '';
+    if (alert.status === 'acknowledged' && alert.acknowledgedBy) statusNote = 'by ' + alert.acknowledgedBy;
+    else if (alert.status === 'resolved' && alert.resolvedBy) statusNote = 'by ' + alert.resolvedBy;
+    else if (alert.status === 'escalated' && alert.escalatedAt) statusNote = getTimeAgo(alert.escalatedAt);
+
+    var canAcknowledge = alert.status === 'open' || alert.status === 'escalated';
+    return '<tr>' +
+      '<td title="' + escapeHtml(alert.triggeredAt) + '">' + getTimeAgo(alert.triggeredAt) + '</td>' +
+      '<td>' + escapeHtml(alert.ruleName) + '</td>' +
+      '<td>' + escapeHtml(alert.deviceName || alert.sourceIp || '-') +
+        (alert.location ? '<br><small class="text-muted">' + escapeHtml(alert.location) + '</small>' : '') + '</td>' +
+      '<td>' + escapeHtml(alert.message) + '<br><small class="text-muted">' + escapeHtml(alert.severity) + '</small></td>' +
+      '<td><div class="alert-actions-taken">' + (actions || '<span class="text-muted">None</span>') + '</div></td>' +
+      '<td><span class="alert-status status-' + escapeHtml(alert.status) + '">' + escapeHtml(alert.status) + '</span>' +
+        (statusNote ? '<br><small class="text-muted">' + escapeHtml(statusNote) + '</small>' : '') + '</td>' +
+      '<td>' + (canAcknowledge
+        ? '<button type="button" class="btn btn-outline btn-sm" onclick="acknowledgeAlert(' + index + ')" title="Stop escalation"><i data-lucide="check"></i> Acknowledge</button>'
+        : '') + '</td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function saveAlertSettings() {
+  var enabled = document.getElementById('alert-rules-enabled').checked;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast(enabled ? 'Alert rules enabled' : 'Alert rules disabled', 'success');
+        loadAlertRules();
+      } else {
+        showToast(result.error || 'Error saving settings', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving settings: ' + err.message, 'error');
+    })
+    .saveAlertSettings({ enabled: enabled });
+}
+
+function acknowledgeAlert(index) {
+  var alert = alertRulesData.events[index];
+  if (!alert) return;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Alert acknowledged', 'success');
+        loadAlertRules();
+      } else {
+        showToast(result.error || 'Error acknowledging alert', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error acknowledging alert: ' + err.message, 'error');
+    })
+    .acknowledgeAlert(alert.id);
+}
+
+// ----- Rule editor -----
+
+function alertRuleCheckboxes(containerId, options, selected) {
+  document.getElementById(containerId).innerHTML = options.length === 0
+    ? '<span class="text-muted">None defined</span>'
+    : options.map(function(o) {
+      return '<label class="checkbox-option">' +
+        '<input type="checkbox" value="' + escapeHtml(o.value).replace(/"/g, '&quot;') + '"' + (selected.indexOf(o.value) >= 0 ? ' checked' : '') + '>' +
+        '<span>' + escapeHtml(o.label) + '</span></label>';
+    }).join('');
+}
+
+function alertRuleCheckedValues(containerId) {
+  return Array.prototype.map.call(document.querySelectorAll('#' + containerId + ' input:checked'), function(input) {
+    return input.value;
+  });
+}
+
+function openAlertRuleModal(index) {
+  var rule = index === undefined ? null : alertRulesData.rules[index];
+  var trigger = rule ? rule.triggerType : 'trap';
+  document.getElementById('alert-rule-id').value = rule ? rule.id : '';
+  document.getElementById('alert-rule-name').value = rule ? rule.name : '';
+  document.getElementById('alert-rule-trigger').value = trigger;
+  document.getElementById('alert-rule-enabled').checked = rule ? rule.enabled : true;
+  document.getElementById('alert-rule-pattern-trap').value = rule && trigger === 'trap' ? rule.messagePattern : '';
+  document.getElementById('alert-rule-pattern-supply').value = rule && trigger === 'supply' ? rule.messagePattern : '';
+  document.getElementById('alert-rule-min-severity').value = rule ? rule.minSeverity || 'info' : 'warning';
+  document.getElementById('alert-rule-supply-threshold').value = rule ? rule.supplyThreshold : 10;
+  document.getElementById('alert-rule-offline-minutes').value = rule ? rule.offlineMinutes : 30;
+  document.getElementById('alert-rule-cooldown').value = rule ? rule.cooldownMinutes : 30;
+  document.getElementById('alert-rule-email-to').value = rule ? rule.emailTo : '';
+  document.getElementById('alert-rule-create-request').checked = rule ? rule.createServiceRequest : false;
+  document.getElementById('alert-rule-webhook').value = rule ? rule.webhookUrl : '';
+  document.getElementById('alert-rule-escalate-after').value = rule ? rule.escalateAfterMinutes : 0;
+  document.getElementById('alert-rule-escalate-when').value = rule ? rule.escalateWhen || 'unassigned' : 'unassigned';
+  document.getElementById('alert-rule-escalate-to').value = rule ? rule.escalateTo : '';
+
+  var techSelect = document.getElementById('alert-rule-technician');
+  techSelect.innerHTML = '<option value="">Nobody</option>' + (state.technicians || []).filter(function(t) {
+    return t.email && (t.active !== 'false' || (rule && rule.emailTechnicianId === t.id));
+  }).map(function(t) {
+    return '<option value="' + escapeHtml(t.id).replace(/"/g, '&quot;') + '">' + escapeHtml(t.name) + ' (' + escapeHtml(t.email) + ')</option>';
+  }).join('');
+  techSelect.value = rule ? rule.emailTechnicianId || '' : '';
+
+  alertRuleCheckboxes('alert-rule-device-types', (state.deviceTypes || []).map(function(t) {
+    return { value: t.id, label: t.name };
+  }), rule ? rule.deviceTypes : []);
+
+  var locations = {};
+  state.devices.forEach(function(d) { if (d.location) locations[d.location] = true; });
+  if (rule) rule.locations.forEach(function(l) { locations[l] = true; });
+  alertRuleCheckboxes('alert-rule-locations', Object.keys(locations).sort().map(function(l) {
+    return { value: l, label: l };
+  }), rule ? rule.locations : []);
+
+  updateAlertRuleFields();
+  document.getElementById('alert-rule-modal-title').innerHTML = '<i data-lucide="bell-ring"></i> ' + (rule ? 'Edit Alert Rule' : 'New Alert Rule');
+  document.getElementById('alert-rule-modal').classList.add('active');
+  lucide.createIcons();
+}
+
+// Show only the match fields for the chosen trigger
+function updateAlertRuleFields() {
+  var trigger = document.getElementById('alert-rule-trigger').value;
+  ['trap', 'supply', 'offline'].forEach(function(type) {
+    document.querySelectorAll('#alert-rule-modal .alert-rule-' + type + '-field').forEach(function(el) {
+      el.classList.toggle('hidden', type !== trigger);
+    });
+  });
+}
+
+function closeAlertRuleModal() {
+  document.getElementById('alert-rule-modal').classList.remove('active');
+}
+
+function saveAlertRule() {
+  var trigger = document.getElementById('alert-rule-trigger').value;
+  var rule = {
+    id: document.getElementById('alert-rule-id').value || null,
+    name: document.getElementById('alert-rule-name').value,
+    enabled: document.getElementById('alert-rule-enabled').checked,
+    triggerType: trigger,
+    deviceTypes: alertRuleCheckedValues('alert-rule-device-types'),
+    locations: alertRuleCheckedValues('alert-rule-locations'),
+    messagePattern: trigger === 'offline' ? ''
+      : document.getElementById(trigger === 'supply' ? 'alert-rule-pattern-supply' : 'alert-rule-pattern-trap').value,
+    minSeverity: document.getElementById('alert-rule-min-severity').value,
+    supplyThreshold: document.getElementById('alert-rule-supply-threshold').value,
+    offlineMinutes: document.getElementById('alert-rule-offline-minutes').value,
+    cooldownMinutes: document.getElementById('alert-rule-cooldown').value,
+    emailTechnicianId: document.getElementById('alert-rule-technician').value,
+    emailTo: document.getElementById('alert-rule-email-to').value,
+    createServiceRequest: document.getElementById('alert-rule-create-request').checked,
+    webhookUrl: document.getElementById('alert-rule-webhook').value,
+    escalateAfterMinutes: document.getElementById('alert-rule-escalate-after').value,
+    escalateWhen: document.getElementById('alert-rule-escalate-when').value,
+    escalateTo: document.getElementById('alert-rule-escalate-to').value
+  };
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Alert rule saved', 'success');
+        closeAlertRuleModal();
+        loadAlertRules();
+      } else {
+        showToast(result.error || 'Error saving alert rule', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving alert rule: ' + err.message, 'error');
+    })
+    .saveAlertRule(rule);
+}
+
+function testAlertRule(index) {
+  var rule = alertRulesData.rules[index];
+  if (!rule) return;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result.success) {
+        showToast(result.error || 'Error testing alert rule', 'error');
+        return;
+      }
+      var failed = result.results.filter(function(r) { return !r.success; });
+      if (failed.length === 0) {
+        showToast('Test alert sent (' + result.results.map(function(r) { return ALERT_ACTION_LABELS[r.type] || r.type; }).join(', ') + ')', 'success');
+      } else {
+        showToast(failed.map(function(r) { return (ALERT_ACTION_LABELS[r.type] || r.type) + ' failed: ' + r.detail; }).join('; '), 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error testing alert rule: ' + err.message, 'error');
+    })
+    .testAlertRule(rule.id);
+}
+
+function deleteAlertRule(index) {
+  var rule = alertRulesData.rules[index];
+  if (!rule) return;
+  showConfirmCard({
+    title: 'Delete Alert Rule',
+    message: 'Delete <strong>' + escapeHtml(rule.name) + '</strong>? Alerts it already raised are kept.',
+    type: 'danger',
+    confirmText: 'Delete',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('Alert rule deleted', 'success');
+            loadAlertRules();
+          } else {
+            showToast(result.error || 'Error deleting alert rule', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error deleting alert rule: ' + err.message, 'error');
+        })
+        .deleteAlertRule(rule.id);
+    }
+  });
+}
+
+// ============================================
+// SLA Policies
+// ============================================
+
+var slaPoliciesData = [];
+
+// 90 -> "1.5 h", 45 -> "45 min"
+function formatSlaMinutes(minutes) {
+  if (!minutes) return '<span class="text-muted">-</span>';
+  if (minutes < 60) return minutes + ' min';
+  return (Math.round(minutes / 60 * 100) / 100) + ' h';
+}
+
+function loadSlaPolicies() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading SLA policies', 'error');
+        return;
+      }
+      slaPoliciesData = result.policies || [];
+      var status = result.status || {};
+      var supervisor = document.getElementById('sla-supervisor-email');
+      if (supervisor) supervisor.value = status.supervisorEmail || '';
+      var text = document.getElementById('sla-status-text');
+      if (text) {
+        var hours = status.workingHours || {};
+        text.textContent = (status.openWithSla || 0) + ' open request' + (status.openWithSla === 1 ? '' : 's') + ' on a clock, ' +
+          (status.openBreached || 0) + ' breached · ' +
+          (hours.enabled ? 'clocks run ' + hours.workStart + '–' + hours.workEnd + ' on working days' : 'clocks run around the clock (working hours are off)');
+      }
+      renderSlaPolicies();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading SLA policies: ' + err.message, 'error');
+    })
+    .getSlaPolicies();
+}
+
+function renderSlaPolicies() {
+  var body = document.getElementById('sla-policies-body');
+  if (!body) return;
+  if (slaPoliciesData.length === 0) {
+    body.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No SLA policies yet</td></tr>';
+    return;
+  }
+  body.innerHTML = slaPoliciesData.map(function(policy, index) {
+    var scope = [
+      policy.issueType ? escapeHtml(policy.issueType) : 'Any issue',
+      policy.deviceType ? escapeHtml(alertDeviceTypeName(policy.deviceType)) : 'Any device type'
+    ];
+    return '<tr class="' + (policy.enabled ? '' : 'alert-rule-disabled') + '">' +
+      '<td><strong>' + escapeHtml(policy.name) + '</strong>' + (policy.enabled ? '' : '<br><small class="text-muted">Disabled</small>') + '</td>' +
+      '<td>' + scope.join('<br>') + '</td>' +
+      '<td>' + formatSlaMinutes(policy.assignMinutes) + '</td>' +
+      '<td>' + formatSlaMinutes(policy.completeMinutes) + '</td>' +
+      '<td>' + policy.warnMinutes + ' min before</td>' +
+      '<td>' + (policy.supervisorEmail ? escapeHtml(policy.supervisorEmail) : '<span class="text-muted">Default</span>') + '</td>' +
+      '<td style="white-space: nowrap;">' +
+        '<button type="button" class="btn btn-ghost btn-sm" onclick="openSlaPolicyModal(' + index + ')" title="Edit"><i data-lucide="pencil"></i></button>' +
+        '<button type="button" class="btn btn-ghost btn-sm text-danger" onclick="deleteSlaPolicy(' + index + ')" title="Delete"><i data-lucide="trash-2"></i></button>' +
+      '</td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function fillSlaIssueTypes() {
+  var list = document.getElementById('sla-policy-issue-types');
+  if (!list) return;
+  list.innerHTML = issueButtonsData.map(function(b) {
+    return '<option value="' + escapeHtml(b.label || '').replace(/"/g, '&quot;') + '">';
+  }).join('');
+}
+
+function openSlaPolicyModal(index) {
+  var policy = index === undefined ? null : slaPoliciesData[index];
+  document.getElementById('sla-policy-id').value = policy ? policy.id : '';
+  document.getElementById('sla-policy-name').value = policy ? policy.name : '';
+  document.getElementById('sla-policy-enabled').checked = policy ? policy.enabled : true;
+  document.getElementById('sla-policy-issue-type').value = policy ? policy.issueType : '';
+  document.getElementById('sla-policy-assign-hours').value = policy && policy.assignMinutes ? policy.assignMinutes / 60 : '';
+  document.getElementById('sla-policy-complete-hours').value = policy && policy.completeMinutes ? policy.completeMinutes / 60 : '';
+  document.getElementById('sla-policy-warn-minutes').value = policy ? policy.warnMinutes : 30;
+  document.getElementById('sla-policy-supervisor').value = policy ? policy.supervisorEmail : '';
+
+  var typeSelect = document.getElementById('sla-policy-device-type');
+  typeSelect.innerHTML = '<option value="">Any device type</option>' + (state.deviceTypes || []).map(function(t) {
+    return '<option value="' + escapeHtml(t.id).replace(/"/g, '&quot;') + '">' + escapeHtml(t.name) + '</option>';
+  }).join('');
+  typeSelect.value = policy ? policy.deviceType || '' : '';
+
+  if (issueButtonsData.length) {
+    fillSlaIssueTypes();
+  } else {
+    google.script.run
+      .withSuccessHandler(function(data) {
+        issueButtonsData = data || [];
+        fillSlaIssueTypes();
+      })
+      .getIssueButtons();
+  }
+
+  document.getElementById('sla-policy-modal-title').innerHTML = '<i data-lucide="timer"></i> ' + (policy ? 'Edit SLA Policy' : 'New SLA Policy');
+  document.getElementById('sla-policy-modal').classList.add('active');
+  lucide.createIcons();
+}
+
+function closeSlaPolicyModal() {
+  document.getElementById('sla-policy-modal').classList.remove('active');
+}
+
+function slaHoursToMinutes(id) {
+  var hours = parseFloat(document.getElementById(id).value);
+  return hours > 0 ? Math.round(hours * 60) : 0;
+}
+
+function saveSlaPolicy() {
+  var policy = {
+    id: document.getElementById('sla-policy-id').value || null,
+    name: document.getElementById('sla-policy-name').value,
+    enabled: document.getElementById('sla-policy-enabled').checked,
+    issueType: document.getElementById('sla-policy-issue-type').value,
+    deviceType: document.getElementById('sla-policy-device-type').value,
+    assignMinutes: slaHoursToMinutes('sla-policy-assign-hours'),
+    completeMinutes: slaHoursToMinutes('sla-policy-complete-hours'),
+    warnMinutes: document.getElementById('sla-policy-warn-minutes').value,
+    supervisorEmail: document.getElementById('sla-policy-supervisor').value
+  };
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('SLA policy saved', 'success');
+        closeSlaPolicyModal();
+        loadSlaPolicies();
+      } else {
+        showToast(result.error || 'Error saving SLA policy', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving SLA policy: ' + err.message, 'error');
+    })
+    .saveSlaPolicy(policy);
+}
+
+function deleteSlaPolicy(index) {
+  var policy = slaPoliciesData[index];
+  if (!policy) return;
+  showConfirmCard({
+    title: 'Delete SLA Policy',
+    message: 'Delete <strong>' + escapeHtml(policy.name) + '</strong>? Requests already on its clock keep their deadlines.',
+    type: 'danger',
+    confirmText: 'Delete',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('SLA policy deleted', 'success');
+            loadSlaPolicies();
+          } else {
+            showToast(result.error || 'Error deleting SLA policy', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error deleting SLA policy: ' + err.message, 'error');
+        })
+        .deleteSlaPolicy(policy.id);
+    }
+  });
+}
+
+function saveSlaSettings() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('SLA settings saved', 'success');
+        loadSlaPolicies();
+      } else {
+        showToast(result.error || 'Error saving SLA settings', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving SLA settings: ' + err.message, 'error');
+    })
+    .saveSlaSettings({ supervisorEmail: document.getElementById('sla-supervisor-email').value });
+}
+
+// ============================================
+// Trap Dictionaries
+// ============================================
+
+var trapDictionaryData = { dictionaries: [], codes: [], selectedId: '' };
+
+function selectedTrapDictionary() {
+  return trapDictionaryData.dictionaries.find(function(d) { return d.id === trapDictionaryData.selectedId; }) || null;
+}
+
+function loadTrapDictionaries(selectId) {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading trap dictionaries', 'error');
+        return;
+      }
+      trapDictionaryData.dictionaries = result.dictionaries || [];
+      var keep = selectId || trapDictionaryData.selectedId;
+      if (!trapDictionaryData.dictionaries.some(function(d) { return d.id === keep; })) {
+        keep = trapDictionaryData.dictionaries.length ? trapDictionaryData.dictionaries[0].id : '';
+      }
+      trapDictionaryData.selectedId = keep;
+
+      var select = document.getElementById('trap-dictionary-select');
+      select.innerHTML = trapDictionaryData.dictionaries.map(function(d) {
+        return '<option value="' + escapeHtml(d.id).replace(/"/g, '&quot;') + '">' + escapeHtml(d.vendor) +
+          ' (' + d.codeCount + ' code' + (d.codeCount === 1 ? '' : 's') + (d.enabled === 'true' ? '' : ', disabled') + ')</option>';
+      }).join('');
+      select.value = keep;
+      loadTrapDictionaryCodes();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading trap dictionaries: ' + err.message, 'error');
+    })
+    .getTrapDictionaries();
+}
+
+function loadTrapDictionaryCodes() {
+  var select = document.getElementById('trap-dictionary-select');
+  trapDictionaryData.selectedId = select ? select.value : '';
+  var dictionary = selectedTrapDictionary();
+  var info = document.getElementById('trap-dictionary-info');
+  if (info) {
+    info.textContent = !dictionary ? 'No vendor dictionaries yet'
+      : (dictionary.enterpriseOid ? 'Enterprise 1.3.6.1.4.1.' + dictionary.enterpriseOid : 'No enterprise OID — used as a fallback for any vendor') +
+        (dictionary.enabled === 'true' ? '' : ' · disabled');
+  }
+  if (!dictionary) {
+    trapDictionaryData.codes = [];
+    renderTrapDictionaryCodes();
+    return;
+  }
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error loading codes', 'error');
+        return;
+      }
+      trapDictionaryData.codes = result.codes || [];
+      renderTrapDictionaryCodes();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading codes: ' + err.message, 'error');
+    })
+    .getTrapDictionaryCodes(dictionary.id);
+}
+
+function renderTrapDictionaryCodes() {
+  var body = document.getElementById('trap-dictionary-codes-body');
+  if (!body) return;
+  if (trapDictionaryData.codes.length === 0) {
+    body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">' +
+      (selectedTrapDictionary() ? 'No codes yet — add them or import a dictionary' : 'Add a vendor to start') + '</td></tr>';
+    return;
+  }
+  body.innerHTML = trapDictionaryData.codes.map(function(c, index) {
+    var ignored = c.ignored === 'true';
+    return '<tr class="' + (ignored ? 'trap-code-ignored' : '') + '">' +
+      '<td>' + c.code + '</td>' +
+      '<td>' + escapeHtml(c.message) + '</td>' +
+      '<td><span class="trap-severity-badge ' + escapeHtml(c.severity) + '">' + escapeHtml(c.severity) + '</span></td>' +
+      '<td>' + (ignored ? 'Yes' : '') + '</td>' +
+      '<td style="white-space: nowrap;">' +
+        '<button type="button" class="btn btn-ghost btn-sm" onclick="openTrapCodeModal(' + index + ')" title="Edit"><i data-lucide="pencil"></i></button>' +
+        '<button type="button" class="btn btn-ghost btn-sm" onclick="deleteTrapCode(' + index + ')" title="Delete"><i data-lucide="trash-2"></i></button>' +
+      '</td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function openTrapDictionaryModal(editing) {
+  var dictionary = editing ? selectedTrapDictionary() : null;
+  if (editing && !dictionary) {
+    showToast('Add a vendor first', 'warning');
+    return;
+  }
+  document.getElementById('trap-dictionary-id').value = dictionary ? dictionary.id : '';
+  document.getElementById('trap-dictionary-vendor').value = dictionary ? dictionary.vendor : '';
+  document.getElementById('trap-dictionary-enterprise').value = dictionary ? dictionary.enterpriseOid : '';
+  document.getElementById('trap-dictionary-enabled').checked = dictionary ? dictionary.enabled === 'true' : true;
+  document.getElementById('trap-dictionary-delete-btn').classList.toggle('hidden', !dictionary);
+  document.getElementById('trap-dictionary-modal-title').innerHTML = '<i data-lucide="book-open"></i> ' + (dictionary ? 'Edit Vendor' : 'New Vendor');
+  document.getElementById('trap-dictionary-modal').classList.add('active');
+  lucide.createIcons();
+}
+
+function closeTrapDictionaryModal() {
+  document.getElementById('trap-dictionary-modal').classList.remove('active');
+}
+
+function saveTrapDictionary() {
+  var dictionary = {
+    id: document.getElementById('trap-dictionary-id').value || null,
+    vendor: document.getElementById('trap-dictionary-vendor').value,
+    enterpriseOid: document.getElementById('trap-dictionary-enterprise').value,
+    enabled: document.getElementById('trap-dictionary-enabled').checked
+  };
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Vendor saved', 'success');
+        closeTrapDictionaryModal();
+        loadTrapDictionaries(result.dictionary.id);
+      } else {
+        showToast(result.error || 'Error saving vendor', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving vendor: ' + err.message, 'error');
+    })
+    .saveTrapDictionary(dictionary);
+}
+
+function deleteTrapDictionary() {
+  var dictionary = selectedTrapDictionary();
+  if (!dictionary) return;
+  showConfirmCard({
+    title: 'Delete Vendor Dictionary',
+    message: 'Delete <strong>' + escapeHtml(dictionary.vendor) + '</strong> and its ' + dictionary.codeCount + ' code(s)? Traps already received keep their messages.',
+    type: 'danger',
+    confirmText: 'Delete',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('Vendor deleted', 'success');
+            closeTrapDictionaryModal();
+            loadTrapDictionaries();
+          } else {
+            showToast(result.error || 'Error deleting vendor', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error deleting vendor: ' + err.message, 'error');
+        })
+        .deleteTrapDictionary(dictionary.id);
+    }
+  });
+}
+
+function openTrapCodeModal(index) {
+  var dictionary = selectedTrapDictionary();
+  if (!dictionary) {
+    showToast('Add a vendor first', 'warning');
+    return;
+  }
+  var code = index === undefined ? null : trapDictionaryData.codes[index];
+  document.getElementById('trap-code-id').value = code ? code.id : '';
+  document.getElementById('trap-code-code').value = code ? code.code : '';
+  document.getElementById('trap-code-message').value = code ? code.message : '';
+  document.getElementById('trap-code-severity').value = code ? code.severity : 'warning';
+  document.getElementById('trap-code-ignore').checked = code ? code.ignored === 'true' : false;
+  document.getElementById('trap-code-modal-title').innerHTML = '<i data-lucide="hash"></i> ' +
+    (code ? 'Edit' : 'New') + ' ' + escapeHtml(dictionary.vendor) + ' Code';
+  document.getElementById('trap-code-modal').classList.add('active');
+  lucide.createIcons();
+}
+
+function closeTrapCodeModal() {
+  document.getElementById('trap-code-modal').classList.remove('active');
+}
+
+function saveTrapCode() {
+  var code = {
+    dictionaryId: trapDictionaryData.selectedId,
+    id: document.getElementById('trap-code-id').value || null,
+    code: document.getElementById('trap-code-code').value,
+    message: document.getElementById('trap-code-message').value,
+    severity: document.getElementById('trap-code-severity').value,
+    ignore: document.getElementById('trap-code-ignore').checked
+  };
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Code ' + result.code.code + ' saved', 'success');
+        closeTrapCodeModal();
+        loadTrapDictionaries();
+      } else {
+        showToast(result.error || 'Error saving code', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving code: ' + err.message, 'error');
+    })
+    .saveTrapDictionaryCode(code);
+}
+
+function deleteTrapCode(index) {
+  var code = trapDictionaryData.codes[index];
+  if (!code) return;
+  showConfirmCard({
+    title: 'Delete Code',
+    message: 'Delete code <strong>' + code.code + '</strong> (' + escapeHtml(code.message) + ')?',
+    type: 'danger',
+    confirmText: 'Delete',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('Code deleted', 'success');
+            loadTrapDictionaries();
+          } else {
+            showToast(result.error || 'Error deleting code', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error deleting code: ' + err.message, 'error');
+        })
+        .deleteTrapDictionaryCode(code.id);
+    }
+  });
+}
+
+function exportTrapDictionaries() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result.success) {
+        showToast(result.error || 'Error exporting dictionaries', 'error');
+        return;
+      }
+      var blob = new Blob([JSON.stringify(result.data, null, 2)], { type: 'application/json' });
+      var url = URL.createObjectURL(blob);
+      var a = document.createElement('a');
+      a.href = url;
+      a.download = 'trap-dictionaries-' + new Date().toISOString().split('T')[0] + '.json';
+      a.click();
+      URL.revokeObjectURL(url);
+      showToast('Dictionaries exported', 'success');
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error exporting dictionaries: ' + err.message, 'error');
+    })
+    .exportTrapDictionaries();
+}
+
+function importTrapDictionaries(event) {
+  var file = event.target.files[0];
+  if (!file) return;
+  event.target.value = '';
+
+  var reader = new FileReader();
+  reader.onload = function(e) {
+    var data;
+    try {
+      data = JSON.parse(e.target.result);
+    } catch (err) {
+      showToast('Invalid dictionary file', 'error');
+      return;
+    }
+    var vendors = Array.isArray(data.dictionaries) ? data.dictionaries.length : 0;
+    showConfirmCard({
+      title: 'Import Trap Dictionaries',
+      message: 'Merge ' + vendors + ' vendor dictionar' + (vendors === 1 ? 'y' : 'ies') + ' from <strong>' + escapeHtml(file.name) +
+        '</strong>? Codes in the file overwrite existing codes with the same number; other codes are kept.',
+      type: 'info',
+      confirmText: 'Import',
+      onConfirm: function() {
+        google.script.run
+          .withSuccessHandler(function(result) {
+            if (result.success) {
+              showToast('Imported: ' + result.added + ' new, ' + result.updated + ' updated code(s)', 'success');
+              loadTrapDictionaries();
+            } else {
+              showToast(result.error || 'Error importing dictionaries', 'error');
+            }
+          })
+          .withFailureHandler(function(err) {
+            showToast('Error importing dictionaries: ' + err.message, 'error');
+          })
+          .importTrapDictionaries(data, { replace: false });
+      }
+    });
+  };
+  reader.readAsText(file);
+}
+
+// Rerun every stored trap through the parser with the current dictionaries
+function reprocessTrapsWithDictionaries() {
+  showConfirmCard({
+    title: 'Reprocess Traps',
+    message: 'Reparse every stored trap with the current dictionaries? Messages and severities are updated, and open traps whose codes are now ignored are resolved.',
+    type: 'warn',
+    confirmText: 'Reprocess',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('Reprocessed ' + (result.total || 0) + ' trap(s): ' + (result.updated || 0) + ' updated, ' + (result.ignored || 0) + ' resolved as ignored', 'success');
+            refreshTrapViews();
+          } else {
+            showToast(result.error || 'Error reprocessing traps', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error reprocessing traps: ' + err.message, 'error');
+        })
+        .reprocessAllTraps({ scope: 'all' });
+    }
+  });
+}
+
+// ============================================
+// MIB Files
+// ============================================
+
+var mibModuleData = [];
+
+function loadMibModules() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      var body = document.getElementById('mib-modules-body');
+      var info = document.getElementById('mib-files-info');
+      if (!body) return;
+      var modules = (result && result.modules) || [];
+      mibModuleData = modules;
+      if (modules.length === 0) {
+        body.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No MIB files uploaded yet</td></tr>';
+        if (info) info.textContent = '';
+        return;
+      }
+      var unresolved = modules.reduce(function(sum, m) { return sum + (m.definitions - m.resolved); }, 0);
+      if (info) {
+        info.textContent = unresolved > 0
+          ? unresolved + ' definition(s) have no OID yet — upload the modules they are defined under'
+          : 'All definitions resolved';
+      }
+      body.innerHTML = modules.map(function(m, index) {
+        return '<tr>' +
+          '<td><strong>' + escapeHtml(m.moduleName) + '</strong></td>' +
+          '<td>' + escapeHtml(m.fileName) + '</td>' +
+          '<td>' + m.definitions + '</td>' +
+          '<td>' + m.notifications + '</td>' +
+          '<td>' + m.resolved + ' / ' + m.definitions + '</td>' +
+          '<td>' + (m.uploadedAt ? getTimeAgo(m.uploadedAt) : '') + (m.uploadedBy ? ' by ' + escapeHtml(m.uploadedBy) : '') + '</td>' +
+          '<td><button type="button" class="btn btn-ghost btn-sm" onclick="deleteMibModule(' + index + ')" title="Delete"><i data-lucide="trash-2"></i></button></td>' +
+          '</tr>';
+      }).join('');
+      lucide.createIcons();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading MIB files: ' + err.message, 'error');
+    })
+    .getMibModules();
+}
+
+function uploadMibFiles(event) {
+  var files = Array.prototype.slice.call(event.target.files || []);
+  event.target.value = '';
+  if (files.length === 0) return;
+
+  Promise.all(files.map(function(file) {
+    return new Promise(function(resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function(e) { resolve({ fileName: file.name, content: e.target.result }); };
+      reader.onerror = function() { reject(new Error('Could not read ' + file.name)); };
+      reader.readAsText(file);
+    });
+  })).then(function(contents) {
+    google.script.run
+      .withSuccessHandler(function(result) {
+        if (result.success) {
+          var names = result.modules.map(function(m) { return m.moduleName; }).join(', ');
+          showToast('Loaded ' + names + (result.errors.length ? ' (' + result.errors.length + ' file(s) failed)' : ''), result.errors.length ? 'warning' : 'success');
+          result.errors.forEach(function(e) { console.warn('MIB upload failed: ' + e.fileName + ': ' + e.error); });
+          loadMibModules();
+        } else {
+          showToast(result.error || 'Error uploading MIB files', 'error');
+        }
+      })
+      .withFailureHandler(function(err) {
+        showToast('Error uploading MIB files: ' + err.message, 'error');
+      })
+      .uploadMibFiles(contents);
+  }).catch(function(err) {
+    showToast(err.message, 'error');
+  });
+}
+
+function deleteMibModule(index) {
+  var module = mibModuleData[index];
+  if (!module) return;
+  showConfirmCard({
+    title: 'Delete MIB Module',
+    message: 'Remove <strong>' + escapeHtml(module.moduleName) + '</strong> and its definitions? Traps already described keep their messages.',
+    type: 'danger',
+    confirmText: 'Delete',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('MIB module deleted', 'success');
+            loadMibModules();
+          } else {
+            showToast(result.error || 'Error deleting MIB module', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error deleting MIB module: ' + err.message, 'error');
+        })
+        .deleteMibModule(module.id);
+    }
+  });
+}
+
+function lookupMibOid() {
+  var input = document.getElementById('mib-lookup-oid');
+  var output = document.getElementById('mib-lookup-result');
+  var oid = input ? input.value.trim() : '';
+  if (!oid || !output) return;
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      output.classList.remove('hidden');
+      if (!result.success) {
+        output.innerHTML = '<p class="text-muted">' + escapeHtml(result.error || 'Lookup failed') + '</p>';
+        return;
+      }
+      var o = result.object;
+      if (!o) {
+        output.innerHTML = '<p class="text-muted">No uploaded MIB defines ' + escapeHtml(oid) + '</p>';
+        return;
+      }
+      var enums = Object.keys(o.enums || {}).map(function(k) { return escapeHtml(o.enums[k]) + '(' + escapeHtml(k) + ')'; }).join(', ');
+      output.innerHTML =
+        '<p><strong>' + escapeHtml(o.moduleName) + '::' + escapeHtml(o.name) + '</strong>' + (o.instance ? ' .' + escapeHtml(o.instance) : '') +
+          ' <span class="text-muted">' + escapeHtml(o.kind) + (o.syntax ? ', ' + escapeHtml(o.syntax) : '') + ' — ' + escapeHtml(o.oid) + '</span></p>' +
+        (o.description ? '<p>' + escapeHtml(o.description) + '</p>' : '') +
+        (enums ? '<p class="text-muted">Values: ' + enums + '</p>' : '') +
+        (o.objects && o.objects.length ? '<p class="text-muted">Varbinds: ' + o.objects.map(escapeHtml).join(', ') + '</p>' : '');
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error looking up OID: ' + err.message, 'error');
+    })
+    .lookupMibOid(oid);
+}
+
+function describeTrapsFromMibs() {
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Updated ' + (result.updated || 0) + ' trap(s) with a generic message', 'success');
+        refreshTrapViews();
+      } else {
+        showToast(result.error || 'Error reprocessing traps', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error reprocessing traps: ' + err.message, 'error');
+    })
+    .reprocessAllTraps({ scope: 'generic' });
 }
 
 // ============================================
@@ -9006,14 +11976,14 @@ function confirmDeleteAllTeachers() {
 
   showConfirmCard({
     title: 'Delete All Teachers?',
-    message: 'Are you sure you want to delete ALL ' + teacherCount + ' teachers?<br><br>This action cannot be undone.',
+    message: 'Are you sure you want to delete ALL ' + teacherCount + ' teachers?<br><br>They can be restored from the Recycle Bin until they are purged.',
     type: 'danger',
     confirmText: 'Delete All',
     onConfirm: function() {
       // Double confirmation for safety
       showConfirmCard({
         title: 'Final Warning',
-        message: 'This will permanently delete all ' + teacherCount + ' teacher records.',
+        message: 'This will move all ' + teacherCount + ' teacher records to the Recycle Bin.',
         type: 'danger',
         confirmText: 'Yes, Delete All',
         onConfirm: function() {
@@ -10670,6 +13640,8 @@ function setupServiceRequestAutoRefresh() {
   state.serviceRequestRefreshInterval = setInterval(function() {
     // Skip refresh when tab is hidden (saves server resources)
     if (document.hidden) return;
+    // Changes are pushed over the event stream while it is connected
+    if (state.eventStreamConnected) return;
     loadServiceRequests();
   }, 30000); // 30 seconds
 }
@@ -10789,7 +13761,7 @@ function renderServiceRequestsTable() {
 
   if (!filtered || filtered.length === 0) {
     var msg = (filterStatus || filterSource) ? 'No requests matching the selected filters.' : 'No service requests found.';
-    tbody.innerHTML = '<tr><td colspan="7" class="empty-message">' + msg + '</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="8" class="empty-message">' + msg + '</td></tr>';
     return;
   }
 
@@ -10809,6 +13781,7 @@ function renderServiceRequestsTable() {
       '<td style="font-size:13px;">' + escapeHtml(requester) + '</td>' +
       '<td style="font-size:13px;">' + escapeHtml(sr.location || '-') + '</td>' +
       '<td style="font-size:13px;">' + escapeHtml(issue) + '</td>' +
+      '<td>' + renderSlaCell(sr.sla) + '</td>' +
       '<td><span class="status-badge ' + statusClass + '">' + escapeHtml(sr.status || 'pending') + '</span></td>' +
       '<td class="actions-cell">' +
         '<button class="btn btn-icon btn-ghost" onclick="viewServiceRequest(\'' + sr.id + '\')" title="View Details">' +
@@ -10822,9 +13795,77 @@ function renderServiceRequestsTable() {
   }).join('');
 
   tbody.innerHTML = html;
+  updateSlaCountdowns();
   if (typeof lucide !== 'undefined') lucide.createIcons();
 }
 
+// ============================================
+// SLA Countdowns
+// ============================================
+
+var slaCountdownTimer = null;
+
+function formatSlaDuration(ms) {
+  var minutes = Math.max(0, Math.round(Math.abs(ms) / 60000));
+  var days = Math.floor(minutes / 1440);
+  var hours = Math.floor((minutes % 1440) / 60);
+  var mins = minutes % 60;
+  if (days > 0) return days + 'd ' + hours + 'h';
+  if (hours > 0) return hours + 'h ' + mins + 'm';
+  return mins + 'm';
+}
+
+// Cell for the requests table - the countdown text is filled in by updateSlaCountdowns
+function renderSlaCell(sla) {
+  if (!sla) return '<span class="text-muted" style="font-size:12px;">-</span>';
+  if (sla.phase === 'done') {
+    return sla.breached
+      ? '<span class="sla-countdown sla-breached" title="' + escapeHtml(sla.policyName || '').replace(/"/g, '&quot;') + '">Missed</span>'
+      : '<span class="sla-countdown sla-met" title="' + escapeHtml(sla.policyName || '').replace(/"/g, '&quot;') + '">Met</span>';
+  }
+  return '<span class="sla-countdown" data-due="' + escapeHtml(sla.dueAt) + '" data-warn="' + (sla.warnMinutes || 0) +
+    '" data-phase="' + sla.phase + '" data-breached="' + (sla.breached ? '1' : '') +
+    '" title="' + escapeHtml((sla.policyName || '') + ' - due ' + new Date(sla.dueAt).toLocaleString()).replace(/"/g, '&quot;') + '"></span>';
+}
+
+/**
+ * Refresh every countdown on the page against the clock. Deadlines are
+ * already shifted for working hours by the server, so this is wall time.
+ */
+function updateSlaCountdowns() {
+  var now = Date.now();
+  document.querySelectorAll('.sla-countdown[data-due]').forEach(function(el) {
+    var remaining = new Date(el.dataset.due).getTime() - now;
+    var label = el.dataset.phase === 'assign' ? 'Assign' : 'Complete';
+    el.classList.remove('sla-ok', 'sla-warning', 'sla-breached');
+    if (remaining <= 0 || el.dataset.breached) {
+      el.classList.add('sla-breached');
+      el.textContent = label + ' overdue ' + formatSlaDuration(remaining);
+    } else {
+      el.classList.add(remaining <= parseInt(el.dataset.warn || 0) * 60000 ? 'sla-warning' : 'sla-ok');
+      el.textContent = label + ' in ' + formatSlaDuration(remaining);
+    }
+  });
+  if (!slaCountdownTimer) slaCountdownTimer = setInterval(updateSlaCountdowns, 30000);
+}
+
+// Policy, both deadlines and any breaches for the request detail modal
+function renderSlaDetail(sla) {
+  if (!sla) return 'No SLA policy applies';
+  var parts = [];
+  if (sla.policyName) parts.push('<strong>' + escapeHtml(sla.policyName) + '</strong>');
+  if (sla.assignDueAt) {
+    parts.push('Assign by ' + new Date(sla.assignDueAt).toLocaleString() +
+      (sla.assignBreached ? ' <span class="sla-countdown sla-breached">Breached</span>' : ''));
+  }
+  if (sla.completeDueAt) {
+    parts.push('Complete by ' + new Date(sla.completeDueAt).toLocaleString() +
+      (sla.completeBreached ? ' <span class="sla-countdown sla-breached">Breached</span>' : ''));
+  }
+  if (sla.phase !== 'done') parts.push(renderSlaCell(sla));
+  return parts.join(' &middot; ');
+}
+
 function updateServiceRequestStats() {
   var pending = serviceRequestsData.filter(function(sr) { return sr.status === 'pending'; }).length;
   var inProgress = serviceRequestsData.filter(function(sr) { return sr.status === 'in-progress'; }).length;
@@ -11005,13 +14046,26 @@ function viewServiceRequest(id) {
   document.getElementById('sr-detail-submitter').textContent = requester;
   document.getElementById('sr-detail-submitted').textContent = sr.createdAt ? new Date(sr.createdAt).toLocaleString() : '-';
   document.getElementById('sr-detail-notes').textContent = sr.notes || sr.description || 'No notes';
+  document.getElementById('sr-detail-sla').innerHTML = renderSlaDetail(sr.sla);
+  var statusUrl = sr.statusToken ? window.location.origin + '/request/status/' + sr.statusToken : '';
+  document.getElementById('sr-detail-status-link-row').style.display = statusUrl ? '' : 'none';
+  document.getElementById('sr-detail-status-link').innerHTML = statusUrl
+    ? '<a href="' + escapeHtml(statusUrl).replace(/"/g, '&quot;') + '" target="_blank" rel="noopener">Open</a> <small class="text-muted">- the link emailed to the requester</small>'
+    : '-';
+  updateSlaCountdowns();
 
   document.getElementById('sr-assign-technician').value = sr.technicianName || sr.assignedTo || '';
+  document.getElementById('sr-assign-reason').value = '';
   document.getElementById('sr-resolution-notes').value = sr.resolutionNotes || '';
+  document.getElementById('sr-btn-auto-assign').style.display =
+    sr.source !== 'helpdesk' && sr.status === 'pending' && !sr.technicianId ? 'inline-flex' : 'none';
+  loadAssignmentLog(sr);
 
   // Update button visibility based on status
   var assignBtn = document.getElementById('sr-btn-assign');
   var completeBtn = document.getElementById('sr-btn-complete');
+  document.getElementById('sr-btn-reopen').style.display =
+    sr.source !== 'helpdesk' && sr.status === 'completed' ? 'inline-flex' : 'none';
 
   if (sr.status === 'completed') {
     assignBtn.style.display = 'none';
@@ -11059,6 +14113,71 @@ function viewServiceRequest(id) {
   lucide.createIcons();
 }
 
+var ASSIGNMENT_METHOD_LABELS = {
+  auto: 'Auto',
+  manual: 'Manual',
+  override: 'Override'
+};
+
+// Who the request was assigned to and why, newest first
+function loadAssignmentLog(sr) {
+  var logEl = document.getElementById('sr-assignment-log');
+  if (!logEl) return;
+  if (sr.source === 'helpdesk') {
+    logEl.innerHTML = '<p class="text-muted" style="font-size:13px;">Help Desk incidents are assigned in ServiceNow.</p>';
+    return;
+  }
+  logEl.innerHTML = '<p class="text-muted" style="font-size:13px;">Loading...</p>';
+  google.script.run
+    .withSuccessHandler(function(result) {
+      var entries = (result && result.entries) || [];
+      if (entries.length === 0) {
+        logEl.innerHTML = '<p class="text-muted" style="font-size:13px;">Not assigned yet.</p>';
+        return;
+      }
+      logEl.innerHTML = entries.slice().reverse().map(function(e) {
+        return '<div class="sr-email-card">' +
+          '<div class="sr-email-card-header">' +
+            '<span class="sr-email-card-to"><strong>' + escapeHtml(e.technicianName || 'Nobody') + '</strong>' +
+              (e.assignedBy ? ' <span style="color:var(--text-secondary);">by ' + escapeHtml(e.assignedBy) + '</span>' : '') + '</span>' +
+            '<span class="sr-email-card-date">' + new Date(e.createdAt).toLocaleString() + '</span>' +
+          '</div>' +
+          '<div class="sr-email-card-subject">' + escapeHtml(e.reason) + '</div>' +
+          '<span class="status-badge status-' + (e.method === 'auto' ? 'in-progress' : 'pending') + '" style="font-size:11px;">' +
+            (ASSIGNMENT_METHOD_LABELS[e.method] || escapeHtml(e.method)) + '</span>' +
+        '</div>';
+      }).join('');
+    })
+    .withFailureHandler(function() {
+      logEl.innerHTML = '<p class="text-muted" style="font-size:13px;">Could not load assignment history.</p>';
+    })
+    .getAssignmentLog(sr.id);
+}
+
+function autoAssignServiceRequestFromModal() {
+  if (!currentServiceRequestId) return;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast((result && result.error) || 'Error auto-assigning request', 'error');
+        return;
+      }
+      if (result.updatedRequest && result.updatedRequest.technicianId) {
+        showToast('Request assigned to ' + result.updatedRequest.technicianName, 'success');
+        closeServiceRequestModal();
+        mergeServerUpdate(result.updatedRequest);
+      } else {
+        showToast(result.entry ? result.entry.reason : 'No technician available', 'warning');
+        var sr = serviceRequestsData.find(function(s) { return s.id === currentServiceRequestId; });
+        if (sr) loadAssignmentLog(sr);
+      }
+    })
+    .withFailureHandler(function(error) {
+      showToast('Error auto-assigning request: ' + error.message, 'error');
+    })
+    .autoAssignServiceRequest(currentServiceRequestId);
+}
+
 function closeServiceRequestModal() {
   document.getElementById('service-request-modal').classList.remove('active');
   currentServiceRequestId = null;
@@ -11253,7 +14372,7 @@ function assignServiceRequestFromModal() {
       revertOptimisticUpdate(snapshot);
       showToast('Error assigning request: ' + error.message, 'error');
     })
-    .assignServiceRequest(currentServiceRequestId, technician);
+    .assignServiceRequest(currentServiceRequestId, technician, document.getElementById('sr-assign-reason').value.trim());
 }
 
 function completeServiceRequestFromModal() {
@@ -11283,6 +14402,27 @@ function completeServiceRequestFromModal() {
     .completeServiceRequest(currentServiceRequestId, notes);
 }
 
+function reopenServiceRequestFromModal() {
+  if (!currentServiceRequestId) return;
+  var requestId = currentServiceRequestId;
+
+  showToast('Reopening request...', 'info');
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        showToast('Error reopening request: ' + ((result && result.error) || 'Unknown error'), 'error');
+        return;
+      }
+      showToast('Request reopened', 'success');
+      closeServiceRequestModal();
+      mergeServerUpdate(result.updatedRequest);
+    })
+    .withFailureHandler(function(error) {
+      showToast('Error reopening request: ' + error.message, 'error');
+    })
+    .reopenServiceRequest(requestId);
+}
+
 function deleteServiceRequest(id) {
   var sr = serviceRequestsData.find(function(s) { return s.id === id; });
   if (!sr) return;
@@ -11346,14 +14486,14 @@ function exportServiceRequests() {
 function deleteAllServiceRequests() {
   showConfirmCard({
     title: 'Delete All Service Requests',
-    message: 'Are you sure you want to delete <strong>ALL</strong> service requests? This action cannot be undone.',
+    message: 'Are you sure you want to delete <strong>ALL</strong> service requests? They can be restored from the Recycle Bin until they are purged.',
     type: 'danger',
     confirmText: 'Delete All',
     onConfirm: function() {
       // Double confirmation for safety
       showConfirmCard({
         title: 'Final Confirmation',
-        message: 'This will <strong>permanently delete all service requests</strong>. Are you absolutely sure?',
+        message: 'This will <strong>move all service requests to the Recycle Bin</strong>. Are you absolutely sure?',
         type: 'danger',
         confirmText: 'Yes, Delete Everything',
         onConfirm: function() {
@@ -12302,7 +15442,7 @@ function updateAllQRCodeUrls() {
     .updateAllQRCodeUrls();
 }
 
-// Refresh QR codes table and label layout when settings tab is loaded
+// Refresh QR codes table, label layout and SNMP panels when settings tab is loaded
 var originalSwitchTab = typeof switchTab === 'function' ? switchTab : null;
 if (originalSwitchTab) {
   window.switchTab = function(tab) {
@@ -12311,6 +15451,9 @@ if (originalSwitchTab) {
       setTimeout(function() {
         loadQRCodesTable();
         loadLabelLayout();
+        loadSnmpPollerStatus();
+        loadTrapReceiverStatus();
+        loadGatewayKeys();
       }, 100);
     }
   };
@@ -12397,6 +15540,7 @@ function getTemplateTypeLabel(type) {
     'assignment': 'Technician Assignment',
     'completion': 'Request Completed',
     'manufacturer': 'Manufacturer Repair Request',
+    'purchase_order': 'Purchase Order',
     'custom': 'Custom'
   };
   return labels[type] || type || 'Unknown';
@@ -12406,19 +15550,18 @@ function onTemplateTypeChange() {
   var type = document.getElementById('email-template-type').value;
   var srVars = document.getElementById('service-request-vars');
   var mfgVars = document.getElementById('manufacturer-vars');
+  var poVars = document.getElementById('purchase-order-vars');
   var srHint = document.getElementById('sr-vars-hint');
   var mfgHint = document.getElementById('mfg-vars-hint');
-  if (type === 'manufacturer') {
-    srVars.style.display = 'none';
-    mfgVars.style.display = 'flex';
-    if (srHint) srHint.style.display = 'none';
-    if (mfgHint) mfgHint.style.display = 'block';
-  } else {
-    srVars.style.display = 'flex';
-    mfgVars.style.display = 'none';
-    if (srHint) srHint.style.display = 'block';
-    if (mfgHint) mfgHint.style.display = 'none';
-  }
+  var poHint = document.getElementById('po-vars-hint');
+  var isMfg = type === 'manufacturer';
+  var isPo = type === 'purchase_order';
+  srVars.style.display = isMfg || isPo ? 'none' : 'flex';
+  mfgVars.style.display = isMfg ? 'flex' : 'none';
+  if (poVars) poVars.style.display = isPo ? 'flex' : 'none';
+  if (srHint) srHint.style.display = isMfg || isPo ? 'none' : 'block';
+  if (mfgHint) mfgHint.style.display = isMfg ? 'block' : 'none';
+  if (poHint) poHint.style.display = isPo ? 'block' : 'none';
 }
 
 function getManufacturerSampleData() {
@@ -12439,6 +15582,28 @@ function getManufacturerSampleData() {
   };
 }
 
+function getPurchaseOrderSampleData() {
+  return {
+    'poNumber': 'PO-20250115-3F9A1C2B',
+    'sku': 'CF410X',
+    'itemName': 'HP 410X Black Toner',
+    'quantity': '2',
+    'unitCost': '129.99',
+    'totalCost': '259.98',
+    'vendor': 'Office Supply Co.',
+    'deliverTo': 'Building A, Room 101',
+    'deviceName': 'HP LaserJet Pro M404',
+    'model': 'HP LaserJet Pro M404dn',
+    'supplyName': 'Black Toner',
+    'level': '12%',
+    'daysLeft': '6 days',
+    'reason': 'Forecast to run out',
+    'notes': 'Please deliver to the front office.',
+    'dateTime': new Date().toLocaleString(),
+    'schoolName': 'Smart School Monitor'
+  };
+}
+
 function showEmailTemplateEditor(templateId) {
   currentEmailTemplate = null;
   document.getElementById('email-template-id').value = '';
@@ -12561,6 +15726,8 @@ function previewEmailTemplate() {
   var sampleData;
   if (templateType === 'manufacturer') {
     sampleData = getManufacturerSampleData();
+  } else if (templateType === 'purchase_order') {
+    sampleData = getPurchaseOrderSampleData();
   } else {
     sampleData = {
       'employeeName': 'John Smith',
@@ -12600,6 +15767,8 @@ function previewSavedTemplate(templateId) {
   var sampleData;
   if (template.type === 'manufacturer') {
     sampleData = getManufacturerSampleData();
+  } else if (template.type === 'purchase_order') {
+    sampleData = getPurchaseOrderSampleData();
   } else {
     sampleData = {
       'employeeName': 'John Smith',
@@ -12668,6 +15837,8 @@ function resetToDefaultTemplate() {
       var defaultTemplate;
       if (templateType === 'manufacturer') {
         defaultTemplate = getDefaultManufacturerEmailTemplate();
+      } else if (templateType === 'purchase_order') {
+        defaultTemplate = getDefaultPurchaseOrderEmailTemplate();
       } else {
         defaultTemplate = getDefaultEmailTemplate();
       }
@@ -12678,6 +15849,13 @@ function resetToDefaultTemplate() {
   });
 }
 
+function getDefaultPurchaseOrderEmailTemplate() {
+  return {
+    subject: 'Purchase Order {{poNumber}}: {{quantity}} x {{sku}} {{itemName}}',
+    htmlBody: '<!DOCTYPE html>\n<html>\n<head>\n  <meta charset="UTF-8">\n</head>\n<body style="font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; line-height: 1.6; color: #333; background: #f5f5f5; margin: 0; padding: 0;">\n  <div style="max-width: 600px; margin: 20px auto; background: #fff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">\n    <div style="background: linear-gradient(135deg, #0ea5e9 0%, #2563eb 100%); color: white; padding: 30px 20px; text-align: center;">\n      <h1 style="margin: 0; font-size: 24px;">&#128230; Purchase Order</h1>\n      <p style="margin: 10px 0 0 0; opacity: 0.9; font-size: 14px;">{{poNumber}}</p>\n    </div>\n    <div style="padding: 30px 20px;">\n      <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-bottom: 20px;">\n        <tr style="background: #f8fafc;"><th style="text-align: left; padding: 10px; border-bottom: 1px solid #e2e8f0;">SKU</th><th style="text-align: left; padding: 10px; border-bottom: 1px solid #e2e8f0;">Item</th><th style="text-align: right; padding: 10px; border-bottom: 1px solid #e2e8f0;">Qty</th><th style="text-align: right; padding: 10px; border-bottom: 1px solid #e2e8f0;">Unit</th><th style="text-align: right; padding: 10px; border-bottom: 1px solid #e2e8f0;">Total</th></tr>\n        <tr><td style="padding: 10px; font-family: monospace;">{{sku}}</td><td style="padding: 10px;">{{itemName}}</td><td style="padding: 10px; text-align: right;">{{quantity}}</td><td style="padding: 10px; text-align: right;">{{unitCost}}</td><td style="padding: 10px; text-align: right; font-weight: 600;">{{totalCost}}</td></tr>\n      </table>\n\n      <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin-bottom: 20px; font-size: 14px;">\n        <div><strong>Deliver to:</strong> {{deliverTo}}</div>\n        <div><strong>For device:</strong> {{deviceName}} {{model}}</div>\n        <div><strong>Supply:</strong> {{supplyName}} {{level}}</div>\n        <div><strong>Reason:</strong> {{reason}}</div>\n      </div>\n\n      <div style="background: #f0f9ff; border-left: 4px solid #0ea5e9; padding: 15px; border-radius: 0 8px 8px 0; font-size: 14px;">{{notes}}</div>\n    </div>\n    <div style="background: #f8fafc; padding: 20px; text-align: center; font-size: 12px; color: #64748b; border-top: 1px solid #e2e8f0;">\n      <p style="margin: 5px 0;"><strong>{{schoolName}}</strong></p>\n      <p style="margin: 5px 0;">Purchase order generated on {{dateTime}}</p>\n      <p style="font-size: 11px; color: #94a3b8; margin: 5px 0;">Please reply to confirm the order and expected delivery date.</p>\n    </div>\n  </div>\n</body>\n</html>'
+  };
+}
+
 function getDefaultManufacturerEmailTemplate() {
   return {
     subject: 'Repair Request: {{deviceName}} - {{model}}',
@@ -12761,7 +15939,7 @@ function loadHelpdeskSettings() {
         }
       }
     })
-    .getSettings();
+    .getAppConfig();
 }
 
 function saveHelpdeskSiteNumber() {
@@ -13501,6 +16679,8 @@ function processEmailQueueNow() {
 var SHEET_DESCRIPTIONS = {
   'Devices': 'All monitored printers, copiers, and network devices',
   'SupplyHistory': 'Historical supply level data (toner, drums, etc.)',
+  'PageCountHistory': 'Page counter readings per device (print volume history)',
+  'DeviceStatusHistory': 'Online/offline/issue periods per device (availability history)',
   'SNMPTraps': 'SNMP trap events received from devices',
   'EmailConfig': 'Email notification configuration settings',
   'EmailHistory': 'Log of all sent email notifications',
@@ -13517,7 +16697,24 @@ var SHEET_DESCRIPTIONS = {
   'EmailQueue': 'Pending emails waiting to be sent',
   'AITraining': 'AI training data for service request routing',
   'ComputerRepairs': 'Computer repair tickets and tracking',
-  'CRTraining': 'Computer repair AI training data'
+  'CRTraining': 'Computer repair AI training data',
+  'TrapCommunities': 'Per-device SNMP trap community allowlist',
+  'GatewayReports': 'Audit of what each gateway reported (accepted and rejected)',
+  'Consumables': 'Cartridge SKUs and the device models they fit',
+  'ConsumableStock': 'Consumables on hand per location',
+  'ConsumableUsage': 'Cartridge replacements and stock adjustments',
+  'ReorderRequests': 'Consumable reorder requests and purchase orders',
+  'AlertRules': 'Alert rules: trap, supply and offline conditions and their actions',
+  'AlertEvents': 'Alerts raised by the alert rules, with actions taken and escalation',
+  'TrapDictionaries': 'Vendor trap dictionaries and the enterprise OID they apply to',
+  'TrapDictionaryCodes': 'Vendor alert codes: message, severity and ignore flag',
+  'MibModules': 'Uploaded vendor MIB modules',
+  'MibObjects': 'OIDs parsed from the MIB files: names, descriptions and value labels',
+  'TrapArchives': 'Trap archive files written by the retention job, with row counts',
+  'SlaPolicies': 'Service request SLA targets by issue and device type',
+  'AssignmentLog': 'Who each service request was assigned to and why',
+  'TechnicianShifts': 'Weekly technician shifts',
+  'TechnicianPto': 'Technician PTO days'
 };
 
 // Track last backup time
@@ -13525,6 +16722,8 @@ var lastBackupTime = null;
 
 function loadDataManagement() {
   loadSheetStats();
+  loadBackups();
+  loadTrapRetention();
 }
 
 function loadSheetStats() {
@@ -13603,7 +16802,8 @@ function renderSheetsTable(stats) {
         '</div>' +
       '</td>' +
       '<td><span class="sheet-key-badge">' + escapeHtml(s.sheetKey) + '</span></td>' +
-      '<td><span class="' + recordsClass + '">' + formatNumber(s.rowCount) + '</span></td>' +
+      '<td><span class="' + recordsClass + '">' + formatNumber(s.rowCount) + '</span>' +
+        (s.archivedCount ? '<br><small class="text-muted">+' + formatNumber(s.archivedCount) + ' archived</small>' : '') + '</td>' +
       '<td><span style="font-family:monospace; font-size:12px; color:var(--text-secondary);" title="' + dimStr + '">' + cellStr + '</span></td>' +
       '<td><span class="sheet-description">' + escapeHtml(description) + '</span></td>' +
       '<td>' +
@@ -13688,16 +16888,371 @@ function createFullBackup() {
       showToast('Full backup created successfully!', 'success');
     })
     .withFailureHandler(function(err) {
-      showToast('Backup failed: ' + err.message, 'error');
+      showToast('Backup failed: ' + err.message, 'error');
+    })
+    .createFullBackup();
+}
+
+function updateLastBackupDisplay() {
+  var display = document.getElementById('last-backup-time');
+  if (!display) return;
+  var parts = [];
+  if (lastBackupTime) parts.push('Last download: ' + lastBackupTime.toLocaleString());
+  var latest = serverBackups.find(function(b) { return b.kind !== 'pre-migrate' && b.kind !== 'pre-restore'; });
+  if (latest) parts.push('Last server backup: ' + new Date(latest.createdAt).toLocaleString());
+  if (parts.length) display.textContent = parts.join(' · ');
+}
+
+// ============================================
+// SCHEDULED BACKUPS (server-side snapshots)
+// ============================================
+
+var serverBackups = [];
+
+var BACKUP_KIND_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  manual: 'Manual',
+  'pre-restore': 'Before restore',
+  'pre-migrate': 'Before migration'
+};
+
+function formatBackupSize(bytes) {
+  if (!bytes) return '—';
+  if (bytes < 1024 * 1024) return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+  return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+}
+
+function loadBackups() {
+  var body = document.getElementById('backups-body');
+  if (!body) return;
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">' + escapeHtml((result && result.error) || 'Error loading backups') + '</td></tr>';
+        return;
+      }
+      serverBackups = result.backups || [];
+      fillBackupSettings(result.status || {});
+      renderBackups();
+      updateLastBackupDisplay();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading backups: ' + err.message, 'error');
+    })
+    .getBackups();
+}
+
+function fillBackupSettings(status) {
+  var enabled = document.getElementById('backup-enabled');
+  if (enabled) enabled.checked = !!status.enabled;
+  var fields = { 'backup-hour': status.hour, 'backup-keep-daily': status.keepDaily, 'backup-keep-weekly': status.keepWeekly };
+  Object.keys(fields).forEach(function(id) {
+    var input = document.getElementById(id);
+    if (input && document.activeElement !== input) input.value = fields[id];
+  });
+  var dir = document.getElementById('backup-directory');
+  if (dir) {
+    dir.textContent = 'Stored in ' + (status.directory || '') +
+      (status.lastError ? ' · Last scheduled backup failed: ' + status.lastError : '');
+  }
+}
+
+function renderBackups() {
+  var body = document.getElementById('backups-body');
+  if (!body) return;
+  if (serverBackups.length === 0) {
+    body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No backups yet</td></tr>';
+    return;
+  }
+  body.innerHTML = serverBackups.map(function(b, index) {
+    return '<tr>' +
+      '<td title="' + escapeHtml(b.id).replace(/"/g, '&quot;') + '">' + escapeHtml(new Date(b.createdAt).toLocaleString()) +
+        '<br><small class="text-muted">' + getTimeAgo(b.createdAt) + (b.createdBy ? ' by ' + escapeHtml(b.createdBy) : '') + '</small></td>' +
+      '<td>' + escapeHtml(BACKUP_KIND_LABELS[b.kind] || b.kind) +
+        (b.schemaVersion ? '<br><small class="text-muted">schema v' + b.schemaVersion + '</small>' : '') + '</td>' +
+      '<td>' + formatBackupSize(b.dbBytes) + '</td>' +
+      '<td>' + (b.blueprintFiles === null || b.blueprintFiles === undefined ? '<span class="text-muted">Not included</span>' : b.blueprintFiles + ' files') + '</td>' +
+      '<td style="white-space: nowrap;">' +
+        '<button type="button" class="btn btn-outline btn-sm" onclick="restoreServerBackup(' + index + ')"><i data-lucide="history"></i> Restore</button> ' +
+        '<button type="button" class="btn btn-ghost btn-sm text-danger" onclick="deleteServerBackup(' + index + ')" title="Delete backup"><i data-lucide="trash-2"></i></button>' +
+      '</td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function createBackupNow() {
+  var btn = document.getElementById('backup-now-btn');
+  if (btn) btn.disabled = true;
+  showToast('Backing up database and floor plans...', 'info');
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (btn) btn.disabled = false;
+      if (result.success) {
+        showToast('Backup created', 'success');
+        loadBackups();
+      } else {
+        showToast('Backup failed: ' + (result.error || 'Unknown error'), 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      if (btn) btn.disabled = false;
+      showToast('Backup failed: ' + err.message, 'error');
+    })
+    .createBackupNow();
+}
+
+function saveBackupSettings() {
+  var settings = {
+    enabled: document.getElementById('backup-enabled')?.checked || false,
+    hour: parseInt(document.getElementById('backup-hour')?.value),
+    keepDaily: parseInt(document.getElementById('backup-keep-daily')?.value),
+    keepWeekly: parseInt(document.getElementById('backup-keep-weekly')?.value)
+  };
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Backup schedule saved' + (result.rotated ? ' (' + result.rotated + ' old backups removed)' : ''), 'success');
+        loadBackups();
+      } else {
+        showToast(result.error || 'Error saving backup schedule', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving backup schedule: ' + err.message, 'error');
+    })
+    .saveBackupSettings(settings);
+}
+
+function restoreServerBackup(index) {
+  var b = serverBackups[index];
+  if (!b) return;
+
+  google.script.run
+    .withSuccessHandler(function(check) {
+      if (!check || !check.success) {
+        showToast((check && check.error) || 'Error checking backup', 'error');
+        return;
+      }
+      if (!check.valid) {
+        showToast('This backup cannot be restored: ' + (check.errors || []).join('; '), 'error');
+        return;
+      }
+      var devices = check.tables && check.tables.devices !== undefined ? check.tables.devices + ' devices, ' : '';
+      showConfirmCard({
+        title: 'Restore Backup',
+        message: 'Replace all current data with the backup from <strong>' + escapeHtml(new Date(b.createdAt).toLocaleString()) + '</strong> (' +
+          devices + 'schema v' + check.schemaVersion + ')?' +
+          (b.blueprintFiles === null || b.blueprintFiles === undefined ? ' Floor plan images are not part of this restore point and stay as they are.' : ' Floor plan images are replaced too.') +
+          ' A backup of the current data is taken first. The page reloads when the restore finishes.',
+        type: 'danger',
+        confirmText: 'Restore',
+        onConfirm: function() {
+          showToast('Restoring backup...', 'info');
+          google.script.run
+            .withSuccessHandler(function(result) {
+              if (result.success) {
+                showToast('Backup restored. Reloading...', 'success');
+                setTimeout(function() { window.location.reload(); }, 1500);
+              } else {
+                showToast('Restore failed: ' + (result.error || 'Unknown error'), 'error');
+              }
+            })
+            .withFailureHandler(function(err) {
+              showToast('Restore failed: ' + err.message, 'error');
+            })
+            .restoreBackup(b.id);
+        }
+      });
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error checking backup: ' + err.message, 'error');
+    })
+    .validateBackup(b.id);
+}
+
+function deleteServerBackup(index) {
+  var b = serverBackups[index];
+  if (!b) return;
+  showConfirmCard({
+    title: 'Delete Backup',
+    message: 'Delete the ' + escapeHtml((BACKUP_KIND_LABELS[b.kind] || b.kind).toLowerCase()) + ' backup from <strong>' +
+      escapeHtml(new Date(b.createdAt).toLocaleString()) + '</strong>? This cannot be undone.',
+    type: 'danger',
+    confirmText: 'Delete Backup',
+    onConfirm: function() {
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (result.success) {
+            showToast('Backup deleted', 'success');
+            loadBackups();
+          } else {
+            showToast(result.error || 'Error deleting backup', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          showToast('Error deleting backup: ' + err.message, 'error');
+        })
+        .deleteBackup(b.id);
+    }
+  });
+}
+
+// ============================================
+// TRAP RETENTION (Data Management)
+// ============================================
+
+var trapArchives = [];
+var TRAP_RETENTION_STATES = ['resolved', 'open'];
+var TRAP_RETENTION_SEVERITIES = ['info', 'warning', 'critical'];
+
+function loadTrapRetention() {
+  var body = document.getElementById('trap-archives-body');
+  if (!body) return;
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">' + escapeHtml((result && result.error) || 'Error loading trap archives') + '</td></tr>';
+        return;
+      }
+      trapArchives = result.archives || [];
+      fillTrapRetention(result.status || {}, result.preview || {});
+      renderTrapArchives();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error loading trap retention: ' + err.message, 'error');
+    })
+    .getTrapRetention();
+}
+
+function fillTrapRetention(status, preview) {
+  var enabled = document.getElementById('trap-archive-enabled');
+  if (enabled) enabled.checked = !!status.enabled;
+  var hour = document.getElementById('trap-archive-hour');
+  if (hour && document.activeElement !== hour) hour.value = status.hour;
+  TRAP_RETENTION_STATES.forEach(function(state) {
+    TRAP_RETENTION_SEVERITIES.forEach(function(severity) {
+      var input = document.getElementById('trap-retention-' + state + '-' + severity);
+      if (input && document.activeElement !== input) input.value = ((status.retention || {})[state] || {})[severity];
+    });
+  });
+
+  var summary = document.getElementById('trap-retention-summary');
+  if (summary) {
+    summary.textContent = formatNumber(status.liveCount || 0) + ' live trap(s), ' + formatNumber(status.archivedCount || 0) + ' archived · ' +
+      (preview.total ? formatNumber(preview.total) + ' past retention now' : 'nothing past retention') +
+      (status.lastRun ? ' · Last run ' + getTimeAgo(status.lastRun) : '') +
+      (status.lastError ? ' · Last run failed: ' + status.lastError : '');
+  }
+  var dir = document.getElementById('trap-archive-directory');
+  if (dir) dir.textContent = 'Stored in ' + (status.directory || '');
+}
+
+function renderTrapArchives() {
+  var body = document.getElementById('trap-archives-body');
+  if (!body) return;
+  if (trapArchives.length === 0) {
+    body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No traps archived yet</td></tr>';
+    return;
+  }
+  body.innerHTML = trapArchives.map(function(a, index) {
+    var severities = Object.keys(a.bySeverity || {}).map(function(k) { return a.bySeverity[k] + ' ' + k; }).join(', ');
+    return '<tr>' +
+      '<td title="' + escapeHtml(a.fileName).replace(/"/g, '&quot;') + '">' + escapeHtml(new Date(a.archivedAt).toLocaleString()) +
+        '<br><small class="text-muted">' + getTimeAgo(a.archivedAt) + '</small></td>' +
+      '<td>' + formatNumber(a.rowCount) + (severities ? '<br><small class="text-muted">' + escapeHtml(severities) + '</small>' : '') + '</td>' +
+      '<td>' + (a.oldestAt ? escapeHtml(new Date(a.oldestAt).toLocaleDateString()) + ' – ' + escapeHtml(new Date(a.newestAt).toLocaleDateString()) : '') + '</td>' +
+      '<td>' + (a.exists ? formatBackupSize(a.bytes) : '<span class="text-muted">File missing</span>') + '</td>' +
+      '<td>' + (a.exists ? '<button type="button" class="btn btn-outline btn-sm" onclick="downloadTrapArchive(' + index + ')"><i data-lucide="download"></i> JSONL</button>' : '') + '</td>' +
+      '</tr>';
+  }).join('');
+  lucide.createIcons();
+}
+
+function saveTrapRetention() {
+  var retention = {};
+  TRAP_RETENTION_STATES.forEach(function(state) {
+    retention[state] = {};
+    TRAP_RETENTION_SEVERITIES.forEach(function(severity) {
+      retention[state][severity] = parseInt(document.getElementById('trap-retention-' + state + '-' + severity)?.value);
+    });
+  });
+  var settings = {
+    enabled: document.getElementById('trap-archive-enabled')?.checked || false,
+    hour: parseInt(document.getElementById('trap-archive-hour')?.value),
+    retention: retention
+  };
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Trap retention saved', 'success');
+        loadTrapRetention();
+      } else {
+        showToast(result.error || 'Error saving trap retention', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving trap retention: ' + err.message, 'error');
+    })
+    .saveTrapRetention(settings);
+}
+
+function archiveTrapsNow() {
+  showConfirmCard({
+    title: 'Archive Traps',
+    message: 'Move every trap past its saved retention period to an archive file now? Archived traps no longer appear in the app.',
+    type: 'warn',
+    confirmText: 'Archive',
+    onConfirm: function() {
+      var btn = document.getElementById('trap-archive-now-btn');
+      if (btn) btn.disabled = true;
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (btn) btn.disabled = false;
+          if (result.success) {
+            showToast(result.archived ? 'Archived ' + formatNumber(result.archived) + ' trap(s)' : 'No traps past retention', 'success');
+            loadTrapRetention();
+            loadSheetStats();
+          } else {
+            showToast(result.error || 'Error archiving traps', 'error');
+          }
+        })
+        .withFailureHandler(function(err) {
+          if (btn) btn.disabled = false;
+          showToast('Error archiving traps: ' + err.message, 'error');
+        })
+        .archiveTrapsNow();
+    }
+  });
+}
+
+function downloadTrapArchive(index) {
+  var archive = trapArchives[index];
+  if (!archive) return;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result.success) {
+        showToast(result.error || 'Error downloading archive', 'error');
+        return;
+      }
+      var blob = new Blob([result.content], { type: 'application/x-ndjson' });
+      var url = URL.createObjectURL(blob);
+      var a = document.createElement('a');
+      a.href = url;
+      a.download = result.fileName.replace(/\.gz$/, '');
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error downloading archive: ' + err.message, 'error');
     })
-    .createFullBackup();
-}
-
-function updateLastBackupDisplay() {
-  var display = document.getElementById('last-backup-time');
-  if (display && lastBackupTime) {
-    display.textContent = 'Last backup: ' + lastBackupTime.toLocaleString();
-  }
+    .downloadTrapArchive(archive.id);
 }
 
 // ============================================
@@ -13901,7 +17456,7 @@ function renderDataManagementCards(stats) {
     html += '<div class="data-mgmt-card">' +
       '<div class="data-mgmt-card-header">' +
         '<span class="data-mgmt-card-name">' + escapeHtml(s.sheetName) + '</span>' +
-        '<span class="' + badgeClass + '">' + s.rowCount + ' rows</span>' +
+        '<span class="' + badgeClass + '">' + s.rowCount + ' rows' + (s.archivedCount ? ' · ' + s.archivedCount + ' archived' : '') + '</span>' +
       '</div>' +
       '<div class="data-mgmt-actions">' +
         '<button class="btn btn-outline btn-sm" onclick="exportSheetCSV(\'' + escapeHtml(s.sheetName) + '\')">' +
@@ -14038,6 +17593,162 @@ function submitCsvImport() {
   reader.readAsText(file);
 }
 
+// ============================================
+// RESTORE FROM BACKUP FILE (Create Backup JSON)
+// ============================================
+
+var jsonRestorePreviewed = false;
+
+function openJsonRestoreModal() {
+  var fileInput = document.getElementById('json-restore-file');
+  if (fileInput) fileInput.value = '';
+  resetJsonRestorePreview();
+  document.getElementById('json-restore-modal').classList.add('active');
+  setTimeout(function() { lucide.createIcons(); }, 50);
+}
+
+function closeJsonRestoreModal() {
+  document.getElementById('json-restore-modal').classList.remove('active');
+}
+
+// Any change to the file or mode needs a fresh preview before restoring
+function resetJsonRestorePreview() {
+  jsonRestorePreviewed = false;
+  var btn = document.getElementById('json-restore-btn');
+  if (btn) btn.disabled = true;
+  var results = document.getElementById('json-restore-results');
+  if (results) results.style.display = 'none';
+  showJsonRestoreStatus('', '');
+}
+
+function showJsonRestoreStatus(kind, text) {
+  var statusEl = document.getElementById('json-restore-status');
+  if (!statusEl) return;
+  var colors = {
+    info: ['#eff6ff', '#2563eb'],
+    success: ['#f0fdf4', '#16a34a'],
+    warning: ['#fffbeb', '#b45309'],
+    error: ['#fef2f2', '#dc2626']
+  };
+  if (!kind) {
+    statusEl.style.display = 'none';
+    return;
+  }
+  statusEl.style.display = 'block';
+  statusEl.style.background = colors[kind][0];
+  statusEl.style.color = colors[kind][1];
+  statusEl.textContent = text;
+}
+
+function renderJsonRestoreResults(result) {
+  var body = document.getElementById('json-restore-body');
+  var wrapper = document.getElementById('json-restore-results');
+  if (!body || !wrapper) return;
+
+  var rows = (result.tables || []).map(function(t) {
+    var notes = [];
+    if (t.ignoredColumns && t.ignoredColumns.length) notes.push('Ignored columns: ' + t.ignoredColumns.join(', '));
+    (t.errors || []).forEach(function(e) { notes.push(e); });
+    return '<tr>' +
+      '<td><strong>' + escapeHtml(t.sheet) + '</strong></td>' +
+      '<td>' + t.inserted + '</td>' +
+      '<td>' + t.updated + '</td>' +
+      '<td>' + t.skipped + '</td>' +
+      '<td>' + (result.mode === 'replace' ? t.deleted : '<span class="text-muted">—</span>') + '</td>' +
+      '<td><small class="text-muted">' + escapeHtml(notes.join('; ')) + '</small></td>' +
+      '</tr>';
+  });
+  (result.unknownSheets || []).forEach(function(name) {
+    rows.push('<tr><td><strong>' + escapeHtml(name) + '</strong></td><td colspan="4" class="text-muted">—</td>' +
+      '<td><small class="text-muted">Not a known sheet; ignored</small></td></tr>');
+  });
+  body.innerHTML = rows.join('');
+  wrapper.style.display = 'block';
+}
+
+function runJsonRestore(dryRun) {
+  var fileInput = document.getElementById('json-restore-file');
+  if (!fileInput || !fileInput.files || !fileInput.files[0]) {
+    showToast('Please select a backup file.', 'warning');
+    return;
+  }
+  if (!dryRun && !jsonRestorePreviewed) {
+    showToast('Preview the restore first.', 'warning');
+    return;
+  }
+  var modeInput = document.querySelector('input[name="json-restore-mode"]:checked');
+  var mode = modeInput ? modeInput.value : 'merge';
+
+  var reader = new FileReader();
+  reader.onload = function(e) {
+    var payload;
+    try {
+      payload = JSON.parse(e.target.result);
+    } catch (err) {
+      showJsonRestoreStatus('error', 'This file is not valid JSON: ' + err.message);
+      return;
+    }
+
+    var send = function() {
+      var previewBtn = document.getElementById('json-restore-preview-btn');
+      var restoreBtn = document.getElementById('json-restore-btn');
+      if (previewBtn) previewBtn.disabled = true;
+      if (restoreBtn) restoreBtn.disabled = true;
+      showJsonRestoreStatus('info', dryRun ? 'Checking backup...' : 'Restoring...');
+
+      google.script.run
+        .withSuccessHandler(function(result) {
+          if (previewBtn) previewBtn.disabled = false;
+          if (!result || !result.success) {
+            showJsonRestoreStatus('error', 'Error: ' + (result ? result.error : 'Unknown error'));
+            if (restoreBtn) restoreBtn.disabled = !jsonRestorePreviewed;
+            return;
+          }
+          renderJsonRestoreResults(result);
+          var totals = (result.tables || []).reduce(function(sum, t) {
+            sum.inserted += t.inserted;
+            sum.updated += t.updated;
+            sum.skipped += t.skipped;
+            return sum;
+          }, { inserted: 0, updated: 0, skipped: 0 });
+          var counts = totals.inserted + ' inserted, ' + totals.updated + ' updated, ' + totals.skipped + ' skipped';
+
+          if (dryRun) {
+            jsonRestorePreviewed = true;
+            if (restoreBtn) restoreBtn.disabled = false;
+            showJsonRestoreStatus('warning', 'Preview only, nothing changed yet: ' + counts +
+              (result.backupDate ? ' (backup from ' + new Date(result.backupDate).toLocaleString() + ')' : '') + '.');
+            return;
+          }
+          showJsonRestoreStatus('success', 'Restore complete: ' + counts + '. Reloading...');
+          showToast('Backup restored', 'success');
+          setTimeout(function() { window.location.reload(); }, 1500);
+        })
+        .withFailureHandler(function(err) {
+          if (previewBtn) previewBtn.disabled = false;
+          if (restoreBtn) restoreBtn.disabled = !jsonRestorePreviewed;
+          showJsonRestoreStatus('error', 'Error: ' + err.message);
+        })
+        .restoreFromJSON(payload, { mode: mode, dryRun: dryRun });
+    };
+
+    if (dryRun) {
+      send();
+      return;
+    }
+    showConfirmCard({
+      title: 'Restore from Backup File',
+      message: mode === 'replace'
+        ? 'Delete the current rows of every sheet in this file and load the backup in their place? A pre-restore backup is taken first.'
+        : 'Add and update rows from this backup file? Rows that are not in the file are kept.',
+      type: mode === 'replace' ? 'danger' : 'warn',
+      confirmText: 'Restore',
+      onConfirm: send
+    });
+  };
+  reader.readAsText(fileInput.files[0]);
+}
+
 function clearSheetData(sheetName, rowCount) {
   showConfirmCard({
     type: 'danger',
@@ -14052,7 +17763,9 @@ function clearSheetData(sheetName, rowCount) {
             showToast('Clear failed: ' + (result ? result.error : 'Unknown error'), 'error');
             return;
           }
-          showToast('Cleared ' + result.rowsDeleted + ' rows from ' + sheetName, 'success');
+          showToast(result.recycled
+            ? 'Moved ' + result.rowsDeleted + ' rows from ' + sheetName + ' to the Recycle Bin'
+            : 'Cleared ' + result.rowsDeleted + ' rows from ' + sheetName, 'success');
           loadDataManagement();
         })
         .withFailureHandler(function(err) {
@@ -14195,6 +17908,10 @@ function loadAnalytics() {
       showToast('Analytics error: ' + err.message, 'error');
     })
     .getAnalyticsData();
+
+  loadPrintVolume();
+  loadAvailability();
+  loadTechPerformance();
 }
 
 function renderAnalyticsSummary(summary) {
@@ -14366,6 +18083,532 @@ function renderAiPerformance(ai) {
   container.innerHTML = html;
 }
 
+// ----- Print Volume -----
+
+var printVolumeReport = null;
+
+function formatCost(value, digits) {
+  if (value === null || value === undefined) return '—';
+  return Number(value).toFixed(digits === undefined ? 2 : digits);
+}
+
+function getPrintVolumeOptions() {
+  return {
+    groupBy: document.getElementById('pv-group-by')?.value || 'device',
+    interval: document.getElementById('pv-interval')?.value || 'day',
+    from: document.getElementById('pv-from')?.value || '',
+    to: document.getElementById('pv-to')?.value || ''
+  };
+}
+
+function loadPrintVolume() {
+  var chart = document.getElementById('chart-print-volume');
+  if (!chart) return;
+  chart.innerHTML = '<p class="text-muted">Loading...</p>';
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        chart.innerHTML = '<p class="text-muted">' + escapeHtml((result && result.error) || 'Failed to load print volume.') + '</p>';
+        return;
+      }
+      printVolumeReport = result.report;
+      // Show the range the server picked when the filters were left empty
+      var from = document.getElementById('pv-from');
+      var to = document.getElementById('pv-to');
+      if (from && !from.value) from.value = printVolumeReport.from;
+      if (to && !to.value) to.value = printVolumeReport.to;
+      var cost = document.getElementById('pv-default-cost');
+      if (cost && document.activeElement !== cost) cost.value = printVolumeReport.defaultCostPerPage || 0;
+      renderPrintVolume(printVolumeReport);
+    })
+    .withFailureHandler(function(err) {
+      chart.innerHTML = '<p class="text-muted">Failed to load print volume.</p>';
+      showToast('Print volume error: ' + err.message, 'error');
+    })
+    .getPrintVolumeReport(getPrintVolumeOptions());
+}
+
+function renderPrintVolume(report) {
+  var summary = document.getElementById('pv-summary');
+  if (summary) {
+    var parts = [
+      '<strong>' + report.totals.pages.toLocaleString() + '</strong> pages',
+      report.rows.length + ' ' + (report.groupBy === 'location' ? 'location' : 'device') + (report.rows.length === 1 ? '' : 's'),
+      'Estimated cost <strong>' + formatCost(report.totals.cost) + '</strong>'
+    ];
+    if (report.totals.unpricedPages > 0) {
+      parts.push('<span class="text-muted">' + report.totals.unpricedPages.toLocaleString() + ' pages without a price</span>');
+    }
+    summary.innerHTML = parts.join(' &middot; ');
+  }
+
+  var chart = document.getElementById('chart-print-volume');
+  if (chart) {
+    if (report.totals.pages === 0) {
+      chart.innerHTML = '<div class="analytics-empty"><p>No pages recorded in this range. Page counts are collected each time a device is polled.</p></div>';
+    } else {
+      var max = 0;
+      report.periods.forEach(function(p) { max = Math.max(max, report.totals.periods[p] || 0); });
+      var showCounts = report.periods.length <= 12;
+      var html = '<div class="bar-chart-v">';
+      report.periods.forEach(function(p) {
+        var pages = report.totals.periods[p] || 0;
+        var height = Math.max(2, Math.round((max > 0 ? pages / max : 0) * 180));
+        html += '<div class="bar-col" title="' + p + ': ' + pages.toLocaleString() + ' pages">' +
+          (showCounts ? '<span class="bar-col-count">' + (pages > 0 ? pages.toLocaleString() : '') + '</span>' : '') +
+          '<div class="bar-col-fill" style="height:' + height + 'px;"></div>' +
+          '<span class="bar-col-label">' + (report.interval === 'month' ? p : p.slice(5)) + '</span>' +
+        '</div>';
+      });
+      html += '</div>';
+      chart.innerHTML = html;
+    }
+  }
+
+  var head = document.getElementById('pv-table-head');
+  var body = document.getElementById('pv-table-body');
+  if (!head || !body) return;
+  var byLocation = report.groupBy === 'location';
+  head.innerHTML = '<tr>' + (byLocation
+    ? '<th>Location</th><th>Devices</th>'
+    : '<th>Device</th><th>Location</th><th>Model</th>') +
+    '<th>Pages</th><th>Share</th><th>Cost / Page</th><th>Est. Cost</th></tr>';
+  var colspan = byLocation ? 6 : 7;
+  if (report.rows.length === 0) {
+    body.innerHTML = '<tr><td colspan="' + colspan + '" class="text-center text-muted">No pages recorded in this range</td></tr>';
+    return;
+  }
+  body.innerHTML = report.rows.map(function(r) {
+    var share = report.totals.pages > 0 ? Math.round(r.pages / report.totals.pages * 1000) / 10 : 0;
+    var costTitle = r.costSource === 'default' ? 'Default cost per page' : r.costSource === 'mixed' ? 'Partly from the default cost per page' : '';
+    return '<tr>' +
+      (byLocation
+        ? '<td>' + escapeHtml(r.name) + '</td><td>' + r.devices + '</td>'
+        : '<td>' + escapeHtml(r.name) + '</td><td>' + escapeHtml(r.location || '') + '</td><td>' + escapeHtml(r.model || '') + '</td>') +
+      '<td>' + r.pages.toLocaleString() + '</td>' +
+      '<td>' + share + '%</td>' +
+      '<td' + (costTitle ? ' title="' + costTitle + '"' : '') + '>' + formatCost(r.costPerPage, 4) + (r.costSource === 'default' ? ' <small class="text-muted">default</small>' : '') + '</td>' +
+      '<td>' + formatCost(r.cost) + '</td>' +
+      '</tr>';
+  }).join('');
+}
+
+function savePrintVolumeSettings() {
+  var value = document.getElementById('pv-default-cost')?.value;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Default cost per page saved', 'success');
+        loadPrintVolume();
+      } else {
+        showToast(result.error || 'Error saving cost per page', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving cost per page: ' + err.message, 'error');
+    })
+    .savePrintVolumeSettings({ defaultCostPerPage: value });
+}
+
+function getPrintVolumeFileName(ext) {
+  var r = printVolumeReport;
+  return 'print_volume_' + r.groupBy + '_' + r.interval + '_' + r.from + '_' + r.to + '.' + ext;
+}
+
+// One row per device/location and period, so the file can be pivoted for billing
+function exportPrintVolumeCsv() {
+  var r = printVolumeReport;
+  if (!r || r.rows.length === 0) {
+    showToast('No print volume to export', 'warning');
+    return;
+  }
+  var byLocation = r.groupBy === 'location';
+  var headers = [r.interval === 'month' ? 'Month' : 'Date'].concat(byLocation ? ['Location'] : ['Device', 'Location', 'Model'], ['Pages', 'Cost Per Page', 'Estimated Cost']);
+  var csvRows = [headers.join(',')];
+  r.rows.forEach(function(row) {
+    r.periods.forEach(function(period) {
+      var pages = row.periods[period];
+      if (!pages) return;
+      var values = [period].concat(
+        byLocation ? [row.name] : [row.name, row.location || '', row.model || ''],
+        [pages, row.costPerPage === null ? '' : row.costPerPage, row.costPerPage === null ? '' : (pages * row.costPerPage).toFixed(2)]
+      ).map(function(val) {
+        var str = String(val).replace(/"/g, '""');
+        return '"' + str + '"';
+      });
+      csvRows.push(values.join(','));
+    });
+  });
+  var csv = csvRows.join('\n');
+  var blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = getPrintVolumeFileName('csv');
+  a.click();
+  URL.revokeObjectURL(url);
+  showToast('Export completed', 'success');
+}
+
+// Opens a printable report; "Save as PDF" in the print dialog produces the PDF
+function exportPrintVolumePdf() {
+  var r = printVolumeReport;
+  if (!r || r.rows.length === 0) {
+    showToast('No print volume to export', 'warning');
+    return;
+  }
+  var printWindow = window.open('', '_blank', 'width=900,height=700');
+  if (!printWindow) { showToast('Please allow pop-ups for printing', 'error'); return; }
+
+  var byLocation = r.groupBy === 'location';
+  var title = 'Print Volume by ' + (byLocation ? 'Location' : 'Device');
+  var summaryRows = r.rows.map(function(row) {
+    return '<tr><td>' + escapeHtml(row.name) + '</td>' +
+      (byLocation ? '<td>' + row.devices + '</td>' : '<td>' + escapeHtml(row.location || '') + '</td><td>' + escapeHtml(row.model || '') + '</td>') +
+      '<td class="num">' + row.pages.toLocaleString() + '</td>' +
+      '<td class="num">' + formatCost(row.costPerPage, 4) + '</td>' +
+      '<td class="num">' + formatCost(row.cost) + '</td></tr>';
+  }).join('');
+  var periodRows = r.periods.map(function(p) {
+    return '<tr><td>' + p + '</td><td class="num">' + (r.totals.periods[p] || 0).toLocaleString() + '</td></tr>';
+  }).join('');
+
+  var html = '<!DOCTYPE html><html><head><title>' + title + '</title>' +
+    '<style>' +
+    'body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; color: #1e293b; margin: 24px; font-size: 12px; }' +
+    'h1 { font-size: 20px; margin: 0 0 4px; } h2 { font-size: 14px; margin: 24px 0 8px; }' +
+    '.meta { color: #64748b; margin-bottom: 16px; }' +
+    'table { width: 100%; border-collapse: collapse; } th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #e2e8f0; }' +
+    'th { background: #f1f5f9; } td.num, th.num { text-align: right; } tfoot td { font-weight: 700; }' +
+    '@page { margin: 16mm; }' +
+    '</style></head><body>' +
+    '<h1>' + title + '</h1>' +
+    '<div class="meta">' + r.from + ' to ' + r.to + ' &middot; generated ' + new Date().toLocaleString() + '</div>' +
+    '<table><thead><tr><th>' + (byLocation ? 'Location</th><th>Devices' : 'Device</th><th>Location</th><th>Model') + '</th>' +
+    '<th class="num">Pages</th><th class="num">Cost / Page</th><th class="num">Est. Cost</th></tr></thead>' +
+    '<tbody>' + summaryRows + '</tbody>' +
+    '<tfoot><tr><td colspan="' + (byLocation ? 2 : 3) + '">Total</td><td class="num">' + r.totals.pages.toLocaleString() + '</td><td></td><td class="num">' + formatCost(r.totals.cost) + '</td></tr></tfoot></table>' +
+    (r.totals.unpricedPages > 0 ? '<p class="meta">' + r.totals.unpricedPages.toLocaleString() + ' pages have no price and are not included in the estimated cost.</p>' : '') +
+    '<h2>' + (r.interval === 'month' ? 'Monthly' : 'Daily') + ' Totals</h2>' +
+    '<table><thead><tr><th>' + (r.interval === 'month' ? 'Month' : 'Date') + '</th><th class="num">Pages</th></tr></thead><tbody>' + periodRows + '</tbody></table>' +
+    '</body></html>';
+
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.onload = function() { setTimeout(function() { printWindow.print(); }, 300); };
+}
+
+// ----- Device Availability -----
+
+var availabilityReport = null;
+
+function formatAvailability(value) {
+  return value === null || value === undefined ? '—' : value.toFixed(value === 100 ? 0 : 2) + '%';
+}
+
+function formatDowntime(seconds) {
+  if (!seconds) return '0m';
+  var minutes = Math.round(seconds / 60);
+  if (minutes < 60) return minutes + 'm';
+  var hours = Math.floor(minutes / 60);
+  if (hours < 48) return hours + 'h ' + (minutes % 60) + 'm';
+  return Math.floor(hours / 24) + 'd ' + (hours % 24) + 'h';
+}
+
+function formatMonthLabel(month) {
+  var d = new Date(month + '-01T00:00:00');
+  return d.toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+}
+
+function availabilityCell(value, target) {
+  var cls = value === null || value === undefined ? 'text-muted' : value < target ? 'availability-miss' : 'availability-ok';
+  return '<td class="' + cls + '">' + formatAvailability(value) + '</td>';
+}
+
+function loadAvailability() {
+  var body = document.getElementById('availability-devices-body');
+  if (!body) return;
+  var months = document.getElementById('availability-months')?.value || 6;
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        body.innerHTML = '<tr><td class="text-center text-muted">' + escapeHtml((result && result.error) || 'Failed to load availability.') + '</td></tr>';
+        return;
+      }
+      availabilityReport = result.report;
+      var target = document.getElementById('availability-target');
+      if (target && document.activeElement !== target) target.value = availabilityReport.target;
+      renderAvailability(availabilityReport);
+    })
+    .withFailureHandler(function(err) {
+      showToast('Availability error: ' + err.message, 'error');
+    })
+    .getAvailabilityReport({ months: months });
+}
+
+function renderAvailability(report) {
+  var months = report.months;
+  var latest = months[months.length - 1];
+  var offenders = report.devices.filter(function(d) { return d.chronic; });
+
+  var summary = document.getElementById('availability-summary');
+  if (summary) {
+    summary.innerHTML = 'Fleet availability this month <strong>' + formatAvailability(report.fleet.months[latest]) + '</strong>' +
+      ' &middot; ' + formatAvailability(report.fleet.availability) + ' over ' + months.length + ' month' + (months.length === 1 ? '' : 's') +
+      ' &middot; target ' + report.target + '%' +
+      ' &middot; <strong>' + offenders.length + '</strong> chronic offender' + (offenders.length === 1 ? '' : 's');
+  }
+
+  var offendersEl = document.getElementById('availability-offenders');
+  if (offendersEl) {
+    offendersEl.innerHTML = offenders.length === 0 ? '' :
+      '<div class="availability-offenders">' +
+        '<strong><i data-lucide="alert-triangle"></i> Chronic offenders</strong>' +
+        '<span class="text-muted"> missed ' + report.target + '% in ' + report.chronicMissedMonths + ' or more months</span>' +
+        '<ul>' + offenders.map(function(d) {
+          return '<li><strong>' + escapeHtml(d.name) + '</strong> <span class="text-muted">' + escapeHtml(d.location || d.type) + '</span> — ' +
+            formatAvailability(d.availability) + ', missed ' + d.missedMonths + ' of ' + months.length + ' months, ' +
+            d.outages + ' outage' + (d.outages === 1 ? '' : 's') + ', ' + formatDowntime(d.offlineSeconds) + ' down</li>';
+        }).join('') + '</ul>' +
+      '</div>';
+  }
+
+  var monthHeaders = months.map(function(m) { return '<th>' + formatMonthLabel(m) + '</th>'; }).join('');
+
+  var typesHead = document.getElementById('availability-types-head');
+  var typesBody = document.getElementById('availability-types-body');
+  if (typesHead && typesBody) {
+    typesHead.innerHTML = '<tr><th>Type</th><th>Devices</th>' + monthHeaders + '<th>Overall</th></tr>';
+    typesBody.innerHTML = report.types.length === 0
+      ? '<tr><td colspan="' + (months.length + 3) + '" class="text-center text-muted">No status changes recorded yet. Availability is tracked from the next poll on.</td></tr>'
+      : report.types.map(function(t) {
+        return '<tr><td>' + escapeHtml(t.type) + '</td><td>' + t.devices + '</td>' +
+          months.map(function(m) { return availabilityCell(t.months[m], report.target); }).join('') +
+          availabilityCell(t.availability, report.target) + '</tr>';
+      }).join('');
+  }
+
+  var devicesHead = document.getElementById('availability-devices-head');
+  var devicesBody = document.getElementById('availability-devices-body');
+  if (devicesHead && devicesBody) {
+    devicesHead.innerHTML = '<tr><th>Device</th><th>Type</th><th>Location</th>' + monthHeaders +
+      '<th>Overall</th><th>Outages</th><th>Downtime</th><th>Longest</th></tr>';
+    devicesBody.innerHTML = report.devices.length === 0
+      ? '<tr><td colspan="' + (months.length + 7) + '" class="text-center text-muted">No devices</td></tr>'
+      : report.devices.map(function(d) {
+        return '<tr' + (d.chronic ? ' class="availability-chronic"' : '') + '>' +
+          '<td>' + escapeHtml(d.name) + (d.chronic ? ' <span class="availability-flag" title="Chronic offender">chronic</span>' : '') +
+            (d.deleted ? ' <small class="text-muted">(deleted)</small>' : '') + '</td>' +
+          '<td>' + escapeHtml(d.type) + '</td>' +
+          '<td>' + escapeHtml(d.location) + '</td>' +
+          months.map(function(m) {
+            var month = d.months[m];
+            return availabilityCell(month.availability, report.target);
+          }).join('') +
+          availabilityCell(d.availability, report.target) +
+          '<td>' + d.outages + '</td>' +
+          '<td>' + formatDowntime(d.offlineSeconds) + '</td>' +
+          '<td>' + formatDowntime(d.longestOutageSeconds) + '</td>' +
+          '</tr>';
+      }).join('');
+  }
+  lucide.createIcons();
+}
+
+function saveAvailabilitySettings() {
+  var value = document.getElementById('availability-target')?.value;
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (result.success) {
+        showToast('Availability target saved', 'success');
+        loadAvailability();
+      } else {
+        showToast(result.error || 'Error saving availability target', 'error');
+      }
+    })
+    .withFailureHandler(function(err) {
+      showToast('Error saving availability target: ' + err.message, 'error');
+    })
+    .saveAvailabilitySettings({ target: value });
+}
+
+function exportAvailabilityCsv() {
+  var r = availabilityReport;
+  if (!r || r.devices.length === 0) {
+    showToast('No availability data to export', 'warning');
+    return;
+  }
+  var headers = ['Device', 'Type', 'Location'].concat(r.months, ['Overall', 'Outages', 'Downtime Hours', 'Longest Outage Hours', 'Months Below Target', 'Chronic Offender']);
+  var csvRows = [headers.join(',')];
+  r.devices.forEach(function(d) {
+    var row = [d.name, d.type, d.location]
+      .concat(r.months.map(function(m) { return d.months[m].availability === null ? '' : d.months[m].availability; }))
+      .concat([
+        d.availability === null ? '' : d.availability,
+        d.outages,
+        (d.offlineSeconds / 3600).toFixed(2),
+        (d.longestOutageSeconds / 3600).toFixed(2),
+        d.missedMonths,
+        d.chronic ? 'Yes' : 'No'
+      ]).map(function(val) {
+        var str = String(val).replace(/"/g, '""');
+        return '"' + str + '"';
+      });
+    csvRows.push(row.join(','));
+  });
+  var csv = csvRows.join('\n');
+  var blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = 'device_availability_' + r.months[0] + '_' + r.months[r.months.length - 1] + '.csv';
+  a.click();
+  URL.revokeObjectURL(url);
+  showToast('Export completed', 'success');
+}
+
+// ----- Technician Performance -----
+
+var techPerformanceReport = null;
+var techPerformanceExpanded = {};
+
+function techPerformanceKey(t) {
+  return t.technicianId || 'name:' + t.name;
+}
+
+function formatTechMinutes(minutes) {
+  return minutes === null || minutes === undefined ? '—' : formatDowntime(minutes * 60);
+}
+
+function formatReopenRate(rate) {
+  return rate === null || rate === undefined ? '—' : rate + '%';
+}
+
+function loadTechPerformance() {
+  var body = document.getElementById('tp-table-body');
+  if (!body) return;
+  var from = document.getElementById('tp-from');
+  var to = document.getElementById('tp-to');
+
+  google.script.run
+    .withSuccessHandler(function(result) {
+      if (!result || !result.success) {
+        body.innerHTML = '<tr><td colspan="8" class="text-center text-muted">' + escapeHtml((result && result.error) || 'Failed to load technician performance.') + '</td></tr>';
+        return;
+      }
+      techPerformanceReport = result.report;
+      // Show the range the server picked when the filters were left empty
+      if (from && !from.value) from.value = techPerformanceReport.from;
+      if (to && !to.value) to.value = techPerformanceReport.to;
+      renderTechPerformance();
+    })
+    .withFailureHandler(function(err) {
+      showToast('Technician performance error: ' + err.message, 'error');
+    })
+    .getTechnicianReport({
+      from: from ? from.value : '',
+      to: to ? to.value : '',
+      source: document.getElementById('tp-source')?.value || 'all'
+    });
+}
+
+function techPerformanceCells(row) {
+  return '<td>' + row.open + '</td>' +
+    '<td>' + row.assigned + '</td>' +
+    '<td>' + row.closed + '</td>' +
+    '<td>' + row.closedPerWeek + '</td>' +
+    '<td>' + formatTechMinutes(row.mttaMinutes) + '</td>' +
+    '<td>' + formatTechMinutes(row.mttrMinutes) + '</td>' +
+    '<td>' + formatReopenRate(row.reopenRate) + (row.reopened ? ' <small class="text-muted">(' + row.reopened + ')</small>' : '') + '</td>';
+}
+
+function renderTechPerformance() {
+  var r = techPerformanceReport;
+  var body = document.getElementById('tp-table-body');
+  if (!r || !body) return;
+  var breakdown = document.getElementById('tp-breakdown')?.value || 'byDeviceType';
+
+  var summary = document.getElementById('tp-summary');
+  if (summary) {
+    summary.innerHTML = '<strong>' + r.totals.closed + '</strong> closed in ' + r.days + ' day' + (r.days === 1 ? '' : 's') +
+      ' (' + r.totals.closedPerWeek + ' a week)' +
+      ' &middot; <strong>' + r.totals.open + '</strong> open now' +
+      ' &middot; assigned in ' + formatTechMinutes(r.totals.mttaMinutes) +
+      ' &middot; resolved in ' + formatTechMinutes(r.totals.mttrMinutes) + ' on average' +
+      ' &middot; reopen rate ' + formatReopenRate(r.totals.reopenRate);
+  }
+
+  if (r.technicians.length === 0) {
+    body.innerHTML = '<tr><td colspan="8" class="text-center text-muted">No work has been assigned to technicians yet</td></tr>';
+    return;
+  }
+  var html = '';
+  r.technicians.forEach(function(t, index) {
+    var key = techPerformanceKey(t);
+    var expanded = !!techPerformanceExpanded[key];
+    html += '<tr class="tp-tech" onclick="toggleTechPerformanceRow(' + index + ')">' +
+      '<td><i data-lucide="' + (expanded ? 'chevron-down' : 'chevron-right') + '"></i> ' + escapeHtml(t.name) + '</td>' +
+      techPerformanceCells(t) + '</tr>';
+    if (expanded) {
+      t[breakdown].forEach(function(b) {
+        html += '<tr class="tp-breakdown"><td>' + escapeHtml(b.name) + '</td>' + techPerformanceCells(b) + '</tr>';
+      });
+    }
+  });
+  html += '<tr class="tp-totals"><td>' + escapeHtml(r.totals.name) + '</td>' + techPerformanceCells(r.totals) + '</tr>';
+  body.innerHTML = html;
+  lucide.createIcons();
+}
+
+function toggleTechPerformanceRow(index) {
+  var t = techPerformanceReport && techPerformanceReport.technicians[index];
+  if (!t) return;
+  var key = techPerformanceKey(t);
+  techPerformanceExpanded[key] = !techPerformanceExpanded[key];
+  renderTechPerformance();
+}
+
+function exportTechPerformanceCsv() {
+  var r = techPerformanceReport;
+  if (!r || r.technicians.length === 0) {
+    showToast('No technician data to export', 'warning');
+    return;
+  }
+  var breakdown = document.getElementById('tp-breakdown')?.value || 'byDeviceType';
+  var breakdownLabel = breakdown === 'byLocation' ? 'Location' : 'Device Type';
+  var headers = ['Technician', breakdownLabel, 'Open', 'Assigned', 'Closed', 'Closed Per Week',
+    'Mean Time To Assign (min)', 'Mean Time To Resolve (min)', 'Reopened', 'Reopen Rate %'];
+  var csvRows = [headers.join(',')];
+  function addRow(name, group, row) {
+    csvRows.push([
+      name, group, row.open, row.assigned, row.closed, row.closedPerWeek,
+      row.mttaMinutes === null ? '' : row.mttaMinutes,
+      row.mttrMinutes === null ? '' : row.mttrMinutes,
+      row.reopened,
+      row.reopenRate === null ? '' : row.reopenRate
+    ].map(function(val) {
+      var str = String(val).replace(/"/g, '""');
+      return '"' + str + '"';
+    }).join(','));
+  }
+  r.technicians.forEach(function(t) {
+    addRow(t.name, 'All', t);
+    t[breakdown].forEach(function(b) { addRow(t.name, b.name, b); });
+  });
+  addRow(r.totals.name, 'All', r.totals);
+  var csv = csvRows.join('\n');
+  var blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = 'technician_performance_' + r.from + '_' + r.to + '.csv';
+  a.click();
+  URL.revokeObjectURL(url);
+  showToast('Export completed', 'success');
+}
+
 
 // ============================================
 // COMPUTER REPAIR MODULE
@@ -14428,7 +18671,7 @@ function loadCrSettings() {
         if (status) status.textContent = 'Saved';
       }
     })
-    .getSettings();
+    .getAppConfig();
 }
 
 function saveCrSiteNumber() {
@@ -17168,7 +21411,7 @@ function saveRepairTemplateFromEditor() {
 function confirmDeleteRepairTemplate(templateId) {
   showConfirmCard({
     title: 'Delete Template?',
-    message: 'This template will be permanently deleted. This cannot be undone.',
+    message: 'This template will be moved to the Recycle Bin.',
     type: 'danger',
     confirmText: 'Delete',
     onConfirm: function() {
@@ -19304,7 +23547,7 @@ function getDebugTestDefinitions() {
         { name: 'getSettings()', desc: 'Fetch all settings', fn: function() { return serverCall('getSettings', null, function(r) { return r ? Object.keys(r).length + ' settings loaded' : 'Empty'; }); } },
         { name: 'getAfterHoursSettings()', desc: 'Fetch after-hours config', fn: function() { return serverCall('getAfterHoursSettings', null, function(r) { return r ? 'After-hours config loaded' : 'No config'; }); } },
         { name: 'getWorkingHoursStatus()', desc: 'Check working hours', fn: function() { return serverCall('getWorkingHoursStatus', null, function(r) { return r || 'Status returned'; }); } },
-        { name: 'isPasswordProtected()', desc: 'Check password protection', fn: function() { return serverCall('isPasswordProtected', null, function(r) { return 'Protected: ' + r; }); } }
+        { name: 'getCurrentUser()', desc: 'Signed-in user and role', fn: function() { return serverCall('getCurrentUser', null, function(r) { return r.user ? r.user.username + ' (' + r.user.role + ')' : 'Not signed in'; }); } }
       ]
     },
     {
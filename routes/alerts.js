@@ -0,0 +1,194 @@
+/**
+ * Alert Rules Routes
+ * Rule editing and the alerts they raised (see services/alertRules.js).
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const alertRules = require('../services/alertRules');
+
+const EVENTS_LIMIT = 200;
+
+/**
+ * getAlertRules - Rules, the engine status and active alert counts per rule
+ * Returns { success, rules, status }
+ */
+router.post('/getAlertRules', (req, res) => {
+  try {
+    const counts = {};
+    db.db.prepare("SELECT ruleId, COUNT(*) AS n FROM alert_events WHERE status IN ('open', 'escalated', 'acknowledged') GROUP BY ruleId").all()
+      .forEach(r => { counts[r.ruleId] = r.n; });
+    const rules = alertRules.getRules().map(r => ({ ...r, activeAlerts: counts[r.id] || 0 }));
+    res.json({ success: true, rules, status: alertRules.getStatus() });
+  } catch (error) {
+    console.error('Error getting alert rules:', error);
+    res.json({ success: false, error: error.message, rules: [] });
+  }
+});
+
+/**
+ * saveAlertRule - Create or update a rule
+ * Args: [{ id?, name, enabled, triggerType, deviceTypes[], locations[], messagePattern, minSeverity,
+ *          supplyThreshold, offlineMinutes, emailTechnicianId, emailTo, createServiceRequest, webhookUrl,
+ *          escalateAfterMinutes, escalateWhen, escalateTo, cooldownMinutes }]
+ */
+router.post('/saveAlertRule', (req, res) => {
+  try {
+    const [rule] = req.body.args || [];
+    const r = rule || {};
+    const name = String(r.name || '').trim();
+    if (!name) return res.json({ success: false, error: 'A rule name is required' });
+    if (alertRules.TRIGGERS.indexOf(r.triggerType) < 0) return res.json({ success: false, error: 'Unknown trigger: ' + r.triggerType });
+
+    const patternError = alertRules.validatePattern(r.messagePattern);
+    if (patternError) return res.json({ success: false, error: patternError });
+
+    const webhookUrl = String(r.webhookUrl || '').trim();
+    if (webhookUrl && !/^https?:\/\//i.test(webhookUrl)) {
+      return res.json({ success: false, error: 'The webhook URL must start with http:// or https://' });
+    }
+
+    const supplyThreshold = parseInt(r.supplyThreshold);
+    const offlineMinutes = parseInt(r.offlineMinutes);
+    const escalateAfterMinutes = Math.max(0, parseInt(r.escalateAfterMinutes) || 0);
+    const cooldownMinutes = parseInt(r.cooldownMinutes);
+    if (r.triggerType === 'supply' && !(supplyThreshold >= 0 && supplyThreshold <= 100)) {
+      return res.json({ success: false, error: 'Supply threshold must be 0-100%' });
+    }
+    if (r.triggerType === 'offline' && !(offlineMinutes >= 1)) {
+      return res.json({ success: false, error: 'Offline duration must be at least 1 minute' });
+    }
+
+    const createServiceRequest = !!r.createServiceRequest;
+    if (!r.emailTechnicianId && !String(r.emailTo || '').trim() && !createServiceRequest && !webhookUrl) {
+      return res.json({ success: false, error: 'Choose at least one action: email, service request or webhook' });
+    }
+
+    const now = new Date().toISOString();
+    const data = {
+      name,
+      enabled: r.enabled === false ? 'false' : 'true',
+      triggerType: r.triggerType,
+      deviceTypes: JSON.stringify((Array.isArray(r.deviceTypes) ? r.deviceTypes : []).map(String).filter(Boolean)),
+      locations: JSON.stringify((Array.isArray(r.locations) ? r.locations : []).map(String).filter(Boolean)),
+      messagePattern: String(r.messagePattern || '').trim(),
+      minSeverity: alertRules.SEVERITIES.indexOf(r.minSeverity) >= 0 ? r.minSeverity : 'info',
+      supplyThreshold: supplyThreshold >= 0 && supplyThreshold <= 100 ? supplyThreshold : 10,
+      offlineMinutes: offlineMinutes >= 1 ? offlineMinutes : 30,
+      emailTechnicianId: String(r.emailTechnicianId || ''),
+      emailTo: String(r.emailTo || '').trim(),
+      createServiceRequest: createServiceRequest ? 'true' : 'false',
+      webhookUrl,
+      escalateAfterMinutes,
+      escalateWhen: alertRules.ESCALATE_WHEN.indexOf(r.escalateWhen) >= 0 ? r.escalateWhen : 'unassigned',
+      escalateTo: String(r.escalateTo || '').trim(),
+      cooldownMinutes: cooldownMinutes >= 0 ? cooldownMinutes : 30,
+      updatedAt: now
+    };
+
+    if (r.id && db.getById('alert_rules', r.id)) {
+      db.update('alert_rules', r.id, data);
+      return res.json({ success: true, rule: alertRules.parseRule(db.getById('alert_rules', r.id)) });
+    }
+    const created = { id: db.generateId(), ...data, createdAt: now };
+    db.insert('alert_rules', created);
+    res.json({ success: true, rule: alertRules.parseRule(created) });
+  } catch (error) {
+    console.error('Error saving alert rule:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * deleteAlertRule - Remove a rule (its past alerts are kept)
+ * Args: [ruleId]
+ */
+router.post('/deleteAlertRule', (req, res) => {
+  try {
+    const [ruleId] = req.body.args || [];
+    if (!db.getById('alert_rules', ruleId)) {
+      return res.json({ success: false, error: 'Alert rule not found' });
+    }
+    db.remove('alert_rules', ruleId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * testAlertRule - Send the rule's email and webhook with a sample alert
+ * Args: [ruleId]
+ * Returns { success, results: [{ type, success, detail }] }
+ */
+router.post('/testAlertRule', async (req, res) => {
+  try {
+    const [ruleId] = req.body.args || [];
+    const results = await alertRules.testRule(ruleId);
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Error testing alert rule:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * getAlertEvents - Alerts raised by the rules, newest first
+ * Args: [{ status }] - 'active' (open, escalated, acknowledged), a single status, or omitted for all
+ */
+router.post('/getAlertEvents', (req, res) => {
+  try {
+    const [filters] = req.body.args || [];
+    const status = filters && filters.status;
+    let rows;
+    if (status === 'active') {
+      rows = db.db.prepare("SELECT * FROM alert_events WHERE status IN ('open', 'escalated', 'acknowledged') ORDER BY triggeredAt DESC LIMIT ?").all(EVENTS_LIMIT);
+    } else if (status) {
+      rows = db.db.prepare('SELECT * FROM alert_events WHERE status = ? ORDER BY triggeredAt DESC LIMIT ?').all(status, EVENTS_LIMIT);
+    } else {
+      rows = db.db.prepare('SELECT * FROM alert_events ORDER BY triggeredAt DESC LIMIT ?').all(EVENTS_LIMIT);
+    }
+    const events = rows.map(e => {
+      let actions = [];
+      try { actions = JSON.parse(e.actions || '[]'); } catch (err) {}
+      return { ...e, actions };
+    });
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error('Error getting alert events:', error);
+    res.json({ success: false, error: error.message, events: [] });
+  }
+});
+
+/**
+ * acknowledgeAlert - Someone is on it; stops escalation
+ * Args: [alertId]
+ */
+router.post('/acknowledgeAlert', (req, res) => {
+  try {
+    const [alertId] = req.body.args || [];
+    const by = req.user ? req.user.displayName || req.user.username : '';
+    res.json({ success: true, alert: alertRules.acknowledge(alertId, by) });
+  } catch (error) {
+    console.error('Error acknowledging alert:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveAlertSettings - Turn the rules engine on or off
+ * Args: [{ enabled }]
+ */
+router.post('/saveAlertSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    db.setSetting('alertRulesEnabled', settings && settings.enabled ? 'true' : 'false');
+    res.json({ success: true, status: alertRules.getStatus() });
+  } catch (error) {
+    console.error('Error saving alert settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
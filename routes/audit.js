@@ -0,0 +1,71 @@
+/**
+ * Audit Log Routes
+ * Search, export and retention for audit_log (recorded by db/audit.js).
+ * Admin only: the log shows every user's changes.
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const audit = require('../db/audit');
+
+const EXPORT_LIMIT = 10000;
+
+/**
+ * getAuditLog - Search the audit log, newest first
+ * Args: [{ search, table, action, actor, from, to, limit, offset }]
+ * Returns { success, entries, total, tables, actors, retentionDays }
+ */
+router.post('/getAuditLog', (req, res) => {
+  try {
+    const [filters] = req.body.args || [];
+    const result = audit.query(db.db, filters);
+    const options = audit.getFilterOptions(db.db);
+    res.json({
+      success: true,
+      entries: result.entries,
+      total: result.total,
+      tables: options.tables,
+      actors: options.actors,
+      retentionDays: audit.getRetentionDays(db.db)
+    });
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    res.json({ success: false, error: error.message, entries: [], total: 0 });
+  }
+});
+
+/**
+ * exportAuditLog - All entries matching the filters (up to 10,000) for CSV export
+ * Args: [{ search, table, action, actor, from, to }]
+ */
+router.post('/exportAuditLog', (req, res) => {
+  try {
+    const [filters] = req.body.args || [];
+    const result = audit.query(db.db, { ...(filters || {}), limit: EXPORT_LIMIT, offset: 0 });
+    res.json({ success: true, entries: result.entries, total: result.total, truncated: result.total > EXPORT_LIMIT });
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveAuditSettings - How long audit entries are kept
+ * Args: [{ retentionDays }]
+ */
+router.post('/saveAuditSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    const days = parseInt(settings && settings.retentionDays);
+    if (!(days > 0)) {
+      return res.json({ success: false, error: 'Retention must be a positive number of days' });
+    }
+    db.setSetting('auditRetentionDays', String(days));
+    res.json({ success: true, retentionDays: days });
+  } catch (error) {
+    console.error('Error saving audit settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
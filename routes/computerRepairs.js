@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable, count } = require('../db/database');
+const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable, count, softDelete } = require('../db/database');
 const { sendEmail } = require('../services/emailService');
 
 // ============================================
@@ -1103,7 +1103,7 @@ router.post('/deleteRepairTemplate', (req, res) => {
     const [templateId] = req.body.args || [];
     var existing = getById('repair_templates', templateId);
     if (existing) {
-      remove('repair_templates', templateId);
+      softDelete('repair_templates', templateId);
       res.json({ success: true });
     } else {
       res.json({ success: false, error: 'Template not found' });
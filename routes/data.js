@@ -1,14 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable, count } = require('../db/database');
+const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable, count, softDeleteAll, isSoftDeleteTable, setSetting } = require('../db/database');
+const audit = require('../db/audit');
+const backup = require('../services/backup');
+const trapRetention = require('../services/trapRetention');
 
 // ============================================
 // SHEET NAME TO TABLE NAME MAPPING
 // ============================================
 
+// Only tables listed here can be exported, backed up to JSON, imported or
+// cleared from Data Management. User accounts (password hashes) and gateway
+// keys (HMAC secrets) stay out: they are managed under Users and Gateways,
+// restoring a file must not rewrite logins, and a key's secret is shown once.
 const SHEET_TABLE_MAP = {
   'Devices': 'devices',
   'SupplyHistory': 'supply_history',
+  'PageCountHistory': 'page_count_history',
+  'DeviceStatusHistory': 'device_status_history',
   'SNMPTraps': 'snmp_traps',
   'EmailConfig': 'email_config',
   'EmailHistory': 'email_history',
@@ -26,12 +35,39 @@ const SHEET_TABLE_MAP = {
   'AITraining': 'ai_training',
   'ComputerRepairs': 'computer_repairs',
   'CRTraining': 'cr_training',
-  'RepairTemplates': 'repair_templates'
+  'RepairTemplates': 'repair_templates',
+  'TrapCommunities': 'trap_communities',
+  'GatewayReports': 'gateway_reports',
+  'Consumables': 'consumables',
+  'ConsumableStock': 'consumable_stock',
+  'ConsumableUsage': 'consumable_usage',
+  'ReorderRequests': 'reorder_requests',
+  'AlertRules': 'alert_rules',
+  'AlertEvents': 'alert_events',
+  'TrapDictionaries': 'trap_dictionaries',
+  'TrapDictionaryCodes': 'trap_dictionary_codes',
+  'MibModules': 'mib_modules',
+  'MibObjects': 'mib_objects',
+  'TrapArchives': 'trap_archives',
+  'SlaPolicies': 'sla_policies',
+  'AssignmentLog': 'assignment_log',
+  'TechnicianShifts': 'technician_shifts',
+  'TechnicianPto': 'technician_pto'
 };
 
 // All known table names
 const ALL_TABLES = Object.values(SHEET_TABLE_MAP);
 
+// Tables and columns that must never end up in a download
+const PRIVATE_TABLES = ['users', 'sessions', 'gateway_keys'];
+const SECRET_COLUMNS = ['secret', 'passwordHash'];
+
+PRIVATE_TABLES.forEach(function(table) {
+  if (ALL_TABLES.indexOf(table) !== -1) {
+    throw new Error('SHEET_TABLE_MAP must not include ' + table + ': its rows hold secrets');
+  }
+});
+
 /**
  * Resolve a sheet name to its SQLite table name.
  * Returns null if the sheet name is not recognized.
@@ -49,6 +85,23 @@ function resolveTable(sheetName) {
   return null;
 }
 
+/**
+ * Rows and headers of a table for export, without secret columns.
+ */
+function exportRows(tableName) {
+  if (PRIVATE_TABLES.indexOf(tableName) !== -1) throw new Error('Table cannot be exported: ' + tableName);
+  return getAll(tableName, { includeDeleted: true }).map(function(row) {
+    SECRET_COLUMNS.forEach(function(column) { delete row[column]; });
+    return row;
+  });
+}
+
+function exportHeaders(tableName) {
+  return getTableColumns(tableName)
+    .map(function(c) { return c.name; })
+    .filter(function(name) { return SECRET_COLUMNS.indexOf(name) === -1; });
+}
+
 // ============================================
 // CSV HELPERS
 // ============================================
@@ -157,6 +210,155 @@ function getTableColumns(tableName) {
   }
 }
 
+// ============================================
+// JSON RESTORE HELPERS
+// ============================================
+
+// Thrown inside the restore transaction to roll back a dry run
+var DRY_RUN_ROLLBACK = { dryRun: true };
+var MAX_ERRORS_PER_TABLE = 20;
+
+/**
+ * Accepts either a createFullBackup download ({ backupDate, sheets: {...} })
+ * or the raw exportAllData object ({ SheetName: { headers, data } }).
+ * Returns { sheets, backupDate }
+ */
+function unwrapBackup(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Backup must be the JSON object produced by Create Backup');
+  }
+  if (payload.sheets && typeof payload.sheets === 'object') {
+    return { sheets: payload.sheets, backupDate: payload.backupDate || '' };
+  }
+  return { sheets: payload, backupDate: '' };
+}
+
+// Store values the way the rest of the app does (booleans as 'true'/'false',
+// missing values as '')
+function toColumnValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Validate each sheet in a backup against the live table columns.
+ * Returns { plans: [{ sheet, table, key, columns, rows, ignoredColumns, errors, skipped }], unknownSheets }
+ */
+function planJsonRestore(sheets) {
+  var plans = [];
+  var unknownSheets = [];
+
+  Object.keys(sheets).forEach(function(sheetName) {
+    var tableName = resolveTable(sheetName);
+    if (!tableName) {
+      unknownSheets.push(sheetName);
+      return;
+    }
+    var sheet = sheets[sheetName] || {};
+    var tableColumns = getTableColumns(tableName);
+    var columnNames = tableColumns.map(function(c) { return c.name; });
+    var keyColumn = tableColumns.filter(function(c) { return c.pk; }).map(function(c) { return c.name; })[0] || 'id';
+    var plan = { sheet: sheetName, table: tableName, key: keyColumn, rows: [], ignoredColumns: [], errors: [], skipped: 0 };
+    plans.push(plan);
+
+    if (!Array.isArray(sheet.data)) {
+      plan.errors.push('No data array');
+      return;
+    }
+
+    var ignored = {};
+    var seen = {};
+    sheet.data.forEach(function(row, index) {
+      var problem = null;
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        problem = 'not an object';
+      } else if (row[keyColumn] === undefined || row[keyColumn] === null || String(row[keyColumn]) === '') {
+        problem = 'missing ' + keyColumn;
+      } else if (seen[row[keyColumn]]) {
+        problem = 'duplicate ' + keyColumn + ' "' + row[keyColumn] + '"';
+      }
+      if (problem) {
+        plan.skipped++;
+        if (plan.errors.length < MAX_ERRORS_PER_TABLE) plan.errors.push('Row ' + (index + 1) + ': ' + problem);
+        return;
+      }
+      seen[row[keyColumn]] = true;
+
+      var clean = {};
+      Object.keys(row).forEach(function(k) {
+        if (columnNames.indexOf(k) >= 0) clean[k] = toColumnValue(row[k]);
+        else ignored[k] = true;
+      });
+      plan.rows.push(clean);
+    });
+    plan.ignoredColumns = Object.keys(ignored);
+  });
+
+  return { plans: plans, unknownSheets: unknownSheets };
+}
+
+/**
+ * Write planned rows in one transaction. 'replace' empties each table in
+ * the backup first (soft-delete tables to the Recycle Bin); 'merge' inserts
+ * new keys and updates changed rows, leaving identical rows (counted as
+ * skipped) and rows not in the backup alone. Rows go through the database
+ * helpers so each change is audited. A dry run does the same work and
+ * rolls it back, so constraint failures show up in the preview too.
+ * Returns [{ sheet, table, inserted, updated, skipped, deleted, rowsBefore, rowsAfter, ignoredColumns, errors }]
+ */
+function applyJsonRestore(plans, mode, dryRun) {
+  var results = plans.map(function(plan) {
+    return { sheet: plan.sheet, table: plan.table, inserted: 0, updated: 0, skipped: plan.skipped, deleted: 0,
+      rowsBefore: 0, rowsAfter: 0, ignoredColumns: plan.ignoredColumns, errors: plan.errors.slice() };
+  });
+
+  try {
+    db.transaction(function() {
+      plans.forEach(function(plan, i) {
+        var result = results[i];
+        var quotedKey = '"' + plan.key + '"';
+        result.rowsBefore = getAll(plan.table).length;
+        if (mode === 'replace') {
+          result.deleted = isSoftDeleteTable(plan.table) ? softDeleteAll(plan.table) : clearTable(plan.table).changes;
+        }
+        var findRow = db.prepare('SELECT * FROM "' + plan.table + '" WHERE ' + quotedKey + ' = ?');
+
+        plan.rows.forEach(function(row) {
+          var existing = mode === 'merge' ? findRow.get(row[plan.key]) : null;
+          if (!existing) {
+            // In replace mode this also overwrites a Recycle Bin row with the same key
+            insert(plan.table, row);
+            result.inserted++;
+            return;
+          }
+          var changed = Object.keys(row).filter(function(c) { return String(existing[c]) !== String(row[c]); });
+          if (changed.length === 0) {
+            result.skipped++;
+            return;
+          }
+          var changes = {};
+          changed.forEach(function(c) { changes[c] = row[c]; });
+          if (plan.key === 'id') {
+            update(plan.table, row.id, changes);
+          } else {
+            // Key-value tables (settings, email_config) are keyed by name, not id
+            db.prepare('UPDATE "' + plan.table + '" SET ' + changed.map(function(c) { return '"' + c + '" = ?'; }).join(', ') +
+              ' WHERE ' + quotedKey + ' = ?').run(...changed.map(function(c) { return row[c]; }), row[plan.key]);
+          }
+          result.updated++;
+        });
+        result.rowsAfter = getAll(plan.table).length;
+      });
+      if (dryRun) throw DRY_RUN_ROLLBACK;
+    })();
+  } catch (e) {
+    if (e !== DRY_RUN_ROLLBACK) throw e;
+  }
+  return results;
+}
+
 // ============================================
 // ROUTES
 // ============================================
@@ -170,9 +372,8 @@ router.post('/exportAllData', (req, res) => {
     for (var sheetName in SHEET_TABLE_MAP) {
       var tableName = SHEET_TABLE_MAP[sheetName];
       try {
-        var rows = getAll(tableName);
-        var columns = getTableColumns(tableName);
-        var headers = columns.map(function(c) { return c.name; });
+        var rows = exportRows(tableName);
+        var headers = exportHeaders(tableName);
         backup[sheetName] = {
           headers: headers,
           rowCount: rows.length,
@@ -198,9 +399,8 @@ router.post('/createFullBackup', (req, res) => {
     for (var sheetName in SHEET_TABLE_MAP) {
       var tableName = SHEET_TABLE_MAP[sheetName];
       try {
-        var rows = getAll(tableName);
-        var columns = getTableColumns(tableName);
-        var headers = columns.map(function(c) { return c.name; });
+        var rows = exportRows(tableName);
+        var headers = exportHeaders(tableName);
         backup[sheetName] = {
           headers: headers,
           rowCount: rows.length,
@@ -217,6 +417,61 @@ router.post('/createFullBackup', (req, res) => {
   }
 });
 
+/**
+ * restoreFromJSON - Load a Create Backup / exportAllData file back in
+ * Only the sheets in the file are touched; all of them in one transaction.
+ * Args: [backup, { mode: 'replace'|'merge', dryRun }]
+ * Returns { success, mode, dryRun, backupDate, preRestoreId, tables: [{ sheet, inserted, updated, skipped, deleted, ... }], unknownSheets }
+ */
+router.post('/restoreFromJSON', async (req, res) => {
+  try {
+    const [payload, options] = req.body.args || [];
+    var opts = options || {};
+    var mode = opts.mode === 'replace' ? 'replace' : 'merge';
+    var dryRun = !!opts.dryRun;
+
+    var file = unwrapBackup(payload);
+    var planned = planJsonRestore(file.sheets);
+    if (planned.plans.length === 0) {
+      return res.json({ success: false, error: 'No recognized sheets in this file' });
+    }
+
+    // Replacing rows is only undoable from a snapshot, as with Restore Backup
+    var preRestoreId = '';
+    if (mode === 'replace' && !dryRun) {
+      preRestoreId = (await backup.createBackup('pre-restore', req.user ? req.user.username : '')).id;
+    }
+
+    var tables;
+    try {
+      tables = applyJsonRestore(planned.plans, mode, dryRun);
+    } catch (e) {
+      return res.json({ success: false, error: 'Restore rolled back: ' + e.message });
+    }
+
+    if (!dryRun) {
+      var summary = {};
+      tables.forEach(function(t) {
+        summary[t.table] = { from: t.rowsBefore + ' rows', to: t.rowsAfter + ' rows (' + t.inserted + ' inserted, ' + t.updated + ' updated)' };
+      });
+      audit.record(db, { action: 'restore', table: 'database', rowId: 'json:' + (file.backupDate || 'file'), changes: summary });
+    }
+
+    res.json({
+      success: true,
+      mode: mode,
+      dryRun: dryRun,
+      backupDate: file.backupDate,
+      preRestoreId: preRestoreId,
+      tables: tables,
+      unknownSheets: planned.unknownSheets
+    });
+  } catch (error) {
+    console.log('restoreFromJSON error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Export a table as a CSV string
  */
@@ -228,7 +483,7 @@ router.post('/exportSheetAsCSV', (req, res) => {
       return res.json({ success: false, error: 'Sheet not recognized: ' + sheetName });
     }
 
-    var rows = getAll(tableName);
+    var rows = exportRows(tableName);
     if (!rows || rows.length === 0) {
       return res.json({ success: true, csv: '', filename: sheetName + '.csv' });
     }
@@ -318,6 +573,11 @@ router.post('/clearSheet', (req, res) => {
       return res.json({ success: false, error: 'Sheet not recognized: ' + sheetName });
     }
 
+    // Soft-delete tables go to the Recycle Bin like every other delete
+    if (isSoftDeleteTable(tableName)) {
+      return res.json({ success: true, rowsDeleted: softDeleteAll(tableName), recycled: true });
+    }
+
     var rowsBefore = count(tableName);
     clearTable(tableName);
     res.json({ success: true, rowsDeleted: rowsBefore });
@@ -328,20 +588,27 @@ router.post('/clearSheet', (req, res) => {
 });
 
 /**
- * Clear all devices
+ * Clear all devices (to the Recycle Bin)
  */
 router.post('/clearAllDevices', (req, res) => {
   try {
-    clearTable('devices');
-    res.json({ success: true });
+    var deleted = softDeleteAll('devices');
+    res.json({ success: true, deleted: deleted });
   } catch (error) {
     console.log('clearAllDevices error: ' + error);
     res.json({ success: false, error: error.message });
   }
 });
 
+// Tables whose old rows are moved out to archive files: live rows are
+// rowCount, archived rows are reported separately
+const ARCHIVED_COUNTS = {
+  snmp_traps: function() { return trapRetention.getArchivedCount(); }
+};
+
 /**
  * Get row counts for all tables (equivalent to getSheetStats)
+ * Each stat also has archivedCount (rows moved to archive files).
  */
 router.post('/getSheetStats', (req, res) => {
   try {
@@ -351,10 +618,12 @@ router.post('/getSheetStats', (req, res) => {
       var sheetName = keys[i];
       var tableName = SHEET_TABLE_MAP[sheetName];
       var rowCount = 0;
+      var archivedCount = 0;
       var columns = [];
       try {
         rowCount = count(tableName);
         columns = getTableColumns(tableName);
+        if (ARCHIVED_COUNTS[tableName]) archivedCount = ARCHIVED_COUNTS[tableName]();
       } catch (e) {
         // Table may not exist
       }
@@ -365,13 +634,15 @@ router.post('/getSheetStats', (req, res) => {
         sheetKey: sheetName,
         sheetName: sheetName,
         rowCount: rowCount,
+        archivedCount: archivedCount,
         maxRows: rowCount + 1, // +1 for conceptual header
         maxCols: colCount,
         cellCount: (rowCount + 1) * colCount
       });
     }
     var totalCells = stats.reduce(function(sum, s) { return sum + s.cellCount; }, 0);
-    res.json({ success: true, stats: stats, totalCells: totalCells, cellLimit: 10000000 });
+    var totalArchived = stats.reduce(function(sum, s) { return sum + s.archivedCount; }, 0);
+    res.json({ success: true, stats: stats, totalCells: totalCells, totalArchived: totalArchived, cellLimit: 10000000 });
   } catch (error) {
     console.log('getSheetStats error: ' + error);
     res.json({ success: false, error: error.message });
@@ -452,4 +723,171 @@ router.post('/getWorkbookCellCount', (req, res) => {
   }
 });
 
+// ============================================
+// SCHEDULED BACKUPS (services/backup.js)
+// ============================================
+
+/**
+ * getBackups - Snapshots and restore points, newest first, plus schedule status
+ */
+router.post('/getBackups', (req, res) => {
+  try {
+    res.json({ success: true, backups: backup.listBackups(), status: backup.getStatus() });
+  } catch (error) {
+    console.log('getBackups error: ' + error);
+    res.json({ success: false, error: error.message, backups: [] });
+  }
+});
+
+/**
+ * createBackupNow - Take a manual snapshot
+ */
+router.post('/createBackupNow', async (req, res) => {
+  try {
+    var created = await backup.createBackup('manual', req.user ? req.user.username : '');
+    res.json({ success: true, backup: created });
+  } catch (error) {
+    console.log('createBackupNow error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * validateBackup - Check a backup before restoring it
+ * Args: [backupId]
+ */
+router.post('/validateBackup', (req, res) => {
+  try {
+    const [backupId] = req.body.args || [];
+    res.json({ success: true, ...backup.validateBackup(backupId) });
+  } catch (error) {
+    console.log('validateBackup error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * restoreBackup - Validate a backup and replace the live data with it
+ * (a pre-restore snapshot is taken first)
+ * Args: [backupId]
+ */
+router.post('/restoreBackup', async (req, res) => {
+  try {
+    const [backupId] = req.body.args || [];
+    var result = await backup.restoreBackup(backupId, req.user ? req.user.username : '');
+    res.json({ success: true, restored: result.restored, preRestoreId: result.preRestoreId });
+  } catch (error) {
+    console.log('restoreBackup error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * deleteBackup - Remove a backup folder or restore point
+ * Args: [backupId]
+ */
+router.post('/deleteBackup', (req, res) => {
+  try {
+    const [backupId] = req.body.args || [];
+    backup.deleteBackup(backupId);
+    res.json({ success: true });
+  } catch (error) {
+    console.log('deleteBackup error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveBackupSettings - Schedule and rotation
+ * Args: [{ enabled, hour, keepDaily, keepWeekly }]
+ */
+router.post('/saveBackupSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    var s = settings || {};
+    var hour = parseInt(s.hour);
+    var keepDaily = parseInt(s.keepDaily);
+    var keepWeekly = parseInt(s.keepWeekly);
+    if (!(hour >= 0 && hour <= 23)) return res.json({ success: false, error: 'Backup hour must be 0-23' });
+    if (!(keepDaily >= 1 && keepDaily <= 365)) return res.json({ success: false, error: 'Keep at least 1 daily backup (max 365)' });
+    if (!(keepWeekly >= 0 && keepWeekly <= 104)) return res.json({ success: false, error: 'Weekly backups to keep must be 0-104' });
+
+    setSetting('backupEnabled', s.enabled ? 'true' : 'false');
+    setSetting('backupHour', String(hour));
+    setSetting('backupKeepDaily', String(keepDaily));
+    setSetting('backupKeepWeekly', String(keepWeekly));
+    var rotated = backup.rotate();
+    res.json({ success: true, status: backup.getStatus(), rotated: rotated.length });
+  } catch (error) {
+    console.log('saveBackupSettings error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// TRAP RETENTION
+// ============================================
+
+/**
+ * getTrapRetention - Retention settings, what would be archived now and the archive files
+ * Returns { success, status, preview, archives }
+ */
+router.post('/getTrapRetention', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      status: trapRetention.getStatus(),
+      preview: trapRetention.previewExpired(),
+      archives: trapRetention.listArchives()
+    });
+  } catch (error) {
+    console.log('getTrapRetention error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveTrapRetention - Archive schedule and retention days per severity
+ * Args: [{ enabled, hour, retention: { resolved: { info, warning, critical }, open: { ... } } }]
+ */
+router.post('/saveTrapRetention', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    trapRetention.saveSettings(settings);
+    res.json({ success: true, status: trapRetention.getStatus(), preview: trapRetention.previewExpired() });
+  } catch (error) {
+    console.log('saveTrapRetention error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * archiveTrapsNow - Run the retention job now
+ * Returns { success, archived, fileName }
+ */
+router.post('/archiveTrapsNow', (req, res) => {
+  try {
+    var result = trapRetention.run();
+    res.json({ success: true, archived: result.archived, fileName: result.fileName });
+  } catch (error) {
+    console.log('archiveTrapsNow error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * downloadTrapArchive - An archive file's rows as JSONL text
+ * Args: [archiveId]
+ * Returns { success, fileName, content }
+ */
+router.post('/downloadTrapArchive', (req, res) => {
+  try {
+    const [archiveId] = req.body.args || [];
+    res.json({ success: true, ...trapRetention.readArchive(archiveId) });
+  } catch (error) {
+    console.log('downloadTrapArchive error: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable, count } = require('../db/database');
+const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable, count, softDelete, setSetting } = require('../db/database');
+const eventBus = require('../services/eventBus');
+const supplyForecast = require('../services/supplyForecast');
+const printVolume = require('../services/printVolume');
+const availability = require('../services/availability');
 
 // ============================================
 // DEVICES
@@ -84,7 +88,8 @@ router.post('/saveDevice', (req, res) => {
 });
 
 /**
- * Delete a device by ID
+ * Delete a device by ID (moves it to the Recycle Bin; its trap community
+ * overrides are kept until it is purged)
  */
 router.post('/deleteDevice', (req, res) => {
   try {
@@ -92,7 +97,7 @@ router.post('/deleteDevice', (req, res) => {
     const existing = getById('devices', deviceId);
 
     if (existing) {
-      remove('devices', deviceId);
+      softDelete('devices', deviceId);
       res.json({ success: true });
     } else {
       res.json({ success: false, error: 'Device not found' });
@@ -135,6 +140,7 @@ router.post('/updateDeviceStatus', (req, res) => {
     }
 
     if (device) {
+      const previousStatus = device.status;
       device.status = status || device.status;
       // Update lastSeen for any device that responded to SNMP (online or issue — both mean the device is reachable)
       device.lastSeen = (status === 'online' || status === 'issue') ? new Date().toISOString() : device.lastSeen;
@@ -179,6 +185,22 @@ router.post('/updateDeviceStatus', (req, res) => {
       };
 
       update('devices', device.id, deviceData);
+      try {
+        availability.recordStatus(device.id, deviceData.status);
+      } catch (e) {
+        console.error('Status history failed for ' + device.id + ':', e);
+      }
+      if (pageCount !== undefined && pageCount !== null) {
+        try {
+          printVolume.recordPageCount(device.id, pageCount);
+        } catch (e) {
+          console.error('Page count history failed for ' + device.id + ':', e);
+        }
+      }
+      eventBus.publish('device.updated', {
+        device: { ...deviceData, supplies: device.supplies || [], messages: device.messages || [], inputTrays: device.inputTrays || [] },
+        previousStatus: previousStatus
+      });
       res.json({ success: true, device: deviceData });
     } else {
       // Device not found — log all available devices for debugging
@@ -232,6 +254,95 @@ router.post('/getDeviceById', (req, res) => {
   }
 });
 
+/**
+ * getSupplyForecast - When each supply is expected to run out (services/supplyForecast.js)
+ * Args: [deviceId] - omit for every device
+ * Returns { success, forecasts: { deviceId: [{ supplyName, level, ratePerDay, daysLeft, emptyDate, ... }] } }
+ */
+router.post('/getSupplyForecast', (req, res) => {
+  try {
+    const [deviceId] = req.body.args || [];
+    const forecasts = {};
+    if (deviceId) {
+      forecasts[deviceId] = supplyForecast.forecastDevice(deviceId);
+    } else {
+      Object.assign(forecasts, supplyForecast.forecastAll());
+    }
+    res.json({ success: true, forecasts });
+  } catch (error) {
+    console.log('Error getting supply forecast: ' + error);
+    res.json({ success: false, error: error.message, forecasts: {} });
+  }
+});
+
+/**
+ * getPrintVolumeReport - Pages printed per device or location (services/printVolume.js)
+ * Args: [{ from, to, interval: 'day'|'month', groupBy: 'device'|'location' }]
+ * Returns { success, report: { from, to, interval, groupBy, periods, rows, totals, defaultCostPerPage } }
+ */
+router.post('/getPrintVolumeReport', (req, res) => {
+  try {
+    const [options] = req.body.args || [];
+    res.json({ success: true, report: printVolume.getVolumeReport(options) });
+  } catch (error) {
+    console.log('Error getting print volume report: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * savePrintVolumeSettings - Cost per page for devices without priced cartridges
+ * Args: [{ defaultCostPerPage }]
+ */
+router.post('/savePrintVolumeSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    const cost = parseFloat(settings && settings.defaultCostPerPage);
+    if (isNaN(cost) || cost < 0) {
+      return res.json({ success: false, error: 'Cost per page must be 0 or more' });
+    }
+    setSetting('defaultCostPerPage', String(cost));
+    res.json({ success: true, defaultCostPerPage: printVolume.getDefaultCostPerPage() });
+  } catch (error) {
+    console.log('Error saving print volume settings: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * getAvailabilityReport - Monthly availability per device and device type (services/availability.js)
+ * Args: [{ months, to }]
+ * Returns { success, report: { months, target, chronicMissedMonths, devices, types, fleet } }
+ */
+router.post('/getAvailabilityReport', (req, res) => {
+  try {
+    const [options] = req.body.args || [];
+    res.json({ success: true, report: availability.getAvailabilityReport(options) });
+  } catch (error) {
+    console.log('Error getting availability report: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveAvailabilitySettings - Monthly availability target (%)
+ * Args: [{ target }]
+ */
+router.post('/saveAvailabilitySettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    const target = parseFloat(settings && settings.target);
+    if (isNaN(target) || target < 0 || target > 100) {
+      return res.json({ success: false, error: 'Target must be 0-100%' });
+    }
+    setSetting('availabilityTarget', String(target));
+    res.json({ success: true, target: availability.getTarget() });
+  } catch (error) {
+    console.log('Error saving availability settings: ' + error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // DEVICE TYPES
 // ============================================
@@ -353,7 +353,7 @@ router.post('/deleteEmailTemplate', (req, res) => {
     if (!existing) {
       return res.json({ success: false, error: 'Template not found' });
     }
-    db.remove('email_templates', templateId);
+    db.softDelete('email_templates', templateId);
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting email template:', error);
@@ -660,3 +660,5 @@ function processTemplate(template, variables) {
 }
 
 module.exports = router;
+module.exports.processTemplate = processTemplate;
+module.exports.getEmailTemplateByType = getEmailTemplateByType;
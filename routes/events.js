@@ -0,0 +1,63 @@
+/**
+ * Event Stream Routes
+ * Server-Sent Events stream of data changes published on the event bus,
+ * so the dashboard can update without polling.
+ */
+const express = require('express');
+const router = express.Router();
+const eventBus = require('../services/eventBus');
+
+const HEARTBEAT_MS = 25000;
+
+function writeEvent(res, event) {
+  res.write('id: ' + event.id + '\n');
+  res.write('event: ' + event.type + '\n');
+  res.write('data: ' + JSON.stringify({ ...event.data, timestamp: event.timestamp }) + '\n\n');
+}
+
+// ============================================
+// SSE STREAM
+// ============================================
+
+/**
+ * GET /api/events - text/event-stream of bus events.
+ * Honors Last-Event-ID so a reconnecting client gets what it missed.
+ */
+router.get('/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Tell EventSource how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    eventBus.getEventsSince(lastEventId).forEach(event => writeEvent(res, event));
+  }
+
+  const unsubscribe = eventBus.subscribe(event => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * getEventStreamStatus - Number of connected stream clients
+ */
+router.post('/getEventStreamStatus', (req, res) => {
+  try {
+    res.json({ success: true, subscribers: eventBus.getSubscriberCount() });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
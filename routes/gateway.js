@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove } = require('../db/database');
+const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, setSetting } = require('../db/database');
+const eventBus = require('../services/eventBus');
+const gatewayAuth = require('../services/gatewayAuth');
+const inventory = require('../services/inventory');
+const printVolume = require('../services/printVolume');
+const availability = require('../services/availability');
+const trapCorrelation = require('../services/trapCorrelation');
+const audit = require('../db/audit');
 
 // ============================================
 // HELPER FUNCTIONS
@@ -54,6 +61,7 @@ function updateDeviceStatus(data) {
     }
 
     if (device) {
+      var previousStatus = device.status;
       device.status = status || device.status;
       // Update lastSeen for any device that responded to SNMP
       device.lastSeen = (status === 'online' || status === 'issue') ? new Date().toISOString() : device.lastSeen;
@@ -97,6 +105,22 @@ function updateDeviceStatus(data) {
       };
 
       update('devices', device.id, deviceData);
+      try {
+        availability.recordStatus(device.id, deviceData.status);
+      } catch (e) {
+        console.error('Status history failed for ' + device.id + ':', e);
+      }
+      if (pageCount !== undefined && pageCount !== null) {
+        try {
+          printVolume.recordPageCount(device.id, pageCount);
+        } catch (e) {
+          console.error('Page count history failed for ' + device.id + ':', e);
+        }
+      }
+      eventBus.publish('device.updated', {
+        device: { ...deviceData, supplies: device.supplies || [], messages: device.messages || [], inputTrays: device.inputTrays || [] },
+        previousStatus: previousStatus
+      });
       return { success: true, device: deviceData };
     }
 
@@ -110,33 +134,17 @@ function updateDeviceStatus(data) {
 }
 
 /**
- * Add a trap record (mirrors addTrap from Code.gs)
+ * Add a trap record (mirrors addTrap from Code.gs). Repeats of an open trap
+ * are folded into it and "cleared" traps close their pair
+ * (services/trapCorrelation.js).
  */
 function addTrap(data) {
   try {
-    var now = new Date().toISOString();
-    var trapId = generateId();
-
     // Use pre-parsed message and severity from gateway if provided
     var message = data.parsedMessage || 'SNMP Alert';
     var severity = data.severity || 'info';
 
-    insert('snmp_traps', {
-      id: trapId,
-      sourceIp: data.sourceIp || 'unknown',
-      trapData: JSON.stringify(data.trapData || {}),
-      parsedMessage: message,
-      severity: severity,
-      receivedAt: now,
-      processed: '0',
-      resolvedAt: '',
-      resolvedBy: '',
-      assignedTo: '',
-      assignedAt: ''
-    });
-
-    console.log('Added trap: ' + trapId + ' - ' + message + ' (' + severity + ')');
-    return { success: true, trapId: trapId };
+    return trapCorrelation.record({ ...data, parsedMessage: message, severity: severity });
   } catch (error) {
     console.log('Error adding trap: ' + error);
     return { success: false, error: error.message };
@@ -151,6 +159,13 @@ function pushSupplyData(data) {
     var now = new Date().toISOString();
 
     if (data.supplies && Array.isArray(data.supplies)) {
+      // Before storing, so the previous reading can be compared for cartridge swaps
+      try {
+        inventory.recordSupplyReadings(data.deviceId, data.supplies);
+      } catch (e) {
+        console.error('Inventory update failed for ' + data.deviceId + ':', e);
+      }
+
       for (var i = 0; i < data.supplies.length; i++) {
         var supply = data.supplies[i];
         insert('supply_history', {
@@ -171,38 +186,110 @@ function pushSupplyData(data) {
   }
 }
 
+// ============================================
+// GATEWAY CREDENTIALS
+// ============================================
+
+/**
+ * Reject gateway requests without a valid signed API key (see services/gatewayAuth.js).
+ * Rejections are written to the report audit too.
+ */
+function requireGatewayKey(req, res, next) {
+  var result = gatewayAuth.verifyRequest(req);
+  if (!result.ok) {
+    gatewayAuth.recordReport({
+      key: result.key,
+      action: req.method === 'GET' ? 'syncDevices' : (req.body && req.body.action) || '',
+      sourceIp: req.ip,
+      accepted: false,
+      error: result.error
+    });
+    return res.status(401).json({ success: false, error: result.error });
+  }
+  req.gatewayKey = result.key;
+  audit.setActor('gateway:' + (result.key ? result.key.name : 'unsigned'), result.key ? result.key.id : '', 'gateway');
+  next();
+}
+
+/**
+ * Short description of what a gateway report changed, for the audit.
+ */
+function describeReport(action, data, result) {
+  if (!result.success) return '';
+  switch (action) {
+    case 'updateDeviceStatus':
+      return 'status=' + (data.status || '') +
+        (Array.isArray(data.messages) && data.messages.length ? ', messages=' + data.messages.length : '') +
+        (data.pageCount !== undefined && data.pageCount !== null ? ', pageCount=' + data.pageCount : '');
+    case 'addTrap':
+      return (data.severity || 'info') + ': ' + (data.parsedMessage || 'SNMP Alert');
+    case 'pushSupplyData':
+      return (Array.isArray(data.supplies) ? data.supplies.length : 0) + ' supplies';
+    case 'getDevices':
+    case 'syncDevices':
+      return (result.devices || []).length + ' devices';
+    default:
+      return '';
+  }
+}
+
+function auditReport(req, action, data, result) {
+  var device = result.device || null;
+  gatewayAuth.recordReport({
+    key: req.gatewayKey,
+    action: action,
+    sourceIp: req.ip,
+    deviceId: device ? device.id : (data.deviceId || ''),
+    deviceIp: device ? device.ip : (data.ip || data.sourceIp || ''),
+    detail: describeReport(action, data, result),
+    accepted: result.success !== false,
+    error: result.error || ''
+  });
+}
+
+function getSyncDeviceList() {
+  return getDevicesParsed().map(function(d) {
+    return { ip: d.ip, name: d.name, id: d.id, type: d.type, model: d.model };
+  });
+}
+
 // ============================================
 // GATEWAY POST ENDPOINT
 // ============================================
-// The SNMP gateway sends POST requests with { action: '...', ...data }
+// The SNMP gateway sends signed POST requests with { action: '...', ...data }
 // This mirrors the doPost() dispatcher from Code.gs
 
-router.post('/gateway', (req, res) => {
+router.post('/gateway', requireGatewayKey, (req, res) => {
   try {
     var data = req.body;
     var action = data.action;
+    var result;
 
     switch (action) {
       case 'updateDeviceStatus':
-        return res.json(updateDeviceStatus(data));
+        result = updateDeviceStatus(data);
+        break;
 
       case 'addTrap':
-        return res.json(addTrap(data));
+        result = addTrap(data);
+        break;
 
       case 'pushSupplyData':
-        return res.json(pushSupplyData(data));
+        result = pushSupplyData(data);
+        break;
 
-      case 'getDevices': {
-        var devices = getDevicesParsed();
-        var deviceList = devices.map(function(d) {
-          return { ip: d.ip, name: d.name, id: d.id, type: d.type, model: d.model };
-        });
-        return res.json({ success: true, devices: deviceList });
-      }
+      case 'getDevices':
+        result = { success: true, devices: getSyncDeviceList() };
+        break;
 
       default:
-        return res.json({ error: 'Unknown action: ' + action });
+        result = { error: 'Unknown action: ' + action, success: false };
+        auditReport(req, String(action || ''), data, result);
+        return res.json({ error: result.error });
     }
+
+    auditReport(req, action, data, result);
+    return res.json(result);
   } catch (error) {
     console.log('Gateway POST error: ' + error);
     res.json({ error: error.message });
@@ -213,17 +300,103 @@ router.post('/gateway', (req, res) => {
 // GATEWAY GET ENDPOINT — Device Sync
 // ============================================
 
-router.get('/gateway/devices', (req, res) => {
+router.get('/gateway/devices', requireGatewayKey, (req, res) => {
   try {
-    var devices = getDevicesParsed();
-    var deviceList = devices.map(function(d) {
-      return { ip: d.ip, name: d.name, id: d.id, type: d.type, model: d.model };
-    });
-    res.json({ success: true, devices: deviceList });
+    var result = { success: true, devices: getSyncDeviceList() };
+    auditReport(req, 'syncDevices', {}, result);
+    res.json(result);
   } catch (error) {
     console.log('Gateway GET devices error: ' + error);
     res.json({ success: false, error: error.message, devices: [] });
   }
 });
 
+// ============================================
+// GATEWAY KEY MANAGEMENT (settings)
+// ============================================
+
+/**
+ * getGatewayKeys - API keys (secrets are never returned) and signing settings
+ */
+router.post('/getGatewayKeys', (req, res) => {
+  try {
+    res.json({ success: true, keys: gatewayAuth.listKeys(), allowUnsigned: gatewayAuth.allowUnsigned() });
+  } catch (error) {
+    console.error('Error getting gateway keys:', error);
+    res.json({ success: false, error: error.message, keys: [] });
+  }
+});
+
+/**
+ * createGatewayKey - Issue a new key for a gateway
+ * Args: [name]
+ * The response holds the secret; it is shown once and not stored in the browser.
+ */
+router.post('/createGatewayKey', (req, res) => {
+  try {
+    const [name] = req.body.args || [];
+    if (!name || !String(name).trim()) {
+      return res.json({ success: false, error: 'Gateway name is required' });
+    }
+    const key = gatewayAuth.createKey(String(name).trim(), req.user ? req.user.username : '');
+    res.json({ success: true, key: key });
+  } catch (error) {
+    console.error('Error creating gateway key:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * revokeGatewayKey - Stop accepting a key
+ * Args: [keyId]
+ */
+router.post('/revokeGatewayKey', (req, res) => {
+  try {
+    const [keyId] = req.body.args || [];
+    if (!gatewayAuth.revokeKey(keyId)) {
+      return res.json({ success: false, error: 'Gateway key not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking gateway key:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveGatewaySecuritySettings - Allow or refuse unsigned (legacy) gateway requests
+ * Args: [{ allowUnsigned: boolean }]
+ */
+router.post('/saveGatewaySecuritySettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    if (!settings) {
+      return res.json({ success: false, error: 'No settings provided' });
+    }
+    setSetting('gatewayAllowUnsigned', settings.allowUnsigned ? 'true' : 'false');
+    res.json({ success: true, allowUnsigned: gatewayAuth.allowUnsigned() });
+  } catch (error) {
+    console.error('Error saving gateway security settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * getGatewayReports - Audit of gateway requests, newest first
+ * Args: [{ keyId, action, deviceId, rejectedOnly, limit }]
+ */
+router.post('/getGatewayReports', (req, res) => {
+  try {
+    const [filters] = req.body.args || [];
+    res.json(gatewayAuth.getReports(filters));
+  } catch (error) {
+    console.error('Error getting gateway reports:', error);
+    res.json([]);
+  }
+});
+
 module.exports = router;
+module.exports.getDevicesParsed = getDevicesParsed;
+module.exports.updateDeviceStatus = updateDeviceStatus;
+module.exports.addTrap = addTrap;
+module.exports.pushSupplyData = pushSupplyData;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable, count, getSetting } = require('../db/database');
 const { sendEmail } = require('../services/emailService');
+const eventBus = require('../services/eventBus');
 
 // ============================================
 // AI CLASSIFICATION ENGINE — KEYWORD RULES
@@ -486,6 +487,7 @@ router.post('/createIncident', (req, res) => {
     };
 
     insert('incidents', incidentData);
+    eventBus.publish('incident.created', { incident: incidentData });
 
     res.json({ success: true, incident: incidentData });
   } catch (error) {
@@ -541,6 +543,7 @@ router.post('/sendIncidentEmail', async (req, res) => {
       updateField('incidents', incidentId, 'emailStatus', 'sent');
       updateField('incidents', incidentId, 'emailSentAt', new Date().toISOString());
       updateField('incidents', incidentId, 'updatedAt', new Date().toISOString());
+      eventBus.publish('incident.updated', { incident: getById('incidents', incidentId) });
       console.log('Incident email sent to: ' + incident.employeeEmail);
       res.json({ success: true, message: 'Email sent to ' + incident.employeeEmail });
     } else {
@@ -591,6 +594,7 @@ router.post('/queueIncidentEmail', (req, res) => {
 
     updateField('incidents', incidentId, 'emailStatus', 'queued');
     updateField('incidents', incidentId, 'updatedAt', new Date().toISOString());
+    eventBus.publish('incident.updated', { incident: getById('incidents', incidentId) });
 
     res.json({ success: true, message: 'Email queued for ' + incident.employeeEmail });
   } catch (error) {
@@ -607,6 +611,7 @@ router.post('/updateIncidentField', (req, res) => {
     const [incidentId, fieldName, value] = req.body.args || [];
     updateField('incidents', incidentId, fieldName, value);
     updateField('incidents', incidentId, 'updatedAt', new Date().toISOString());
+    eventBus.publish('incident.updated', { incident: getById('incidents', incidentId) });
     res.json({ success: true });
   } catch (error) {
     console.log('Error updating incident field: ' + error);
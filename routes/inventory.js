@@ -0,0 +1,267 @@
+/**
+ * Inventory Routes
+ * Consumables, stock per location and reorder requests / purchase orders
+ * (see services/inventory.js).
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const inventory = require('../services/inventory');
+
+const USAGE_LIMIT = 200;
+
+/**
+ * getInventory - Consumables with stock, known locations, recent usage and settings
+ * Returns { success, consumables, locations, usage, settings }
+ */
+router.post('/getInventory', (req, res) => {
+  try {
+    const stock = inventory.getStockSummary();
+    const consumables = db.getAll('consumables')
+      .map(c => ({ ...c, stock: stock[c.id] || { total: 0, locations: {} } }))
+      .sort((a, b) => String(a.sku || a.name).localeCompare(String(b.sku || b.name)));
+
+    const locations = {};
+    db.getAll('devices').forEach(d => { if (d.location) locations[d.location] = true; });
+    db.getAll('consumable_stock').forEach(s => { if (s.location) locations[s.location] = true; });
+
+    const usage = db.db.prepare('SELECT * FROM consumable_usage ORDER BY createdAt DESC LIMIT ?').all(USAGE_LIMIT);
+
+    res.json({
+      success: true,
+      consumables,
+      locations: Object.keys(locations).sort(),
+      usage,
+      settings: inventory.getStatus()
+    });
+  } catch (error) {
+    console.error('Error getting inventory:', error);
+    res.json({ success: false, error: error.message, consumables: [] });
+  }
+});
+
+/**
+ * saveConsumable - Create or update a consumable
+ * Args: [{ id?, sku, name, supplyMatch, models, vendor, vendorEmail, unitCost, pageYield, reorderQty, minStock, notes }]
+ */
+router.post('/saveConsumable', (req, res) => {
+  try {
+    const [consumable] = req.body.args || [];
+    const c = consumable || {};
+    if (!String(c.sku || '').trim() && !String(c.name || '').trim()) {
+      return res.json({ success: false, error: 'A SKU or name is required' });
+    }
+    if (!String(c.supplyMatch || '').trim()) {
+      return res.json({ success: false, error: 'Supply name match is required (e.g. "Black Toner")' });
+    }
+    const now = new Date().toISOString();
+    const data = {
+      sku: String(c.sku || '').trim(),
+      name: String(c.name || '').trim(),
+      supplyMatch: String(c.supplyMatch || '').trim(),
+      models: String(c.models || '').split(/[,\n]/).map(m => m.trim()).filter(Boolean).join(', '),
+      vendor: String(c.vendor || '').trim(),
+      vendorEmail: String(c.vendorEmail || '').trim(),
+      unitCost: Math.max(0, parseFloat(c.unitCost) || 0),
+      pageYield: Math.max(0, parseInt(c.pageYield) || 0),
+      reorderQty: Math.max(1, parseInt(c.reorderQty) || 1),
+      minStock: Math.max(0, parseInt(c.minStock) || 0),
+      notes: String(c.notes || ''),
+      updatedAt: now
+    };
+
+    if (c.id && db.getById('consumables', c.id)) {
+      db.update('consumables', c.id, data);
+      return res.json({ success: true, consumable: db.getById('consumables', c.id) });
+    }
+    const created = { id: db.generateId(), ...data, createdAt: now };
+    db.insert('consumables', created);
+    res.json({ success: true, consumable: created });
+  } catch (error) {
+    console.error('Error saving consumable:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * deleteConsumable - Remove a consumable and its stock counts
+ * Args: [consumableId]
+ */
+router.post('/deleteConsumable', (req, res) => {
+  try {
+    const [consumableId] = req.body.args || [];
+    if (!db.getById('consumables', consumableId)) {
+      return res.json({ success: false, error: 'Consumable not found' });
+    }
+    inventory.deleteConsumable(consumableId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting consumable:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * setConsumableStock - Set the counted quantity at a location
+ * Args: [consumableId, location, quantity]
+ */
+router.post('/setConsumableStock', (req, res) => {
+  try {
+    const [consumableId, location, quantity] = req.body.args || [];
+    if (isNaN(parseInt(quantity)) || parseInt(quantity) < 0) {
+      return res.json({ success: false, error: 'Quantity must be 0 or more' });
+    }
+    const onHand = inventory.setStock(consumableId, String(location || '').trim(), quantity);
+    res.json({ success: true, quantity: onHand });
+  } catch (error) {
+    console.error('Error setting stock:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * getReorderRequests - Reorder requests, newest first
+ * Args: [{ status }] - 'active' (open + ordered), a single status, or omitted for all
+ */
+router.post('/getReorderRequests', (req, res) => {
+  try {
+    const [filters] = req.body.args || [];
+    const status = filters && filters.status;
+    let requests = db.getAll('reorder_requests');
+    if (status === 'active') {
+      requests = requests.filter(r => r.status === 'open' || r.status === 'ordered');
+    } else if (status) {
+      requests = requests.filter(r => r.status === status);
+    }
+    requests.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error getting reorder requests:', error);
+    res.json({ success: false, error: error.message, requests: [] });
+  }
+});
+
+/**
+ * createReorderRequest - Raise a reorder request by hand
+ * Args: [consumableId, location, quantity]
+ */
+router.post('/createReorderRequest', (req, res) => {
+  try {
+    const [consumableId, location, quantity] = req.body.args || [];
+    const consumable = db.getById('consumables', consumableId);
+    if (!consumable) {
+      return res.json({ success: false, error: 'Consumable not found' });
+    }
+    const loc = String(location || '').trim();
+    const request = inventory.createRequest({
+      consumable,
+      location: loc,
+      reason: 'manual',
+      onHand: inventory.getOnHand(consumableId, loc),
+      quantity
+    }, req.user ? req.user.username : '');
+    res.json({ success: true, request });
+  } catch (error) {
+    console.error('Error creating reorder request:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * previewPurchaseOrder - Rendered purchase order email
+ * Args: [requestId, { to, notes }]
+ * Returns { success, to, poNumber, subject, html }
+ */
+router.post('/previewPurchaseOrder', (req, res) => {
+  try {
+    const [requestId, options] = req.body.args || [];
+    res.json({ success: true, ...inventory.buildPurchaseOrder(requestId, options) });
+  } catch (error) {
+    console.error('Error previewing purchase order:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * sendPurchaseOrder - Email the purchase order and mark the request ordered
+ * Args: [requestId, { to, cc, notes }]
+ */
+router.post('/sendPurchaseOrder', async (req, res) => {
+  try {
+    const [requestId, options] = req.body.args || [];
+    const request = await inventory.sendPurchaseOrder(requestId, options, req.user ? req.user.username : '');
+    res.json({ success: true, request });
+  } catch (error) {
+    console.error('Error sending purchase order:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * markReorderReceived - Delivery arrived; adds the quantity to stock
+ * Args: [requestId]
+ */
+router.post('/markReorderReceived', (req, res) => {
+  try {
+    const [requestId] = req.body.args || [];
+    res.json({ success: true, request: inventory.markReceived(requestId) });
+  } catch (error) {
+    console.error('Error receiving reorder:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * cancelReorderRequest - Cancel an open or ordered request
+ * Args: [requestId]
+ */
+router.post('/cancelReorderRequest', (req, res) => {
+  try {
+    const [requestId] = req.body.args || [];
+    inventory.cancelRequest(requestId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling reorder request:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * checkReordersNow - Run the threshold/forecast check immediately
+ * Returns { success, raised }
+ */
+router.post('/checkReordersNow', (req, res) => {
+  try {
+    res.json({ success: true, raised: inventory.checkAll().length });
+  } catch (error) {
+    console.error('Error checking reorders:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveReorderSettings - Reorder threshold, lead time and purchasing contact
+ * Args: [{ enabled, threshold, leadDays, autoSend, purchasingEmail }]
+ */
+router.post('/saveReorderSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    const s = settings || {};
+    const threshold = parseInt(s.threshold);
+    const leadDays = parseInt(s.leadDays);
+    if (!(threshold >= 0 && threshold <= 100)) return res.json({ success: false, error: 'Threshold must be 0-100%' });
+    if (!(leadDays >= 0 && leadDays <= 365)) return res.json({ success: false, error: 'Lead time must be 0-365 days' });
+
+    db.setSetting('reorderEnabled', s.enabled ? 'true' : 'false');
+    db.setSetting('reorderThreshold', String(threshold));
+    db.setSetting('reorderLeadDays', String(leadDays));
+    db.setSetting('reorderAutoSend', s.autoSend ? 'true' : 'false');
+    db.setSetting('purchasingEmail', String(s.purchasingEmail || '').trim());
+    res.json({ success: true, settings: inventory.getStatus() });
+  } catch (error) {
+    console.error('Error saving reorder settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
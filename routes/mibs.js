@@ -0,0 +1,86 @@
+/**
+ * MIB Routes
+ * Vendor MIB uploads used to describe traps parseTrapMessage can't
+ * otherwise decode (see services/mibs.js).
+ */
+const express = require('express');
+const router = express.Router();
+const mibs = require('../services/mibs');
+
+/**
+ * getMibModules - Uploaded modules with their definition counts
+ * Returns { success, modules }
+ */
+router.post('/getMibModules', (req, res) => {
+  try {
+    res.json({ success: true, modules: mibs.getModules() });
+  } catch (error) {
+    console.error('Error getting MIB modules:', error);
+    res.json({ success: false, error: error.message, modules: [] });
+  }
+});
+
+/**
+ * uploadMibFiles - Parse and store MIB files; a module uploaded again is replaced
+ * Args: [[{ fileName, content }]]
+ * Returns { success, modules: [{ moduleName, definitions, notifications }], unresolved,
+ *           errors: [{ fileName, error }] }
+ */
+router.post('/uploadMibFiles', (req, res) => {
+  try {
+    const [files] = req.body.args || [];
+    if (!Array.isArray(files) || files.length === 0) {
+      return res.json({ success: false, error: 'No files selected' });
+    }
+    const uploadedBy = req.user ? req.user.displayName || req.user.username : '';
+    const modules = [];
+    const errors = [];
+    let unresolved = 0;
+    files.forEach(file => {
+      const fileName = String((file && file.fileName) || 'MIB file');
+      try {
+        const result = mibs.importMib(fileName, file && file.content, uploadedBy);
+        result.modules.forEach(m => modules.push({ ...m, fileName }));
+        unresolved = result.unresolved;
+      } catch (err) {
+        errors.push({ fileName, error: err.message });
+      }
+    });
+    res.json({ success: modules.length > 0, modules, unresolved, errors, error: modules.length ? undefined : errors.map(e => e.fileName + ': ' + e.error).join('; ') });
+  } catch (error) {
+    console.error('Error uploading MIB files:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * deleteMibModule - Remove a module and its definitions
+ * Args: [moduleId]
+ */
+router.post('/deleteMibModule', (req, res) => {
+  try {
+    const [moduleId] = req.body.args || [];
+    mibs.deleteModule(moduleId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting MIB module:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * lookupMibOid - The definition an OID belongs to
+ * Args: [oid]
+ * Returns { success, object } - object is null when no uploaded MIB defines it
+ */
+router.post('/lookupMibOid', (req, res) => {
+  try {
+    const [oid] = req.body.args || [];
+    res.json({ success: true, object: mibs.lookupOid(String(oid || '').trim()) });
+  } catch (error) {
+    console.error('Error looking up OID:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+/**
+ * Recycle Bin Routes
+ * List, restore and purge soft-deleted items (see services/recycleBin.js).
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const recycleBin = require('../services/recycleBin');
+const eventBus = require('../services/eventBus');
+
+/**
+ * getRecycleBin - Deleted items, most recent first
+ * Returns { success, items, retentionDays }
+ */
+router.post('/getRecycleBin', (req, res) => {
+  try {
+    res.json({ success: true, items: recycleBin.listItems(), retentionDays: recycleBin.getRetentionDays() });
+  } catch (error) {
+    console.error('Error getting recycle bin:', error);
+    res.json({ success: false, error: error.message, items: [] });
+  }
+});
+
+/**
+ * restoreDeletedItem - Put a deleted item back
+ * Args: [table, id]
+ */
+router.post('/restoreDeletedItem', (req, res) => {
+  try {
+    const [table, id] = req.body.args || [];
+    if (!recycleBin.restore(table, id)) {
+      return res.json({ success: false, error: 'Item not found in the recycle bin' });
+    }
+    if (table === 'service_requests' || table === 'incidents') {
+      eventBus.publish('serviceRequest.restored', { id: id });
+    } else if (table === 'devices') {
+      eventBus.publish('device.updated', { device: db.getById('devices', id) });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error restoring item:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * purgeDeletedItem - Permanently delete one item from the bin
+ * Args: [table, id]
+ */
+router.post('/purgeDeletedItem', (req, res) => {
+  try {
+    const [table, id] = req.body.args || [];
+    if (!recycleBin.purge(table, id)) {
+      return res.json({ success: false, error: 'Item not found in the recycle bin' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error purging item:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * emptyRecycleBin - Permanently delete everything in the bin
+ */
+router.post('/emptyRecycleBin', (req, res) => {
+  try {
+    res.json({ success: true, purged: recycleBin.emptyBin() });
+  } catch (error) {
+    console.error('Error emptying recycle bin:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveRecycleBinSettings - Days before deleted items are purged (0 = never)
+ * Args: [{ retentionDays }]
+ */
+router.post('/saveRecycleBinSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    const days = parseInt(settings && settings.retentionDays);
+    if (isNaN(days) || days < 0) {
+      return res.json({ success: false, error: 'Retention must be 0 or more days' });
+    }
+    db.setSetting('recycleBinRetentionDays', String(days));
+    const purged = recycleBin.purgeExpired();
+    res.json({ success: true, retentionDays: days, purged: purged });
+  } catch (error) {
+    console.error('Error saving recycle bin settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
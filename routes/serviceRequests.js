@@ -4,8 +4,13 @@
  */
 const express = require('express');
 const router = express.Router();
-const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable } = require('../db/database');
+const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable, softDelete, softDeleteAll } = require('../db/database');
 const { sendEmail } = require('../services/emailService');
+const eventBus = require('../services/eventBus');
+const sla = require('../services/sla');
+const autoAssign = require('../services/autoAssign');
+const techSchedule = require('../services/techSchedule');
+const requestStatus = require('../services/requestStatus');
 const config = require('../config');
 
 // Import shared helpers from settings route
@@ -29,8 +34,9 @@ router.post('/getServiceRequests', (req, res) => {
   try {
     const [limit] = req.body.args || [];
 
-    // Pull from service_requests table (QR-based)
-    let requests = getAll('service_requests').map(r => ({ ...r, source: 'qr' }));
+    // Pull from service_requests table (QR-based), with their SLA state
+    const slaPolicies = sla.policiesById();
+    let requests = getAll('service_requests').map(r => ({ ...r, source: 'qr', sla: sla.describe(r, slaPolicies) }));
 
     // Also pull from incidents table (Help Desk) and normalize
     try {
@@ -102,64 +108,7 @@ router.post('/getServiceRequests', (req, res) => {
 router.post('/createServiceRequest', async (req, res) => {
   try {
     const [requestData] = req.body.args || [];
-    const now = new Date().toISOString();
-
-    // Look up device info
-    const device = requestData.deviceId ? getById('devices', requestData.deviceId) : null;
-
-    // Look up device type
-    let deviceType = null;
-    if (device) {
-      const deviceTypes = getAll('device_types');
-      const deviceTypeStr = String(device.type || '').toLowerCase().trim();
-      deviceType = deviceTypes.find(t =>
-        t.id === device.type ||
-        String(t.id).toLowerCase() === deviceTypeStr ||
-        String(t.name).toLowerCase() === deviceTypeStr
-      );
-    }
-
-    // Look up employee info from teachers table
-    let employee = null;
-    if (requestData.employeeId) {
-      const teachers = getAll('teachers');
-      const searchId = String(requestData.employeeId).trim();
-      employee = teachers.find(t => String(t.empId).trim() === searchId);
-    }
-
-    // Determine the email - prefer from requestData, fallback to teacher lookup
-    const finalEmail = requestData.employeeEmail || (employee ? employee.email : '');
-
-    const data = {
-      id: generateId(),
-      deviceId: (requestData.deviceId && requestData.deviceId !== 'undefined') ? requestData.deviceId : '',
-      deviceName: device ? device.name : (requestData.deviceName || ''),
-      deviceType: deviceType ? deviceType.name : (device ? device.type : ''),
-      location: device ? device.location : (requestData.location || ''),
-      blueprintId: device ? device.blueprintId : '',
-      issueType: requestData.issueType || '',
-      issueLabel: requestData.issueLabel || '',
-      employeeId: requestData.employeeId || '',
-      employeeName: employee ? employee.name : (requestData.employeeName || ''),
-      employeeEmail: finalEmail,
-      technicianId: '',
-      technicianName: '',
-      status: 'pending',
-      notes: requestData.notes || '',
-      submittedAt: now,
-      assignedAt: '',
-      completedAt: '',
-      createdAt: now,
-      updatedAt: now
-    };
-
-    insert('service_requests', data);
-
-    // Send email notification (async, don't block response)
-    sendServiceRequestNotification(data).catch(err => {
-      console.error('Error sending service request notification:', err);
-    });
-
+    const data = createServiceRequest(requestData);
     res.json({ success: true, request: data });
   } catch (error) {
     console.error('Error creating service request:', error);
@@ -167,17 +116,93 @@ router.post('/createServiceRequest', async (req, res) => {
   }
 });
 
+/**
+ * Insert a service request, publish it and send the notification emails.
+ * Also used by the alert rules engine (services/alertRules.js).
+ */
+function createServiceRequest(requestData) {
+  const now = new Date().toISOString();
+
+  // Look up device info
+  const device = requestData.deviceId ? getById('devices', requestData.deviceId) : null;
+
+  // Look up device type
+  let deviceType = null;
+  if (device) {
+    const deviceTypes = getAll('device_types');
+    const deviceTypeStr = String(device.type || '').toLowerCase().trim();
+    deviceType = deviceTypes.find(t =>
+      t.id === device.type ||
+      String(t.id).toLowerCase() === deviceTypeStr ||
+      String(t.name).toLowerCase() === deviceTypeStr
+    );
+  }
+
+  // Look up employee info from teachers table
+  let employee = null;
+  if (requestData.employeeId) {
+    const teachers = getAll('teachers');
+    const searchId = String(requestData.employeeId).trim();
+    employee = teachers.find(t => String(t.empId).trim() === searchId);
+  }
+
+  // Determine the email - prefer from requestData, fallback to teacher lookup
+  const finalEmail = requestData.employeeEmail || (employee ? employee.email : '');
+
+  const data = {
+    id: generateId(),
+    deviceId: (requestData.deviceId && requestData.deviceId !== 'undefined') ? requestData.deviceId : '',
+    deviceName: device ? device.name : (requestData.deviceName || ''),
+    deviceType: deviceType ? deviceType.name : (device ? device.type : ''),
+    location: device ? device.location : (requestData.location || ''),
+    blueprintId: device ? device.blueprintId : '',
+    issueType: requestData.issueType || '',
+    issueLabel: requestData.issueLabel || '',
+    employeeId: requestData.employeeId || '',
+    employeeName: employee ? employee.name : (requestData.employeeName || ''),
+    employeeEmail: finalEmail,
+    technicianId: '',
+    technicianName: '',
+    status: 'pending',
+    notes: requestData.notes || '',
+    submittedAt: now,
+    assignedAt: '',
+    completedAt: '',
+    statusToken: requestStatus.generateToken(),
+    createdAt: now,
+    updatedAt: now
+  };
+  Object.assign(data, sla.deadlinesFor(data));
+
+  insert('service_requests', data);
+  eventBus.publish('serviceRequest.created', { request: data });
+
+  // Hand it to a technician straight away when auto-assignment is on
+  try {
+    if (autoAssign.autoAssign(data.id, { newRequest: true })) Object.assign(data, getById('service_requests', data.id));
+  } catch (err) {
+    console.error('Error auto-assigning service request:', err);
+  }
+
+  // Send email notification (async, don't block response)
+  sendServiceRequestNotification(data).catch(err => {
+    console.error('Error sending service request notification:', err);
+  });
+
+  return data;
+}
+
 // ============================================
 // ASSIGN / UNASSIGN / COMPLETE
 // ============================================
 
 /**
  * assignServiceRequest - Set technician, status='in-progress', assignedAt
- * Args: [requestId, technicianNameOrId]
+ * Args: [requestId, technicianNameOrId, reason?] - the reason goes to the assignment log
  */
 router.post('/assignServiceRequest', (req, res) => {
   try {
-    const [requestId, technicianNameOrId] = req.body.args || [];
+    const [requestId, technicianNameOrId, reason] = req.body.args || [];
     const now = new Date().toISOString();
 
     // Look up technician info
@@ -197,8 +222,12 @@ router.post('/assignServiceRequest', (req, res) => {
         technicianName: techName,
         status: 'in-progress',
         assignedAt: now,
+        assignmentMethod: 'manual',
         updatedAt: now
       });
+      sla.refresh(requestId);
+      autoAssign.logManual(srRow, { id: techId, name: techName }, reason, req.user ? req.user.displayName || req.user.username : '');
+      eventBus.publish('serviceRequest.assigned', { request: { ...srRow, technicianId: techId, technicianName: techName, status: 'in-progress', assignedAt: now, updatedAt: now } });
       return res.json({
         success: true,
         updatedRequest: { id: requestId, status: 'in-progress', technicianId: techId, technicianName: techName, assignedAt: now, updatedAt: now }
@@ -212,6 +241,7 @@ router.post('/assignServiceRequest', (req, res) => {
         status: 'in-progress',
         updatedAt: now
       });
+      eventBus.publish('incident.updated', { incident: { ...incRow, status: 'in-progress', updatedAt: now } });
       return res.json({
         success: true,
         updatedRequest: { id: requestId, status: 'in-progress', technicianId: techId, technicianName: techName, assignedAt: now, updatedAt: now }
@@ -227,11 +257,11 @@ router.post('/assignServiceRequest', (req, res) => {
 
 /**
  * unassignServiceRequest - Clear assignment, set status='pending'
- * Args: [requestId]
+ * Args: [requestId, reason?]
  */
 router.post('/unassignServiceRequest', (req, res) => {
   try {
-    const [requestId] = req.body.args || [];
+    const [requestId, reason] = req.body.args || [];
     const now = new Date().toISOString();
 
     const srRow = getById('service_requests', requestId);
@@ -244,8 +274,11 @@ router.post('/unassignServiceRequest', (req, res) => {
       technicianName: '',
       status: 'pending',
       assignedAt: '',
+      assignmentMethod: '',
       updatedAt: now
     });
+    autoAssign.logManual(srRow, null, reason, req.user ? req.user.displayName || req.user.username : '');
+    eventBus.publish('serviceRequest.unassigned', { request: { ...srRow, technicianId: '', technicianName: '', status: 'pending', assignedAt: '', updatedAt: now } });
 
     res.json({
       success: true,
@@ -257,6 +290,85 @@ router.post('/unassignServiceRequest', (req, res) => {
   }
 });
 
+/**
+ * reopenServiceRequest - Put a completed request back in the queue (counts towards the reopen rate)
+ * Args: [requestId]
+ */
+router.post('/reopenServiceRequest', (req, res) => {
+  try {
+    const [requestId] = req.body.args || [];
+    const now = new Date().toISOString();
+
+    const srRow = getById('service_requests', requestId);
+    if (!srRow) {
+      return res.json({ success: false, error: 'Request not found' });
+    }
+    if (srRow.status !== 'completed') {
+      return res.json({ success: false, error: 'Only completed requests can be reopened' });
+    }
+
+    const updates = {
+      status: srRow.technicianId ? 'in-progress' : 'pending',
+      completedAt: '',
+      reopenCount: (parseInt(srRow.reopenCount) || 0) + 1,
+      reopenedAt: now,
+      updatedAt: now
+    };
+    update('service_requests', requestId, updates);
+    sla.refresh(requestId);
+    eventBus.publish('serviceRequest.reopened', { request: { ...srRow, ...updates } });
+
+    res.json({
+      success: true,
+      updatedRequest: { id: requestId, status: updates.status, completedAt: '', reopenCount: updates.reopenCount, reopenedAt: now, updatedAt: now }
+    });
+  } catch (error) {
+    console.error('Error reopening service request:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * autoAssignServiceRequest - Run the auto-assignment engine on a pending request
+ * (works while auto-assignment is switched off)
+ * Args: [requestId]
+ * Returns { success, entry, updatedRequest } - entry.technicianId is '' when nobody was found
+ */
+router.post('/autoAssignServiceRequest', (req, res) => {
+  try {
+    const [requestId] = req.body.args || [];
+    const srRow = getById('service_requests', requestId);
+    if (!srRow) return res.json({ success: false, error: 'Request not found' });
+    if (srRow.status !== 'pending' || srRow.technicianId) {
+      return res.json({ success: false, error: 'Only unassigned, pending requests can be auto-assigned' });
+    }
+    const entry = autoAssign.autoAssign(requestId, { force: true, by: req.user ? req.user.displayName || req.user.username : '' });
+    const row = getById('service_requests', requestId);
+    res.json({
+      success: true,
+      entry: entry,
+      updatedRequest: { id: requestId, status: row.status, technicianId: row.technicianId, technicianName: row.technicianName, assignedAt: row.assignedAt, updatedAt: row.updatedAt }
+    });
+  } catch (error) {
+    console.error('Error auto-assigning service request:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * getAssignmentLog - Who a request was assigned to and why, oldest first
+ * Args: [requestId]
+ */
+router.post('/getAssignmentLog', (req, res) => {
+  try {
+    const [requestId] = req.body.args || [];
+    res.json({ success: true, entries: autoAssign.getLog(requestId) });
+  } catch (error) {
+    console.error('Error getting assignment log:', error);
+    res.json({ success: false, error: error.message, entries: [] });
+  }
+});
+
 /**
  * completeServiceRequest - Set status='completed', completedAt, notes
  * Args: [requestId, notes]
@@ -277,6 +389,8 @@ router.post('/completeServiceRequest', (req, res) => {
       if (notes) updates.notes = notes;
 
       update('service_requests', requestId, updates);
+      sla.refresh(requestId);
+      eventBus.publish('serviceRequest.completed', { request: { ...srRow, ...updates } });
       return res.json({
         success: true,
         updatedRequest: { id: requestId, status: 'completed', completedAt: now, updatedAt: now }
@@ -290,6 +404,7 @@ router.post('/completeServiceRequest', (req, res) => {
         status: 'closed',
         updatedAt: now
       });
+      eventBus.publish('incident.updated', { incident: { ...incRow, status: 'closed', updatedAt: now } });
       return res.json({
         success: true,
         updatedRequest: { id: requestId, status: 'completed', completedAt: now, updatedAt: now }
@@ -318,14 +433,16 @@ router.post('/deleteServiceRequest', (req, res) => {
     // Try service_requests first
     const srRow = getById('service_requests', requestId);
     if (srRow) {
-      remove('service_requests', requestId);
+      softDelete('service_requests', requestId);
+      eventBus.publish('serviceRequest.deleted', { id: requestId });
       return res.json({ success: true });
     }
 
     // Fall back to incidents
     const incRow = getById('incidents', requestId);
     if (incRow) {
-      remove('incidents', requestId);
+      softDelete('incidents', requestId);
+      eventBus.publish('serviceRequest.deleted', { id: requestId });
       return res.json({ success: true });
     }
 
@@ -337,20 +454,12 @@ router.post('/deleteServiceRequest', (req, res) => {
 });
 
 /**
- * deleteAllServiceRequests - Clear both service_requests and incidents tables
+ * deleteAllServiceRequests - Move all service requests and incidents to the Recycle Bin
  */
 router.post('/deleteAllServiceRequests', (req, res) => {
   try {
-    let deleted = 0;
-
-    // Count before clearing
-    const srCount = getAll('service_requests').length;
-    const incCount = getAll('incidents').length;
-
-    clearTable('service_requests');
-    clearTable('incidents');
-
-    deleted = srCount + incCount;
+    const deleted = softDeleteAll('service_requests') + softDeleteAll('incidents');
+    if (deleted > 0) eventBus.publish('serviceRequest.deleted', { all: true });
 
     res.json({ success: true, deleted: deleted });
   } catch (error) {
@@ -479,6 +588,25 @@ router.post('/getRequestPageData', (req, res) => {
   }
 });
 
+/**
+ * getRequestStatus - Where a request stands, for the requester's status page (no login)
+ * Args: [statusToken]
+ * Returns { success, request: { deviceName, location, issueLabel, status, technicianName, notes, steps, ... } }
+ */
+router.post('/getRequestStatus', (req, res) => {
+  try {
+    const [token] = req.body.args || [];
+    const status = requestStatus.getStatus(token);
+    if (!status) {
+      return res.json({ success: false, error: 'This status link is not valid, or the request has been removed.' });
+    }
+    res.json({ success: true, request: status });
+  } catch (error) {
+    console.error('Error getting request status:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // EMAIL NOTIFICATION (internal helper)
 // ============================================
@@ -501,13 +629,19 @@ async function sendServiceRequestNotification(request) {
     const isAfterHours = workingHoursInfo && !workingHoursInfo.isWorkingHours;
     const afterHoursSettings = workingHoursInfo ? workingHoursInfo.settings : null;
 
+    // After hours the on-call technician is paged instead of the shared inbox
+    const onCall = isAfterHours ? techSchedule.getOnCall() : null;
+    const onCallTech = onCall && onCall.technician.email ? onCall.technician : null;
+    const recipient = onCallTech ? onCallTech.email : technicianEmail;
+
     // Send notification to technicians
-    if (technicianEmail) {
+    if (recipient) {
       const afterHoursNote = isAfterHours
-        ? '\nAFTER-HOURS SUBMISSION - This request was submitted outside of working hours.\n'
+        ? '\nAFTER-HOURS SUBMISSION - This request was submitted outside of working hours.\n' +
+          (onCallTech ? `You are receiving this because you are on call, ${onCallTech.name}.\n` : '')
         : '';
 
-      const techSubject = `Service Request: ${request.issueLabel} - ${request.deviceName}`;
+      const techSubject = `${onCallTech ? '[On-call] ' : ''}Service Request: ${request.issueLabel} - ${request.deviceName}`;
       const techBody = `New Service Request Submitted
 ${afterHoursNote}
 Device: ${request.deviceName}
@@ -525,7 +659,7 @@ Notes: ${request.notes || 'None'}
 Smart School Monitor`.trim();
 
       await sendEmail({
-        to: technicianEmail,
+        to: recipient,
         subject: techSubject,
         text: techBody
       });
@@ -554,6 +688,7 @@ async function sendEmployeeConfirmationEmail(requestData, isAfterHours, afterHou
     const urgentEmail = (afterHoursSettings && afterHoursSettings.urgentEmail) || 'itservicedesk@palmbeachschools.org';
     const urgentPhone = (afterHoursSettings && afterHoursSettings.urgentPhone) || '(561) 242-6100';
     const afterHoursMsg = (afterHoursSettings && afterHoursSettings.afterHoursMessage) || 'Your request will be addressed first thing during the next working hours.';
+    const statusUrl = requestStatus.statusUrl(requestData);
 
     if (template && template.htmlBody) {
       // Process HTML template - replace variables
@@ -566,9 +701,16 @@ async function sendEmployeeConfirmationEmail(requestData, isAfterHours, afterHou
         deviceName: requestData.deviceName || 'Unknown Device',
         location: requestData.location || 'Unknown Location',
         submittedAt: new Date(requestData.submittedAt).toLocaleString(),
-        requestId: requestData.id || ''
+        requestId: requestData.id || '',
+        technicianName: requestData.technicianName || '',
+        statusUrl: statusUrl
       };
 
+      // Templates written before status tracking get the link appended
+      if (statusUrl && htmlBody.indexOf('{{statusUrl}}') < 0) {
+        htmlBody += '<p>Track your request: <a href="{{statusUrl}}">{{statusUrl}}</a></p>';
+      }
+
       // Replace {{variable}} placeholders
       Object.keys(variables).forEach(key => {
         const regex = new RegExp('\\{\\{' + key + '\\}\\}', 'g');
@@ -585,6 +727,10 @@ async function sendEmployeeConfirmationEmail(requestData, isAfterHours, afterHou
       // Fallback to plain text
       const subject = 'Service Request Received - ' + (requestData.issueLabel || 'Service Request');
       let afterHoursMessage = '';
+      const assignedLine = requestData.technicianName ? '\n- Assigned to: ' + requestData.technicianName : '';
+      const trackMessage = statusUrl ? `
+
+Track your request: ${statusUrl}` : '';
 
       if (isAfterHours && afterHoursSettings) {
         afterHoursMessage = `
@@ -606,7 +752,7 @@ Request Details:
 - Device: ${requestData.deviceName || 'N/A'}
 - Location: ${requestData.location || 'N/A'}
 - Submitted: ${new Date(requestData.submittedAt).toLocaleString()}
-- Request ID: ${requestData.id || 'N/A'}
+- Request ID: ${requestData.id || 'N/A'}${assignedLine}${trackMessage}
 ${afterHoursMessage}
 
 Thank you,
@@ -624,3 +770,4 @@ Smart School Monitor`.trim();
 }
 
 module.exports = router;
+module.exports.createServiceRequest = createServiceRequest;
@@ -1,10 +1,11 @@
 /**
  * Settings Routes - Ported from Code.gs
- * Handles app settings, after-hours config, security passwords, and issue buttons.
+ * Handles app settings, after-hours config, and issue buttons.
+ * (User accounts and logins live in routes/users.js.)
  */
 const express = require('express');
 const router = express.Router();
-const { db, generateId, getAll, getById, getByColumn, insert, update, remove, getSetting, setSetting } = require('../db/database');
+const { db, generateId, getAll, getById, getByColumn, insert, update, remove, getSetting, setSetting, getEmailConfigValue } = require('../db/database');
 const config = require('../config');
 
 // ============================================
@@ -29,6 +30,25 @@ router.post('/getSettings', (req, res) => {
   }
 });
 
+/**
+ * getAppConfig - The settings every signed-in user's dashboard needs
+ * (getSettings and getEmailConfig also hold credentials and are admin-only)
+ * Returns { appTitle, appSubtitle, snmpGatewayUrl, servicenowSiteNumber }
+ */
+router.post('/getAppConfig', (req, res) => {
+  try {
+    res.json({
+      appTitle: getEmailConfigValue('appTitle') || '',
+      appSubtitle: getEmailConfigValue('appSubtitle') || '',
+      snmpGatewayUrl: getEmailConfigValue('snmpGatewayUrl') || '',
+      servicenowSiteNumber: getSetting('servicenowSiteNumber') || ''
+    });
+  } catch (error) {
+    console.error('Error getting app config:', error);
+    res.json({});
+  }
+});
+
 /**
  * saveSetting - Save a single key-value setting
  * Args: [key, value]
@@ -270,74 +290,6 @@ router.post('/isWithinWorkingHours', (req, res) => {
   res.json(checkWorkingHours());
 });
 
-// ============================================
-// SECURITY PASSWORD
-// ============================================
-
-/**
- * verifySecurityPassword - Compare with stored password
- * Args: [password]
- */
-router.post('/verifySecurityPassword', (req, res) => {
-  try {
-    const [password] = req.body.args || [];
-    const storedPassword = getSetting('securityPassword') || '';
-    const isProtected = getSetting('passwordProtected') === 'true';
-
-    if (!isProtected || !storedPassword) {
-      return res.json({ success: true, valid: true });
-    }
-
-    const valid = password === storedPassword;
-    res.json({ success: true, valid: valid });
-  } catch (error) {
-    res.json({ success: false, error: error.message });
-  }
-});
-
-/**
- * setSecurityPassword - Verify old password, set new
- * Args: [newPassword, oldPassword]
- */
-router.post('/setSecurityPassword', (req, res) => {
-  try {
-    const [newPassword, oldPassword] = req.body.args || [];
-    const storedPassword = getSetting('securityPassword') || '';
-    const isProtected = getSetting('passwordProtected') === 'true';
-
-    // If password protection is enabled, verify old password
-    if (isProtected && storedPassword) {
-      if (oldPassword !== storedPassword) {
-        return res.json({ success: false, error: 'Current password is incorrect' });
-      }
-    }
-
-    // Save new password
-    setSetting('securityPassword', newPassword);
-    setSetting('passwordProtected', newPassword ? 'true' : 'false');
-
-    res.json({ success: true, message: newPassword ? 'Password set successfully' : 'Password protection disabled' });
-  } catch (error) {
-    res.json({ success: false, error: error.message });
-  }
-});
-
-/**
- * isPasswordProtected - Check if password protection is enabled
- */
-router.post('/isPasswordProtected', (req, res) => {
-  try {
-    const storedPassword = getSetting('securityPassword') || '';
-    const isProtected = getSetting('passwordProtected') === 'true';
-    res.json({
-      success: true,
-      protected: isProtected && !!storedPassword
-    });
-  } catch (error) {
-    res.json({ success: false, protected: false });
-  }
-});
-
 // ============================================
 // ISSUE BUTTONS
 // ============================================
@@ -0,0 +1,67 @@
+/**
+ * SLA Routes
+ * Service request SLA policies (see services/sla.js).
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const sla = require('../services/sla');
+
+/**
+ * getSlaPolicies - Policies, the supervisor address and open breach counts
+ * Returns { success, policies, status }
+ */
+router.post('/getSlaPolicies', (req, res) => {
+  try {
+    res.json({ success: true, policies: sla.getPolicies(), status: sla.getStatus() });
+  } catch (error) {
+    console.error('Error getting SLA policies:', error);
+    res.json({ success: false, error: error.message, policies: [] });
+  }
+});
+
+/**
+ * saveSlaPolicy - Create or update a policy (applies to requests created from now on)
+ * Args: [{ id?, name, issueType, deviceType, assignMinutes, completeMinutes, warnMinutes, supervisorEmail, enabled }]
+ */
+router.post('/saveSlaPolicy', (req, res) => {
+  try {
+    const [policy] = req.body.args || [];
+    res.json({ success: true, policy: sla.savePolicy(policy) });
+  } catch (error) {
+    console.error('Error saving SLA policy:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * deleteSlaPolicy - Remove a policy
+ * Args: [policyId]
+ */
+router.post('/deleteSlaPolicy', (req, res) => {
+  try {
+    const [policyId] = req.body.args || [];
+    sla.deletePolicy(policyId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting SLA policy:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveSlaSettings - Supervisor warned when a policy doesn't name its own
+ * Args: [{ supervisorEmail }]
+ */
+router.post('/saveSlaSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    db.setSetting('slaSupervisorEmail', String((settings && settings.supervisorEmail) || '').trim());
+    res.json({ success: true, status: sla.getStatus() });
+  } catch (error) {
+    console.error('Error saving SLA settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
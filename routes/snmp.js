@@ -0,0 +1,209 @@
+/**
+ * SNMP Routes
+ * Status and settings for the built-in Printer MIB poller, trap receiver and
+ * stale device watchdog.
+ */
+const express = require('express');
+const router = express.Router();
+const { getAll, getById, insert, remove, setSetting } = require('../db/database');
+const snmpPoller = require('../services/snmpPoller');
+const trapReceiver = require('../services/trapReceiver');
+const watchdog = require('../services/watchdog');
+
+// ============================================
+// POLLER ROUTES
+// ============================================
+
+/**
+ * getSnmpPollerStatus - Current poller settings and last run summary
+ */
+router.post('/getSnmpPollerStatus', (req, res) => {
+  try {
+    res.json({ success: true, ...snmpPoller.getStatus() });
+  } catch (error) {
+    console.error('Error getting SNMP poller status:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveSnmpPollerSettings - Enable/disable the poller and set its interval
+ * Args: [{ enabled: boolean, interval: ms }]
+ */
+router.post('/saveSnmpPollerSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    if (!settings) {
+      return res.json({ success: false, error: 'No settings provided' });
+    }
+    const interval = parseInt(settings.interval);
+    if (settings.interval !== undefined && (!interval || interval < 10000)) {
+      return res.json({ success: false, error: 'Interval must be at least 10 seconds' });
+    }
+    if (settings.enabled !== undefined) {
+      setSetting('snmpPollerEnabled', settings.enabled ? 'true' : 'false');
+    }
+    if (settings.interval !== undefined) {
+      setSetting('snmpPollerInterval', String(interval));
+    }
+    res.json({ success: true, ...snmpPoller.getStatus() });
+  } catch (error) {
+    console.error('Error saving SNMP poller settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * pollDevicesNow - Run a poll immediately (all devices, or one by ID)
+ * Args: [deviceId?]
+ */
+router.post('/pollDevicesNow', async (req, res) => {
+  try {
+    const [deviceId] = req.body.args || [];
+    if (deviceId) {
+      return res.json(await snmpPoller.pollDeviceById(deviceId));
+    }
+    res.json(await snmpPoller.pollAllDevices());
+  } catch (error) {
+    console.error('Error polling devices:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// TRAP RECEIVER ROUTES
+// ============================================
+
+/**
+ * getTrapReceiverStatus - Listener state, settings and counters
+ */
+router.post('/getTrapReceiverStatus', (req, res) => {
+  try {
+    res.json({ success: true, ...trapReceiver.getStatus() });
+  } catch (error) {
+    console.error('Error getting trap receiver status:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveTrapReceiverSettings - Enable/disable the receiver, set port and rate limit
+ * Args: [{ enabled: boolean, port: number, rateLimit: traps per minute per source }]
+ */
+router.post('/saveTrapReceiverSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    if (!settings) {
+      return res.json({ success: false, error: 'No settings provided' });
+    }
+    const port = parseInt(settings.port);
+    if (settings.port !== undefined && (!port || port < 1 || port > 65535)) {
+      return res.json({ success: false, error: 'Port must be between 1 and 65535' });
+    }
+    const rateLimit = parseInt(settings.rateLimit);
+    if (settings.rateLimit !== undefined && (!rateLimit || rateLimit < 1)) {
+      return res.json({ success: false, error: 'Rate limit must be at least 1 trap per minute' });
+    }
+    if (settings.enabled !== undefined) {
+      setSetting('trapReceiverEnabled', settings.enabled ? 'true' : 'false');
+    }
+    if (settings.port !== undefined) {
+      setSetting('trapReceiverPort', String(port));
+    }
+    if (settings.rateLimit !== undefined) {
+      setSetting('trapRateLimit', String(rateLimit));
+    }
+    trapReceiver.restart();
+    res.json({ success: true, ...trapReceiver.getStatus() });
+  } catch (error) {
+    console.error('Error saving trap receiver settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * getTrapCommunities - Per-device community allowlist
+ * Returns [{ deviceId, communities }]
+ */
+router.post('/getTrapCommunities', (req, res) => {
+  try {
+    res.json(getAll('trap_communities').map(row => ({ deviceId: row.id, communities: row.communities })));
+  } catch (error) {
+    console.error('Error getting trap communities:', error);
+    res.json([]);
+  }
+});
+
+/**
+ * saveTrapCommunities - Set the communities accepted from a device
+ * Args: [deviceId, communities] - comma-separated; empty falls back to the default community
+ */
+router.post('/saveTrapCommunities', (req, res) => {
+  try {
+    const [deviceId, communities] = req.body.args || [];
+    if (!deviceId || !getById('devices', deviceId)) {
+      return res.json({ success: false, error: 'Device not found' });
+    }
+    const list = String(communities || '').split(',').map(c => c.trim()).filter(Boolean);
+    if (list.length === 0) {
+      remove('trap_communities', deviceId);
+    } else {
+      insert('trap_communities', { id: deviceId, communities: list.join(','), updatedAt: new Date().toISOString() });
+    }
+    res.json({ success: true, communities: list.join(',') });
+  } catch (error) {
+    console.error('Error saving trap communities:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// WATCHDOG ROUTES
+// ============================================
+
+/**
+ * getWatchdogStatus - Watchdog settings, the gateway's last check-in and silence state
+ */
+router.post('/getWatchdogStatus', (req, res) => {
+  try {
+    res.json({ success: true, ...watchdog.getStatus() });
+  } catch (error) {
+    console.error('Error getting watchdog status:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveWatchdogSettings - Enable/disable the watchdog, silence window and stale status
+ * Args: [{ enabled: boolean, silenceMinutes: number, staleStatus: 'offline'|'unknown' }]
+ */
+router.post('/saveWatchdogSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    if (!settings) {
+      return res.json({ success: false, error: 'No settings provided' });
+    }
+    const minutes = parseInt(settings.silenceMinutes);
+    if (settings.silenceMinutes !== undefined && (!minutes || minutes < 1)) {
+      return res.json({ success: false, error: 'Silence window must be at least 1 minute' });
+    }
+    if (settings.staleStatus !== undefined && watchdog.STALE_STATUSES.indexOf(settings.staleStatus) < 0) {
+      return res.json({ success: false, error: 'Stale status must be offline or unknown' });
+    }
+    if (settings.enabled !== undefined) {
+      setSetting('watchdogEnabled', settings.enabled ? 'true' : 'false');
+    }
+    if (settings.silenceMinutes !== undefined) {
+      setSetting('watchdogSilenceMinutes', String(minutes));
+    }
+    if (settings.staleStatus !== undefined) {
+      setSetting('watchdogStaleStatus', settings.staleStatus);
+    }
+    res.json({ success: true, ...watchdog.getStatus() });
+  } catch (error) {
+    console.error('Error saving watchdog settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -63,7 +63,7 @@ router.post('/deleteTeacher', (req, res) => {
       return res.json({ success: false, error: 'Teacher not found' });
     }
 
-    db.remove('teachers', teacherId);
+    db.softDelete('teachers', teacherId);
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting teacher:', error);
@@ -73,9 +73,8 @@ router.post('/deleteTeacher', (req, res) => {
 
 router.post('/deleteAllTeachers', (req, res) => {
   try {
-    const countBefore = db.count('teachers');
-    db.clearTable('teachers');
-    res.json({ success: true, deleted: countBefore });
+    const deleted = db.softDeleteAll('teachers');
+    res.json({ success: true, deleted: deleted });
   } catch (error) {
     console.error('Error deleting all teachers:', error);
     res.json({ success: false, error: error.message });
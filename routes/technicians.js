@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/database');
+const autoAssign = require('../services/autoAssign');
+const techSchedule = require('../services/techSchedule');
+const techPerformance = require('../services/techPerformance');
 
 // ============================================
 // TECHNICIANS CRUD
@@ -76,4 +79,181 @@ router.post('/deleteTechnician', (req, res) => {
   }
 });
 
+// ============================================
+// AUTO-ASSIGNMENT (see services/autoAssign.js)
+// ============================================
+
+/**
+ * getAutoAssignSettings - Engine settings and each technician's skills, shift and open requests
+ * Returns { success, settings, strategies, technicians }
+ */
+router.post('/getAutoAssignSettings', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: autoAssign.getSettings(),
+      strategies: autoAssign.STRATEGIES,
+      technicians: autoAssign.getTechnicians()
+    });
+  } catch (error) {
+    console.error('Error getting auto-assign settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveAutoAssignSettings - Turn auto-assignment on/off and pick the strategy
+ * Args: [{ enabled, strategy }]
+ */
+router.post('/saveAutoAssignSettings', (req, res) => {
+  try {
+    const [settings] = req.body.args || [];
+    res.json({ success: true, settings: autoAssign.saveSettings(settings) });
+  } catch (error) {
+    console.error('Error saving auto-assign settings:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveTechnicianSkills - Device types and buildings a technician covers (empty = all)
+ * Args: [technicianId, { deviceTypes: [typeId], buildings: [blueprintId] }]
+ */
+router.post('/saveTechnicianSkills', (req, res) => {
+  try {
+    const [technicianId, skills] = req.body.args || [];
+    autoAssign.saveSkills(technicianId, skills);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error saving technician skills:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * setTechnicianOnShift - Only on-shift technicians are auto-assigned
+ * Args: [technicianId, onShift]
+ */
+router.post('/setTechnicianOnShift', (req, res) => {
+  try {
+    const [technicianId, onShift] = req.body.args || [];
+    autoAssign.setOnShift(technicianId, !!onShift);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error setting technician shift:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// SCHEDULES, PTO & ON-CALL (see services/techSchedule.js)
+// ============================================
+
+/**
+ * getTechnicianAvailability - Who is available right now and who is on call
+ * Returns { success, technicians: [{ id, name, available, status, label, onCall }], onCallId }
+ */
+router.post('/getTechnicianAvailability', (req, res) => {
+  try {
+    res.json({ success: true, ...techSchedule.getAvailability() });
+  } catch (error) {
+    console.error('Error getting technician availability:', error);
+    res.json({ success: false, error: error.message, technicians: [] });
+  }
+});
+
+/**
+ * getTechnicianSchedules - Shifts, upcoming PTO, the on-call rotation and availability now
+ */
+router.post('/getTechnicianSchedules', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      shifts: techSchedule.getShifts(),
+      pto: techSchedule.getPto({ upcoming: true }),
+      rotation: techSchedule.getRotation(),
+      ...techSchedule.getAvailability()
+    });
+  } catch (error) {
+    console.error('Error getting technician schedules:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveTechnicianShifts - Replace a technician's weekly shifts (none = always scheduled)
+ * Args: [technicianId, [{ day: 'mon', startTime: '07:00', endTime: '15:30' }]]
+ */
+router.post('/saveTechnicianShifts', (req, res) => {
+  try {
+    const [technicianId, shifts] = req.body.args || [];
+    res.json({ success: true, shifts: techSchedule.saveShifts(technicianId, shifts) });
+  } catch (error) {
+    console.error('Error saving technician shifts:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * addTechnicianPto - Book PTO days
+ * Args: [{ technicianId, startDate, endDate, note }]
+ */
+router.post('/addTechnicianPto', (req, res) => {
+  try {
+    const [entry] = req.body.args || [];
+    res.json({ success: true, pto: techSchedule.addPto(entry, req.user ? req.user.displayName || req.user.username : '') });
+  } catch (error) {
+    console.error('Error adding PTO:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * deleteTechnicianPto - Cancel a PTO entry
+ * Args: [ptoId]
+ */
+router.post('/deleteTechnicianPto', (req, res) => {
+  try {
+    const [ptoId] = req.body.args || [];
+    techSchedule.deletePto(ptoId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting PTO:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveOnCallRotation - Technicians in turn order, the start date and days per turn
+ * Args: [{ technicianIds, startDate, days }]
+ */
+router.post('/saveOnCallRotation', (req, res) => {
+  try {
+    const [rotation] = req.body.args || [];
+    res.json({ success: true, rotation: techSchedule.saveRotation(rotation) });
+  } catch (error) {
+    console.error('Error saving on-call rotation:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// PERFORMANCE REPORT
+// ============================================
+
+/**
+ * getTechnicianReport - Queue, time to assign/resolve, throughput and reopen rate per technician (services/techPerformance.js)
+ * Args: [{ from, to, source: 'all'|'requests'|'traps' }]
+ * Returns { success, report: { from, to, source, days, technicians, totals } }
+ */
+router.post('/getTechnicianReport', (req, res) => {
+  try {
+    const [options] = req.body.args || [];
+    res.json({ success: true, report: techPerformance.getReport(options) });
+  } catch (error) {
+    console.error('Error getting technician report:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
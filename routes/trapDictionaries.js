@@ -0,0 +1,125 @@
+/**
+ * Trap Dictionary Routes
+ * Vendor alert code dictionaries used by parseTrapMessage
+ * (see services/trapDictionaries.js).
+ */
+const express = require('express');
+const router = express.Router();
+const trapDictionaries = require('../services/trapDictionaries');
+
+/**
+ * getTrapDictionaries - Vendor dictionaries with their code counts
+ * Returns { success, dictionaries }
+ */
+router.post('/getTrapDictionaries', (req, res) => {
+  try {
+    res.json({ success: true, dictionaries: trapDictionaries.getDictionaries() });
+  } catch (error) {
+    console.error('Error getting trap dictionaries:', error);
+    res.json({ success: false, error: error.message, dictionaries: [] });
+  }
+});
+
+/**
+ * getTrapDictionaryCodes - A dictionary's codes, by code
+ * Args: [dictionaryId]
+ */
+router.post('/getTrapDictionaryCodes', (req, res) => {
+  try {
+    const [dictionaryId] = req.body.args || [];
+    res.json({ success: true, codes: trapDictionaries.getCodes(dictionaryId) });
+  } catch (error) {
+    console.error('Error getting trap dictionary codes:', error);
+    res.json({ success: false, error: error.message, codes: [] });
+  }
+});
+
+/**
+ * saveTrapDictionary - Create or update a vendor dictionary
+ * Args: [{ id?, vendor, enterpriseOid, enabled }]
+ */
+router.post('/saveTrapDictionary', (req, res) => {
+  try {
+    const [dictionary] = req.body.args || [];
+    res.json({ success: true, dictionary: trapDictionaries.saveDictionary(dictionary) });
+  } catch (error) {
+    console.error('Error saving trap dictionary:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * deleteTrapDictionary - Remove a dictionary and its codes
+ * Args: [dictionaryId]
+ */
+router.post('/deleteTrapDictionary', (req, res) => {
+  try {
+    const [dictionaryId] = req.body.args || [];
+    trapDictionaries.deleteDictionary(dictionaryId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting trap dictionary:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * saveTrapDictionaryCode - Add or update a code
+ * Args: [{ dictionaryId, id?, code, message, severity, ignore }]
+ */
+router.post('/saveTrapDictionaryCode', (req, res) => {
+  try {
+    const [code] = req.body.args || [];
+    res.json({ success: true, code: trapDictionaries.saveCode(code) });
+  } catch (error) {
+    console.error('Error saving trap dictionary code:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * deleteTrapDictionaryCode - Remove a code
+ * Args: [codeId]
+ */
+router.post('/deleteTrapDictionaryCode', (req, res) => {
+  try {
+    const [codeId] = req.body.args || [];
+    trapDictionaries.deleteCode(codeId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting trap dictionary code:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * exportTrapDictionaries - Dictionaries as a JSON document
+ * Args: [dictionaryIds?] - omitted or empty for all
+ * Returns { success, data }
+ */
+router.post('/exportTrapDictionaries', (req, res) => {
+  try {
+    const [dictionaryIds] = req.body.args || [];
+    res.json({ success: true, data: trapDictionaries.exportDictionaries(dictionaryIds) });
+  } catch (error) {
+    console.error('Error exporting trap dictionaries:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * importTrapDictionaries - Merge an exported document
+ * Args: [data, { replace }] - replace removes codes missing from the file
+ * Returns { success, dictionaries, added, updated, removed }
+ */
+router.post('/importTrapDictionaries', (req, res) => {
+  try {
+    const [data, options] = req.body.args || [];
+    res.json({ success: true, ...trapDictionaries.importDictionaries(data, options) });
+  } catch (error) {
+    console.error('Error importing trap dictionaries:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { db, generateId, getAll, getById, getByColumn, insert, update, updateField, remove, clearTable, count } = require('../db/database');
+const { db, getAll, getById, getByColumn, update, updateField, remove, clearTable, count } = require('../db/database');
+const trapCorrelation = require('../services/trapCorrelation');
+const trapDictionaries = require('../services/trapDictionaries');
+const mibs = require('../services/mibs');
 
 // ============================================
 // TRAP MESSAGE PARSING
@@ -8,7 +11,11 @@ const { db, generateId, getAll, getById, getByColumn, insert, update, updateFiel
 
 /**
  * Parse SNMP trap data into a human-readable message and severity.
- * Ported verbatim from Code.gs parseTrapMessage (lines 1089-1528).
+ * Ported from Code.gs parseTrapMessage (lines 1089-1528); vendor codes now
+ * come from the trap dictionaries, and traps nothing else decodes are
+ * described from the uploaded MIB files.
+ * Returns { message, severity, ignored? } - ignored when the trap only
+ * carried codes a dictionary marks as ignored.
  */
 function parseTrapMessage(trapData) {
   // Standard Printer MIB Alert Codes (RFC 3805)
@@ -60,44 +67,11 @@ function parseTrapMessage(trapData) {
     1004: 'Yellow Toner Low'
   };
 
-  // Sharp vendor codes (BP-series copiers)
-  const VENDOR_ALERT_CODES = {
-    800: { message: 'Normal Operation', severity: 'info', ignore: true },
-    801: { message: 'Ready', severity: 'info', ignore: true },
-    802: { message: 'Warming Up', severity: 'info', ignore: true },
-    803: { message: 'Energy Saver Mode', severity: 'info', ignore: true },
-    804: { message: 'Sleep Mode', severity: 'info', ignore: true },
-    805: { message: 'Paper Jam', severity: 'critical' },
-    806: { message: 'Cover Open', severity: 'warning' },
-    807: { message: 'Paper Low', severity: 'warning' },
-    808: { message: 'Input Tray Empty', severity: 'warning' },
-    809: { message: 'Toner Low', severity: 'warning' },
-    810: { message: 'Toner Empty', severity: 'critical' },
-    811: { message: 'Waste Toner Almost Full', severity: 'warning' },
-    812: { message: 'Waste Toner Full', severity: 'critical' },
-    813: { message: 'Drum Near End', severity: 'warning' },
-    814: { message: 'Drum End of Life', severity: 'critical' },
-    815: { message: 'Developer Low', severity: 'warning' },
-    816: { message: 'Fuser Error', severity: 'critical' },
-    817: { message: 'Service Required', severity: 'critical' },
-    818: { message: 'Multi-Feed Jam', severity: 'critical' },
-    819: { message: 'Output Tray Full', severity: 'warning' },
-    820: { message: 'Staple Empty', severity: 'warning' },
-    821: { message: 'Staple Jam', severity: 'critical' },
-    822: { message: 'Punch Waste Full', severity: 'warning' },
-    823: { message: 'Door Open', severity: 'warning' },
-    824: { message: 'Misfeed', severity: 'critical' },
-    825: { message: 'Communication Error', severity: 'critical' },
-    // Ricoh vendor codes
-    10003: { message: 'Normal Operation', severity: 'info', ignore: true },
-    10033: { message: 'Energy Saver Mode', severity: 'info', ignore: true },
-    10034: { message: 'Sleep Mode', severity: 'info', ignore: true },
-    13100: { message: 'Toner OK', severity: 'info', ignore: true },
-    13200: { message: 'Drum OK', severity: 'info', ignore: true },
-    13300: { message: 'Fuser OK', severity: 'info', ignore: true },
-    13400: { message: 'Paper Feed OK', severity: 'info', ignore: true },
-    13500: { message: 'Output OK', severity: 'info', ignore: true }
-  };
+  // Vendor-specific codes come from the editable vendor dictionaries
+  // (services/trapDictionaries.js), preferring the trap's own vendor
+  function vendorAlert(code) {
+    return trapDictionaries.lookup(code, trapData);
+  }
 
   // Alert Group context mapping (RFC 3805 prtAlertGroup)
   const ALERT_GROUP_CONTEXT = {
@@ -163,8 +137,8 @@ function parseTrapMessage(trapData) {
     }
 
     // 2. Vendor-specific code
-    if (vendorCode > 0 && VENDOR_ALERT_CODES[vendorCode]) {
-      var vendorInfo = VENDOR_ALERT_CODES[vendorCode];
+    var vendorInfo = vendorCode > 0 ? vendorAlert(vendorCode) : null;
+    if (vendorInfo) {
       if (vendorInfo.ignore) {
         entryMsg = vendorInfo.message;
         entrySev = 'info';
@@ -196,6 +170,7 @@ function parseTrapMessage(trapData) {
 
   let message = '';
   let severity = 'info';
+  let ignoredMessage = '';
 
   try {
     if (trapData) {
@@ -249,9 +224,13 @@ function parseTrapMessage(trapData) {
         var entryKeys = Object.keys(alertEntries);
         if (entryKeys.length > 0) {
           var bestAlert = null;
+          var ignoredAlert = null;
           for (var ei = 0; ei < entryKeys.length; ei++) {
             var parsed = parseAlertEntry(alertEntries[entryKeys[ei]]);
-            if (parsed.ignore) continue;
+            if (parsed.ignore) {
+              ignoredAlert = ignoredAlert || parsed;
+              continue;
+            }
             if (!bestAlert || (SEVERITY_RANK[parsed.severity] || 0) > (SEVERITY_RANK[bestAlert.severity] || 0)) {
               bestAlert = parsed;
             }
@@ -264,6 +243,11 @@ function parseTrapMessage(trapData) {
           if (bestAlert && bestAlert.message) {
             message = bestAlert.message;
             severity = bestAlert.severity;
+          } else if (ignoredAlert) {
+            // Every alert in the trap is one the dictionaries say to ignore
+            message = ignoredAlert.message;
+            severity = 'info';
+            ignoredMessage = message;
           }
         } else {
           // No structured entries — try flat varbind parsing (legacy)
@@ -278,9 +262,10 @@ function parseTrapMessage(trapData) {
             if (oid.indexOf('1.3.6.1.2.1.43.18.1.1.8') >= 0 && value) alertDesc = String(value).trim();
           }
           var flatParsed = parseAlertEntry({ '7': stdAlertCode, '6': vendorCode, '4': alertGroup, '8': alertDesc });
-          if (flatParsed.message && !flatParsed.ignore) {
+          if (flatParsed.message) {
             message = flatParsed.message;
             severity = flatParsed.severity;
+            if (flatParsed.ignore) ignoredMessage = message;
           }
         }
 
@@ -430,10 +415,10 @@ function parseTrapMessage(trapData) {
         if (!message) {
           var vendorMatch = trapData.varbindSummary.match(/vendorCode=(\d+)/);
           if (vendorMatch) {
-            var vc = parseInt(vendorMatch[1]);
-            if (VENDOR_ALERT_CODES[vc] && !VENDOR_ALERT_CODES[vc].ignore) {
-              message = VENDOR_ALERT_CODES[vc].message;
-              severity = VENDOR_ALERT_CODES[vc].severity || 'warning';
+            var vendorEntry = vendorAlert(vendorMatch[1]);
+            if (vendorEntry && !vendorEntry.ignore) {
+              message = vendorEntry.message;
+              severity = vendorEntry.severity;
             }
           }
         }
@@ -443,11 +428,31 @@ function parseTrapMessage(trapData) {
     console.log('Error parsing trap: ' + e);
   }
 
+  // Still nothing specific: name the trap and its varbinds from the
+  // uploaded vendor MIBs (services/mibs.js)
+  if (!message || message === 'Device Alert' || message === 'Printer Alert (unrecognized code)') {
+    try {
+      const described = mibs.describeTrap(trapData);
+      if (described) {
+        message = described.message;
+        const prob = PROBLEM_PATTERNS.find(p => p.pattern.test(described.message));
+        if (prob && (SEVERITY_RANK[prob.severity] || 0) > (SEVERITY_RANK[severity] || 0)) severity = prob.severity;
+      }
+    } catch (e) {
+      console.log('Error describing trap from MIBs: ' + e);
+    }
+  }
+
   // Fallback to generic message
   if (!message) {
     message = 'SNMP Alert';
   }
 
+  // Nothing but ignored codes (and nothing later overrode them): callers
+  // drop the trap instead of raising an alert
+  if (ignoredMessage && message === ignoredMessage) {
+    return { message: message, severity: severity, ignored: true };
+  }
   return { message: message, severity: severity };
 }
 
@@ -474,8 +479,8 @@ router.post('/getTraps', (req, res) => {
       return { ...t, trapData: trapData };
     });
 
-    // Sort by receivedAt descending
-    traps.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+    // Sort by most recent occurrence, descending
+    traps.sort((a, b) => new Date(b.lastSeenAt || b.receivedAt) - new Date(a.lastSeenAt || a.receivedAt));
 
     res.json(traps.slice(0, limit));
   } catch (error) {
@@ -484,14 +489,27 @@ router.post('/getTraps', (req, res) => {
   }
 });
 
+/**
+ * getDeviceTrapTimeline - A device's traps raised, repeated, assigned and cleared
+ * Args: [deviceId]
+ * Returns { success, timeline: [{ at, type, trapId, message, severity, occurrences, firstSeenAt, detail }] }
+ */
+router.post('/getDeviceTrapTimeline', (req, res) => {
+  try {
+    const [deviceId] = req.body.args || [];
+    res.json({ success: true, timeline: trapCorrelation.getDeviceTimeline(deviceId) });
+  } catch (error) {
+    console.log('Error getting trap timeline: ' + error);
+    res.json({ success: false, error: error.message, timeline: [] });
+  }
+});
+
 /**
  * Add a new trap
  */
 router.post('/addTrap', (req, res) => {
   try {
     const [data] = req.body.args || [];
-    const now = new Date().toISOString();
-    const trapId = generateId();
 
     // Use pre-parsed message and severity from gateway if provided,
     // otherwise fall back to parsing trapData
@@ -501,6 +519,10 @@ router.post('/addTrap', (req, res) => {
     // If gateway sent a generic fallback message, try our own parser too
     if (!message || message === 'Device Alert' || message === 'SNMP Alert' || !severity) {
       const parsed = parseTrapMessage(data.trapData);
+      if (parsed.ignored) {
+        res.json({ success: true, trapId: '', ignored: true });
+        return;
+      }
       // Only override if our parser found something better
       if (parsed.message && parsed.message !== 'SNMP Alert') {
         message = parsed.message;
@@ -508,24 +530,14 @@ router.post('/addTrap', (req, res) => {
       severity = severity || parsed.severity;
     }
 
-    const trapRow = {
-      id: trapId,
-      sourceIp: data.sourceIp || 'unknown',
-      trapData: JSON.stringify(data.trapData || {}),
+    // Repeats fold into the open trap; "cleared" traps close their pair
+    const result = trapCorrelation.record({
+      sourceIp: data.sourceIp,
+      trapData: data.trapData,
       parsedMessage: message,
-      severity: severity,
-      receivedAt: now,
-      processed: '0',
-      resolvedAt: '',
-      resolvedBy: '',
-      assignedTo: '',
-      assignedAt: ''
-    };
-
-    insert('snmp_traps', trapRow);
-
-    console.log('Added trap: ' + trapId + ' - ' + message + ' (' + severity + ')');
-    res.json({ success: true, trapId: trapId });
+      severity: severity
+    });
+    res.json(result);
   } catch (error) {
     console.log('Error adding trap: ' + error.message);
     res.json({ success: false, error: error.message });
@@ -544,7 +556,7 @@ router.post('/resolveTrap', (req, res) => {
       const now = new Date().toISOString();
       updateField('snmp_traps', trapId, 'processed', '1');
       updateField('snmp_traps', trapId, 'resolvedAt', now);
-      updateField('snmp_traps', trapId, 'resolvedBy', resolvedBy || 'User');
+      updateField('snmp_traps', trapId, 'resolvedBy', resolvedBy || (req.user && req.user.displayName) || 'User');
       res.json({ success: true });
     } else {
       res.json({ success: false, error: 'Trap not found' });
@@ -570,7 +582,7 @@ router.post('/resolveTrapsByIp', (req, res) => {
       if (trap.processed === '0' || trap.processed === 0) {
         updateField('snmp_traps', trap.id, 'processed', '1');
         updateField('snmp_traps', trap.id, 'resolvedAt', now);
-        updateField('snmp_traps', trap.id, 'resolvedBy', resolvedBy || 'User');
+        updateField('snmp_traps', trap.id, 'resolvedBy', resolvedBy || (req.user && req.user.displayName) || 'User');
         resolvedCount++;
       }
     }
@@ -643,10 +655,15 @@ router.post('/clearAllTraps', (req, res) => {
 });
 
 /**
- * Reprocess all traps that have generic messages
+ * Reprocess traps against the current parser and vendor dictionaries
+ * Args: [{ scope }] - 'generic' (default) only fills in traps with generic
+ * messages; 'all' reparses every trap so dictionary edits apply to past traps.
+ * Open traps whose codes are now ignored are resolved.
  */
 router.post('/reprocessAllTraps', (req, res) => {
   try {
+    const [options] = req.body.args || [];
+    const reparseAll = !!(options && options.scope === 'all');
     const traps = getAll('snmp_traps');
 
     if (traps.length === 0) {
@@ -655,12 +672,15 @@ router.post('/reprocessAllTraps', (req, res) => {
     }
 
     let updatedCount = 0;
+    let ignoredCount = 0;
 
     for (const trap of traps) {
       const currentMessage = trap.parsedMessage;
+      const isGeneric = !currentMessage || currentMessage === 'Device Alert' || currentMessage === 'SNMP Alert' ||
+        currentMessage === 'Printer Alert (unrecognized code)' || currentMessage.trim() === '';
 
-      // Only reprocess if message is empty, generic, or missing
-      if (!currentMessage || currentMessage === 'Device Alert' || currentMessage === 'SNMP Alert' || currentMessage.trim() === '') {
+      // Only reprocess if message is empty, generic, or missing (unless reparsing all)
+      if (isGeneric || reparseAll) {
         try {
           let trapData = {};
           if (trap.trapData && typeof trap.trapData === 'string') {
@@ -671,12 +691,28 @@ router.post('/reprocessAllTraps', (req, res) => {
 
           const parsed = parseTrapMessage(trapData);
 
-          if (parsed.message && parsed.message !== 'SNMP Alert') {
-            updateField('snmp_traps', trap.id, 'parsedMessage', parsed.message);
+          if (parsed.ignored) {
+            if (!trap.resolvedAt) {
+              update('snmp_traps', trap.id, {
+                processed: '1',
+                resolvedAt: new Date().toISOString(),
+                resolvedBy: 'Ignored code'
+              });
+              ignoredCount++;
+              console.log('Resolved trap ' + trap.id + ': ' + parsed.message + ' is ignored');
+            }
+          } else if (parsed.message && parsed.message !== 'SNMP Alert') {
+            if (isGeneric) {
+              updateField('snmp_traps', trap.id, 'parsedMessage', parsed.message);
 
-            // Update severity if we got a better one
-            if (parsed.severity && parsed.severity !== 'info') {
-              updateField('snmp_traps', trap.id, 'severity', parsed.severity);
+              // Update severity if we got a better one
+              if (parsed.severity && parsed.severity !== 'info') {
+                updateField('snmp_traps', trap.id, 'severity', parsed.severity);
+              }
+            } else if (parsed.message !== currentMessage || parsed.severity !== trap.severity) {
+              update('snmp_traps', trap.id, { parsedMessage: parsed.message, severity: parsed.severity });
+            } else {
+              continue;
             }
 
             updatedCount++;
@@ -692,6 +728,7 @@ router.post('/reprocessAllTraps', (req, res) => {
       success: true,
       message: 'Reprocessed all traps',
       updated: updatedCount,
+      ignored: ignoredCount,
       total: traps.length
     });
   } catch (error) {
@@ -714,3 +751,4 @@ router.post('/parseTrapMessage', (req, res) => {
 });
 
 module.exports = router;
+module.exports.parseTrapMessage = parseTrapMessage;
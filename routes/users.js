@@ -0,0 +1,271 @@
+/**
+ * User & Session Routes
+ * Login/logout, first-run admin setup, password changes and user management.
+ * Role enforcement happens in middleware/auth.js; these handlers only add
+ * the per-user rules (self-service, last admin, etc.).
+ */
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const config = require('../config');
+const auth = require('../services/auth');
+const audit = require('../db/audit');
+const { setSessionCookie, clearSessionCookie } = require('../middleware/auth');
+
+function startSession(req, res, user) {
+  const token = auth.createSession(user, req);
+  setSessionCookie(req, res, token, config.SESSION_TTL_HOURS * 3600 * 1000);
+}
+
+function countActiveAdmins(excludeId) {
+  return db.db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND active != 'false' AND id != ?")
+    .get(excludeId || '').count;
+}
+
+// ============================================
+// SESSION ROUTES
+// ============================================
+
+/**
+ * login - Check credentials and start a session cookie
+ * Args: [username, password]
+ */
+router.post('/login', (req, res) => {
+  try {
+    const [username, password] = req.body.args || [];
+    const user = auth.authenticate(username, password);
+    if (!user) {
+      return res.json({ success: false, error: 'Invalid username or password' });
+    }
+    startSession(req, res, user);
+    res.json({ success: true, user: auth.publicUser(user) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * logout - End the current session
+ */
+router.post('/logout', (req, res) => {
+  try {
+    auth.destroySession(req.sessionToken);
+    clearSessionCookie(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * getCurrentUser - Signed-in user, or whether first-run setup is needed
+ */
+router.post('/getCurrentUser', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: auth.publicUser(req.user),
+      roles: auth.ROLES,
+      setupRequired: auth.countUsers() === 0
+    });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * setupFirstAdmin - Create the first admin account (only while no users exist)
+ * setupCode is the one-time code the server prints to its log at startup.
+ * Args: [{ setupCode, username, password, displayName, email }]
+ */
+router.post('/setupFirstAdmin', (req, res) => {
+  try {
+    const [account] = req.body.args || [];
+    if (auth.countUsers() > 0) {
+      return res.json({ success: false, error: 'Setup has already been completed' });
+    }
+    if (!auth.checkSetupCode(account && account.setupCode)) {
+      return res.json({ success: false, error: 'Invalid setup code. It is printed in the server log when the server starts.' });
+    }
+    const username = String((account && account.username) || '').trim();
+    if (!username) {
+      return res.json({ success: false, error: 'Username is required' });
+    }
+    const passwordError = auth.validatePassword(account.password);
+    if (passwordError) {
+      return res.json({ success: false, error: passwordError });
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+      id: db.generateId(),
+      username: username,
+      displayName: account.displayName || username,
+      email: account.email || '',
+      passwordHash: auth.hashPassword(account.password),
+      role: 'admin',
+      technicianId: '',
+      active: 'true',
+      lastLoginAt: '',
+      createdAt: now,
+      updatedAt: now
+    };
+    // Nobody is signed in yet; attribute the setup to the new admin
+    audit.setActor(user.username, user.id, user.role);
+    db.insert('users', user);
+
+    // The shared security password is superseded by user accounts
+    db.setSetting('securityPassword', '');
+    db.setSetting('passwordProtected', 'false');
+
+    startSession(req, res, user);
+    res.json({ success: true, user: auth.publicUser(user) });
+  } catch (error) {
+    console.error('Error creating first admin:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * changePassword - Change the signed-in user's own password
+ * Args: [oldPassword, newPassword]
+ * Other sessions of the user are signed out.
+ */
+router.post('/changePassword', (req, res) => {
+  try {
+    const [oldPassword, newPassword] = req.body.args || [];
+    if (!auth.verifyPassword(oldPassword, req.user.passwordHash)) {
+      return res.json({ success: false, error: 'Current password is incorrect' });
+    }
+    const passwordError = auth.validatePassword(newPassword);
+    if (passwordError) {
+      return res.json({ success: false, error: passwordError });
+    }
+    db.update('users', req.user.id, {
+      passwordHash: auth.hashPassword(newPassword),
+      updatedAt: new Date().toISOString()
+    });
+    auth.destroyUserSessions(req.user.id, req.sessionToken);
+    res.json({ success: true, message: 'Password changed' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============================================
+// USER MANAGEMENT (admin)
+// ============================================
+
+/**
+ * getUsers - All user accounts (without password hashes)
+ */
+router.post('/getUsers', (req, res) => {
+  try {
+    const users = db.db.prepare('SELECT * FROM users ORDER BY username COLLATE NOCASE').all();
+    res.json(users.map(auth.publicUser));
+  } catch (error) {
+    console.error('Error getting users:', error);
+    res.json([]);
+  }
+});
+
+/**
+ * saveUser - Create or update a user
+ * Args: [{ id?, username, displayName, email, role, technicianId, active, password? }]
+ * password is required for new users; on existing users it resets the password.
+ */
+router.post('/saveUser', (req, res) => {
+  try {
+    const [user] = req.body.args || [];
+    if (!user) {
+      return res.json({ success: false, error: 'No user provided' });
+    }
+    const username = String(user.username || '').trim();
+    if (!username) {
+      return res.json({ success: false, error: 'Username is required' });
+    }
+    if (!auth.isValidRole(user.role)) {
+      return res.json({ success: false, error: 'Role must be one of: ' + auth.ROLES.join(', ') });
+    }
+    if (user.technicianId && !db.getById('technicians', user.technicianId)) {
+      return res.json({ success: false, error: 'Linked technician not found' });
+    }
+
+    const existing = user.id ? db.getById('users', user.id) : null;
+    const sameName = auth.getUserByUsername(username);
+    if (sameName && (!existing || sameName.id !== existing.id)) {
+      return res.json({ success: false, error: 'Username "' + username + '" is already taken' });
+    }
+    if (user.password || !existing) {
+      const passwordError = auth.validatePassword(user.password);
+      if (passwordError) {
+        return res.json({ success: false, error: passwordError });
+      }
+    }
+
+    const active = user.active !== false && user.active !== 'false';
+    if (existing && existing.role === 'admin' && (user.role !== 'admin' || !active) && countActiveAdmins(existing.id) === 0) {
+      return res.json({ success: false, error: 'At least one active admin is required' });
+    }
+
+    const now = new Date().toISOString();
+    const fields = {
+      username: username,
+      displayName: user.displayName || username,
+      email: user.email || '',
+      role: user.role,
+      technicianId: user.technicianId || '',
+      active: active ? 'true' : 'false',
+      updatedAt: now
+    };
+    if (user.password) fields.passwordHash = auth.hashPassword(user.password);
+
+    let id;
+    if (existing) {
+      id = existing.id;
+      db.update('users', id, fields);
+      // Role, status or password changes take effect immediately
+      if (user.password || !active || existing.role !== user.role) {
+        auth.destroyUserSessions(id, id === req.user.id ? req.sessionToken : null);
+      }
+    } else {
+      id = db.generateId();
+      db.insert('users', { id: id, ...fields, lastLoginAt: '', createdAt: now });
+    }
+
+    res.json({ success: true, user: auth.publicUser(db.getById('users', id)) });
+  } catch (error) {
+    console.error('Error saving user:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * deleteUser - Deactivate a user and end their sessions
+ * Args: [userId]
+ */
+router.post('/deleteUser', (req, res) => {
+  try {
+    const [userId] = req.body.args || [];
+    const user = db.getById('users', userId);
+    if (!user) {
+      return res.json({ success: false, error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.json({ success: false, error: 'You cannot deactivate your own account' });
+    }
+    if (user.role === 'admin' && countActiveAdmins(user.id) === 0) {
+      return res.json({ success: false, error: 'At least one active admin is required' });
+    }
+    db.update('users', user.id, { active: 'false', updatedAt: new Date().toISOString() });
+    auth.destroyUserSessions(user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
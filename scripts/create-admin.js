@@ -0,0 +1,53 @@
+/**
+ * Create or Reset an Admin Account
+ * Recovery path for when nobody can sign in (forgotten password, all admins
+ * deactivated). Creates the user if missing, otherwise resets its password,
+ * makes it an active admin and signs out its existing sessions.
+ *
+ * Usage: npm run create-admin -- <username> <password>
+ */
+const db = require('../db/database');
+const auth = require('../services/auth');
+
+var username = (process.argv[2] || '').trim();
+var password = process.argv[3] || '';
+
+if (!username || !password) {
+  console.error('Usage: npm run create-admin -- <username> <password>');
+  process.exit(1);
+}
+
+var passwordError = auth.validatePassword(password);
+if (passwordError) {
+  console.error(passwordError);
+  process.exit(1);
+}
+
+var now = new Date().toISOString();
+var existing = auth.getUserByUsername(username);
+
+if (existing) {
+  db.update('users', existing.id, {
+    passwordHash: auth.hashPassword(password),
+    role: 'admin',
+    active: 'true',
+    updatedAt: now
+  });
+  auth.destroyUserSessions(existing.id);
+  console.log('Reset password for admin "' + existing.username + '"');
+} else {
+  db.insert('users', {
+    id: db.generateId(),
+    username: username,
+    displayName: username,
+    email: '',
+    passwordHash: auth.hashPassword(password),
+    role: 'admin',
+    technicianId: '',
+    active: 'true',
+    lastLoginAt: '',
+    createdAt: now,
+    updatedAt: now
+  });
+  console.log('Created admin "' + username + '"');
+}
@@ -0,0 +1,136 @@
+/**
+ * Fake Printer SNMP Agent
+ * Serves a minimal Printer MIB (supplies, input trays, alerts, page count)
+ * so the built-in poller can be exercised without a real printer.
+ *
+ * Usage: node scripts/fake-snmp-agent.js [--port 16161] [--community public]
+ *                                        [--scenario ok|low|jam] [--drain 30]
+ *
+ * Point a device at 127.0.0.1 and set the SNMP port in Settings to match.
+ * --drain N lowers the black toner by 1% every N seconds.
+ */
+const snmp = require('net-snmp');
+
+function arg(name, fallback) {
+  var i = process.argv.indexOf('--' + name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+var port = parseInt(arg('port', '16161'));
+var community = arg('community', 'public');
+var scenario = arg('scenario', 'ok');
+var drainSeconds = parseInt(arg('drain', '0'));
+
+var agent = snmp.createAgent({ port: port, disableAuthorization: false }, function(error) {
+  if (error) console.error(error);
+});
+agent.getAuthorizer().addCommunity(community);
+
+var mib = agent.getMib();
+var RO = snmp.MaxAccess['read-only'];
+var NA = snmp.MaxAccess['not-accessible'];
+var INT = snmp.ObjectType.Integer;
+var STR = snmp.ObjectType.OctetString;
+var COUNTER = snmp.ObjectType.Counter;
+
+function column(number, name, type) {
+  return { number: number, name: name, type: type, maxAccess: number === 1 ? NA : RO };
+}
+
+// Printer MIB tables are indexed by hrDeviceIndex.<entry>
+var DEVICE_INDEX = [{ columnName: 'hrDeviceIndex', foreign: 'hrDeviceTable' }];
+
+mib.registerProviders([
+  {
+    name: 'hrDeviceTable',
+    type: snmp.MibProviderType.Table,
+    oid: '1.3.6.1.2.1.25.3.2.1',
+    maxAccess: NA,
+    tableColumns: [column(1, 'hrDeviceIndex', INT), column(3, 'hrDeviceDescr', STR)],
+    tableIndex: [{ columnName: 'hrDeviceIndex' }]
+  },
+  {
+    name: 'prtMarkerSuppliesTable',
+    type: snmp.MibProviderType.Table,
+    oid: '1.3.6.1.2.1.43.11.1.1',
+    maxAccess: NA,
+    tableColumns: [
+      column(1, 'prtMarkerSuppliesIndex', INT),
+      column(4, 'prtMarkerSuppliesClass', INT),
+      column(5, 'prtMarkerSuppliesType', INT),
+      column(6, 'prtMarkerSuppliesDescription', STR),
+      column(7, 'prtMarkerSuppliesSupplyUnit', INT),
+      column(8, 'prtMarkerSuppliesMaxCapacity', INT),
+      column(9, 'prtMarkerSuppliesLevel', INT)
+    ],
+    tableIndex: DEVICE_INDEX.concat([{ columnName: 'prtMarkerSuppliesIndex' }])
+  },
+  {
+    name: 'prtInputTable',
+    type: snmp.MibProviderType.Table,
+    oid: '1.3.6.1.2.1.43.8.2.1',
+    maxAccess: NA,
+    tableColumns: [
+      column(1, 'prtInputIndex', INT),
+      column(9, 'prtInputMaxCapacity', INT),
+      column(10, 'prtInputCurrentLevel', INT),
+      column(11, 'prtInputStatus', INT),
+      column(12, 'prtInputMediaName', STR),
+      column(13, 'prtInputName', STR)
+    ],
+    tableIndex: DEVICE_INDEX.concat([{ columnName: 'prtInputIndex' }])
+  },
+  {
+    name: 'prtAlertTable',
+    type: snmp.MibProviderType.Table,
+    oid: '1.3.6.1.2.1.43.18.1.1',
+    maxAccess: NA,
+    tableColumns: [
+      column(1, 'prtAlertIndex', INT),
+      column(2, 'prtAlertSeverityLevel', INT),
+      column(4, 'prtAlertGroup', INT),
+      column(6, 'prtAlertLocation', INT),
+      column(7, 'prtAlertCode', INT),
+      column(8, 'prtAlertDescription', STR)
+    ],
+    tableIndex: DEVICE_INDEX.concat([{ columnName: 'prtAlertIndex' }])
+  },
+  {
+    name: 'prtMarkerTable',
+    type: snmp.MibProviderType.Table,
+    oid: '1.3.6.1.2.1.43.10.2.1',
+    maxAccess: NA,
+    tableColumns: [column(1, 'prtMarkerIndex', INT), column(4, 'prtMarkerLifeCount', COUNTER)],
+    tableIndex: DEVICE_INDEX.concat([{ columnName: 'prtMarkerIndex' }])
+  }
+]);
+
+var blackToner = scenario === 'low' ? 8 : 64;
+var pageCount = 123456;
+
+mib.addTableRow('hrDeviceTable', [1, 'Fake Printer']);
+mib.addTableRow('prtMarkerSuppliesTable', [1, 1, 3, 3, 'Black Toner', 19, 100, blackToner]);
+mib.addTableRow('prtMarkerSuppliesTable', [1, 2, 3, 3, 'Cyan Toner', 19, 100, 82]);
+mib.addTableRow('prtMarkerSuppliesTable', [1, 3, 3, 3, 'Magenta Toner', 19, 100, 45]);
+mib.addTableRow('prtMarkerSuppliesTable', [1, 4, 3, 3, 'Yellow Toner', 19, 100, 30]);
+mib.addTableRow('prtMarkerSuppliesTable', [1, 5, 4, 4, 'Waste Toner Box', 19, 100, -3]);
+mib.addTableRow('prtInputTable', [1, 1, 550, 300, 0, 'Letter', 'Tray 1']);
+mib.addTableRow('prtInputTable', [1, 2, 550, scenario === 'ok' ? 500 : 0, 0, 'Letter', 'Tray 2']);
+mib.addTableRow('prtMarkerTable', [1, 1, pageCount]);
+
+if (scenario === 'jam') {
+  mib.addTableRow('prtAlertTable', [1, 1, 3, 13, 0, 8, 'Paper Jam in Tray 2']);
+} else if (scenario === 'low') {
+  mib.addTableRow('prtAlertTable', [1, 1, 4, 11, 0, 11, 'Black Toner Low']);
+}
+
+if (drainSeconds > 0) {
+  setInterval(function() {
+    blackToner = Math.max(0, blackToner - 1);
+    pageCount += 40;
+    mib.setTableSingleCell('prtMarkerSuppliesTable', 9, [1, 1], blackToner);
+    mib.setTableSingleCell('prtMarkerTable', 4, [1, 1], pageCount);
+  }, drainSeconds * 1000);
+}
+
+console.log('Fake printer agent listening on udp/' + port + ' (community "' + community + '", scenario "' + scenario + '")');
@@ -0,0 +1,61 @@
+/**
+ * Signed Gateway Request
+ * Sends one HMAC-signed request to /api/gateway, the same way an external
+ * SNMP gateway must. Useful for testing a key and as a reference for
+ * implementing the signature in a gateway.
+ *
+ * Usage: node scripts/gateway-request.js --key gwk_... --secret ... [--url http://localhost:3000]
+ *                                        <action> ['{"json":"payload"}']
+ *   action: getDevices | syncDevices (GET /api/gateway/devices) | updateDeviceStatus | addTrap | pushSupplyData
+ *
+ * Example: node scripts/gateway-request.js --key gwk_1a2b --secret 9f... updateDeviceStatus '{"ip":"10.0.0.5","status":"online"}'
+ */
+const crypto = require('crypto');
+
+function arg(name, fallback) {
+  var i = process.argv.indexOf('--' + name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+var keyId = arg('key', process.env.GATEWAY_KEY_ID);
+var secret = arg('secret', process.env.GATEWAY_KEY_SECRET);
+var baseUrl = arg('url', 'http://localhost:3000').replace(/\/+$/, '');
+var positional = process.argv.slice(2).filter(function(a, i, all) {
+  return a.indexOf('--') !== 0 && (i === 0 || all[i - 1].indexOf('--') !== 0);
+});
+var action = positional[0];
+
+if (!keyId || !secret || !action) {
+  console.error('Usage: node scripts/gateway-request.js --key <id> --secret <secret> [--url <base>] <action> [json]');
+  process.exit(1);
+}
+
+var method = action === 'syncDevices' ? 'GET' : 'POST';
+var path = action === 'syncDevices' ? '/api/gateway/devices' : '/api/gateway';
+var body = method === 'POST' ? JSON.stringify(Object.assign({ action: action }, JSON.parse(positional[1] || '{}'))) : '';
+
+var timestamp = String(Math.floor(Date.now() / 1000));
+var signature = crypto.createHmac('sha256', secret)
+  .update(timestamp + '\n' + method + '\n' + path + '\n' + body)
+  .digest('hex');
+
+fetch(baseUrl + path, {
+  method: method,
+  headers: {
+    'Content-Type': 'application/json',
+    'X-Gateway-Key': keyId,
+    'X-Gateway-Timestamp': timestamp,
+    'X-Gateway-Signature': signature
+  },
+  body: method === 'POST' ? body : undefined
+})
+  .then(function(res) {
+    return res.text().then(function(text) {
+      console.log('HTTP ' + res.status + ' ' + text);
+      if (!res.ok) process.exitCode = 1;
+    });
+  })
+  .catch(function(err) {
+    console.error('Request failed:', err.message);
+    process.exitCode = 1;
+  });
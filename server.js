@@ -2,13 +2,20 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const config = require('./config');
+const { loadUser, requireApiRole, requireLogin } = require('./middleware/auth');
+const { auditContext } = require('./middleware/audit');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw body so gateway request signatures can be verified
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(loadUser);
 
 // Handle ?page=request before static middleware (backward compat with old QR codes)
 app.get('/', (req, res, next) => {
@@ -20,9 +27,15 @@ app.get('/', (req, res, next) => {
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', requireLogin, express.static(path.join(__dirname, 'uploads')));
+
+// Every API route needs a session and a sufficient role (see middleware/auth.js)
+app.use('/api', requireApiRole);
+// ...and its writes are recorded in audit_log under that user (see db/audit.js)
+app.use('/api', auditContext);
 
 // Mount API routes
+app.use('/api', require('./routes/users'));
 app.use('/api', require('./routes/devices'));
 app.use('/api', require('./routes/traps'));
 app.use('/api', require('./routes/blueprints'));
@@ -36,12 +49,31 @@ app.use('/api', require('./routes/settings'));
 app.use('/api', require('./routes/qrCodes'));
 app.use('/api', require('./routes/data'));
 app.use('/api', require('./routes/gateway'));
+app.use('/api', require('./routes/snmp'));
+app.use('/api', require('./routes/events'));
+app.use('/api', require('./routes/audit'));
+app.use('/api', require('./routes/recycleBin'));
+app.use('/api', require('./routes/inventory'));
+app.use('/api', require('./routes/alerts'));
+app.use('/api', require('./routes/trapDictionaries'));
+app.use('/api', require('./routes/mibs'));
+app.use('/api', require('./routes/sla'));
+
+// Sign-in / first-run setup page
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
 
 // Serve request page for QR code scans
 app.get('/request', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'request.html'));
 });
 
+// Requester's status page, linked from the confirmation email (services/requestStatus.js)
+app.get('/request/status/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'request-status.html'));
+});
+
 // Serve main dashboard for all other routes
 app.get('*', (req, res) => {
   // Don't intercept API calls or static files
@@ -58,4 +90,23 @@ require('./db/database');
 
 app.listen(config.PORT, () => {
   console.log(`Smart School Monitor running on port ${config.PORT}`);
+
+  // Until the first admin exists, only someone who can read this log can create it
+  const setupCode = require('./services/auth').getSetupCode();
+  if (setupCode) {
+    console.log(`No user accounts yet. Create the first admin at ${config.WEB_APP_URL}/login with setup code: ${setupCode}`);
+    console.log('(or run: npm run create-admin -- <username> <password>)');
+  }
+
+  // Background services
+  require('./services/snmpPoller').start();
+  require('./services/trapReceiver').start();
+  require('./services/watchdog').start();
+  require('./services/alertRules').start();
+  require('./services/sla').start();
+  require('./services/requestStatus').start();
+  require('./services/recycleBin').start();
+  require('./services/inventory').start();
+  require('./services/backup').start();
+  require('./services/trapRetention').start();
 });
@@ -0,0 +1,633 @@
+/**
+ * Alert Rules
+ * Server-side rules that turn traps and device conditions into actions.
+ * Each rule has one trigger:
+ *
+ *   - trap:    a new trap whose message matches messagePattern and whose
+ *              severity is at least minSeverity
+ *   - supply:  a supply at or below supplyThreshold percent (messagePattern,
+ *              if set, narrows it to matching supply names)
+ *   - offline: a device offline for at least offlineMinutes
+ *
+ * narrowed by device type and location (empty = any). A match raises an
+ * alert (alert_events) and runs the rule's actions: email a technician and/or
+ * other addresses, open a service request, POST to a webhook.
+ *
+ * Traps are matched as they arrive (eventBus 'trap.added'); supply and
+ * offline rules, alert resolution and escalation are checked every minute.
+ * An alert is resolved when its trap is resolved, its condition clears or
+ * its service request is completed. An alert still open (unassigned, or
+ * unresolved, per escalateWhen) escalateAfterMinutes after it was raised is
+ * escalated: escalateTo is emailed and the webhook is called again with
+ * event 'alert.escalated'. Acknowledging an alert stops escalation.
+ *
+ * Trap rules fire at most once per device per cooldownMinutes; supply and
+ * offline rules fire once per condition until it clears.
+ */
+const config = require('../config');
+const db = require('../db/database');
+const eventBus = require('./eventBus');
+const emailService = require('./emailService');
+const inventory = require('./inventory');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const TRIGGERS = ['trap', 'supply', 'offline'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const ESCALATE_WHEN = ['unassigned', 'unresolved'];
+const ACTIVE_STATUSES = ['open', 'escalated', 'acknowledged'];
+const RESOLVED_BY = 'Alert rules';
+
+var timer = null;
+var unsubscribe = null;
+var lastCheck = null;
+
+// ============================================
+// SETTINGS & RULES
+// ============================================
+
+/**
+ * Settings table overrides env config.
+ */
+function isEnabled() {
+  var enabled = db.getSetting('alertRulesEnabled');
+  return enabled !== null && enabled !== '' ? enabled === 'true' : config.ALERT_RULES_ENABLED;
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    var list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function splitEmails(value) {
+  return String(value || '').split(/[,;\s]+/).map(function(e) { return e.trim(); }).filter(Boolean);
+}
+
+/**
+ * Rule row with lists and flags decoded.
+ */
+function parseRule(row) {
+  return {
+    ...row,
+    enabled: row.enabled !== 'false',
+    deviceTypes: parseList(row.deviceTypes),
+    locations: parseList(row.locations),
+    createServiceRequest: row.createServiceRequest === 'true',
+    supplyThreshold: parseInt(row.supplyThreshold) || 0,
+    offlineMinutes: parseInt(row.offlineMinutes) || 0,
+    escalateAfterMinutes: parseInt(row.escalateAfterMinutes) || 0,
+    cooldownMinutes: parseInt(row.cooldownMinutes) || 0
+  };
+}
+
+function getRules() {
+  return db.getAll('alert_rules').map(parseRule)
+    .sort(function(a, b) { return String(a.name).localeCompare(String(b.name)); });
+}
+
+/**
+ * Check a messagePattern; returns an error message or ''.
+ */
+function validatePattern(pattern) {
+  var regex = /^\/(.+)\/$/.exec(String(pattern || '').trim());
+  if (!regex) return '';
+  try {
+    new RegExp(regex[1], 'i');
+    return '';
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+function severityRank(severity) {
+  var rank = SEVERITIES.indexOf(String(severity || '').toLowerCase());
+  return rank < 0 ? 0 : rank;
+}
+
+/**
+ * messagePattern is a case-insensitive substring, or a regular expression
+ * when written as /pattern/. An empty pattern matches everything.
+ */
+function matchesPattern(pattern, text) {
+  var p = String(pattern || '').trim();
+  if (!p) return true;
+  var regex = /^\/(.+)\/$/.exec(p);
+  if (regex) {
+    try {
+      return new RegExp(regex[1], 'i').test(text || '');
+    } catch (e) {
+      return false;
+    }
+  }
+  return String(text || '').toLowerCase().indexOf(p.toLowerCase()) >= 0;
+}
+
+// device.type may hold a device type's id or its name
+function deviceTypeKeys(device, types) {
+  var type = String(device.type || '').toLowerCase();
+  var keys = [type];
+  var match = types.find(function(t) {
+    return String(t.id).toLowerCase() === type || String(t.name).toLowerCase() === type;
+  });
+  if (match) keys.push(String(match.id).toLowerCase(), String(match.name).toLowerCase());
+  return keys;
+}
+
+/**
+ * Device type and location filters. Alerts without a device (e.g. traps from
+ * unknown IPs) only match rules that don't filter on either.
+ */
+function matchesDevice(rule, device, types) {
+  if (rule.deviceTypes.length === 0 && rule.locations.length === 0) return true;
+  if (!device) return false;
+  if (rule.deviceTypes.length > 0) {
+    var keys = deviceTypeKeys(device, types);
+    var typeMatch = rule.deviceTypes.some(function(t) { return keys.indexOf(String(t).toLowerCase()) >= 0; });
+    if (!typeMatch) return false;
+  }
+  if (rule.locations.length > 0) {
+    var location = String(device.location || '').toLowerCase();
+    var locationMatch = rule.locations.some(function(l) { return String(l).toLowerCase() === location; });
+    if (!locationMatch) return false;
+  }
+  return true;
+}
+
+function findTrapDevice(trap) {
+  var data = trap.trapData && typeof trap.trapData === 'object' ? trap.trapData : parseTrapData(trap.trapData);
+  if (data.deviceId) {
+    var byId = db.getById('devices', data.deviceId);
+    if (byId && !byId.deletedAt) return byId;
+  }
+  return db.getAll('devices').find(function(d) { return d.ip && d.ip === trap.sourceIp; }) || null;
+}
+
+function parseTrapData(value) {
+  try {
+    var data = JSON.parse(value || '{}');
+    return data && typeof data === 'object' ? data : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function inCooldown(rule, deviceId, sourceIp) {
+  if (!(rule.cooldownMinutes > 0)) return false;
+  var since = new Date(Date.now() - rule.cooldownMinutes * 60000).toISOString();
+  var row = db.db.prepare('SELECT id FROM alert_events WHERE ruleId = ? AND deviceId = ? AND sourceIp = ? AND triggeredAt > ? LIMIT 1')
+    .get(rule.id, deviceId || '', sourceIp || '', since);
+  return !!row;
+}
+
+function findActiveAlert(ruleId, deviceId, supplyName) {
+  return db.db.prepare("SELECT * FROM alert_events WHERE ruleId = ? AND deviceId = ? AND supplyName = ? AND status IN ('open', 'escalated', 'acknowledged') LIMIT 1")
+    .get(ruleId, deviceId, supplyName || '') || null;
+}
+
+// When the device's current offline period began
+function offlineSince(device) {
+  var open = db.db.prepare("SELECT status, startedAt FROM device_status_history WHERE deviceId = ? AND endedAt = '' ORDER BY startedAt DESC, rowid DESC LIMIT 1").get(device.id);
+  if (open && open.status === 'offline') return open.startedAt;
+  return device.lastSeen || '';
+}
+
+function supplyLevel(device, supplyName) {
+  var supply = parseList(device.supplies).find(function(s) { return s.name === supplyName; });
+  if (!supply) return null;
+  var pct = Number(supply.percentage);
+  return isNaN(pct) || pct < 0 ? null : inventory.displayLevel(supply.name, pct);
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+function actionResult(type, success, detail) {
+  return { type: type, success: success, detail: detail || '', at: new Date().toISOString() };
+}
+
+function appendActions(alertId, results) {
+  if (results.length === 0) return;
+  var alert = db.getById('alert_events', alertId);
+  if (!alert) return;
+  db.update('alert_events', alertId, { actions: JSON.stringify(parseList(alert.actions).concat(results)) });
+}
+
+function ruleRecipients(rule) {
+  var to = [];
+  if (rule.emailTechnicianId) {
+    var tech = db.getById('technicians', rule.emailTechnicianId);
+    if (tech && tech.email && tech.active !== 'false') to.push(tech.email);
+  }
+  splitEmails(rule.emailTo).forEach(function(e) {
+    if (to.indexOf(e) < 0) to.push(e);
+  });
+  return to;
+}
+
+function describeAlert(alert) {
+  return alert.ruleName + ': ' + alert.message + (alert.deviceName ? ' - ' + alert.deviceName : '');
+}
+
+async function emailAlert(to, rule, alert, escalation) {
+  var subject = (escalation ? '[Escalated] ' : '[Alert] ') + describeAlert(alert);
+  var lines = [];
+  if (escalation) {
+    lines.push('This alert is still ' + (rule.escalateWhen === 'unresolved' ? 'unresolved' : 'unassigned') +
+      ' ' + rule.escalateAfterMinutes + ' minutes after it was raised.', '');
+  }
+  lines.push(
+    'Alert rule: ' + alert.ruleName,
+    'Device: ' + (alert.deviceName || 'Unknown') + (alert.location ? ' (' + alert.location + ')' : ''),
+    alert.sourceIp ? 'Source IP: ' + alert.sourceIp : '',
+    'Message: ' + alert.message,
+    'Severity: ' + (alert.severity || 'info'),
+    'Raised: ' + new Date(alert.triggeredAt).toLocaleString(),
+    alert.serviceRequestId ? 'Service request: ' + alert.serviceRequestId : '',
+    '',
+    config.WEB_APP_URL,
+    '',
+    '---',
+    'Smart School Monitor'
+  );
+  var text = lines.filter(function(line, i) { return line !== '' || lines[i - 1] !== ''; }).join('\n');
+  var result = await emailService.sendEmail({ to: to.join(', '), subject: subject, text: text });
+  db.insert('email_history', {
+    id: db.generateId(),
+    deviceId: alert.deviceId || '',
+    recipient: to.join(', '),
+    cc: '',
+    subject: subject,
+    body: text,
+    htmlBody: '',
+    sentAt: new Date().toISOString(),
+    status: result.success ? 'sent' : 'failed',
+    errorMessage: result.success ? '' : result.error || ''
+  });
+  return actionResult(escalation ? 'escalation' : 'email', result.success, result.success ? to.join(', ') : result.error);
+}
+
+/**
+ * POST the alert as JSON. `text` is a one-line summary so chat webhooks
+ * (Slack, Teams, Google Chat) show something readable without a template.
+ */
+async function postWebhook(url, type, rule, alert) {
+  var payload = {
+    event: type,
+    text: (type === 'alert.escalated' ? 'Escalated: ' : 'Alert: ') + describeAlert(alert),
+    rule: { id: rule.id, name: rule.name, trigger: rule.triggerType },
+    alert: {
+      id: alert.id,
+      message: alert.message,
+      severity: alert.severity,
+      deviceId: alert.deviceId,
+      deviceName: alert.deviceName,
+      location: alert.location,
+      sourceIp: alert.sourceIp,
+      trapId: alert.trapId,
+      supplyName: alert.supplyName,
+      serviceRequestId: alert.serviceRequestId,
+      status: alert.status,
+      triggeredAt: alert.triggeredAt
+    },
+    url: config.WEB_APP_URL
+  };
+  try {
+    var response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    return actionResult('webhook', response.ok, 'HTTP ' + response.status);
+  } catch (e) {
+    return actionResult('webhook', false, e.message);
+  }
+}
+
+function openServiceRequest(rule, alert) {
+  try {
+    var request = require('../routes/serviceRequests').createServiceRequest({
+      deviceId: alert.deviceId,
+      deviceName: alert.deviceName || alert.sourceIp,
+      location: alert.location,
+      issueType: 'alert',
+      issueLabel: alert.message,
+      employeeName: 'Alert rule: ' + rule.name,
+      notes: 'Raised automatically by alert rule "' + rule.name + '" (' + (alert.severity || 'info') + ').'
+    });
+    alert.serviceRequestId = request.id;
+    db.update('alert_events', alert.id, { serviceRequestId: request.id });
+    return actionResult('serviceRequest', true, request.id);
+  } catch (e) {
+    return actionResult('serviceRequest', false, e.message);
+  }
+}
+
+async function runActions(rule, alert) {
+  var results = [];
+  if (rule.createServiceRequest) results.push(openServiceRequest(rule, alert));
+  var to = ruleRecipients(rule);
+  if (to.length > 0) results.push(await emailAlert(to, rule, alert, false));
+  if (rule.webhookUrl) results.push(await postWebhook(rule.webhookUrl, 'alert.triggered', rule, alert));
+  appendActions(alert.id, results);
+  return results;
+}
+
+/**
+ * Record an alert for a rule match and run the rule's actions in the
+ * background. details: { device, sourceIp, trapId, supplyName, message, severity }
+ */
+function raise(rule, details) {
+  var device = details.device;
+  var alert = {
+    id: db.generateId(),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    triggerType: rule.triggerType,
+    deviceId: device ? device.id : '',
+    deviceName: device ? device.name || device.ip || '' : '',
+    location: device ? device.location || '' : '',
+    sourceIp: details.sourceIp || '',
+    trapId: details.trapId || '',
+    supplyName: details.supplyName || '',
+    message: details.message || '',
+    severity: details.severity || 'info',
+    serviceRequestId: '',
+    actions: '[]',
+    status: 'open',
+    triggeredAt: new Date().toISOString(),
+    escalatedAt: '',
+    acknowledgedAt: '',
+    acknowledgedBy: '',
+    resolvedAt: '',
+    resolvedBy: ''
+  };
+  db.insert('alert_events', alert);
+  runActions(rule, alert).catch(function(e) {
+    console.error('Alert actions failed for ' + alert.id + ':', e);
+  });
+  return alert;
+}
+
+async function escalate(rule, alert) {
+  var now = new Date().toISOString();
+  db.update('alert_events', alert.id, { status: 'escalated', escalatedAt: now });
+  var escalated = { ...alert, status: 'escalated', escalatedAt: now };
+
+  var results = [];
+  var to = splitEmails(rule.escalateTo);
+  if (to.length === 0) to = ruleRecipients(rule);
+  if (to.length > 0) results.push(await emailAlert(to, rule, escalated, true));
+  if (rule.webhookUrl) results.push(await postWebhook(rule.webhookUrl, 'alert.escalated', rule, escalated));
+  appendActions(alert.id, results);
+}
+
+/**
+ * Run a rule's email and webhook actions with a sample alert (no service
+ * request is created and nothing is recorded). Returns the action results.
+ */
+async function testRule(ruleId) {
+  var row = db.getById('alert_rules', ruleId);
+  if (!row) throw new Error('Alert rule not found');
+  var rule = parseRule(row);
+  var alert = {
+    id: 'test',
+    ruleId: rule.id,
+    ruleName: rule.name,
+    triggerType: rule.triggerType,
+    deviceId: '',
+    deviceName: 'Test device',
+    location: '',
+    sourceIp: '',
+    trapId: '',
+    supplyName: '',
+    message: 'Test alert',
+    severity: 'info',
+    serviceRequestId: '',
+    status: 'open',
+    triggeredAt: new Date().toISOString()
+  };
+  var results = [];
+  var to = ruleRecipients(rule);
+  if (to.length > 0) results.push(await emailAlert(to, rule, alert, false));
+  if (rule.webhookUrl) results.push(await postWebhook(rule.webhookUrl, 'alert.test', rule, alert));
+  if (results.length === 0) throw new Error('This rule has no email recipients or webhook to test');
+  return results;
+}
+
+// ============================================
+// TRAP RULES
+// ============================================
+
+function onTrapAdded(event) {
+  try {
+    if (!isEnabled()) return;
+    var trap = event.data && event.data.trap;
+    if (!trap || trap.resolvedAt) return;
+    var rules = getRules().filter(function(r) { return r.enabled && r.triggerType === 'trap'; });
+    if (rules.length === 0) return;
+
+    var device = findTrapDevice(trap);
+    var types = db.getAll('device_types');
+    rules.forEach(function(rule) {
+      if (!matchesDevice(rule, device, types)) return;
+      if (!matchesPattern(rule.messagePattern, trap.parsedMessage)) return;
+      if (severityRank(trap.severity) < severityRank(rule.minSeverity)) return;
+      if (inCooldown(rule, device ? device.id : '', trap.sourceIp)) return;
+      raise(rule, {
+        device: device,
+        sourceIp: trap.sourceIp,
+        trapId: trap.id,
+        message: trap.parsedMessage,
+        severity: trap.severity
+      });
+    });
+  } catch (e) {
+    console.error('Alert rules: trap check failed:', e);
+  }
+}
+
+// ============================================
+// CHECK
+// ============================================
+
+function checkConditions(rules, devices, types) {
+  var raised = [];
+  var now = Date.now();
+  rules.forEach(function(rule) {
+    devices.forEach(function(device) {
+      if (!matchesDevice(rule, device, types)) return;
+
+      if (rule.triggerType === 'offline') {
+        if (device.status !== 'offline') return;
+        var since = offlineSince(device);
+        if (!since || Date.parse(since) > now - rule.offlineMinutes * 60000) return;
+        if (findActiveAlert(rule.id, device.id, '')) return;
+        raised.push(raise(rule, {
+          device: device,
+          sourceIp: device.ip,
+          message: (device.name || device.ip) + ' offline since ' + new Date(since).toLocaleString(),
+          severity: 'critical'
+        }));
+        return;
+      }
+
+      parseList(device.supplies).forEach(function(s) {
+        if (!s.name || !matchesPattern(rule.messagePattern, s.name)) return;
+        var level = supplyLevel(device, s.name);
+        if (level === null || level > rule.supplyThreshold) return;
+        if (findActiveAlert(rule.id, device.id, s.name)) return;
+        raised.push(raise(rule, {
+          device: device,
+          sourceIp: device.ip,
+          supplyName: s.name,
+          message: s.name + ' at ' + Math.round(level) + '%',
+          severity: level <= 0 ? 'critical' : 'warning'
+        }));
+      });
+    });
+  });
+  return raised;
+}
+
+/**
+ * Whether an active alert has been resolved or picked up.
+ * Returns { resolved, resolvedBy, assigned }
+ */
+function alertState(alert, rule) {
+  var request = alert.serviceRequestId ? db.getById('service_requests', alert.serviceRequestId) : null;
+  if (request && request.status === 'completed') {
+    return { resolved: true, resolvedBy: request.technicianName || 'Service request completed' };
+  }
+  var assigned = alert.status === 'acknowledged' || !!(request && request.technicianId);
+
+  if (alert.triggerType === 'trap') {
+    var trap = alert.trapId ? db.getById('snmp_traps', alert.trapId) : null;
+    if (!trap) return { resolved: true, resolvedBy: RESOLVED_BY };
+    if (trap.resolvedAt) return { resolved: true, resolvedBy: trap.resolvedBy || RESOLVED_BY };
+    return { resolved: false, assigned: assigned || !!trap.assignedTo };
+  }
+
+  var device = alert.deviceId ? db.getById('devices', alert.deviceId) : null;
+  if (!device || device.deletedAt || !rule) return { resolved: true, resolvedBy: RESOLVED_BY };
+  if (alert.triggerType === 'offline' && device.status !== 'offline') {
+    return { resolved: true, resolvedBy: RESOLVED_BY };
+  }
+  if (alert.triggerType === 'supply') {
+    var level = supplyLevel(device, alert.supplyName);
+    if (level === null || level > rule.supplyThreshold) return { resolved: true, resolvedBy: RESOLVED_BY };
+  }
+  return { resolved: false, assigned: assigned };
+}
+
+/**
+ * Raise supply/offline alerts, resolve cleared alerts and escalate overdue
+ * ones. Returns { raised, resolved, escalated }
+ */
+function check() {
+  lastCheck = new Date().toISOString();
+  var result = { raised: 0, resolved: 0, escalated: 0 };
+  if (!isEnabled()) return result;
+
+  var rules = getRules();
+  var rulesById = {};
+  rules.forEach(function(r) { rulesById[r.id] = r; });
+
+  // Resolve and escalate before raising, so a cleared condition can fire again
+  var active = db.db.prepare("SELECT * FROM alert_events WHERE status IN ('open', 'escalated', 'acknowledged')").all();
+  var now = Date.now();
+  active.forEach(function(alert) {
+    var rule = rulesById[alert.ruleId];
+    var state = alertState(alert, rule);
+    if (state.resolved) {
+      db.update('alert_events', alert.id, { status: 'resolved', resolvedAt: new Date().toISOString(), resolvedBy: state.resolvedBy });
+      result.resolved++;
+      return;
+    }
+    if (alert.status !== 'open' || !rule || !rule.enabled || !(rule.escalateAfterMinutes > 0)) return;
+    if (now - Date.parse(alert.triggeredAt) < rule.escalateAfterMinutes * 60000) return;
+    if (rule.escalateWhen !== 'unresolved' && state.assigned) return;
+    result.escalated++;
+    escalate(rule, alert).catch(function(e) {
+      console.error('Alert escalation failed for ' + alert.id + ':', e);
+    });
+  });
+
+  var conditionRules = rules.filter(function(r) { return r.enabled && r.triggerType !== 'trap'; });
+  if (conditionRules.length > 0) {
+    result.raised = checkConditions(conditionRules, db.getAll('devices'), db.getAll('device_types')).length;
+  }
+  return result;
+}
+
+/**
+ * Stop escalation for an alert; it still resolves on its own.
+ */
+function acknowledge(alertId, by) {
+  var alert = db.getById('alert_events', alertId);
+  if (!alert) throw new Error('Alert not found');
+  if (ACTIVE_STATUSES.indexOf(alert.status) < 0) throw new Error('This alert is already ' + alert.status);
+  db.update('alert_events', alertId, { status: 'acknowledged', acknowledgedAt: new Date().toISOString(), acknowledgedBy: by || 'User' });
+  return db.getById('alert_events', alertId);
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+function start() {
+  if (timer) return;
+  unsubscribe = eventBus.subscribe(onTrapAdded, 'trap.added');
+  timer = setInterval(function() {
+    try {
+      check();
+    } catch (e) {
+      console.error('Alert rules check failed:', e);
+    }
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  if (unsubscribe) unsubscribe();
+  timer = null;
+  unsubscribe = null;
+}
+
+function getStatus() {
+  var active = db.db.prepare("SELECT COUNT(*) AS n FROM alert_events WHERE status IN ('open', 'escalated', 'acknowledged')").get();
+  return {
+    enabled: isEnabled(),
+    running: !!timer,
+    activeAlerts: active ? active.n : 0,
+    lastCheck: lastCheck
+  };
+}
+
+module.exports = {
+  TRIGGERS,
+  SEVERITIES,
+  ESCALATE_WHEN,
+  isEnabled,
+  parseRule,
+  getRules,
+  validatePattern,
+  matchesPattern,
+  check,
+  testRule,
+  acknowledge,
+  start,
+  stop,
+  getStatus
+};
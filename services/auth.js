@@ -0,0 +1,230 @@
+/**
+ * Authentication Service
+ * User password hashing (scrypt), login sessions and role ranking.
+ * Session tokens are only ever handed to the browser; the sessions table
+ * stores their SHA-256 so a leaked database cannot be replayed as a login.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db/database');
+
+// Lowest to highest privilege
+const ROLES = ['read-only', 'help-desk', 'technician', 'admin'];
+
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+
+// ============================================
+// PASSWORDS
+// ============================================
+
+/**
+ * Hash a password as scrypt$<salt>$<hash> (hex).
+ */
+function hashPassword(password) {
+  var salt = crypto.randomBytes(16).toString('hex');
+  var hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return 'scrypt$' + salt + '$' + hash;
+}
+
+function verifyPassword(password, stored) {
+  var parts = String(stored || '').split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+  var expected = Buffer.from(parts[2], 'hex');
+  var actual = crypto.scryptSync(String(password || ''), parts[1], expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function validatePassword(password) {
+  if (!password || String(password).length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  return null;
+}
+
+// ============================================
+// ROLES
+// ============================================
+
+function isValidRole(role) {
+  return ROLES.indexOf(role) >= 0;
+}
+
+/**
+ * True if the user's role is at least the required role.
+ */
+function hasRole(user, required) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(required);
+}
+
+// ============================================
+// USERS
+// ============================================
+
+function countUsers() {
+  return db.count('users');
+}
+
+function getUserByUsername(username) {
+  return db.db.prepare('SELECT * FROM users WHERE username = ? COLLATE NOCASE')
+    .get(String(username || '').trim()) || null;
+}
+
+/**
+ * User object safe to send to the browser (no password hash), with the
+ * linked technician's name resolved.
+ */
+function publicUser(user) {
+  if (!user) return null;
+  var tech = user.technicianId ? db.getById('technicians', user.technicianId) : null;
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName || user.username,
+    email: user.email || '',
+    role: user.role,
+    technicianId: user.technicianId || '',
+    technicianName: tech ? tech.name : '',
+    active: user.active !== 'false',
+    lastLoginAt: user.lastLoginAt || '',
+    createdAt: user.createdAt || ''
+  };
+}
+
+/**
+ * Check a username/password pair. Returns the user row or null.
+ */
+function authenticate(username, password) {
+  var user = getUserByUsername(username);
+  if (!user || user.active === 'false') {
+    // Spend the same time as a real check so usernames can't be probed
+    verifyPassword(password, 'scrypt$00$' + '00'.repeat(64));
+    return null;
+  }
+  return verifyPassword(password, user.passwordHash) ? user : null;
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sessionExpiry() {
+  return new Date(Date.now() + config.SESSION_TTL_HOURS * 3600 * 1000).toISOString();
+}
+
+/**
+ * Start a session for a user. Returns the raw token for the cookie.
+ */
+function createSession(user, req) {
+  var token = crypto.randomBytes(32).toString('hex');
+  var now = new Date().toISOString();
+  db.insert('sessions', {
+    id: hashToken(token),
+    userId: user.id,
+    ip: (req && req.ip) || '',
+    userAgent: (req && req.get('User-Agent') || '').substring(0, 255),
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: sessionExpiry()
+  });
+  db.update('users', user.id, { lastLoginAt: now });
+  return token;
+}
+
+/**
+ * Resolve a session token to its active user, sliding the expiry forward.
+ * Returns null for unknown, expired or deactivated sessions.
+ */
+function getSessionUser(token) {
+  if (!token) return null;
+  var id = hashToken(token);
+  var session = db.getById('sessions', id);
+  if (!session) return null;
+
+  var now = Date.now();
+  if (new Date(session.expiresAt).getTime() <= now) {
+    db.remove('sessions', id);
+    return null;
+  }
+
+  var user = db.getById('users', session.userId);
+  if (!user || user.active === 'false') {
+    db.remove('sessions', id);
+    return null;
+  }
+
+  // Only write back every few minutes, not on every request
+  if (now - new Date(session.lastSeenAt).getTime() > SESSION_TOUCH_MS) {
+    db.update('sessions', id, { lastSeenAt: new Date(now).toISOString(), expiresAt: sessionExpiry() });
+  }
+  return user;
+}
+
+function destroySession(token) {
+  if (token) db.remove('sessions', hashToken(token));
+}
+
+/**
+ * End every session of a user (deactivation, password change).
+ * Pass keepToken to spare the caller's own session.
+ */
+function destroyUserSessions(userId, keepToken) {
+  var keepId = keepToken ? hashToken(keepToken) : '';
+  db.db.prepare('DELETE FROM sessions WHERE userId = ? AND id != ?').run(userId, keepId);
+}
+
+function purgeExpiredSessions() {
+  return db.db.prepare('DELETE FROM sessions WHERE expiresAt <= ?').run(new Date().toISOString()).changes;
+}
+
+// ============================================
+// FIRST-RUN SETUP
+// ============================================
+
+var setupCode = '';
+
+/**
+ * One-time code that lets the login page create the first admin. It is only
+ * printed to the server log, so only whoever runs the server can claim the
+ * install. Null (and forgotten) once any account exists.
+ */
+function getSetupCode() {
+  if (countUsers() > 0) {
+    setupCode = '';
+    return null;
+  }
+  if (!setupCode) setupCode = crypto.randomBytes(8).toString('hex');
+  return setupCode;
+}
+
+function checkSetupCode(code) {
+  var expected = getSetupCode();
+  if (!expected) return false;
+  var given = String(code || '').trim().toLowerCase();
+  // Compare digests so the lengths always match
+  return crypto.timingSafeEqual(Buffer.from(hashToken(expected), 'hex'), Buffer.from(hashToken(given), 'hex'));
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  isValidRole,
+  hasRole,
+  countUsers,
+  getUserByUsername,
+  publicUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  destroySession,
+  destroyUserSessions,
+  getSetupCode,
+  checkSetupCode,
+  purgeExpiredSessions
+};
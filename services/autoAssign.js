@@ -0,0 +1,312 @@
+/**
+ * Auto-Assignment
+ * New service requests are handed to a technician as soon as they are
+ * created, instead of waiting for someone to claim them.
+ *
+ * A technician can take a request when they are available (active, on
+ * shift and not on PTO - see services/techSchedule.js) and have the skills
+ * for it: the device types and buildings (floor plans) they
+ * cover. An empty skill list covers everything. Among those candidates the
+ * strategy picks one:
+ *
+ *   round-robin   - the next technician after the last one auto-assigned
+ *   least-loaded  - the fewest requests in progress
+ *   location      - technicians who list the request's building first,
+ *                   then the least loaded of them
+ *
+ * Every assignment - automatic, by hand, or by hand over an automatic one
+ * (override) - is written to assignment_log with the reason, as is an
+ * automatic attempt that found nobody.
+ *
+ * Settings: autoAssignEnabled, autoAssignStrategy
+ */
+const db = require('../db/database');
+const eventBus = require('./eventBus');
+const sla = require('./sla');
+const techSchedule = require('./techSchedule');
+
+const STRATEGIES = ['round-robin', 'least-loaded', 'location'];
+const DEFAULT_STRATEGY = 'least-loaded';
+
+// ============================================
+// SETTINGS & SKILLS
+// ============================================
+
+function getSettings() {
+  var strategy = db.getSetting('autoAssignStrategy');
+  return {
+    enabled: db.getSetting('autoAssignEnabled') === 'true',
+    strategy: STRATEGIES.indexOf(strategy) >= 0 ? strategy : DEFAULT_STRATEGY
+  };
+}
+
+/**
+ * settings: { enabled, strategy }
+ */
+function saveSettings(settings) {
+  var s = settings || {};
+  if (STRATEGIES.indexOf(s.strategy) < 0) throw new Error('Unknown assignment strategy: ' + s.strategy);
+  db.setSetting('autoAssignEnabled', s.enabled ? 'true' : 'false');
+  db.setSetting('autoAssignStrategy', s.strategy);
+  return getSettings();
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    var list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function isActive(tech) {
+  return tech.active !== false && tech.active !== 'false';
+}
+
+function isOnShift(tech) {
+  return tech.onShift !== false && tech.onShift !== 'false';
+}
+
+/**
+ * Set the device types (ids) and buildings (blueprint ids) a technician covers.
+ */
+function saveSkills(technicianId, skills) {
+  if (!db.getById('technicians', technicianId)) throw new Error('Technician not found');
+  var s = skills || {};
+  db.update('technicians', technicianId, {
+    skillDeviceTypes: JSON.stringify(parseList(s.deviceTypes).map(String)),
+    skillBuildings: JSON.stringify(parseList(s.buildings).map(String)),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+function setOnShift(technicianId, onShift) {
+  if (!db.getById('technicians', technicianId)) throw new Error('Technician not found');
+  db.update('technicians', technicianId, {
+    onShift: onShift ? 'true' : 'false',
+    updatedAt: new Date().toISOString()
+  });
+}
+
+// ============================================
+// CHOOSING A TECHNICIAN
+// ============================================
+
+// Requests in progress and the last assignment, per technician
+function getWorkload() {
+  var load = {};
+  db.db.prepare(
+    "SELECT technicianId, SUM(status = 'in-progress') AS open, MAX(assignedAt) AS lastAssignedAt " +
+    "FROM service_requests WHERE " + db.liveCondition('service_requests') + " AND technicianId != '' GROUP BY technicianId"
+  ).all().forEach(function(r) {
+    load[r.technicianId] = { open: r.open || 0, lastAssignedAt: r.lastAssignedAt || '' };
+  });
+  return load;
+}
+
+function workloadOf(load, tech) {
+  return load[tech.id] || { open: 0, lastAssignedAt: '' };
+}
+
+// Fewest open requests, then the one who has waited longest for work
+function byLoad(load) {
+  return function(a, b) {
+    var la = workloadOf(load, a);
+    var lb = workloadOf(load, b);
+    if (la.open !== lb.open) return la.open - lb.open;
+    if (la.lastAssignedAt !== lb.lastAssignedAt) return la.lastAssignedAt < lb.lastAssignedAt ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  };
+}
+
+function plural(n, word) {
+  return n + ' ' + word + (n === 1 ? '' : 's');
+}
+
+/**
+ * Available technicians whose skills cover the request. Requests store the
+ * device type name; skills hold the type id.
+ */
+function getCandidates(request) {
+  var type = request.deviceType
+    ? db.getAll('device_types').find(function(t) {
+      return String(t.name).toLowerCase() === String(request.deviceType).toLowerCase() || t.id === request.deviceType;
+    })
+    : null;
+  var now = new Date();
+  var schedule = techSchedule.loadContext();
+  return db.getAll('technicians').filter(function(tech) {
+    if (!isActive(tech) || !techSchedule.isAvailable(tech, now, schedule)) return false;
+    var types = parseList(tech.skillDeviceTypes);
+    var buildings = parseList(tech.skillBuildings);
+    if (types.length && request.deviceType && !(type && types.indexOf(type.id) >= 0)) return false;
+    if (buildings.length && request.blueprintId && buildings.indexOf(request.blueprintId) < 0) return false;
+    return true;
+  }).sort(byNameThenId);
+}
+
+// Stable rotation order: by name, ties (same name) by id
+function byNameThenId(a, b) {
+  return String(a.name).localeCompare(String(b.name)) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+/**
+ * Pick a technician for a request with the given strategy.
+ * Returns { technician, reason } - technician is null when nobody can take it.
+ */
+function choose(request, strategy) {
+  var candidates = getCandidates(request);
+  var pool = plural(candidates.length, 'candidate');
+  if (candidates.length === 0) {
+    return { technician: null, reason: 'No available technician has the skills for this request' };
+  }
+
+  var load = getWorkload();
+  if (strategy === 'round-robin') {
+    // Next after the last pick in the rotation of all technicians, so the
+    // order holds when the last pick is off shift, renamed or shares a name
+    var lastId = db.getSetting('autoAssignLastTechnicianId') || '';
+    var rotation = db.getAll('technicians').sort(byNameThenId);
+    var lastIndex = rotation.findIndex(function(t) { return t.id === lastId; });
+    var next = lastIndex < 0 ? candidates[0] : candidates.find(function(t) {
+      return rotation.findIndex(function(r) { return r.id === t.id; }) > lastIndex;
+    }) || candidates[0];
+    return { technician: next, reason: 'Round-robin: next in turn of ' + pool };
+  }
+
+  if (strategy === 'location' && request.blueprintId) {
+    var building = (db.getById('blueprints', request.blueprintId) || {}).name || 'this building';
+    var local = candidates.filter(function(t) { return parseList(t.skillBuildings).indexOf(request.blueprintId) >= 0; });
+    if (local.length > 0) {
+      var nearest = local.sort(byLoad(load))[0];
+      return {
+        technician: nearest,
+        reason: 'Location: covers ' + building + ', ' + plural(workloadOf(load, nearest).open, 'open request') +
+          ' (' + plural(local.length, 'technician') + ' covering it)'
+      };
+    }
+    var fallback = candidates.slice().sort(byLoad(load))[0];
+    return {
+      technician: fallback,
+      reason: 'Location: nobody available covers ' + building + ', least loaded of ' + pool +
+        ' with ' + plural(workloadOf(load, fallback).open, 'open request')
+    };
+  }
+
+  var least = candidates.slice().sort(byLoad(load))[0];
+  return {
+    technician: least,
+    reason: (strategy === 'location' ? 'Location: request has no building, ' : 'Least loaded: ') +
+      plural(workloadOf(load, least).open, 'open request') + ', fewest of ' + pool
+  };
+}
+
+// ============================================
+// ASSIGNING & LOG
+// ============================================
+
+function logAssignment(requestId, technician, method, strategy, reason, assignedBy) {
+  var entry = {
+    id: db.generateId(),
+    requestId: requestId,
+    technicianId: technician ? technician.id || '' : '',
+    technicianName: technician ? technician.name || '' : '',
+    method: method,
+    strategy: strategy || '',
+    reason: reason || '',
+    assignedBy: assignedBy || '',
+    createdAt: new Date().toISOString()
+  };
+  db.insert('assignment_log', entry);
+  return entry;
+}
+
+/**
+ * Log a hand assignment. Reassigning a request the engine assigned is an
+ * override. technician: { id, name } or null when unassigning.
+ */
+function logManual(row, technician, reason, assignedBy) {
+  var method = row.assignmentMethod === 'auto' && row.technicianId ? 'override' : 'manual';
+  var text = String(reason || '').trim() ||
+    (technician ? (method === 'override' ? 'Reassigned from ' + row.technicianName : 'Assigned by hand') : 'Unassigned');
+  return logAssignment(row.id, technician, method, '', text, assignedBy);
+}
+
+/**
+ * Auto-assign a pending, unassigned request. With force the engine runs even
+ * when auto-assignment is switched off (the "Auto-assign" button); newRequest
+ * marks the assignment made as the request is created.
+ * Returns the log entry, or null when the engine is off or the request is taken.
+ */
+function autoAssign(requestId, options) {
+  var opts = options || {};
+  var settings = getSettings();
+  if (!settings.enabled && !opts.force) return null;
+  var row = db.getById('service_requests', requestId);
+  if (!row || row.status !== 'pending' || row.technicianId) return null;
+
+  var choice = choose(row, settings.strategy);
+  if (!choice.technician) {
+    return logAssignment(requestId, null, 'auto', settings.strategy, choice.reason, opts.by);
+  }
+
+  var now = new Date().toISOString();
+  var updates = {
+    technicianId: choice.technician.id,
+    technicianName: choice.technician.name,
+    status: 'in-progress',
+    assignedAt: now,
+    assignmentMethod: 'auto',
+    updatedAt: now
+  };
+  db.update('service_requests', requestId, updates);
+  sla.refresh(requestId);
+  if (settings.strategy === 'round-robin') db.setSetting('autoAssignLastTechnicianId', choice.technician.id);
+  var entry = logAssignment(requestId, choice.technician, 'auto', settings.strategy, choice.reason, opts.by);
+  eventBus.publish('serviceRequest.assigned', { request: { ...row, ...updates }, autoAssigned: true, newRequest: !!opts.newRequest });
+  return entry;
+}
+
+/**
+ * Assignment history of a request, oldest first.
+ */
+function getLog(requestId) {
+  return db.db.prepare('SELECT * FROM assignment_log WHERE requestId = ? ORDER BY createdAt, rowid').all(requestId);
+}
+
+/**
+ * Technicians with their skills, shift and workload for the settings panel.
+ */
+function getTechnicians() {
+  var load = getWorkload();
+  var now = new Date();
+  var schedule = techSchedule.loadContext();
+  return db.getAll('technicians').filter(isActive).map(function(tech) {
+    return {
+      id: tech.id,
+      name: tech.name,
+      email: tech.email,
+      onShift: isOnShift(tech),
+      availability: techSchedule.availabilityOf(tech, now, schedule),
+      deviceTypes: parseList(tech.skillDeviceTypes),
+      buildings: parseList(tech.skillBuildings),
+      openRequests: workloadOf(load, tech).open
+    };
+  });
+}
+
+module.exports = {
+  STRATEGIES,
+  getSettings,
+  saveSettings,
+  saveSkills,
+  setOnShift,
+  getCandidates,
+  choose,
+  autoAssign,
+  logManual,
+  getLog,
+  getTechnicians
+};
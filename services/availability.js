@@ -0,0 +1,234 @@
+/**
+ * Device Availability
+ * Logs every device status change (device_status_history) so uptime can be
+ * reported after devices.status has been overwritten by the next poll.
+ *
+ * Each row is a period in one status: it starts when the status changes and
+ * ends (endedAt, durationSeconds) at the next change. The open period of a
+ * device has an empty endedAt.
+ *
+ * Availability is the share of observed time a device was reachable:
+ * (online + issue) / (online + issue + offline). Time in 'unknown' (never
+ * polled) is not observed and doesn't count either way. A device that misses
+ * the availability target in CHRONIC_MISSED_MONTHS of the report's months is
+ * flagged as a chronic offender.
+ */
+const db = require('../db/database');
+const config = require('../config');
+
+const CHRONIC_MISSED_MONTHS = 2;
+const MAX_MONTHS = 24;
+
+function getTarget() {
+  var value = parseFloat(db.getSetting('availabilityTarget'));
+  return !isNaN(value) && value >= 0 && value <= 100 ? value : config.AVAILABILITY_TARGET;
+}
+
+/**
+ * Close the device's open period and start a new one if the status changed.
+ * Returns the new period or null.
+ */
+function recordStatus(deviceId, status) {
+  var next = status || 'unknown';
+  if (!deviceId) return null;
+  var open = db.db.prepare("SELECT * FROM device_status_history WHERE deviceId = ? AND endedAt = '' ORDER BY startedAt DESC, rowid DESC LIMIT 1").get(deviceId);
+  if (open && open.status === next) return null;
+
+  var now = new Date().toISOString();
+  var period = {
+    id: db.generateId(),
+    deviceId: deviceId,
+    status: next,
+    previousStatus: open ? open.status : '',
+    startedAt: now,
+    endedAt: '',
+    durationSeconds: 0
+  };
+  db.db.transaction(function() {
+    if (open) {
+      db.update('device_status_history', open.id, {
+        endedAt: now,
+        durationSeconds: Math.max(0, Math.round((Date.parse(now) - Date.parse(open.startedAt)) / 1000))
+      });
+    }
+    db.insert('device_status_history', period);
+  })();
+  return period;
+}
+
+// 'YYYY-MM' months ending with `to`, oldest first
+function listMonths(to, count) {
+  var year = parseInt(to.slice(0, 4));
+  var month = parseInt(to.slice(5, 7)) - 1;
+  var months = [];
+  for (var i = count - 1; i >= 0; i--) {
+    var d = new Date(Date.UTC(year, month - i, 1));
+    months.push(d.toISOString().slice(0, 7));
+  }
+  return months;
+}
+
+function monthBounds(month) {
+  var start = Date.parse(month + '-01T00:00:00Z');
+  var d = new Date(start);
+  d.setUTCMonth(d.getUTCMonth() + 1);
+  return { start: start, end: d.getTime() };
+}
+
+function emptySeconds() {
+  return { online: 0, issue: 0, offline: 0 };
+}
+
+function addSeconds(target, source) {
+  Object.keys(source).forEach(function(k) { target[k] += source[k]; });
+}
+
+// Percentage of observed time up, or null when nothing was observed
+function availabilityOf(seconds) {
+  var up = seconds.online + seconds.issue;
+  var observed = up + seconds.offline;
+  return observed > 0 ? Math.round(up / observed * 10000) / 100 : null;
+}
+
+function typeNames() {
+  var names = {};
+  db.getAll('device_types').forEach(function(t) {
+    names[t.id] = t.name;
+    names[t.name] = t.name;
+  });
+  return names;
+}
+
+/**
+ * Monthly availability per device and per device type.
+ * options: { months (1-24, default 6), to: 'YYYY-MM' (default this month) }
+ * Returns { months, target, chronicMissedMonths, devices, types, fleet }
+ *   devices: [{ id, name, type, location, months: { month: { availability, offlineSeconds, outages } },
+ *               availability, offlineSeconds, outages, longestOutageSeconds, missedMonths, chronic }]
+ *   types:   [{ type, devices, months: { month: availability }, availability }]
+ *   fleet:   { months: { month: availability }, availability }
+ */
+function getAvailabilityReport(options) {
+  var opts = options || {};
+  var count = Math.min(MAX_MONTHS, Math.max(1, parseInt(opts.months) || 6));
+  var to = /^\d{4}-\d{2}$/.test(opts.to || '') ? opts.to : new Date().toISOString().slice(0, 7);
+  var months = listMonths(to, count);
+  var bounds = months.map(monthBounds);
+  var rangeStart = bounds[0].start;
+  var now = Date.now();
+  var rangeEnd = Math.min(now, bounds[bounds.length - 1].end);
+  var target = getTarget();
+
+  var periods = db.db.prepare(
+    "SELECT * FROM device_status_history WHERE startedAt < ? AND (endedAt = '' OR endedAt > ?) ORDER BY deviceId, startedAt"
+  ).all(new Date(rangeEnd).toISOString(), new Date(rangeStart).toISOString());
+
+  var allDevices = {};
+  db.getAll('devices', { includeDeleted: true }).forEach(function(d) { allDevices[d.id] = d; });
+  var names = typeNames();
+
+  var stats = {};
+  function statsFor(deviceId) {
+    if (!stats[deviceId]) {
+      stats[deviceId] = { months: months.map(function() { return { seconds: emptySeconds(), outages: 0 }; }), longest: 0 };
+    }
+    return stats[deviceId];
+  }
+  // Live devices show up even before their first status change
+  db.getAll('devices').forEach(function(d) { statsFor(d.id); });
+
+  periods.forEach(function(p) {
+    var device = allDevices[p.deviceId];
+    var s = statsFor(p.deviceId);
+    var start = Date.parse(p.startedAt);
+    // Open periods run until now, or until the device was deleted
+    var end = p.endedAt ? Date.parse(p.endedAt) : (device && device.deletedAt ? Date.parse(device.deletedAt) : now);
+    if (p.status === 'offline') s.longest = Math.max(s.longest, Math.round((end - start) / 1000));
+    if (!(p.status in s.months[0].seconds)) return;
+    bounds.forEach(function(b, i) {
+      var overlap = Math.min(end, b.end, rangeEnd) - Math.max(start, b.start);
+      if (overlap > 0) s.months[i].seconds[p.status] += overlap / 1000;
+      if (p.status === 'offline' && start >= b.start && start < b.end) s.months[i].outages++;
+    });
+  });
+
+  var typeTotals = {};
+  var fleetMonths = months.map(emptySeconds);
+  var fleetTotal = emptySeconds();
+  var missNeeded = Math.min(CHRONIC_MISSED_MONTHS, months.length);
+
+  var devices = Object.keys(stats).map(function(deviceId) {
+    var device = allDevices[deviceId] || { id: deviceId, name: 'Unknown device (' + deviceId + ')', type: '', location: '' };
+    var s = stats[deviceId];
+    var type = names[device.type] || device.type || 'Unassigned';
+    if (!typeTotals[type]) typeTotals[type] = { devices: {}, months: months.map(emptySeconds), total: emptySeconds() };
+    var total = emptySeconds();
+    var row = {
+      id: deviceId,
+      name: device.name || deviceId,
+      type: type,
+      location: device.location || '',
+      deleted: !!device.deletedAt,
+      months: {},
+      availability: null,
+      offlineSeconds: 0,
+      outages: 0,
+      longestOutageSeconds: s.longest,
+      missedMonths: 0,
+      chronic: false
+    };
+    s.months.forEach(function(m, i) {
+      var availability = availabilityOf(m.seconds);
+      row.months[months[i]] = {
+        availability: availability,
+        offlineSeconds: Math.round(m.seconds.offline),
+        outages: m.outages
+      };
+      row.offlineSeconds += Math.round(m.seconds.offline);
+      row.outages += m.outages;
+      if (availability !== null && availability < target) row.missedMonths++;
+      addSeconds(total, m.seconds);
+      addSeconds(typeTotals[type].months[i], m.seconds);
+      addSeconds(fleetMonths[i], m.seconds);
+    });
+    row.availability = availabilityOf(total);
+    row.chronic = row.missedMonths >= missNeeded;
+    if (availabilityOf(total) !== null) typeTotals[type].devices[deviceId] = true;
+    addSeconds(typeTotals[type].total, total);
+    addSeconds(fleetTotal, total);
+    return row;
+  }).filter(function(row) {
+    // Deleted devices only matter for the months they have data in
+    return !row.deleted || row.availability !== null;
+  }).sort(function(a, b) {
+    var av = a.availability === null ? 101 : a.availability;
+    var bv = b.availability === null ? 101 : b.availability;
+    return av - bv || String(a.name).localeCompare(String(b.name));
+  });
+
+  var types = Object.keys(typeTotals).map(function(type) {
+    var t = typeTotals[type];
+    var byMonth = {};
+    t.months.forEach(function(seconds, i) { byMonth[months[i]] = availabilityOf(seconds); });
+    return { type: type, devices: Object.keys(t.devices).length, months: byMonth, availability: availabilityOf(t.total) };
+  }).filter(function(t) { return t.devices > 0; })
+    .sort(function(a, b) { return String(a.type).localeCompare(String(b.type)); });
+
+  var fleet = { months: {}, availability: availabilityOf(fleetTotal) };
+  fleetMonths.forEach(function(seconds, i) { fleet.months[months[i]] = availabilityOf(seconds); });
+
+  return {
+    months: months,
+    target: target,
+    chronicMissedMonths: missNeeded,
+    devices: devices,
+    types: types,
+    fleet: fleet
+  };
+}
+
+module.exports = {
+  getTarget,
+  recordStatus,
+  getAvailabilityReport
+};
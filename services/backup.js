@@ -0,0 +1,415 @@
+/**
+ * Scheduled Backups
+ * Takes consistent snapshots of the live SQLite database (better-sqlite3's
+ * online backup API, safe while the app is writing) together with the
+ * blueprint images, rotates them, and restores one on request.
+ *
+ * Each backup is a folder under the backup directory (BACKUP_DIR, default
+ * data/backups/ next to the database):
+ *
+ *   backup-20250101-020000-daily/
+ *     smartschool.db     - database snapshot
+ *     blueprints/        - copy of BLUEPRINT_DIR
+ *     manifest.json      - kind, time, schema version, row counts
+ *
+ * Kinds: daily/weekly (scheduled, rotated), manual (Back Up Now) and
+ * pre-restore (taken automatically before a restore). The pre-migrate
+ * copies written by db/migrate.js are listed as restore points too.
+ *
+ * Schedule settings (settings table overrides env config):
+ *   backupEnabled, backupHour (0-23, TIMEZONE), backupKeepDaily, backupKeepWeekly
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+const db = require('../db/database');
+const audit = require('../db/audit');
+const migrate = require('../db/migrate');
+const { localParts } = require('./workingHours');
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const DB_FILE = 'smartschool.db';
+const MANIFEST_FILE = 'manifest.json';
+const WEEKLY_DAY = 'Sun';
+
+// Tables required for a file to count as a Smart School Monitor database
+const REQUIRED_TABLES = ['devices', 'settings'];
+
+// Kept as they are on restore: the audit trail of what happened (including
+// the restore itself), live sessions and the migration bookkeeping
+const RESTORE_SKIP_TABLES = ['audit_log', 'sessions', 'schema_version'];
+
+var timer = null;
+var running = false;
+var lastRun = null;
+var lastError = null;
+
+// ============================================
+// SETTINGS
+// ============================================
+
+function getBackupDir() {
+  return config.BACKUP_DIR
+    ? path.resolve(config.BACKUP_DIR)
+    : path.join(path.dirname(path.resolve(config.DB_PATH)), 'backups');
+}
+
+function settingInt(key, fallback, min, max) {
+  var value = parseInt(db.getSetting(key));
+  return value >= min && value <= max ? value : fallback;
+}
+
+function getBackupSettings() {
+  var enabled = db.getSetting('backupEnabled');
+  return {
+    enabled: enabled !== null && enabled !== '' ? enabled === 'true' : config.BACKUP_ENABLED,
+    hour: settingInt('backupHour', config.BACKUP_HOUR, 0, 23),
+    keepDaily: settingInt('backupKeepDaily', config.BACKUP_KEEP_DAILY, 1, 365),
+    keepWeekly: settingInt('backupKeepWeekly', config.BACKUP_KEEP_WEEKLY, 0, 104),
+    directory: getBackupDir()
+  };
+}
+
+// ============================================
+// LISTING
+// ============================================
+
+function readManifest(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function countFiles(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce(function(n, entry) {
+    return n + (entry.isDirectory() ? countFiles(path.join(dir, entry.name)) : 1);
+  }, 0);
+}
+
+/**
+ * All backups and restore points, newest first.
+ * Returns [{ id, kind, createdAt, createdBy, dbBytes, blueprintFiles, schemaVersion, tables }]
+ */
+function listBackups() {
+  var dir = getBackupDir();
+  if (!fs.existsSync(dir)) return [];
+
+  var backups = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(function(entry) {
+    var full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      var manifest = readManifest(full);
+      if (!manifest) return;
+      backups.push({ ...manifest, id: entry.name });
+    } else if (/-pre-migrate-v\d+-.*\.db$/.test(entry.name)) {
+      var stat = fs.statSync(full);
+      backups.push({
+        id: entry.name,
+        kind: 'pre-migrate',
+        createdAt: stat.mtime.toISOString(),
+        createdBy: '',
+        dbBytes: stat.size,
+        blueprintFiles: null,
+        schemaVersion: parseInt(entry.name.match(/-pre-migrate-v(\d+)-/)[1]),
+        tables: null
+      });
+    }
+  });
+  return backups.sort(function(a, b) { return a.createdAt < b.createdAt ? 1 : -1; });
+}
+
+/**
+ * Resolve a backup id to its files. Ids are plain names inside the backup
+ * directory; anything else is rejected.
+ */
+function resolveBackup(id) {
+  if (!id || !/^[\w.-]+$/.test(id) || id.indexOf('..') >= 0) throw new Error('Invalid backup id');
+  var full = path.join(getBackupDir(), id);
+  if (!fs.existsSync(full)) throw new Error('Backup not found: ' + id);
+  if (fs.statSync(full).isDirectory()) {
+    var blueprints = path.join(full, 'blueprints');
+    return { id: id, path: full, dbPath: path.join(full, DB_FILE), blueprintsPath: fs.existsSync(blueprints) ? blueprints : null };
+  }
+  return { id: id, path: full, dbPath: full, blueprintsPath: null };
+}
+
+// ============================================
+// CREATING
+// ============================================
+
+function stampFor(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+function tableCounts(database) {
+  var counts = {};
+  database.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all()
+    .forEach(function(t) {
+      counts[t.name] = database.prepare('SELECT COUNT(*) as count FROM "' + t.name + '"').get().count;
+    });
+  return counts;
+}
+
+/**
+ * Snapshot the database and blueprints. kind: daily | weekly | manual | pre-restore
+ * Resolves to the backup's manifest (with id).
+ */
+async function createBackup(kind, createdBy) {
+  var now = new Date();
+  var dir = getBackupDir();
+  var id = 'backup-' + stampFor(now) + '-' + kind;
+  var target = path.join(dir, id);
+  var suffix = 1;
+  while (fs.existsSync(target)) {
+    target = path.join(dir, id + '-' + (++suffix));
+  }
+  id = path.basename(target);
+  fs.mkdirSync(target, { recursive: true });
+
+  try {
+    var dbPath = path.join(target, DB_FILE);
+    await db.db.backup(dbPath);
+
+    var blueprintDir = path.resolve(config.BLUEPRINT_DIR);
+    if (fs.existsSync(blueprintDir)) {
+      fs.cpSync(blueprintDir, path.join(target, 'blueprints'), { recursive: true });
+    }
+
+    var snapshot = new Database(dbPath, { readonly: true });
+    var manifest;
+    try {
+      manifest = {
+        kind: kind,
+        createdAt: now.toISOString(),
+        createdBy: createdBy || 'system',
+        dbBytes: fs.statSync(dbPath).size,
+        blueprintFiles: countFiles(path.join(target, 'blueprints')),
+        schemaVersion: migrate.getCurrentVersion(snapshot),
+        tables: tableCounts(snapshot)
+      };
+    } finally {
+      snapshot.close();
+    }
+    fs.writeFileSync(path.join(target, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    return { ...manifest, id: id };
+  } catch (e) {
+    fs.rmSync(target, { recursive: true, force: true });
+    throw e;
+  }
+}
+
+/**
+ * Delete scheduled backups beyond the keep counts (manual, pre-restore and
+ * pre-migrate copies are only removed by hand). Returns the deleted ids.
+ */
+function rotate() {
+  var settings = getBackupSettings();
+  var keep = { daily: settings.keepDaily, weekly: settings.keepWeekly };
+  var seen = { daily: 0, weekly: 0 };
+  var deleted = [];
+  listBackups().forEach(function(b) {
+    if (keep[b.kind] === undefined) return;
+    seen[b.kind]++;
+    if (seen[b.kind] > keep[b.kind]) {
+      fs.rmSync(path.join(getBackupDir(), b.id), { recursive: true, force: true });
+      deleted.push(b.id);
+    }
+  });
+  return deleted;
+}
+
+function deleteBackup(id) {
+  var backup = resolveBackup(id);
+  fs.rmSync(backup.path, { recursive: true, force: true });
+}
+
+// ============================================
+// VALIDATION & RESTORE
+// ============================================
+
+/**
+ * Check that a backup can be restored into this installation.
+ * Returns { valid, errors, schemaVersion, tables }
+ */
+function validateBackup(id) {
+  var result = { valid: false, errors: [], schemaVersion: 0, tables: {} };
+  var backup;
+  try {
+    backup = resolveBackup(id);
+  } catch (e) {
+    result.errors.push(e.message);
+    return result;
+  }
+  if (!fs.existsSync(backup.dbPath)) {
+    result.errors.push('Backup has no database file');
+    return result;
+  }
+
+  var source;
+  try {
+    source = new Database(backup.dbPath, { readonly: true, fileMustExist: true });
+    var integrity = source.pragma('integrity_check', { simple: true });
+    if (integrity !== 'ok') result.errors.push('Integrity check failed: ' + integrity);
+
+    result.tables = tableCounts(source);
+    REQUIRED_TABLES.forEach(function(t) {
+      if (result.tables[t] === undefined) result.errors.push('Missing table: ' + t);
+    });
+
+    result.schemaVersion = migrate.getCurrentVersion(source);
+    var latest = migrate.getMigrations().reduce(function(max, m) { return Math.max(max, m.version); }, 0);
+    if (result.schemaVersion > latest) {
+      result.errors.push('Backup is from a newer version of the app (schema v' + result.schemaVersion + ', this app knows v' + latest + ')');
+    }
+  } catch (e) {
+    result.errors.push('Not a readable SQLite database: ' + e.message);
+  } finally {
+    if (source) source.close();
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+function columnsOf(schemaName, table) {
+  return db.db.prepare('PRAGMA ' + schemaName + '.table_info("' + table + '")').all().map(function(c) { return c.name; });
+}
+
+/**
+ * Replace the live data with a backup's. A pre-restore backup is taken
+ * first; the table copy runs in one transaction, so a failure leaves the
+ * live database untouched. Tables the backup lacks (added by later versions)
+ * and RESTORE_SKIP_TABLES keep their current rows; columns the backup lacks
+ * get their defaults. Blueprint images are replaced if the backup has them.
+ * Resolves to { restored: { table: rows }, preRestoreId }
+ */
+async function restoreBackup(id, restoredBy) {
+  var check = validateBackup(id);
+  if (!check.valid) throw new Error('Backup failed validation: ' + check.errors.join('; '));
+  var backup = resolveBackup(id);
+
+  var preRestore = await createBackup('pre-restore', restoredBy);
+  var restored = {};
+
+  db.db.prepare('ATTACH DATABASE ? AS restore_src').run(backup.dbPath);
+  try {
+    var sourceTables = db.db.prepare("SELECT name FROM restore_src.sqlite_master WHERE type = 'table'").all()
+      .map(function(t) { return t.name; });
+    var liveTables = db.db.prepare("SELECT name FROM main.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all()
+      .map(function(t) { return t.name; });
+
+    db.db.transaction(function() {
+      liveTables.forEach(function(table) {
+        if (RESTORE_SKIP_TABLES.indexOf(table) >= 0 || sourceTables.indexOf(table) < 0) return;
+        var sourceColumns = columnsOf('restore_src', table);
+        var columns = columnsOf('main', table).filter(function(c) { return sourceColumns.indexOf(c) >= 0; })
+          .map(function(c) { return '"' + c + '"'; }).join(', ');
+        db.db.prepare('DELETE FROM main."' + table + '"').run();
+        restored[table] = db.db.prepare('INSERT INTO main."' + table + '" (' + columns + ') SELECT ' + columns +
+          ' FROM restore_src."' + table + '"').run().changes;
+      });
+    })();
+  } finally {
+    db.db.prepare('DETACH DATABASE restore_src').run();
+  }
+
+  if (backup.blueprintsPath) {
+    var blueprintDir = path.resolve(config.BLUEPRINT_DIR);
+    fs.rmSync(blueprintDir, { recursive: true, force: true });
+    fs.cpSync(backup.blueprintsPath, blueprintDir, { recursive: true });
+  }
+
+  audit.record(db.db, {
+    action: 'restore',
+    table: 'database',
+    rowId: id,
+    changes: { backup: { from: preRestore.id, to: id } }
+  });
+  return { restored: restored, preRestoreId: preRestore.id };
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+/**
+ * Which scheduled backup is due now, if any: one per day at/after the
+ * backup hour, taken as 'weekly' on Sundays.
+ */
+function getDueKind(now) {
+  var settings = getBackupSettings();
+  var today = localParts(now);
+  if (!settings.enabled || today.hour < settings.hour) return null;
+
+  var scheduled = listBackups().filter(function(b) { return b.kind === 'daily' || b.kind === 'weekly'; });
+  var doneToday = scheduled.some(function(b) { return localParts(new Date(b.createdAt)).date === today.date; });
+  if (doneToday) return null;
+  return today.weekday === WEEKLY_DAY && settings.keepWeekly > 0 ? 'weekly' : 'daily';
+}
+
+async function runScheduled() {
+  if (running) return null;
+  var kind = getDueKind(new Date());
+  if (!kind) return null;
+
+  running = true;
+  try {
+    var backup = await createBackup(kind, 'system');
+    var rotated = rotate();
+    lastRun = new Date().toISOString();
+    lastError = null;
+    console.log('Backup created: ' + backup.id + (rotated.length ? ' (rotated out ' + rotated.length + ')' : ''));
+    return backup;
+  } catch (e) {
+    lastError = e.message;
+    console.error('Scheduled backup failed:', e);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  runScheduled();
+  timer = setInterval(runScheduled, CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+function getStatus() {
+  var settings = getBackupSettings();
+  return {
+    enabled: settings.enabled,
+    hour: settings.hour,
+    keepDaily: settings.keepDaily,
+    keepWeekly: settings.keepWeekly,
+    directory: settings.directory,
+    timeZone: config.TIMEZONE,
+    running: running,
+    lastRun: lastRun,
+    lastError: lastError
+  };
+}
+
+module.exports = {
+  getBackupDir,
+  getBackupSettings,
+  listBackups,
+  createBackup,
+  rotate,
+  deleteBackup,
+  validateBackup,
+  restoreBackup,
+  start,
+  stop,
+  getStatus
+};
@@ -0,0 +1,79 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe for data changes (device status, traps,
+ * service requests, incidents). Routes publish after a successful write;
+ * the /api/events SSE stream and server-side services subscribe.
+ */
+const EventEmitter = require('events');
+
+const HISTORY_SIZE = 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+var nextId = 1;
+var history = [];
+
+/**
+ * Publish an event. Never throws — a failing listener must not break the
+ * write that triggered it.
+ * @param {string} type - e.g. 'device.updated', 'trap.added'
+ * @param {object} data - event payload
+ */
+function publish(type, data) {
+  var event = {
+    id: nextId++,
+    type: type,
+    data: data || {},
+    timestamp: new Date().toISOString()
+  };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+
+  deliver('event', event);
+  deliver(type, event);
+  return event;
+}
+
+// Call each listener on its own, so one that throws (a dropped SSE client,
+// say) doesn't keep the event from the rest.
+function deliver(channel, event) {
+  emitter.listeners(channel).forEach(function(listener) {
+    try {
+      listener(event);
+    } catch (e) {
+      console.error('Event listener error (' + event.type + '):', e);
+    }
+  });
+}
+
+/**
+ * Subscribe to every event (or one type). Returns an unsubscribe function.
+ */
+function subscribe(listener, type) {
+  var channel = type || 'event';
+  emitter.on(channel, listener);
+  return function() {
+    emitter.removeListener(channel, listener);
+  };
+}
+
+/**
+ * Events published after the given id (for SSE Last-Event-ID replay).
+ */
+function getEventsSince(lastId) {
+  var id = parseInt(lastId) || 0;
+  return history.filter(function(e) { return e.id > id; });
+}
+
+function getSubscriberCount() {
+  return emitter.listenerCount('event');
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  getEventsSince,
+  getSubscriberCount
+};
@@ -0,0 +1,209 @@
+/**
+ * Gateway Authentication
+ * Per-gateway API keys and HMAC request signing for /api/gateway, plus the
+ * audit of what each gateway reported.
+ *
+ * A gateway sends three headers with every request:
+ *   X-Gateway-Key:       key id (gwk_...)
+ *   X-Gateway-Timestamp: unix time in seconds
+ *   X-Gateway-Signature: hex HMAC-SHA256(secret, timestamp + "\n" + METHOD + "\n" + path + "\n" + rawBody)
+ * where path is the request path without query string (e.g. /api/gateway).
+ * Requests older/newer than the allowed skew are rejected, and a signature
+ * is only accepted once within that window.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db/database');
+
+const MAX_SKEW_SECONDS = 300;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+var seenSignatures = new Map();
+var lastPruneAt = 0;
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Unsigned requests are refused unless explicitly allowed (legacy gateways).
+ */
+function allowUnsigned() {
+  var value = db.getSetting('gatewayAllowUnsigned');
+  return value !== null && value !== '' ? value === 'true' : config.GATEWAY_ALLOW_UNSIGNED;
+}
+
+// ============================================
+// KEYS
+// ============================================
+
+function publicKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    active: row.active !== 'false',
+    createdBy: row.createdBy,
+    createdAt: row.createdAt,
+    revokedAt: row.revokedAt,
+    lastUsedAt: row.lastUsedAt,
+    lastUsedIp: row.lastUsedIp
+  };
+}
+
+function listKeys() {
+  return db.db.prepare('SELECT * FROM gateway_keys ORDER BY createdAt DESC').all().map(publicKey);
+}
+
+/**
+ * Create a key. The secret is returned here only; it can't be read back later.
+ */
+function createKey(name, createdBy) {
+  var row = {
+    id: 'gwk_' + crypto.randomBytes(8).toString('hex'),
+    name: name,
+    secret: crypto.randomBytes(32).toString('hex'),
+    active: 'true',
+    createdBy: createdBy || '',
+    createdAt: new Date().toISOString(),
+    revokedAt: '',
+    lastUsedAt: '',
+    lastUsedIp: ''
+  };
+  db.insert('gateway_keys', row);
+  return { ...publicKey(row), secret: row.secret };
+}
+
+function revokeKey(id) {
+  var row = db.getById('gateway_keys', id);
+  if (!row) return false;
+  db.update('gateway_keys', id, { active: 'false', revokedAt: new Date().toISOString() });
+  return true;
+}
+
+// ============================================
+// SIGNATURES
+// ============================================
+
+function sign(secret, timestamp, method, path, body) {
+  return crypto.createHmac('sha256', secret)
+    .update(timestamp + '\n' + method.toUpperCase() + '\n' + path + '\n' + (body || ''))
+    .digest('hex');
+}
+
+function rememberSignature(signature, nowMs) {
+  seenSignatures.forEach(function(expires, sig) {
+    if (expires <= nowMs) seenSignatures.delete(sig);
+  });
+  seenSignatures.set(signature, nowMs + MAX_SKEW_SECONDS * 2 * 1000);
+}
+
+/**
+ * Check a request's gateway credential.
+ * Returns { ok, key, error }; key is null for allowed unsigned requests.
+ */
+function verifyRequest(req) {
+  var keyId = req.get('X-Gateway-Key');
+  var timestamp = req.get('X-Gateway-Timestamp');
+  var signature = String(req.get('X-Gateway-Signature') || '').toLowerCase();
+
+  if (!keyId && !signature) {
+    return allowUnsigned()
+      ? { ok: true, key: null }
+      : { ok: false, key: null, error: 'Missing gateway credentials' };
+  }
+
+  var key = keyId ? db.getById('gateway_keys', keyId) : null;
+  if (!key || key.active === 'false') {
+    return { ok: false, key: null, error: 'Unknown or revoked gateway key' };
+  }
+
+  var nowMs = Date.now();
+  var ts = parseInt(timestamp);
+  if (!ts || Math.abs(nowMs / 1000 - ts) > MAX_SKEW_SECONDS) {
+    return { ok: false, key: key, error: 'Timestamp missing or outside the allowed window' };
+  }
+
+  var path = req.originalUrl.split('?')[0];
+  var body = req.rawBody ? req.rawBody.toString('utf8') : '';
+  var expected = sign(key.secret, String(timestamp), req.method, path, body);
+  if (!/^[0-9a-f]{64}$/.test(signature) ||
+      !crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'))) {
+    return { ok: false, key: key, error: 'Invalid signature' };
+  }
+
+  if (seenSignatures.has(signature)) {
+    return { ok: false, key: key, error: 'Replayed request' };
+  }
+  rememberSignature(signature, nowMs);
+
+  db.update('gateway_keys', key.id, { lastUsedAt: new Date(nowMs).toISOString(), lastUsedIp: req.ip || '' });
+  return { ok: true, key: key };
+}
+
+// ============================================
+// REPORT AUDIT
+// ============================================
+
+/**
+ * Record one gateway request (accepted or rejected).
+ * Entry: { key, action, sourceIp, deviceId, deviceIp, detail, accepted, error }
+ */
+function recordReport(entry) {
+  try {
+    db.insert('gateway_reports', {
+      id: db.generateId(),
+      keyId: entry.key ? entry.key.id : '',
+      gatewayName: entry.key ? entry.key.name : (entry.accepted === false ? '' : 'unsigned'),
+      action: entry.action || '',
+      sourceIp: entry.sourceIp || '',
+      deviceId: entry.deviceId || '',
+      deviceIp: entry.deviceIp || '',
+      detail: String(entry.detail || '').substring(0, 500),
+      accepted: entry.accepted === false ? 'false' : 'true',
+      error: entry.error || '',
+      timestamp: new Date().toISOString()
+    });
+    pruneReports();
+  } catch (e) {
+    console.error('Error recording gateway report:', e);
+  }
+}
+
+function pruneReports() {
+  var now = Date.now();
+  if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = now;
+  var cutoff = new Date(now - config.GATEWAY_REPORT_RETENTION_DAYS * 86400000).toISOString();
+  db.db.prepare('DELETE FROM gateway_reports WHERE timestamp < ?').run(cutoff);
+}
+
+/**
+ * Recent reports, newest first.
+ * Filters: { keyId, action, deviceId, rejectedOnly, limit }
+ */
+function getReports(filters) {
+  filters = filters || {};
+  var where = [];
+  var params = [];
+  if (filters.keyId) { where.push('keyId = ?'); params.push(filters.keyId); }
+  if (filters.action) { where.push('action = ?'); params.push(filters.action); }
+  if (filters.deviceId) { where.push('deviceId = ?'); params.push(filters.deviceId); }
+  if (filters.rejectedOnly) where.push("accepted = 'false'");
+  var limit = Math.min(parseInt(filters.limit) || 100, 1000);
+
+  return db.db.prepare('SELECT * FROM gateway_reports' +
+    (where.length ? ' WHERE ' + where.join(' AND ') : '') +
+    ' ORDER BY timestamp DESC LIMIT ?').all(...params, limit);
+}
+
+module.exports = {
+  MAX_SKEW_SECONDS,
+  allowUnsigned,
+  listKeys,
+  createKey,
+  revokeKey,
+  sign,
+  verifyRequest,
+  recordReport,
+  getReports
+};
@@ -0,0 +1,533 @@
+/**
+ * Consumables Inventory & Reordering
+ * Cartridge SKUs (consumables) are mapped to device models and to the text
+ * that names them in a device's supply list (supplyMatch, e.g. "Black
+ * Toner"). Stock on hand is kept per location.
+ *
+ * Supply readings pass through recordSupplyReadings (from pushSupplyData):
+ *   - a level that jumps up by SWAP_JUMP points means the cartridge was
+ *     replaced, so one unit is taken out of stock at the device's location
+ *   - a level at or below the reorder threshold raises a reorder request
+ * An hourly check does the same for supplies forecast to run out within the
+ * lead time (services/supplyForecast.js).
+ *
+ * A device only triggers a reorder when its location has none of the
+ * cartridge on hand; stock that falls below a consumable's minStock raises
+ * its own 'low-stock' request. Purchase orders are emailed with the
+ * 'purchase_order' email template (routes/email.js template engine).
+ *
+ * Settings (settings table overrides env config):
+ *   reorderEnabled, reorderThreshold (%), reorderLeadDays, reorderAutoSend,
+ *   purchasingEmail (used when a consumable has no vendor email)
+ */
+const config = require('../config');
+const db = require('../db/database');
+const emailService = require('./emailService');
+const supplyForecast = require('./supplyForecast');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['open', 'ordered'];
+
+var timer = null;
+var lastCheck = null;
+
+// ============================================
+// SETTINGS
+// ============================================
+
+function settingInt(key, fallback, min, max) {
+  var value = parseInt(db.getSetting(key));
+  return value >= min && value <= max ? value : fallback;
+}
+
+function getSettings() {
+  var enabled = db.getSetting('reorderEnabled');
+  return {
+    enabled: enabled !== null && enabled !== '' ? enabled === 'true' : config.REORDER_ENABLED,
+    threshold: settingInt('reorderThreshold', config.REORDER_THRESHOLD, 0, 100),
+    leadDays: settingInt('reorderLeadDays', config.REORDER_LEAD_DAYS, 0, 365),
+    autoSend: db.getSetting('reorderAutoSend') === 'true',
+    purchasingEmail: db.getSetting('purchasingEmail') || ''
+  };
+}
+
+// ============================================
+// CONSUMABLES & STOCK
+// ============================================
+
+function modelsOf(consumable) {
+  return String(consumable.models || '').split(/[,\n]/).map(function(m) { return m.trim().toLowerCase(); }).filter(Boolean);
+}
+
+/**
+ * The consumable that fits a device's supply: supplyMatch must appear in the
+ * supply name, and the device model must be listed (an empty list fits any
+ * model). Model-specific and longer matches win.
+ */
+function findConsumable(device, supplyName, consumables) {
+  var name = String(supplyName || '').toLowerCase();
+  var model = String(device.model || '').trim().toLowerCase();
+  var best = null;
+  var bestScore = -1;
+  (consumables || db.getAll('consumables')).forEach(function(c) {
+    var match = String(c.supplyMatch || '').trim().toLowerCase();
+    if (!match || name.indexOf(match) < 0) return;
+    var models = modelsOf(c);
+    if (models.length > 0 && models.indexOf(model) < 0) return;
+    var score = (models.length > 0 ? 1000 : 0) + match.length;
+    if (score > bestScore) {
+      best = c;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function getStockRow(consumableId, location) {
+  return db.db.prepare('SELECT * FROM consumable_stock WHERE consumableId = ? AND location = ?').get(consumableId, location || '');
+}
+
+function getOnHand(consumableId, location) {
+  var row = getStockRow(consumableId, location);
+  return row ? parseInt(row.quantity) || 0 : 0;
+}
+
+/**
+ * Change stock at a location by delta (never below zero) and log it.
+ * details: { reason, deviceId, deviceName, supplyName, previousLevel, newLevel }
+ * Returns the new quantity.
+ */
+function adjustStock(consumableId, location, delta, details) {
+  var consumable = db.getById('consumables', consumableId);
+  if (!consumable) throw new Error('Consumable not found');
+  var d = details || {};
+  var now = new Date().toISOString();
+  var row = getStockRow(consumableId, location);
+  var before = row ? parseInt(row.quantity) || 0 : 0;
+  var after = Math.max(0, before + delta);
+
+  if (row) {
+    db.update('consumable_stock', row.id, { quantity: after, updatedAt: now });
+  } else {
+    db.insert('consumable_stock', { id: db.generateId(), consumableId: consumableId, location: location || '', quantity: after, updatedAt: now });
+  }
+  db.insert('consumable_usage', {
+    id: db.generateId(),
+    consumableId: consumableId,
+    sku: consumable.sku || '',
+    deviceId: d.deviceId || '',
+    deviceName: d.deviceName || '',
+    location: location || '',
+    supplyName: d.supplyName || '',
+    quantity: after - before,
+    previousLevel: d.previousLevel || 0,
+    newLevel: d.newLevel || 0,
+    reason: d.reason || 'adjustment',
+    createdAt: now
+  });
+
+  if (after < before) checkLowStock(consumable, location || '');
+  return after;
+}
+
+/**
+ * Set the counted quantity at a location (logged as a 'count' adjustment).
+ */
+function setStock(consumableId, location, quantity) {
+  var qty = Math.max(0, parseInt(quantity) || 0);
+  return adjustStock(consumableId, location, qty - getOnHand(consumableId, location), { reason: 'count' });
+}
+
+/**
+ * Stock per consumable: { consumableId: { total, locations: { location: quantity } } }
+ */
+function getStockSummary() {
+  var summary = {};
+  db.getAll('consumable_stock').forEach(function(row) {
+    if (!summary[row.consumableId]) summary[row.consumableId] = { total: 0, locations: {} };
+    var qty = parseInt(row.quantity) || 0;
+    summary[row.consumableId].locations[row.location] = qty;
+    summary[row.consumableId].total += qty;
+  });
+  return summary;
+}
+
+/**
+ * Remove a consumable and its stock rows. Reorder requests and usage are
+ * kept as history (they carry the SKU).
+ */
+function deleteConsumable(consumableId) {
+  db.db.prepare('DELETE FROM consumable_stock WHERE consumableId = ?').run(consumableId);
+  return db.remove('consumables', consumableId);
+}
+
+// ============================================
+// REORDER REQUESTS
+// ============================================
+
+function displayLevel(supplyName, percentage) {
+  var pct = Math.min(100, Number(percentage) || 0);
+  return supplyForecast.isWaste(supplyName) ? 100 - pct : pct;
+}
+
+function lastReplacementAt(deviceId, supplyName) {
+  var row = db.db.prepare("SELECT MAX(createdAt) AS at FROM consumable_usage WHERE deviceId = ? AND supplyName = ? AND reason = 'replacement'")
+    .get(deviceId, supplyName);
+  return (row && row.at) || '';
+}
+
+/**
+ * A device supply already has a request in progress, or one was cancelled
+ * since its cartridge was last replaced (so cancelling isn't undone by the
+ * next reading).
+ */
+function hasPendingRequest(deviceId, supplyName) {
+  var since = lastReplacementAt(deviceId, supplyName);
+  var row = db.db.prepare("SELECT id FROM reorder_requests WHERE deviceId = ? AND supplyName = ? AND " +
+    "(status IN ('open', 'ordered') OR (status = 'cancelled' AND createdAt > ?)) LIMIT 1").get(deviceId, supplyName, since);
+  return !!row;
+}
+
+function createRequest(fields, createdBy) {
+  var now = new Date().toISOString();
+  var request = {
+    id: db.generateId(),
+    consumableId: fields.consumable ? fields.consumable.id : '',
+    sku: fields.consumable ? fields.consumable.sku || '' : '',
+    itemName: fields.consumable ? fields.consumable.name || '' : '',
+    deviceId: fields.device ? fields.device.id : '',
+    deviceName: fields.device ? fields.device.name || '' : '',
+    location: fields.location || '',
+    supplyName: fields.supplyName || '',
+    reason: fields.reason || 'manual',
+    level: fields.level === undefined || fields.level === null ? 0 : Math.round(fields.level),
+    daysLeft: fields.daysLeft === undefined || fields.daysLeft === null ? '' : String(fields.daysLeft),
+    onHand: fields.onHand || 0,
+    quantity: Math.max(1, parseInt(fields.quantity) || (fields.consumable ? parseInt(fields.consumable.reorderQty) : 0) || 1),
+    status: 'open',
+    poNumber: '',
+    emailedTo: '',
+    orderedAt: '',
+    receivedAt: '',
+    createdBy: createdBy || 'system',
+    createdAt: now,
+    updatedAt: now
+  };
+  db.insert('reorder_requests', request);
+
+  if (getSettings().autoSend && request.consumableId) {
+    sendPurchaseOrder(request.id, {}, 'system').catch(function(e) {
+      console.error('Auto purchase order failed for ' + request.id + ':', e.message);
+    });
+  }
+  return request;
+}
+
+/**
+ * Raise a reorder request for a device supply unless one is pending, the
+ * device's location has the cartridge on hand or an order for it is open. Returns the request or null.
+ * info: { reason: 'low-level'|'forecast', level, daysLeft }
+ */
+function maybeReorder(device, supplyName, info, consumables) {
+  var settings = getSettings();
+  if (!settings.enabled) return null;
+  var consumable = findConsumable(device, supplyName, consumables);
+  if (!consumable) return null;
+  if (hasPendingRequest(device.id, supplyName)) return null;
+  var onHand = getOnHand(consumable.id, device.location || '');
+  if (onHand > 0) return null;
+  // Stock for this location is already on its way
+  var incoming = db.db.prepare("SELECT id FROM reorder_requests WHERE consumableId = ? AND location = ? AND status IN ('open', 'ordered') LIMIT 1")
+    .get(consumable.id, device.location || '');
+  if (incoming) return null;
+
+  return createRequest({
+    consumable: consumable,
+    device: device,
+    location: device.location || '',
+    supplyName: supplyName,
+    reason: info.reason,
+    level: info.level,
+    daysLeft: info.daysLeft,
+    onHand: onHand
+  });
+}
+
+/**
+ * Raise a 'low-stock' request when a location drops below the consumable's minStock.
+ */
+function checkLowStock(consumable, location) {
+  var minStock = parseInt(consumable.minStock) || 0;
+  if (minStock <= 0 || !getSettings().enabled) return null;
+  var onHand = getOnHand(consumable.id, location);
+  if (onHand >= minStock) return null;
+  var pending = db.db.prepare("SELECT id FROM reorder_requests WHERE consumableId = ? AND location = ? AND reason = 'low-stock' AND status IN ('open', 'ordered') LIMIT 1")
+    .get(consumable.id, location);
+  if (pending) return null;
+  return createRequest({
+    consumable: consumable,
+    location: location,
+    reason: 'low-stock',
+    onHand: onHand,
+    quantity: Math.max(parseInt(consumable.reorderQty) || 1, minStock - onHand)
+  });
+}
+
+/**
+ * Called with each batch of supply readings before they are stored, so the
+ * previous reading is still the latest in supply_history.
+ */
+function recordSupplyReadings(deviceId, supplies) {
+  var device = db.getById('devices', deviceId);
+  if (!device || !Array.isArray(supplies) || supplies.length === 0) return;
+  var consumables = db.getAll('consumables');
+  if (consumables.length === 0) return;
+  var settings = getSettings();
+  var previousStmt = db.db.prepare('SELECT percentage FROM supply_history WHERE deviceId = ? AND supplyName = ? AND percentage >= 0 ORDER BY timestamp DESC LIMIT 1');
+
+  supplies.forEach(function(supply) {
+    var name = supply.name || '';
+    var pct = Number(supply.percentage);
+    if (!name || isNaN(pct) || pct < 0) return;
+    var level = displayLevel(name, pct);
+
+    var previous = previousStmt.get(deviceId, name);
+    if (previous) {
+      var previousLevel = displayLevel(name, previous.percentage);
+      if (level - previousLevel >= supplyForecast.SWAP_JUMP) {
+        var consumable = findConsumable(device, name, consumables);
+        if (consumable) {
+          adjustStock(consumable.id, device.location || '', -1, {
+            reason: 'replacement',
+            deviceId: device.id,
+            deviceName: device.name,
+            supplyName: name,
+            previousLevel: previousLevel,
+            newLevel: level
+          });
+        }
+        return;
+      }
+    }
+
+    if (level <= settings.threshold) {
+      maybeReorder(device, name, { reason: 'low-level', level: level }, consumables);
+    }
+  });
+}
+
+/**
+ * Check every device's current levels and forecasts against the threshold
+ * and lead time. Returns the requests raised.
+ */
+function checkAll() {
+  lastCheck = new Date().toISOString();
+  var settings = getSettings();
+  if (!settings.enabled) return [];
+  var consumables = db.getAll('consumables');
+  if (consumables.length === 0) return [];
+
+  var forecasts = supplyForecast.forecastAll({ refresh: true });
+  var raised = [];
+  db.getAll('devices').forEach(function(device) {
+    var supplies = [];
+    try { supplies = device.supplies ? JSON.parse(device.supplies) : []; } catch (e) {}
+    supplies.forEach(function(s) {
+      var pct = Number(s.percentage);
+      if (!s.name || isNaN(pct) || pct < 0) return;
+      var level = displayLevel(s.name, pct);
+      var forecast = (forecasts[device.id] || []).find(function(f) { return f.supplyName === s.name; });
+      var request = null;
+      if (level <= settings.threshold) {
+        request = maybeReorder(device, s.name, { reason: 'low-level', level: level }, consumables);
+      } else if (forecast && forecast.daysLeft !== null && forecast.daysLeft <= settings.leadDays) {
+        request = maybeReorder(device, s.name, { reason: 'forecast', level: level, daysLeft: forecast.daysLeft }, consumables);
+      }
+      if (request) raised.push(request);
+    });
+  });
+  return raised;
+}
+
+// ============================================
+// PURCHASE ORDERS
+// ============================================
+
+function poNumberFor(request) {
+  return request.poNumber || 'PO-' + request.createdAt.slice(0, 10).replace(/-/g, '') + '-' + String(request.id).slice(0, 8).toUpperCase();
+}
+
+var REASON_LABELS = {
+  'low-level': 'Supply level low',
+  'forecast': 'Forecast to run out',
+  'low-stock': 'Stock below minimum',
+  'manual': 'Requested by staff'
+};
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function buildPurchaseOrderVariables(request, consumable, notes) {
+  var unitCost = Number(consumable && consumable.unitCost) || 0;
+  var device = request.deviceId ? db.getById('devices', request.deviceId, { includeDeleted: true }) : null;
+  return {
+    poNumber: poNumberFor(request),
+    sku: escapeHtml(request.sku || (consumable && consumable.sku) || ''),
+    itemName: escapeHtml(request.itemName || (consumable && consumable.name) || ''),
+    quantity: String(request.quantity),
+    unitCost: unitCost ? unitCost.toFixed(2) : '',
+    totalCost: unitCost ? (unitCost * request.quantity).toFixed(2) : '',
+    vendor: escapeHtml((consumable && consumable.vendor) || ''),
+    deliverTo: escapeHtml(request.location || 'Main office'),
+    deviceName: escapeHtml(request.deviceName || ''),
+    model: escapeHtml(device ? device.model || '' : ''),
+    supplyName: escapeHtml(request.supplyName || ''),
+    level: request.deviceId ? request.level + '%' : '',
+    daysLeft: request.daysLeft !== '' ? request.daysLeft + ' days' : '',
+    reason: REASON_LABELS[request.reason] || request.reason,
+    notes: escapeHtml(notes || '').replace(/\n/g, '<br>'),
+    dateTime: new Date().toLocaleString(),
+    schoolName: 'Smart School Monitor'
+  };
+}
+
+function getDefaultPurchaseOrderTemplate() {
+  return {
+    subject: 'Purchase Order {{poNumber}}: {{quantity}} x {{sku}} {{itemName}}',
+    htmlBody: '<!DOCTYPE html>\n<html>\n<head>\n  <meta charset="UTF-8">\n</head>\n<body style="font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; line-height: 1.6; color: #333; background: #f5f5f5; margin: 0; padding: 0;">\n  <div style="max-width: 600px; margin: 20px auto; background: #fff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">\n    <div style="background: linear-gradient(135deg, #0ea5e9 0%, #2563eb 100%); color: white; padding: 30px 20px; text-align: center;">\n      <h1 style="margin: 0; font-size: 24px;">&#128230; Purchase Order</h1>\n      <p style="margin: 10px 0 0 0; opacity: 0.9; font-size: 14px;">{{poNumber}}</p>\n    </div>\n    <div style="padding: 30px 20px;">\n      <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-bottom: 20px;">\n        <tr style="background: #f8fafc;"><th style="text-align: left; padding: 10px; border-bottom: 1px solid #e2e8f0;">SKU</th><th style="text-align: left; padding: 10px; border-bottom: 1px solid #e2e8f0;">Item</th><th style="text-align: right; padding: 10px; border-bottom: 1px solid #e2e8f0;">Qty</th><th style="text-align: right; padding: 10px; border-bottom: 1px solid #e2e8f0;">Unit</th><th style="text-align: right; padding: 10px; border-bottom: 1px solid #e2e8f0;">Total</th></tr>\n        <tr><td style="padding: 10px; font-family: monospace;">{{sku}}</td><td style="padding: 10px;">{{itemName}}</td><td style="padding: 10px; text-align: right;">{{quantity}}</td><td style="padding: 10px; text-align: right;">{{unitCost}}</td><td style="padding: 10px; text-align: right; font-weight: 600;">{{totalCost}}</td></tr>\n      </table>\n\n      <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin-bottom: 20px; font-size: 14px;">\n        <div><strong>Deliver to:</strong> {{deliverTo}}</div>\n        <div><strong>For device:</strong> {{deviceName}} {{model}}</div>\n        <div><strong>Supply:</strong> {{supplyName}} {{level}}</div>\n        <div><strong>Reason:</strong> {{reason}}</div>\n      </div>\n\n      <div style="background: #f0f9ff; border-left: 4px solid #0ea5e9; padding: 15px; border-radius: 0 8px 8px 0; font-size: 14px;">{{notes}}</div>\n    </div>\n    <div style="background: #f8fafc; padding: 20px; text-align: center; font-size: 12px; color: #64748b; border-top: 1px solid #e2e8f0;">\n      <p style="margin: 5px 0;"><strong>{{schoolName}}</strong></p>\n      <p style="margin: 5px 0;">Purchase order generated on {{dateTime}}</p>\n      <p style="font-size: 11px; color: #94a3b8; margin: 5px 0;">Please reply to confirm the order and expected delivery date.</p>\n    </div>\n  </div>\n</body>\n</html>'
+  };
+}
+
+/**
+ * Render the purchase order email for a request.
+ * Returns { to, poNumber, subject, html }
+ */
+function buildPurchaseOrder(requestId, options) {
+  var email = require('../routes/email');
+  var request = db.getById('reorder_requests', requestId);
+  if (!request) throw new Error('Reorder request not found');
+  var consumable = request.consumableId ? db.getById('consumables', request.consumableId) : null;
+  var opts = options || {};
+
+  var template = email.getEmailTemplateByType('purchase_order') || getDefaultPurchaseOrderTemplate();
+  var processed = email.processTemplate(template, buildPurchaseOrderVariables(request, consumable, opts.notes));
+  return {
+    to: opts.to || (consumable && consumable.vendorEmail) || getSettings().purchasingEmail,
+    poNumber: poNumberFor(request),
+    subject: processed.subject,
+    html: processed.body
+  };
+}
+
+/**
+ * Email the purchase order and mark the request ordered.
+ * options: { to, cc, notes }
+ */
+async function sendPurchaseOrder(requestId, options, sentBy) {
+  var request = db.getById('reorder_requests', requestId);
+  if (!request) throw new Error('Reorder request not found');
+  if (ACTIVE_STATUSES.indexOf(request.status) < 0) throw new Error('This request is ' + request.status);
+  var opts = options || {};
+  var po = buildPurchaseOrder(requestId, opts);
+  if (!po.to) throw new Error('No vendor or purchasing email to send the purchase order to');
+
+  var result = await emailService.sendEmail({ to: po.to, cc: opts.cc || undefined, subject: po.subject, html: po.html });
+  var now = new Date().toISOString();
+  db.insert('email_history', {
+    id: db.generateId(),
+    deviceId: request.deviceId || '',
+    recipient: po.to,
+    cc: opts.cc || '',
+    subject: po.subject,
+    body: opts.notes || '',
+    htmlBody: po.html,
+    sentAt: now,
+    status: result.success ? 'sent' : 'failed',
+    errorMessage: result.success ? '' : result.error || ''
+  });
+  if (!result.success) throw new Error('Email failed: ' + result.error);
+
+  db.update('reorder_requests', requestId, {
+    status: 'ordered',
+    poNumber: po.poNumber,
+    emailedTo: po.to,
+    orderedAt: now,
+    updatedAt: now
+  });
+  return db.getById('reorder_requests', requestId);
+}
+
+/**
+ * Delivery arrived: add the quantity to stock at the request's location.
+ */
+function markReceived(requestId) {
+  var request = db.getById('reorder_requests', requestId);
+  if (!request) throw new Error('Reorder request not found');
+  if (ACTIVE_STATUSES.indexOf(request.status) < 0) throw new Error('This request is ' + request.status);
+  if (!request.consumableId || !db.getById('consumables', request.consumableId)) {
+    throw new Error('The consumable for this request no longer exists');
+  }
+  var now = new Date().toISOString();
+  db.update('reorder_requests', requestId, { status: 'received', receivedAt: now, updatedAt: now });
+  adjustStock(request.consumableId, request.location, parseInt(request.quantity) || 0, { reason: 'received' });
+  return db.getById('reorder_requests', requestId);
+}
+
+function cancelRequest(requestId) {
+  var request = db.getById('reorder_requests', requestId);
+  if (!request) throw new Error('Reorder request not found');
+  if (ACTIVE_STATUSES.indexOf(request.status) < 0) throw new Error('This request is ' + request.status);
+  db.update('reorder_requests', requestId, { status: 'cancelled', updatedAt: new Date().toISOString() });
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+function runCheck() {
+  try {
+    var raised = checkAll();
+    if (raised.length > 0) console.log('Inventory: raised ' + raised.length + ' reorder request(s)');
+  } catch (e) {
+    console.error('Inventory check failed:', e);
+  }
+}
+
+function start() {
+  if (timer) return;
+  runCheck();
+  timer = setInterval(runCheck, CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+function getStatus() {
+  return { ...getSettings(), lastCheck: lastCheck };
+}
+
+module.exports = {
+  getSettings,
+  findConsumable,
+  getOnHand,
+  adjustStock,
+  setStock,
+  getStockSummary,
+  deleteConsumable,
+  displayLevel,
+  createRequest,
+  recordSupplyReadings,
+  checkAll,
+  buildPurchaseOrder,
+  sendPurchaseOrder,
+  markReceived,
+  cancelRequest,
+  start,
+  stop,
+  getStatus
+};
@@ -0,0 +1,448 @@
+/**
+ * MIB Files
+ * Vendor MIB modules are uploaded as text and parsed into mib_objects: one
+ * row per OBJECT-TYPE, NOTIFICATION-TYPE / TRAP-TYPE and OID node (OBJECT
+ * IDENTIFIER, MODULE-IDENTITY, OBJECT-IDENTITY), with its name, description
+ * and, for integer objects, the enumeration labels.
+ *
+ * Definitions are stored as parent name + sub-identifiers ({ hpPrinter 3 })
+ * and resolved to numeric OIDs against the well-known roots and every
+ * module uploaded so far. Anything whose parent lives in a module that
+ * hasn't been uploaded yet stays unresolved until it is.
+ *
+ * parseTrapMessage calls describeTrap() for traps it can't otherwise decode:
+ * the notification is named from its OID and the varbinds are translated to
+ * "objectName = label" pairs.
+ */
+const db = require('../db/database');
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_VARBINDS_SHOWN = 3;
+const MESSAGE_MAX = 160;
+
+// Definitions with a ::= { parent n } value, as the macro keyword they use
+const MACROS = ['OBJECT-TYPE', 'NOTIFICATION-TYPE', 'MODULE-IDENTITY', 'OBJECT-IDENTITY'];
+
+// Roots most MIBs import their OIDs from (SNMPv2-SMI, RFC1213-MIB, Printer-MIB, ...)
+const BASE_OIDS = {
+  'ccitt': '0',
+  'iso': '1',
+  'joint-iso-ccitt': '2',
+  'org': '1.3',
+  'dod': '1.3.6',
+  'internet': '1.3.6.1',
+  'directory': '1.3.6.1.1',
+  'mgmt': '1.3.6.1.2',
+  'mib-2': '1.3.6.1.2.1',
+  'system': '1.3.6.1.2.1.1',
+  'interfaces': '1.3.6.1.2.1.2',
+  'transmission': '1.3.6.1.2.1.10',
+  'snmp': '1.3.6.1.2.1.11',
+  'host': '1.3.6.1.2.1.25',
+  'hrDevice': '1.3.6.1.2.1.25.3',
+  'printmib': '1.3.6.1.2.1.43',
+  'experimental': '1.3.6.1.3',
+  'private': '1.3.6.1.4',
+  'enterprises': '1.3.6.1.4.1',
+  'security': '1.3.6.1.5',
+  'snmpV2': '1.3.6.1.6',
+  'snmpDomains': '1.3.6.1.6.1',
+  'snmpProxys': '1.3.6.1.6.2',
+  'snmpModules': '1.3.6.1.6.3',
+  'snmpMIB': '1.3.6.1.6.3.1',
+  'snmpMIBObjects': '1.3.6.1.6.3.1.1',
+  'snmpTraps': '1.3.6.1.6.3.1.1.5'
+};
+
+var cache = null;
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Remove ASN.1 comments ("--" to the next "--" or end of line) and replace
+ * quoted strings with "#n" placeholders, so neither can confuse the
+ * definition patterns. Returns { text, strings }.
+ */
+function tokenizeSource(source) {
+  var text = '';
+  var strings = [];
+  var i = 0;
+  while (i < source.length) {
+    var ch = source[i];
+    if (ch === '"') {
+      var end = source.indexOf('"', i + 1);
+      if (end < 0) end = source.length;
+      strings.push(source.substring(i + 1, end));
+      text += '"#' + (strings.length - 1) + '"';
+      i = end + 1;
+    } else if (ch === '-' && source[i + 1] === '-') {
+      var j = i + 2;
+      while (j < source.length && source[j] !== '\n' && !(source[j] === '-' && source[j + 1] === '-')) j++;
+      i = source[j] === '-' ? j + 2 : j;
+      text += ' ';
+    } else {
+      text += ch;
+      i++;
+    }
+  }
+  return { text: text, strings: strings };
+}
+
+function stringAt(strings, placeholder) {
+  var match = String(placeholder || '').match(/^"#(\d+)"$/);
+  return match ? strings[parseInt(match[1])] : '';
+}
+
+function collapse(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// "{ jam(8), ok(1) }" -> { 8: 'jam', 1: 'ok' }
+function parseEnums(body) {
+  var enums = {};
+  var re = /([a-zA-Z][\w-]*)\s*\(\s*(-?\d+)\s*\)/g;
+  var m;
+  while ((m = re.exec(body)) !== null) enums[m[2]] = m[1];
+  return enums;
+}
+
+// "{ hpPrinter 3 }", "{ iso(1) org(3) 6 }", "{ 1 3 6 1 }" -> { parentName, subIds }
+function parseOidValue(value) {
+  var parts = value.replace(/[{}]/g, ' ').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return null;
+  var subIds = [];
+  var parentName = '';
+  parts.forEach(function(part, index) {
+    var named = part.match(/^([a-zA-Z][\w-]*)\((\d+)\)$/);
+    if (index === 0 && !/^\d+$/.test(part)) {
+      // A leading name(n) only tells us the root's own number
+      parentName = named ? named[1] : part;
+      if (named && !BASE_OIDS[parentName]) {
+        parentName = '';
+        subIds.push(named[2]);
+      }
+      return;
+    }
+    if (named) subIds.push(named[2]);
+    else if (/^\d+$/.test(part)) subIds.push(part);
+  });
+  return { parentName: parentName, subIds: subIds.join('.') };
+}
+
+/**
+ * Parse MIB source text into modules.
+ * Returns [{ moduleName, definitions: [{ name, kind, parentName, subIds,
+ *            description, syntax, enums, objects }] }]
+ */
+function parseMib(source) {
+  var tokens = tokenizeSource(String(source || ''));
+  var strings = tokens.strings;
+  var modules = [];
+  var moduleRe = /([A-Za-z][\w-]*)\s+DEFINITIONS\s*(?:[A-Z]+\s+TAGS\s*)?::=\s*BEGIN([\s\S]*?)\bEND\b/g;
+  var mod;
+
+  while ((mod = moduleRe.exec(tokens.text)) !== null) {
+    var body = mod[2]
+      .replace(/\bIMPORTS\b[\s\S]*?;/, ' ')
+      .replace(/\bEXPORTS\b[\s\S]*?;/, ' ');
+    var definitions = [];
+
+    // Textual conventions with enumerations, so objects using them get labels
+    var conventions = {};
+    var tcRe = /([A-Za-z][\w-]*)\s*::=\s*TEXTUAL-CONVENTION\b([\s\S]*?)\bSYNTAX\s+(?:INTEGER|BITS)\s*(\{[^}]*\})/g;
+    var tc;
+    while ((tc = tcRe.exec(body)) !== null) {
+      if (!/::=/.test(tc[2])) conventions[tc[1]] = parseEnums(tc[3]);
+    }
+
+    var macroRe = new RegExp('(?:^|\\s)([a-zA-Z][\\w-]*)\\s+(' + MACROS.join('|') + ')\\b([\\s\\S]*?)::=\\s*(\\{[^}]*\\})', 'g');
+    var m;
+    while ((m = macroRe.exec(body)) !== null) {
+      var def = m[3];
+      var oid = parseOidValue(m[4]);
+      if (!oid) continue;
+      var descMatch = def.match(/\bDESCRIPTION\s+("#\d+")/);
+      var syntaxMatch = def.match(/\bSYNTAX\s+([\s\S]*?)(?=\b(?:UNITS|MAX-ACCESS|ACCESS|STATUS)\b)/);
+      var syntax = syntaxMatch ? collapse(syntaxMatch[1]) : '';
+      var enums = {};
+      if (/^(INTEGER|BITS)\s*\{/.test(syntax)) enums = parseEnums(syntax);
+      else if (conventions[syntax]) enums = conventions[syntax];
+      var objectsMatch = def.match(/\bOBJECTS\s*\{([^}]*)\}/);
+      definitions.push({
+        name: m[1],
+        kind: m[2],
+        parentName: oid.parentName,
+        subIds: oid.subIds,
+        description: descMatch ? collapse(stringAt(strings, descMatch[1])) : '',
+        syntax: syntax.replace(/\s*\{[\s\S]*$/, ''),
+        enums: enums,
+        objects: objectsMatch ? objectsMatch[1].split(',').map(collapse).filter(Boolean) : []
+      });
+    }
+
+    // SMIv1 traps: name TRAP-TYPE ENTERPRISE x VARIABLES { ... } ::= n  (OID x.0.n)
+    var trapRe = /(?:^|\s)([a-zA-Z][\w-]*)\s+TRAP-TYPE\b([\s\S]*?)::=\s*(\d+)/g;
+    while ((m = trapRe.exec(body)) !== null) {
+      var enterprise = m[2].match(/\bENTERPRISE\s+([a-zA-Z][\w-]*)/);
+      if (!enterprise) continue;
+      var trapDesc = m[2].match(/\bDESCRIPTION\s+("#\d+")/);
+      var variables = m[2].match(/\bVARIABLES\s*\{([^}]*)\}/);
+      definitions.push({
+        name: m[1],
+        kind: 'TRAP-TYPE',
+        parentName: enterprise[1],
+        subIds: '0.' + m[3],
+        description: trapDesc ? collapse(stringAt(strings, trapDesc[1])) : '',
+        syntax: '',
+        enums: {},
+        objects: variables ? variables[1].split(',').map(collapse).filter(Boolean) : []
+      });
+    }
+
+    // Plain OID assignments: name OBJECT IDENTIFIER ::= { parent n }
+    var nodeRe = /(?:^|\s)([a-zA-Z][\w-]*)\s+OBJECT\s+IDENTIFIER\s*::=\s*(\{[^}]*\})/g;
+    while ((m = nodeRe.exec(body)) !== null) {
+      var node = parseOidValue(m[2]);
+      if (!node) continue;
+      definitions.push({
+        name: m[1],
+        kind: 'OBJECT IDENTIFIER',
+        parentName: node.parentName,
+        subIds: node.subIds,
+        description: '',
+        syntax: '',
+        enums: {},
+        objects: []
+      });
+    }
+
+    modules.push({ moduleName: mod[1], definitions: definitions });
+  }
+  return modules;
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Give every unresolved definition a numeric OID once its parent is known.
+ * Returns the number still unresolved.
+ */
+function resolveOids() {
+  var known = Object.assign({}, BASE_OIDS);
+  db.db.prepare("SELECT name, oid FROM mib_objects WHERE oid != ''").all().forEach(function(r) { known[r.name] = r.oid; });
+  var pending = db.db.prepare("SELECT id, name, parentName, subIds FROM mib_objects WHERE oid = ''").all();
+  var setOid = db.db.prepare('UPDATE mib_objects SET oid = ? WHERE id = ?');
+
+  var progress = true;
+  while (progress && pending.length) {
+    progress = false;
+    pending = pending.filter(function(row) {
+      var base = row.parentName ? known[row.parentName] : '';
+      if (row.parentName && !base) return true;
+      var oid = [base, row.subIds].filter(Boolean).join('.');
+      if (!oid) return true;
+      setOid.run(oid, row.id);
+      known[row.name] = oid;
+      progress = true;
+      return false;
+    });
+  }
+  return pending.length;
+}
+
+/**
+ * Parse and store an uploaded file; modules already uploaded are replaced.
+ * Returns { modules: [{ moduleName, definitions, notifications }], unresolved }
+ */
+function importMib(fileName, source, uploadedBy) {
+  if (!String(source || '').trim()) throw new Error('The file is empty');
+  var modules = parseMib(source);
+  if (modules.length === 0) throw new Error('No MIB module found (expected "NAME DEFINITIONS ::= BEGIN ... END")');
+
+  var now = new Date().toISOString();
+  var insertObject = db.db.prepare(
+    'INSERT INTO mib_objects (id, moduleId, moduleName, name, kind, oid, parentName, subIds, syntax, enums, objects, description) ' +
+    "VALUES (?, ?, ?, ?, ?, '', ?, ?, ?, ?, ?, ?)"
+  );
+  var summary = [];
+  var unresolved = 0;
+  db.db.transaction(function() {
+    modules.forEach(function(mod) {
+      var existing = db.db.prepare('SELECT id FROM mib_modules WHERE moduleName = ?').get(mod.moduleName);
+      if (existing) {
+        db.db.prepare('DELETE FROM mib_objects WHERE moduleId = ?').run(existing.id);
+        db.remove('mib_modules', existing.id);
+      }
+      var moduleId = db.generateId();
+      var notifications = mod.definitions.filter(function(d) { return d.kind === 'NOTIFICATION-TYPE' || d.kind === 'TRAP-TYPE'; }).length;
+      db.insert('mib_modules', {
+        id: moduleId,
+        moduleName: mod.moduleName,
+        fileName: String(fileName || ''),
+        definitions: mod.definitions.length,
+        notifications: notifications,
+        uploadedAt: now,
+        uploadedBy: uploadedBy || ''
+      });
+      mod.definitions.forEach(function(d) {
+        insertObject.run(db.generateId(), moduleId, mod.moduleName, d.name, d.kind, d.parentName, d.subIds,
+          d.syntax, JSON.stringify(d.enums), JSON.stringify(d.objects), d.description);
+      });
+      summary.push({ moduleName: mod.moduleName, definitions: mod.definitions.length, notifications: notifications });
+    });
+    unresolved = resolveOids();
+  })();
+  invalidate();
+  return { modules: summary, unresolved: unresolved };
+}
+
+/**
+ * Uploaded modules with how many of their definitions have a numeric OID.
+ */
+function getModules() {
+  var resolved = {};
+  db.db.prepare("SELECT moduleId, SUM(oid != '') AS resolved FROM mib_objects GROUP BY moduleId").all()
+    .forEach(function(r) { resolved[r.moduleId] = r.resolved; });
+  return db.db.prepare('SELECT * FROM mib_modules ORDER BY moduleName').all().map(function(m) {
+    return { ...m, resolved: resolved[m.id] || 0 };
+  });
+}
+
+/**
+ * Remove a module. Definitions in other modules that were resolved through
+ * it keep their OIDs.
+ */
+function deleteModule(moduleId) {
+  if (!db.getById('mib_modules', moduleId)) throw new Error('MIB module not found');
+  db.db.transaction(function() {
+    db.db.prepare('DELETE FROM mib_objects WHERE moduleId = ?').run(moduleId);
+    db.remove('mib_modules', moduleId);
+  })();
+  invalidate();
+}
+
+// ============================================
+// LOOKUP
+// ============================================
+
+function invalidate() {
+  cache = null;
+}
+
+function load() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+  var byOid = {};
+  db.db.prepare("SELECT name, kind, oid, moduleName, syntax, enums, objects, description FROM mib_objects WHERE oid != '' AND kind != 'OBJECT IDENTIFIER'").all()
+    .forEach(function(r) { byOid[r.oid] = r; });
+  cache = { loadedAt: Date.now(), byOid: byOid, count: Object.keys(byOid).length };
+  return cache;
+}
+
+function parsedObject(row, instance) {
+  var enums = {};
+  var objects = [];
+  try { enums = JSON.parse(row.enums || '{}'); } catch (e) {}
+  try { objects = JSON.parse(row.objects || '[]'); } catch (e) {}
+  return {
+    name: row.name,
+    kind: row.kind,
+    oid: row.oid,
+    instance: instance || '',
+    moduleName: row.moduleName,
+    syntax: row.syntax,
+    enums: enums,
+    objects: objects,
+    description: row.description
+  };
+}
+
+/**
+ * The definition an OID belongs to: an exact match, or the object whose
+ * OID is the longest prefix (the rest being the instance, e.g. ".1.3").
+ * Returns { name, kind, oid, instance, moduleName, syntax, enums, objects, description } or null.
+ */
+function lookupOid(oid) {
+  var parts = String(oid || '').replace(/^\./, '').split('.');
+  if (!/^\d+(\.\d+)*$/.test(parts.join('.'))) return null;
+  var loaded = load();
+  if (loaded.count === 0) return null;
+  for (var n = parts.length; n > 0; n--) {
+    var row = loaded.byOid[parts.slice(0, n).join('.')];
+    if (row) return parsedObject(row, parts.slice(n).join('.'));
+  }
+  return null;
+}
+
+// First sentence of a description, for a one-line message
+function firstSentence(text) {
+  var sentence = String(text || '').split(/(?<=\.)\s/)[0];
+  return sentence.length > MESSAGE_MAX ? sentence.substring(0, MESSAGE_MAX - 3) + '...' : sentence;
+}
+
+// All varbinds of a trap, whatever shape the receiver or gateway sent
+function trapVarbinds(trapData) {
+  var varbinds = [];
+  if (trapData.decodedVarbinds && typeof trapData.decodedVarbinds === 'object') {
+    Object.keys(trapData.decodedVarbinds).forEach(function(oid) {
+      varbinds.push({ oid: oid, value: trapData.decodedVarbinds[oid] });
+    });
+  }
+  [trapData.pdu && trapData.pdu.varbinds, trapData.varbinds].forEach(function(list) {
+    if (Array.isArray(list)) list.forEach(function(vb) { if (vb && vb.oid) varbinds.push({ oid: vb.oid, value: vb.value }); });
+  });
+  return varbinds;
+}
+
+/**
+ * A readable message for a trap from the uploaded MIBs, or null when
+ * nothing in it is known.
+ * Returns { message, notification, varbinds: [{ oid, name, value }] }
+ */
+function describeTrap(trapData) {
+  if (!trapData || typeof trapData !== 'object') return null;
+  if (load().count === 0) return null;
+
+  // v1 enterprise-specific traps map to enterprise.0.specific (RFC 3584)
+  var trapOid = String(trapData.oid || '');
+  if (trapData.enterprise && parseInt(trapData.genericTrap) === 6 && trapData.specificTrap !== undefined) {
+    trapOid = String(trapData.enterprise).replace(/^\./, '') + '.0.' + trapData.specificTrap;
+  }
+  var notification = trapOid ? lookupOid(trapOid) : null;
+  if (notification && notification.instance) notification = null;
+
+  var named = [];
+  trapVarbinds(trapData).forEach(function(vb) {
+    var object = lookupOid(vb.oid);
+    if (!object || object.kind === 'NOTIFICATION-TYPE' || object.kind === 'TRAP-TYPE') return;
+    var label = object.enums[String(vb.value)];
+    named.push({ oid: vb.oid, name: object.name, value: label ? label + ' (' + vb.value + ')' : vb.value });
+  });
+  if (!notification && named.length === 0) return null;
+
+  var details = named.slice(0, MAX_VARBINDS_SHOWN).map(function(v) { return v.name + ' = ' + v.value; }).join(', ');
+  var message;
+  if (notification) {
+    message = notification.name + (notification.description ? ': ' + firstSentence(notification.description) : '');
+    if (details && message.length < MESSAGE_MAX) message += ' (' + details + ')';
+  } else {
+    message = details;
+  }
+  if (message.length > MESSAGE_MAX) message = message.substring(0, MESSAGE_MAX - 3) + '...';
+  return { message: message, notification: notification ? notification.name : '', varbinds: named };
+}
+
+module.exports = {
+  BASE_OIDS,
+  parseMib,
+  importMib,
+  getModules,
+  deleteModule,
+  resolveOids,
+  invalidate,
+  lookupOid,
+  describeTrap
+};
@@ -0,0 +1,196 @@
+/**
+ * Print Volume
+ * Keeps the history of each device's lifetime page counter
+ * (page_count_history) so usage can be reported per day or month, per
+ * device or per location, after devices.pageCount has been overwritten by
+ * the next poll.
+ *
+ * A reading is stored only when the counter changes; `pages` is the
+ * difference from the previous reading. The first reading for a device is a
+ * baseline (0 pages), and a counter that goes down (reset or replaced
+ * controller board) starts a new baseline instead of counting negative pages.
+ *
+ * Cost per page comes from the cartridges mapped to the device's supplies in
+ * the Inventory tab (unit cost / page yield, summed over its supplies), or
+ * the default cost per page when none of them are priced.
+ */
+const db = require('../db/database');
+const config = require('../config');
+const inventory = require('./inventory');
+
+const MAX_DAILY_DAYS = 366;
+const DEFAULT_DAYS = 30;
+
+function getDefaultCostPerPage() {
+  var value = db.getSetting('defaultCostPerPage');
+  if (value !== null && value !== '' && !isNaN(parseFloat(value))) return Math.max(0, parseFloat(value));
+  return config.DEFAULT_COST_PER_PAGE;
+}
+
+/**
+ * Store a page counter reading if it differs from the last one.
+ * Returns the stored row or null.
+ */
+function recordPageCount(deviceId, pageCount) {
+  var count = parseInt(pageCount);
+  if (!deviceId || isNaN(count) || count < 0) return null;
+  var last = db.db.prepare('SELECT pageCount FROM page_count_history WHERE deviceId = ? ORDER BY timestamp DESC, rowid DESC LIMIT 1').get(deviceId);
+  if (last && parseInt(last.pageCount) === count) return null;
+
+  var row = {
+    id: db.generateId(),
+    deviceId: deviceId,
+    pageCount: count,
+    pages: last && count > parseInt(last.pageCount) ? count - parseInt(last.pageCount) : 0,
+    timestamp: new Date().toISOString()
+  };
+  db.insert('page_count_history', row);
+  return row;
+}
+
+/**
+ * Estimated cost per page for a device.
+ * Returns { costPerPage, source: 'cartridges'|'default'|'' }
+ */
+function deviceCostPerPage(device, consumables, defaultCost) {
+  var supplies = [];
+  try { supplies = device.supplies ? JSON.parse(device.supplies) : []; } catch (e) {}
+  var cost = 0;
+  var priced = false;
+  (Array.isArray(supplies) ? supplies : []).forEach(function(supply) {
+    var consumable = inventory.findConsumable(device, supply.name, consumables);
+    var unitCost = consumable ? parseFloat(consumable.unitCost) || 0 : 0;
+    var pageYield = consumable ? parseInt(consumable.pageYield) || 0 : 0;
+    if (unitCost > 0 && pageYield > 0) {
+      cost += unitCost / pageYield;
+      priced = true;
+    }
+  });
+  if (priced) return { costPerPage: cost, source: 'cartridges' };
+  if (defaultCost > 0) return { costPerPage: defaultCost, source: 'default' };
+  return { costPerPage: null, source: '' };
+}
+
+function dateOnly(value, fallback) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : fallback;
+}
+
+// Every day (YYYY-MM-DD) or month (YYYY-MM) from..to inclusive
+function listPeriods(from, to, interval) {
+  var periods = [];
+  var d = new Date(from + 'T00:00:00Z');
+  var end = new Date(to + 'T00:00:00Z');
+  if (interval === 'month') d.setUTCDate(1);
+  while (d <= end) {
+    var iso = d.toISOString();
+    periods.push(interval === 'month' ? iso.slice(0, 7) : iso.slice(0, 10));
+    if (interval === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+    else d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return periods;
+}
+
+function roundCost(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Pages printed per device or location and period.
+ * options: { from, to (YYYY-MM-DD, inclusive), interval: 'day'|'month', groupBy: 'device'|'location' }
+ * Returns { from, to, interval, groupBy, periods, rows, totals, defaultCostPerPage }
+ *   rows: [{ id, name, location, model, devices, pages, periods: { period: pages }, costPerPage, cost, costSource }]
+ */
+function getVolumeReport(options) {
+  var opts = options || {};
+  var interval = opts.interval === 'month' ? 'month' : 'day';
+  var groupBy = opts.groupBy === 'location' ? 'location' : 'device';
+  var today = new Date().toISOString().slice(0, 10);
+  var to = dateOnly(opts.to, today);
+  var from = dateOnly(opts.from, new Date(new Date(to + 'T00:00:00Z').getTime() - (DEFAULT_DAYS - 1) * 86400000).toISOString().slice(0, 10));
+  if (from > to) throw new Error('The start date is after the end date');
+  var periods = listPeriods(from, to, interval);
+  if (interval === 'day' && periods.length > MAX_DAILY_DAYS) {
+    throw new Error('Daily reports cover at most ' + MAX_DAILY_DAYS + ' days; use monthly totals for longer ranges');
+  }
+
+  var until = new Date(new Date(to + 'T00:00:00Z').getTime() + 86400000).toISOString();
+  var rows = db.db.prepare(
+    'SELECT deviceId, substr(timestamp, 1, ?) AS period, SUM(pages) AS pages FROM page_count_history ' +
+    'WHERE timestamp >= ? AND timestamp < ? GROUP BY deviceId, period'
+  ).all(interval === 'month' ? 7 : 10, from, until);
+
+  // Deleted devices still count towards past volume
+  var devices = {};
+  db.getAll('devices', { includeDeleted: true }).forEach(function(d) { devices[d.id] = d; });
+  var consumables = db.getAll('consumables');
+  var defaultCost = getDefaultCostPerPage();
+
+  var groups = {};
+  var totals = { pages: 0, cost: 0, unpricedPages: 0, periods: {} };
+  rows.forEach(function(r) {
+    var device = devices[r.deviceId] || { id: r.deviceId, name: 'Unknown device (' + r.deviceId + ')', location: '', model: '' };
+    var key = groupBy === 'location' ? device.location || '' : device.id;
+    var group = groups[key];
+    if (!group) {
+      group = groups[key] = groupBy === 'location'
+        ? { id: key, name: key || 'No location', location: key, model: '', devices: {}, pages: 0, periods: {}, cost: 0, unpricedPages: 0, costSource: '' }
+        : { id: key, name: device.name || key, location: device.location || '', model: device.model || '', devices: {}, pages: 0, periods: {}, cost: 0, unpricedPages: 0, costSource: '' };
+    }
+    var pages = parseInt(r.pages) || 0;
+    var price = deviceCostPerPage(device, consumables, defaultCost);
+    group.devices[device.id] = true;
+    group.pages += pages;
+    group.periods[r.period] = (group.periods[r.period] || 0) + pages;
+    totals.pages += pages;
+    totals.periods[r.period] = (totals.periods[r.period] || 0) + pages;
+    if (price.costPerPage === null) {
+      group.unpricedPages += pages;
+      totals.unpricedPages += pages;
+    } else {
+      group.cost += pages * price.costPerPage;
+      totals.cost += pages * price.costPerPage;
+      if (group.costSource !== price.source) group.costSource = group.costSource ? 'mixed' : price.source;
+    }
+  });
+
+  var result = Object.keys(groups).map(function(key) {
+    var g = groups[key];
+    var pricedPages = g.pages - g.unpricedPages;
+    return {
+      id: g.id,
+      name: g.name,
+      location: g.location,
+      model: g.model,
+      devices: Object.keys(g.devices).length,
+      pages: g.pages,
+      periods: g.periods,
+      costPerPage: pricedPages > 0 ? roundCost(g.cost / pricedPages) : null,
+      cost: pricedPages > 0 ? Math.round(g.cost * 100) / 100 : null,
+      unpricedPages: g.unpricedPages,
+      costSource: g.costSource
+    };
+  }).sort(function(a, b) { return b.pages - a.pages || String(a.name).localeCompare(String(b.name)); });
+
+  return {
+    from: from,
+    to: to,
+    interval: interval,
+    groupBy: groupBy,
+    periods: periods,
+    rows: result,
+    totals: {
+      pages: totals.pages,
+      cost: Math.round(totals.cost * 100) / 100,
+      unpricedPages: totals.unpricedPages,
+      periods: totals.periods
+    },
+    defaultCostPerPage: defaultCost
+  };
+}
+
+module.exports = {
+  getDefaultCostPerPage,
+  recordPageCount,
+  deviceCostPerPage,
+  getVolumeReport
+};
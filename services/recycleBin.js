@@ -0,0 +1,186 @@
+/**
+ * Recycle Bin
+ * Deleted devices, teachers, service requests (QR and help desk) and
+ * templates are soft-deleted (db.softDelete) and land here. Items can be
+ * restored or purged, and are purged automatically once they are older than
+ * the retention period (settings 'recycleBinRetentionDays', else
+ * RECYCLE_BIN_RETENTION_DAYS; 0 keeps them until purged by hand).
+ */
+const config = require('../config');
+const db = require('../db/database');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// What each soft-delete table holds, and how to name one of its rows
+const ITEM_TYPES = {
+  devices: {
+    label: 'Device',
+    describe: function(r) { return { name: r.name || r.ip, detail: [r.ip, r.location].filter(Boolean).join(' · ') }; }
+  },
+  teachers: {
+    label: 'Teacher',
+    describe: function(r) { return { name: r.name, detail: [r.empId, r.roomNumber].filter(Boolean).join(' · ') }; }
+  },
+  service_requests: {
+    label: 'Service Request',
+    describe: function(r) {
+      return { name: r.issueLabel || r.issueType || 'Request', detail: [r.deviceName, r.employeeName].filter(Boolean).join(' · ') };
+    }
+  },
+  incidents: {
+    label: 'Help Desk Request',
+    describe: function(r) {
+      return { name: r.shortDescription || r.subcategory || 'Incident', detail: [r.roomNumber, r.employeeName].filter(Boolean).join(' · ') };
+    }
+  },
+  repair_templates: {
+    label: 'Repair Template',
+    describe: function(r) { return { name: r.name, detail: r.shortDescription || '' }; }
+  },
+  email_templates: {
+    label: 'Email Template',
+    describe: function(r) { return { name: r.name, detail: r.subject || '' }; }
+  }
+};
+
+var timer = null;
+var lastPurge = null;
+
+/**
+ * Days deleted items are kept (0 = forever).
+ */
+function getRetentionDays() {
+  var value = db.getSetting('recycleBinRetentionDays');
+  var days = parseInt(value);
+  return value !== null && value !== '' && days >= 0 ? days : config.RECYCLE_BIN_RETENTION_DAYS;
+}
+
+function purgeAt(deletedAt, retentionDays) {
+  if (!retentionDays) return '';
+  return new Date(new Date(deletedAt).getTime() + retentionDays * 86400000).toISOString();
+}
+
+/**
+ * Everything in the bin, most recently deleted first.
+ * Returns [{ table, type, id, name, detail, deletedAt, deletedBy, purgeAt }]
+ */
+function listItems() {
+  var retentionDays = getRetentionDays();
+  var items = [];
+  Object.keys(ITEM_TYPES).forEach(function(table) {
+    var type = ITEM_TYPES[table];
+    db.getDeleted(table).forEach(function(row) {
+      var description = type.describe(row);
+      items.push({
+        table: table,
+        type: type.label,
+        id: row.id,
+        name: description.name || row.id,
+        detail: description.detail || '',
+        deletedAt: row.deletedAt,
+        deletedBy: row.deletedBy || '',
+        purgeAt: purgeAt(row.deletedAt, retentionDays)
+      });
+    });
+  });
+  return items.sort(function(a, b) { return a.deletedAt < b.deletedAt ? 1 : -1; });
+}
+
+function checkTable(table) {
+  if (!ITEM_TYPES[table]) throw new Error('Not a recycle bin table: ' + table);
+}
+
+// Rows that belong to a purged item and were kept while it could be restored
+function cleanUpAfterPurge(table, ids) {
+  if (table === 'devices') {
+    ids.forEach(function(id) { db.remove('trap_communities', id); });
+  }
+}
+
+function restore(table, id) {
+  checkTable(table);
+  return db.restoreDeleted(table, id);
+}
+
+function purge(table, id) {
+  checkTable(table);
+  if (!db.purgeDeleted(table, id)) return false;
+  cleanUpAfterPurge(table, [id]);
+  return true;
+}
+
+/**
+ * Purge items deleted before cutoff (ISO string), or everything if omitted.
+ * Returns the number of items purged.
+ */
+function purgeBefore(cutoff) {
+  var purged = 0;
+  Object.keys(ITEM_TYPES).forEach(function(table) {
+    var ids = db.purgeDeletedBefore(table, cutoff);
+    cleanUpAfterPurge(table, ids);
+    purged += ids.length;
+  });
+  return purged;
+}
+
+function emptyBin() {
+  return purgeBefore();
+}
+
+/**
+ * Purge items older than the retention period.
+ */
+function purgeExpired() {
+  var days = getRetentionDays();
+  lastPurge = new Date().toISOString();
+  if (!days) return 0;
+  var purged = purgeBefore(new Date(Date.now() - days * 86400000).toISOString());
+  if (purged > 0) console.log('Recycle bin: purged ' + purged + ' item(s) older than ' + days + ' days');
+  return purged;
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+function start() {
+  if (timer) return;
+  try {
+    purgeExpired();
+  } catch (e) {
+    console.error('Recycle bin purge failed:', e);
+  }
+  timer = setInterval(function() {
+    try {
+      purgeExpired();
+    } catch (e) {
+      console.error('Recycle bin purge failed:', e);
+    }
+  }, PURGE_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+function getStatus() {
+  return {
+    retentionDays: getRetentionDays(),
+    lastPurge: lastPurge
+  };
+}
+
+module.exports = {
+  ITEM_TYPES,
+  getRetentionDays,
+  listItems,
+  restore,
+  purge,
+  emptyBin,
+  purgeExpired,
+  start,
+  stop,
+  getStatus
+};
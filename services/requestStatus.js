@@ -0,0 +1,156 @@
+/**
+ * Requester Status Tracking
+ * Each service request gets an unguessable status token when it is created.
+ * WEB_APP_URL/request/status/<token> (public/request-status.html) shows the
+ * person who submitted it where it stands - submitted, assigned, completed,
+ * with the technician's name and notes - without a login. The link is in
+ * the confirmation email.
+ *
+ * The requester is also emailed when a technician is assigned and when the
+ * request is completed (eventBus 'serviceRequest.assigned' / '.completed').
+ * An auto-assignment made as the request was created is left to the
+ * confirmation email, which names the technician instead.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db/database');
+const eventBus = require('./eventBus');
+const emailService = require('./emailService');
+
+const TOKEN_RE = /^[a-f0-9]{48}$/;
+
+var unsubscribers = [];
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Public status page link for a request, or '' when it has no token.
+ */
+function statusUrl(request) {
+  if (!request || !request.statusToken) return '';
+  return config.WEB_APP_URL.replace(/\/+$/, '') + '/request/status/' + request.statusToken;
+}
+
+// ============================================
+// STATUS PAGE
+// ============================================
+
+/**
+ * What the requester sees. Null for an unknown token or a deleted request.
+ * Returns { requestId, deviceName, location, issueLabel, status, technicianName, notes,
+ *   submittedAt, assignedAt, completedAt, reopenedAt, steps: [{ key, label, at, done }] }
+ */
+function getStatus(token) {
+  if (!TOKEN_RE.test(token || '')) return null;
+  var row = db.db.prepare('SELECT * FROM service_requests WHERE statusToken = ? AND ' + db.liveCondition('service_requests')).get(token);
+  if (!row) return null;
+  var assigned = row.status !== 'pending' && !!row.technicianName;
+  var completed = row.status === 'completed';
+  return {
+    requestId: row.id,
+    deviceName: row.deviceName,
+    location: row.location,
+    issueLabel: row.issueLabel,
+    status: row.status,
+    technicianName: assigned ? row.technicianName : '',
+    notes: row.notes,
+    submittedAt: row.submittedAt || row.createdAt,
+    assignedAt: assigned ? row.assignedAt : '',
+    completedAt: completed ? row.completedAt : '',
+    reopenedAt: completed ? '' : row.reopenedAt || '',
+    steps: [
+      { key: 'submitted', label: 'Submitted', at: row.submittedAt || row.createdAt, done: true },
+      { key: 'assigned', label: 'Assigned', at: assigned ? row.assignedAt : '', done: assigned },
+      { key: 'completed', label: 'Completed', at: completed ? row.completedAt : '', done: completed }
+    ]
+  };
+}
+
+// ============================================
+// REQUESTER EMAILS
+// ============================================
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString('en-US', { timeZone: config.TIMEZONE }) : '';
+}
+
+function describeRequest(row) {
+  return `Request Details:
+- Issue: ${row.issueLabel || 'N/A'}
+- Device: ${row.deviceName || 'N/A'}
+- Location: ${row.location || 'N/A'}
+- Request ID: ${row.id}`;
+}
+
+/**
+ * Email the requester that their request was assigned or completed.
+ * kind: 'assigned' | 'completed'
+ */
+async function notifyRequester(requestId, kind) {
+  var row = db.getById('service_requests', requestId);
+  if (!row || !row.employeeEmail) return null;
+
+  var link = statusUrl(row);
+  var subject;
+  var intro;
+  if (kind === 'assigned') {
+    subject = 'Service Request Assigned - ' + (row.issueLabel || 'Service Request');
+    intro = `${row.technicianName || 'A technician'} has been assigned to your service request and will be working on it.`;
+  } else {
+    subject = 'Service Request Completed - ' + (row.issueLabel || 'Service Request');
+    intro = `Your service request has been completed${row.technicianName ? ' by ' + row.technicianName : ''} on ${formatTime(row.completedAt)}.` +
+      (row.notes ? `\n\nNotes: ${row.notes}` : '') +
+      '\n\nIf the problem is still there, please submit a new request from the device QR code.';
+  }
+
+  var body = `Hello ${row.employeeName || 'Team Member'},
+
+${intro}
+
+${describeRequest(row)}
+${link ? '\nTrack your request: ' + link + '\n' : ''}
+Thank you,
+Smart School Monitor`.trim();
+
+  return emailService.sendEmail({ to: row.employeeEmail, subject: subject, text: body });
+}
+
+function onAssigned(event) {
+  var data = event.data || {};
+  if (!data.request || data.newRequest) return;
+  notifyRequester(data.request.id, 'assigned').catch(function(err) {
+    console.error('Error emailing requester about assignment:', err);
+  });
+}
+
+function onCompleted(event) {
+  var data = event.data || {};
+  if (!data.request) return;
+  notifyRequester(data.request.id, 'completed').catch(function(err) {
+    console.error('Error emailing requester about completion:', err);
+  });
+}
+
+function start() {
+  if (unsubscribers.length) return;
+  unsubscribers = [
+    eventBus.subscribe(onAssigned, 'serviceRequest.assigned'),
+    eventBus.subscribe(onCompleted, 'serviceRequest.completed')
+  ];
+}
+
+function stop() {
+  unsubscribers.forEach(function(unsubscribe) { unsubscribe(); });
+  unsubscribers = [];
+}
+
+module.exports = {
+  generateToken,
+  statusUrl,
+  getStatus,
+  notifyRequester,
+  start,
+  stop
+};
@@ -0,0 +1,376 @@
+/**
+ * Service Request SLAs
+ * SLA policies set a time-to-assign and a time-to-complete target (in
+ * working minutes) for service requests of an issue type and/or device type;
+ * an empty field matches any. The most specific enabled policy applies:
+ * issue type and device type, then issue type, then device type, then a
+ * catch-all.
+ *
+ * When a request is created its deadlines are worked out from submittedAt
+ * and stored on the row (assignDueAt, completeDueAt). The clocks only run
+ * during the working hours configured for after-hours handling
+ * (checkWorkingHours in routes/settings.js), so a request submitted on a
+ * Friday evening starts counting on Monday morning.
+ *
+ * Every minute open requests are checked: a missed deadline is stored as
+ * assignBreachedAt / completeBreachedAt (the deadline it missed), and once a
+ * deadline is within the policy's warnMinutes of working time the assigned
+ * technician (for time-to-complete) and the supervisor are emailed, once;
+ * a warning that could not be sent is retried at the next check.
+ * Assigning or completing a request records a late breach straight away.
+ */
+const config = require('../config');
+const db = require('../db/database');
+const eventBus = require('./eventBus');
+const emailService = require('./emailService');
+const workingHours = require('./workingHours');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_WARN_MINUTES = 30;
+const MAX_TARGET_MINUTES = 60 * 24 * 90;
+
+var timer = null;
+var lastCheck = null;
+// Warnings being emailed ('<requestId>:<phase>'), so a slow send is not repeated
+var sending = {};
+
+// ============================================
+// POLICIES
+// ============================================
+
+function parsePolicy(row) {
+  return {
+    ...row,
+    assignMinutes: parseInt(row.assignMinutes) || 0,
+    completeMinutes: parseInt(row.completeMinutes) || 0,
+    warnMinutes: parseInt(row.warnMinutes) >= 0 ? parseInt(row.warnMinutes) : DEFAULT_WARN_MINUTES,
+    enabled: row.enabled !== 'false'
+  };
+}
+
+function getPolicies() {
+  return db.db.prepare('SELECT * FROM sla_policies ORDER BY createdAt, rowid').all().map(parsePolicy);
+}
+
+/**
+ * Create or update a policy.
+ * policy: { id?, name, issueType, deviceType, assignMinutes, completeMinutes,
+ *           warnMinutes, supervisorEmail, enabled }
+ */
+function savePolicy(policy) {
+  var p = policy || {};
+  var name = String(p.name || '').trim();
+  if (!name) throw new Error('A policy name is required');
+  var assignMinutes = parseInt(p.assignMinutes) || 0;
+  var completeMinutes = parseInt(p.completeMinutes) || 0;
+  var warnMinutes = parseInt(p.warnMinutes);
+  if (assignMinutes < 0 || completeMinutes < 0 || assignMinutes > MAX_TARGET_MINUTES || completeMinutes > MAX_TARGET_MINUTES) {
+    throw new Error('Targets must be between 0 and ' + (MAX_TARGET_MINUTES / 60) + ' working hours');
+  }
+  if (!assignMinutes && !completeMinutes) throw new Error('Set a time-to-assign or time-to-complete target');
+  if (assignMinutes && completeMinutes && completeMinutes < assignMinutes) {
+    throw new Error('Time to complete cannot be shorter than time to assign');
+  }
+  var now = new Date().toISOString();
+  var data = {
+    name: name,
+    issueType: String(p.issueType || '').trim(),
+    deviceType: String(p.deviceType || '').trim(),
+    assignMinutes: assignMinutes,
+    completeMinutes: completeMinutes,
+    warnMinutes: warnMinutes >= 0 ? warnMinutes : DEFAULT_WARN_MINUTES,
+    supervisorEmail: String(p.supervisorEmail || '').trim(),
+    enabled: p.enabled === false ? 'false' : 'true',
+    updatedAt: now
+  };
+  if (p.id && db.getById('sla_policies', p.id)) {
+    db.update('sla_policies', p.id, data);
+    return parsePolicy(db.getById('sla_policies', p.id));
+  }
+  var created = { id: db.generateId(), ...data, createdAt: now };
+  db.insert('sla_policies', created);
+  return parsePolicy(created);
+}
+
+/**
+ * Remove a policy. Requests already created under it keep their deadlines.
+ */
+function deletePolicy(policyId) {
+  if (!db.getById('sla_policies', policyId)) throw new Error('SLA policy not found');
+  db.remove('sla_policies', policyId);
+}
+
+function same(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * The policy that applies to a request, or null. Policies hold a device type
+ * id; requests store the type's name.
+ */
+function matchPolicy(request, policies) {
+  var best = null;
+  var bestScore = -1;
+  var typeNames = {};
+  db.getAll('device_types').forEach(function(t) { typeNames[t.id] = t.name; });
+  (policies || getPolicies()).forEach(function(p) {
+    if (!p.enabled) return;
+    var issueMatch = !p.issueType || same(p.issueType, request.issueType) || same(p.issueType, request.issueLabel);
+    var deviceMatch = !p.deviceType || same(p.deviceType, request.deviceType) || same(typeNames[p.deviceType], request.deviceType);
+    if (!issueMatch || !deviceMatch) return;
+    var score = (p.issueType ? 2 : 0) + (p.deviceType ? 1 : 0);
+    if (score > bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// The working hours SLA clocks run in (same settings as checkWorkingHours)
+function getWorkingHoursSettings() {
+  return require('../routes/settings').checkWorkingHours().settings;
+}
+
+// ============================================
+// DEADLINES & BREACHES
+// ============================================
+
+/**
+ * SLA fields for a new request: the matching policy and its deadlines.
+ * Returns {} when no policy applies.
+ */
+function deadlinesFor(request) {
+  var policy = matchPolicy(request);
+  if (!policy) return {};
+  var settings = getWorkingHoursSettings();
+  var from = new Date(request.submittedAt || Date.now());
+  return {
+    slaPolicyId: policy.id,
+    assignDueAt: policy.assignMinutes ? workingHours.addWorkingMinutes(from, policy.assignMinutes, settings).toISOString() : '',
+    completeDueAt: policy.completeMinutes ? workingHours.addWorkingMinutes(from, policy.completeMinutes, settings).toISOString() : ''
+  };
+}
+
+/**
+ * Breach flags a request should have now. Returns only the fields to change.
+ */
+function breachUpdates(row, now) {
+  var at = (now || new Date()).toISOString();
+  var updates = {};
+  if (row.assignDueAt && !row.assignBreachedAt) {
+    var assignedAt = row.status === 'pending' ? '' : row.assignedAt || row.completedAt;
+    if (assignedAt ? assignedAt > row.assignDueAt : at >= row.assignDueAt) updates.assignBreachedAt = row.assignDueAt;
+  }
+  if (row.completeDueAt && !row.completeBreachedAt) {
+    var completedAt = row.status === 'completed' ? row.completedAt || at : '';
+    if (completedAt ? completedAt > row.completeDueAt : at >= row.completeDueAt) updates.completeBreachedAt = row.completeDueAt;
+  }
+  return updates;
+}
+
+/**
+ * Record any breach on a request after it changed (assigned, completed...).
+ * Returns the breach fields that were set.
+ */
+function refresh(requestId) {
+  var row = db.getById('service_requests', requestId);
+  if (!row) return {};
+  var updates = breachUpdates(row);
+  if (Object.keys(updates).length > 0) db.update('service_requests', requestId, updates);
+  return updates;
+}
+
+/**
+ * SLA state of a request for display.
+ * Returns null when no policy applied, else { policyName, phase: 'assign'|'complete'|'done',
+ *   dueAt, warnMinutes, assignDueAt, completeDueAt, assignBreached, completeBreached, breached }
+ */
+function describe(row, policiesById) {
+  if (!row.assignDueAt && !row.completeDueAt) return null;
+  var policy = (policiesById || {})[row.slaPolicyId];
+  var phase = 'done';
+  if (row.status === 'pending' && row.assignDueAt) phase = 'assign';
+  else if (row.status !== 'completed' && row.completeDueAt) phase = 'complete';
+  var assignBreached = !!row.assignBreachedAt;
+  var completeBreached = !!row.completeBreachedAt;
+  return {
+    policyName: policy ? policy.name : '',
+    phase: phase,
+    dueAt: phase === 'assign' ? row.assignDueAt : phase === 'complete' ? row.completeDueAt : '',
+    warnMinutes: policy ? policy.warnMinutes : DEFAULT_WARN_MINUTES,
+    assignDueAt: row.assignDueAt || '',
+    completeDueAt: row.completeDueAt || '',
+    assignBreached: assignBreached,
+    completeBreached: completeBreached,
+    breached: phase === 'assign' ? assignBreached : phase === 'complete' ? completeBreached : assignBreached || completeBreached
+  };
+}
+
+function policiesById() {
+  var byId = {};
+  getPolicies().forEach(function(p) { byId[p.id] = p; });
+  return byId;
+}
+
+// ============================================
+// WARNINGS
+// ============================================
+
+function getSupervisorEmail(policy) {
+  return (policy && policy.supervisorEmail) || db.getSetting('slaSupervisorEmail') || '';
+}
+
+async function sendWarning(row, phase, policy, minutesLeft) {
+  var technician = row.technicianId ? db.getById('technicians', row.technicianId) : null;
+  var to = [];
+  if (phase === 'complete' && technician && technician.email) to.push(technician.email);
+  var supervisor = getSupervisorEmail(policy);
+  if (supervisor) to.push(supervisor);
+  if (to.length === 0) return false;
+
+  var target = phase === 'assign' ? 'assigned' : 'completed';
+  var dueAt = phase === 'assign' ? row.assignDueAt : row.completeDueAt;
+  var subject = '[SLA] ' + (row.issueLabel || 'Service request') + ' - ' + (row.deviceName || 'Unknown device') +
+    ' must be ' + target + ' within ' + Math.max(1, Math.round(minutesLeft)) + ' min';
+  var text = [
+    'This service request will breach its SLA unless it is ' + target + ' by ' + new Date(dueAt).toLocaleString('en-US', { timeZone: config.TIMEZONE }) + '.',
+    '',
+    'SLA policy: ' + (policy ? policy.name : 'Deleted policy'),
+    'Device: ' + (row.deviceName || 'Unknown') + (row.location ? ' (' + row.location + ')' : ''),
+    'Issue: ' + (row.issueLabel || row.issueType || ''),
+    'Submitted: ' + new Date(row.submittedAt).toLocaleString('en-US', { timeZone: config.TIMEZONE }) + ' by ' + (row.employeeName || 'Unknown'),
+    'Technician: ' + (row.technicianName || 'Unassigned'),
+    '',
+    config.WEB_APP_URL,
+    '',
+    '---',
+    'Smart School Monitor'
+  ].join('\n');
+
+  var result = await emailService.sendEmail({ to: to.join(', '), subject: subject, text: text });
+  db.insert('email_history', {
+    id: db.generateId(),
+    deviceId: row.deviceId || '',
+    recipient: to.join(', '),
+    cc: '',
+    subject: subject,
+    body: text,
+    htmlBody: '',
+    sentAt: new Date().toISOString(),
+    status: result.success ? 'sent' : 'failed',
+    errorMessage: result.success ? '' : result.error || ''
+  });
+  if (!result.success) console.error('SLA warning email failed for ' + row.id + ': ' + result.error);
+  return result.success;
+}
+
+// ============================================
+// CHECK
+// ============================================
+
+/**
+ * Flag breaches and send pre-breach warnings for open requests.
+ * Returns { breached, warned }
+ */
+function check() {
+  lastCheck = new Date().toISOString();
+  var result = { breached: 0, warned: 0 };
+  var rows = db.db.prepare(
+    "SELECT * FROM service_requests WHERE " + db.liveCondition('service_requests') +
+    " AND status != 'completed' AND (assignDueAt != '' OR completeDueAt != '')"
+  ).all();
+  if (rows.length === 0) return result;
+
+  var now = new Date();
+  var byId = policiesById();
+  var settings = getWorkingHoursSettings();
+
+  rows.forEach(function(row) {
+    var updates = breachUpdates(row, now);
+    var policy = byId[row.slaPolicyId] || null;
+    var warnMinutes = policy ? policy.warnMinutes : DEFAULT_WARN_MINUTES;
+    var phases = [];
+    if (row.status === 'pending' && row.assignDueAt && !row.assignWarnedAt && !updates.assignBreachedAt && !row.assignBreachedAt) phases.push('assign');
+    if (row.completeDueAt && !row.completeWarnedAt && !updates.completeBreachedAt && !row.completeBreachedAt) phases.push('complete');
+
+    phases.forEach(function(phase) {
+      var dueAt = phase === 'assign' ? row.assignDueAt : row.completeDueAt;
+      var left = workingHours.workingMinutesBetween(now, new Date(dueAt), settings);
+      if (!warnMinutes || left > warnMinutes) return;
+      var sendKey = row.id + ':' + phase;
+      if (sending[sendKey]) return;
+      sending[sendKey] = true;
+      result.warned++;
+      // Only a delivered warning is marked; anything else is retried next check
+      sendWarning(row, phase, policy, left).then(function(sent) {
+        if (sent) db.update('service_requests', row.id, { [phase + 'WarnedAt']: new Date().toISOString() });
+      }).catch(function(e) {
+        console.error('SLA warning failed for ' + row.id + ':', e);
+      }).finally(function() {
+        delete sending[sendKey];
+      });
+    });
+
+    if (Object.keys(updates).length === 0) return;
+    db.update('service_requests', row.id, updates);
+    if (updates.assignBreachedAt || updates.completeBreachedAt) {
+      result.breached++;
+      eventBus.publish('serviceRequest.sla', { request: { ...row, ...updates } });
+    }
+  });
+  return result;
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+function start() {
+  if (timer) return;
+  timer = setInterval(function() {
+    try {
+      check();
+    } catch (e) {
+      console.error('SLA check failed:', e);
+    }
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+function getStatus() {
+  var open = db.db.prepare(
+    "SELECT SUM(assignBreachedAt != '' OR completeBreachedAt != '') AS breached, COUNT(*) AS n FROM service_requests " +
+    "WHERE " + db.liveCondition('service_requests') + " AND status != 'completed' AND (assignDueAt != '' OR completeDueAt != '')"
+  ).get();
+  return {
+    running: !!timer,
+    openWithSla: open.n || 0,
+    openBreached: open.breached || 0,
+    supervisorEmail: db.getSetting('slaSupervisorEmail') || '',
+    workingHours: getWorkingHoursSettings(),
+    lastCheck: lastCheck
+  };
+}
+
+module.exports = {
+  DEFAULT_WARN_MINUTES,
+  getPolicies,
+  savePolicy,
+  deletePolicy,
+  matchPolicy,
+  deadlinesFor,
+  breachUpdates,
+  refresh,
+  describe,
+  policiesById,
+  check,
+  start,
+  stop,
+  getStatus
+};
@@ -0,0 +1,344 @@
+/**
+ * Built-in SNMP Poller
+ * Walks the Printer MIB (RFC 3805) on every device and stores the results the
+ * same way the external gateway does via updateDeviceStatus / pushSupplyData.
+ * When the poller is disabled the external gateway remains the data source.
+ */
+const snmp = require('net-snmp');
+const config = require('../config');
+const db = require('../db/database');
+
+// Printer MIB tables and scalars
+const OID_SUPPLIES = '1.3.6.1.2.1.43.11.1.1';   // prtMarkerSuppliesTable
+const OID_INPUT = '1.3.6.1.2.1.43.8.2.1';       // prtInputTable
+const OID_ALERTS = '1.3.6.1.2.1.43.18.1.1';     // prtAlertTable
+const OID_PAGE_COUNT = '1.3.6.1.2.1.43.10.2.1.4.1.1'; // prtMarkerLifeCount.1.1
+
+// prtMarkerSuppliesLevel special values
+const LEVEL_OTHER = -1;
+const LEVEL_UNKNOWN = -2;
+const LEVEL_SOME_REMAINING = -3;
+
+// prtAlertSeverityLevel
+const ALERT_SEVERITY = { 3: 'critical', 4: 'warning', 5: 'warning' };
+
+const MAX_CONCURRENT = 5;
+
+var timer = null;
+var running = false;
+var lastRun = null;
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Resolve poller settings: settings table overrides env config.
+ * Community/port follow the SNMP fields already configured in email_config.
+ */
+function getPollerSettings() {
+  var enabled = db.getSetting('snmpPollerEnabled');
+  var interval = parseInt(db.getSetting('snmpPollerInterval'));
+  return {
+    enabled: enabled !== null && enabled !== '' ? enabled === 'true' : config.SNMP_POLLER_ENABLED,
+    interval: interval >= 10000 ? interval : config.SNMP_POLL_INTERVAL,
+    community: db.getEmailConfigValue('snmpCommunity') || config.SNMP_COMMUNITY,
+    port: parseInt(db.getEmailConfigValue('snmpPort')) || config.SNMP_PORT,
+    version: config.SNMP_VERSION === '1' ? snmp.Version1 : snmp.Version2c,
+    timeout: config.SNMP_TIMEOUT
+  };
+}
+
+// ============================================
+// SNMP HELPERS
+// ============================================
+
+function varbindValue(vb) {
+  if (Buffer.isBuffer(vb.value)) return vb.value.toString('utf8').replace(/\0+$/, '').trim();
+  return vb.value;
+}
+
+/**
+ * Walk a table and group the columns by row index.
+ * Returns { '1.1': { 6: 'Black Toner', 9: 40, ... }, ... }
+ */
+function walkTable(session, baseOid) {
+  return new Promise(function(resolve, reject) {
+    var rows = {};
+    var prefix = baseOid + '.';
+    session.subtree(baseOid, 20, function(varbinds) {
+      for (var i = 0; i < varbinds.length; i++) {
+        var vb = varbinds[i];
+        if (snmp.isVarbindError(vb) || vb.oid.indexOf(prefix) !== 0) continue;
+        var parts = vb.oid.substring(prefix.length).split('.');
+        var column = parts.shift();
+        var index = parts.join('.');
+        if (!rows[index]) rows[index] = {};
+        rows[index][column] = varbindValue(vb);
+      }
+    }, function(error) {
+      if (error) return reject(error);
+      resolve(rows);
+    });
+  });
+}
+
+function getScalar(session, oid) {
+  return new Promise(function(resolve) {
+    session.get([oid], function(error, varbinds) {
+      if (error || !varbinds || snmp.isVarbindError(varbinds[0])) return resolve(null);
+      resolve(varbindValue(varbinds[0]));
+    });
+  });
+}
+
+function toPercentage(level, max) {
+  if (level === LEVEL_SOME_REMAINING) return 50;
+  if (level < 0 || max <= 0) return level >= 0 ? Math.min(level, 100) : 0;
+  return Math.max(0, Math.min(100, Math.round((level / max) * 100)));
+}
+
+// ============================================
+// TABLE PARSERS
+// ============================================
+
+function parseSupplies(rows) {
+  return Object.keys(rows).map(function(index) {
+    var row = rows[index];
+    var level = parseInt(row['9']);
+    var max = parseInt(row['8']);
+    if (isNaN(level)) level = LEVEL_UNKNOWN;
+    if (isNaN(max)) max = 100;
+    return {
+      name: row['6'] || ('Supply ' + index),
+      level: level,
+      max: max,
+      percentage: toPercentage(level, max)
+    };
+  }).filter(function(s) {
+    return s.level !== LEVEL_OTHER && s.level !== LEVEL_UNKNOWN;
+  });
+}
+
+function parseInputTrays(rows) {
+  return Object.keys(rows).map(function(index) {
+    var row = rows[index];
+    var level = parseInt(row['10']);
+    var max = parseInt(row['9']);
+    if (isNaN(level)) level = LEVEL_UNKNOWN;
+    if (isNaN(max)) max = 0;
+    return {
+      name: row['13'] || row['18'] || ('Tray ' + index),
+      mediaName: row['12'] || '',
+      level: level,
+      max: max,
+      percentage: toPercentage(level, max),
+      status: parseInt(row['11']) || 0
+    };
+  });
+}
+
+/**
+ * Turn prtAlertTable rows into device messages using the trap parser,
+ * so polled alerts read exactly like the traps for the same condition.
+ */
+function parseAlerts(rows) {
+  var parseTrapMessage = require('../routes/traps').parseTrapMessage;
+  var messages = [];
+  Object.keys(rows).forEach(function(index) {
+    var row = rows[index];
+    // Rows are indexed hrDeviceIndex.prtAlertIndex; the parser expects FIELD.INDEX
+    var entryIndex = index.split('.').pop();
+    var decodedVarbinds = {};
+    ['4', '6', '7', '8'].forEach(function(col) {
+      if (row[col] !== undefined) decodedVarbinds[OID_ALERTS + '.' + col + '.' + entryIndex] = row[col];
+    });
+    var parsed = parseTrapMessage({ decodedVarbinds: decodedVarbinds });
+    if (!parsed.message || parsed.message === 'SNMP Alert' || parsed.ignored) return;
+    var severity = ALERT_SEVERITY[parseInt(row['2'])] || parsed.severity;
+    if (parsed.severity === 'critical') severity = 'critical';
+    messages.push({
+      text: parsed.message,
+      severity: severity,
+      code: parseInt(row['7']) || 0,
+      group: parseInt(row['4']) || 0
+    });
+  });
+  return messages;
+}
+
+// ============================================
+// POLLING
+// ============================================
+
+/**
+ * Poll a single device. Resolves with the updateDeviceStatus payload;
+ * never rejects — an unreachable device yields status 'offline'.
+ */
+async function pollDevice(device, settings) {
+  settings = settings || getPollerSettings();
+  var session = snmp.createSession(device.ip.trim(), settings.community, {
+    port: settings.port,
+    version: settings.version,
+    timeout: settings.timeout,
+    retries: 1
+  });
+
+  try {
+    var supplyRows = await walkTable(session, OID_SUPPLIES);
+    var inputRows = await walkTable(session, OID_INPUT).catch(function() { return {}; });
+    var alertRows = await walkTable(session, OID_ALERTS).catch(function() { return {}; });
+    var pageCount = parseInt(await getScalar(session, OID_PAGE_COUNT));
+
+    var messages = parseAlerts(alertRows);
+    var hasCritical = messages.some(function(m) { return m.severity === 'critical'; });
+
+    return {
+      deviceId: device.id,
+      ip: device.ip,
+      status: hasCritical ? 'issue' : 'online',
+      supplies: parseSupplies(supplyRows),
+      messages: messages,
+      inputTrays: parseInputTrays(inputRows),
+      pageCount: isNaN(pageCount) ? null : pageCount
+    };
+  } catch (error) {
+    return { deviceId: device.id, ip: device.ip, status: 'offline', error: error.message };
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Store a poll result through the same helpers the gateway uses.
+ */
+function storeResult(device, result) {
+  var gateway = require('../routes/gateway');
+  var saved = gateway.updateDeviceStatus(result);
+  if (!saved.success) return saved;
+
+  if (result.status === 'offline') return saved;
+
+  // updateDeviceStatus keeps old messages when the new list is empty,
+  // so clear them explicitly once the device reports no active alerts
+  if (result.messages.length === 0) {
+    db.updateField('devices', device.id, 'messages', '[]');
+  }
+
+  // Only record supply history when a level actually changed
+  var previous = {};
+  (device.supplies || []).forEach(function(s) { previous[s.name] = s.percentage; });
+  var changed = result.supplies.some(function(s) { return previous[s.name] !== s.percentage; });
+  if (changed && result.supplies.length > 0) {
+    gateway.pushSupplyData({ deviceId: device.id, supplies: result.supplies });
+  }
+  return saved;
+}
+
+/**
+ * Poll and store a single device by ID (manual "poll now").
+ */
+async function pollDeviceById(deviceId) {
+  var device = require('../routes/gateway').getDevicesParsed().find(function(d) { return d.id === deviceId; });
+  if (!device || !device.ip) {
+    return { success: false, error: 'Device not found or has no IP' };
+  }
+  var result = await pollDevice(device);
+  var saved = storeResult(device, result);
+  return { success: saved.success, error: saved.error, result: result };
+}
+
+/**
+ * Poll every device with an IP, a few at a time.
+ */
+async function pollAllDevices() {
+  if (running) return { success: false, error: 'Poll already in progress' };
+  running = true;
+  var started = Date.now();
+  var summary = { polled: 0, online: 0, issue: 0, offline: 0, errors: 0 };
+
+  try {
+    var settings = getPollerSettings();
+    var devices = require('../routes/gateway').getDevicesParsed().filter(function(d) {
+      return d.ip && d.ip.trim();
+    });
+
+    for (var i = 0; i < devices.length; i += MAX_CONCURRENT) {
+      var batch = devices.slice(i, i + MAX_CONCURRENT);
+      var results = await Promise.all(batch.map(function(d) { return pollDevice(d, settings); }));
+      results.forEach(function(result, j) {
+        var saved = storeResult(batch[j], result);
+        summary.polled++;
+        if (!saved.success) summary.errors++;
+        else summary[result.status]++;
+      });
+    }
+
+    lastRun = {
+      startedAt: new Date(started).toISOString(),
+      durationMs: Date.now() - started,
+      ...summary
+    };
+    return { success: true, ...lastRun };
+  } catch (error) {
+    console.error('SNMP poll error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    running = false;
+  }
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+function scheduleNext() {
+  var settings = getPollerSettings();
+  timer = setTimeout(async function() {
+    if (getPollerSettings().enabled) {
+      await pollAllDevices();
+    }
+    scheduleNext();
+  }, settings.interval);
+  timer.unref();
+}
+
+/**
+ * Start the poll loop. The enabled flag is re-read on every tick so
+ * toggling it in settings takes effect without a restart.
+ */
+function start() {
+  if (timer) return;
+  var settings = getPollerSettings();
+  if (settings.enabled) {
+    console.log('SNMP poller enabled (every ' + Math.round(settings.interval / 1000) + 's)');
+  }
+  scheduleNext();
+}
+
+function stop() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+function getStatus() {
+  var settings = getPollerSettings();
+  return {
+    enabled: settings.enabled,
+    interval: settings.interval,
+    community: settings.community,
+    port: settings.port,
+    running: running,
+    lastRun: lastRun
+  };
+}
+
+module.exports = {
+  getPollerSettings,
+  pollDevice,
+  pollDeviceById,
+  pollAllDevices,
+  start,
+  stop,
+  getStatus
+};
@@ -0,0 +1,173 @@
+/**
+ * Supply Forecasting
+ * Estimates when each toner/drum/ink supply runs out from the readings the
+ * gateway writes to supply_history (pushSupplyData).
+ *
+ * Readings are averaged per hour, then split into segments: a level that
+ * jumps up by SWAP_JUMP points or more means the cartridge was replaced, so
+ * only the newest segment describes the current cartridge. A least-squares
+ * line through that segment gives the depletion rate (% per day), and the
+ * current level divided by the rate gives the days left.
+ *
+ * Waste toner containers fill up instead of emptying; they are forecast on
+ * the capacity remaining (100 - level), the same way the UI displays them.
+ */
+const db = require('../db/database');
+
+const LOOKBACK_DAYS = 90;
+const SWAP_JUMP = 10;             // % rise that counts as a cartridge swap
+const MIN_SAMPLES = 3;            // hourly points needed in the current segment
+const MIN_SPAN_HOURS = 24;        // ...spread over at least this long
+const MIN_RATE_PER_DAY = 0.05;    // slower than this is treated as "not depleting"
+const MAX_DAYS = 730;             // forecasts further out than this are not shown
+const CACHE_MS = 10 * 60 * 1000;
+
+var cache = null;
+
+function isWaste(supplyName) {
+  return /waste/i.test(supplyName || '');
+}
+
+/**
+ * Hourly average level per device and supply, oldest first.
+ * Negative percentages are SNMP "unknown"/"some remaining" markers and are skipped.
+ */
+function loadReadings(deviceId) {
+  var since = new Date(Date.now() - LOOKBACK_DAYS * 86400000).toISOString();
+  var sql = 'SELECT deviceId, supplyName, substr(timestamp, 1, 13) AS hour, AVG(percentage) AS percentage, MAX(timestamp) AS timestamp ' +
+    'FROM supply_history WHERE timestamp >= ? AND percentage >= 0 AND supplyName != \'\'' +
+    (deviceId ? ' AND deviceId = ?' : '') +
+    ' GROUP BY deviceId, supplyName, hour ORDER BY deviceId, supplyName, hour';
+  var params = deviceId ? [since, deviceId] : [since];
+  return db.db.prepare(sql).all(...params);
+}
+
+/**
+ * Readings since the last cartridge swap.
+ * points: [{ t (ms), level (% remaining) }] oldest first
+ */
+function currentSegment(points) {
+  var start = 0;
+  for (var i = 1; i < points.length; i++) {
+    if (points[i].level - points[i - 1].level >= SWAP_JUMP) start = i;
+  }
+  return points.slice(start);
+}
+
+// Least-squares slope of level over time, in % per day
+function slopePerDay(points) {
+  var n = points.length;
+  var t0 = points[0].t;
+  var sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+  points.forEach(function(p) {
+    var x = (p.t - t0) / 86400000;
+    sumX += x;
+    sumY += p.level;
+    sumXY += x * p.level;
+    sumXX += x * x;
+  });
+  var denominator = n * sumXX - sumX * sumX;
+  return denominator === 0 ? 0 : (n * sumXY - sumX * sumY) / denominator;
+}
+
+/**
+ * Forecast one supply from its readings.
+ * Returns { supplyName, level, ratePerDay, daysLeft, emptyDate, samples, segmentStart, reason }
+ * daysLeft/emptyDate are null (with a reason) when there isn't enough data
+ * or the supply isn't being used up.
+ */
+function forecastSupply(supplyName, readings) {
+  var waste = isWaste(supplyName);
+  var points = readings.map(function(r) {
+    var pct = Math.min(100, Number(r.percentage) || 0);
+    return { t: new Date(r.timestamp).getTime(), level: waste ? 100 - pct : pct };
+  });
+  var segment = currentSegment(points);
+  var last = segment[segment.length - 1];
+  var result = {
+    supplyName: supplyName,
+    level: Math.round(last.level),
+    ratePerDay: null,
+    daysLeft: null,
+    emptyDate: null,
+    samples: segment.length,
+    segmentStart: new Date(segment[0].t).toISOString(),
+    reason: ''
+  };
+
+  if (segment.length < MIN_SAMPLES || last.t - segment[0].t < MIN_SPAN_HOURS * 3600000) {
+    result.reason = 'Not enough history since the last replacement';
+    return result;
+  }
+
+  var rate = -slopePerDay(segment);
+  if (rate < MIN_RATE_PER_DAY) {
+    result.ratePerDay = Math.max(0, Math.round(rate * 100) / 100);
+    result.reason = 'Not being used up';
+    return result;
+  }
+
+  var daysLeft = last.level / rate;
+  result.ratePerDay = Math.round(rate * 100) / 100;
+  if (daysLeft > MAX_DAYS) {
+    result.reason = 'More than ' + MAX_DAYS + ' days left';
+    return result;
+  }
+  // Count from the last reading, not from now, so a silent device doesn't look healthier
+  var emptyAt = last.t + daysLeft * 86400000;
+  result.daysLeft = Math.max(0, Math.round((emptyAt - Date.now()) / 86400000));
+  result.emptyDate = new Date(emptyAt).toISOString();
+  return result;
+}
+
+/**
+ * Group hourly readings into { deviceId: [forecast, ...] }.
+ */
+function buildForecasts(rows) {
+  var byDevice = {};
+  var i = 0;
+  while (i < rows.length) {
+    var deviceId = rows[i].deviceId;
+    var supplyName = rows[i].supplyName;
+    var readings = [];
+    while (i < rows.length && rows[i].deviceId === deviceId && rows[i].supplyName === supplyName) {
+      readings.push(rows[i]);
+      i++;
+    }
+    if (!byDevice[deviceId]) byDevice[deviceId] = [];
+    byDevice[deviceId].push(forecastSupply(supplyName, readings));
+  }
+  return byDevice;
+}
+
+/**
+ * Forecasts for one device: [forecast, ...]
+ */
+function forecastDevice(deviceId) {
+  return buildForecasts(loadReadings(deviceId))[deviceId] || [];
+}
+
+/**
+ * Forecasts for every live device: { deviceId: [forecast, ...] }.
+ * Cached for a few minutes since the dashboard asks on every render.
+ */
+function forecastAll(options) {
+  if (cache && !(options && options.refresh) && Date.now() - cache.at < CACHE_MS) return cache.forecasts;
+  var live = {};
+  db.getAll('devices').forEach(function(d) { live[d.id] = true; });
+  var all = buildForecasts(loadReadings());
+  var forecasts = {};
+  Object.keys(all).forEach(function(deviceId) {
+    if (live[deviceId]) forecasts[deviceId] = all[deviceId];
+  });
+  cache = { at: Date.now(), forecasts: forecasts };
+  return forecasts;
+}
+
+module.exports = {
+  SWAP_JUMP,
+  isWaste,
+  forecastSupply,
+  forecastDevice,
+  forecastAll
+};
@@ -0,0 +1,208 @@
+/**
+ * Technician Performance
+ * Workload and turnaround per technician from service requests and the SNMP
+ * traps assigned to them (assignTrap), overall and broken down by device
+ * type and location.
+ *
+ *   open queue       - requests in progress / unresolved traps assigned now
+ *   mean time to     - submitted (or received) to assigned, for work
+ *     assign (MTTA)    assigned in the date range
+ *   mean time to     - submitted (or received) to completed (or resolved),
+ *     resolve (MTTR)   for work closed in the date range
+ *   closed per week  - closed in the range / weeks in the range
+ *   reopen rate      - share of the range's resolutions (closed, or reopened
+ *                      and open again) that were reopened; requests only
+ *
+ * Dates are YYYY-MM-DD, inclusive, compared against the stored UTC
+ * timestamps like the print volume report.
+ */
+const db = require('../db/database');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 731;
+const SOURCES = ['all', 'requests', 'traps'];
+
+function dateOnly(value, fallback) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : fallback;
+}
+
+function minutesBetween(from, to) {
+  var ms = new Date(to).getTime() - new Date(from).getTime();
+  return isNaN(ms) || ms < 0 ? null : ms / 60000;
+}
+
+// ============================================
+// WORK ITEMS
+// ============================================
+
+// Service requests and assigned traps in one shape:
+// { technicianId, technicianName, openedAt, assignedAt, closedAt, open, reopenCount, reopenedAt, deviceType, location }
+function loadWorkItems(source) {
+  var items = [];
+  var technicians = db.getAll('technicians');
+  var techByName = {};
+  technicians.forEach(function(t) { techByName[String(t.name).toLowerCase()] = t; });
+
+  if (source !== 'traps') {
+    var live = db.liveCondition('service_requests');
+    db.db.prepare("SELECT * FROM service_requests WHERE " + live + " AND (technicianId != '' OR technicianName != '')").all().forEach(function(r) {
+      var tech = r.technicianId ? null : techByName[String(r.technicianName).toLowerCase()];
+      items.push({
+        source: 'request',
+        technicianId: r.technicianId || (tech ? tech.id : ''),
+        technicianName: r.technicianName,
+        openedAt: r.submittedAt || r.createdAt,
+        assignedAt: r.assignedAt,
+        closedAt: r.status === 'completed' ? r.completedAt : '',
+        open: r.status !== 'completed',
+        reopenCount: parseInt(r.reopenCount) || 0,
+        reopenedAt: r.reopenedAt || '',
+        deviceType: r.deviceType || '',
+        location: r.location || ''
+      });
+    });
+  }
+
+  if (source !== 'requests') {
+    var deviceByIp = {};
+    var typeNames = {};
+    db.getAll('device_types').forEach(function(t) { typeNames[t.id] = t.name; });
+    db.getAll('devices', { includeDeleted: true }).forEach(function(d) { if (d.ip) deviceByIp[d.ip] = d; });
+    db.db.prepare("SELECT sourceIp, receivedAt, assignedTo, assignedAt, resolvedAt FROM snmp_traps WHERE assignedTo != ''").all().forEach(function(t) {
+      var tech = techByName[String(t.assignedTo).toLowerCase()];
+      var device = deviceByIp[t.sourceIp] || {};
+      items.push({
+        source: 'trap',
+        technicianId: tech ? tech.id : '',
+        technicianName: t.assignedTo,
+        openedAt: t.receivedAt,
+        assignedAt: t.assignedAt,
+        closedAt: t.resolvedAt || '',
+        open: !t.resolvedAt,
+        reopenCount: 0,
+        reopenedAt: '',
+        deviceType: typeNames[device.type] || device.type || '',
+        location: device.location || ''
+      });
+    });
+  }
+
+  var namesById = {};
+  technicians.forEach(function(t) { namesById[t.id] = t.name; });
+  items.forEach(function(item) {
+    if (item.technicianId && namesById[item.technicianId]) item.technicianName = namesById[item.technicianId];
+  });
+  return items;
+}
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+function newBucket(name) {
+  return { name: name, open: 0, assigned: 0, assignMinutes: 0, assignTimed: 0, closed: 0, resolveMinutes: 0, resolveTimed: 0, resolutions: 0, reopened: 0 };
+}
+
+function addItem(bucket, item, range) {
+  if (item.open) bucket.open++;
+  if (item.assignedAt >= range.from && item.assignedAt < range.until) {
+    bucket.assigned++;
+    var toAssign = minutesBetween(item.openedAt, item.assignedAt);
+    if (toAssign !== null) {
+      bucket.assignMinutes += toAssign;
+      bucket.assignTimed++;
+    }
+  }
+  var closedInRange = item.closedAt >= range.from && item.closedAt < range.until;
+  if (closedInRange) {
+    bucket.closed++;
+    var toResolve = minutesBetween(item.openedAt, item.closedAt);
+    if (toResolve !== null) {
+      bucket.resolveMinutes += toResolve;
+      bucket.resolveTimed++;
+    }
+  }
+  if (item.source === 'request' &&
+      (closedInRange || (item.open && item.reopenedAt >= range.from && item.reopenedAt < range.until))) {
+    bucket.resolutions++;
+    if (item.reopenCount > 0) bucket.reopened++;
+  }
+}
+
+function round(value, places) {
+  var factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function summarize(bucket, weeks) {
+  return {
+    name: bucket.name,
+    open: bucket.open,
+    assigned: bucket.assigned,
+    closed: bucket.closed,
+    mttaMinutes: bucket.assignTimed ? round(bucket.assignMinutes / bucket.assignTimed, 1) : null,
+    mttrMinutes: bucket.resolveTimed ? round(bucket.resolveMinutes / bucket.resolveTimed, 1) : null,
+    closedPerWeek: round(bucket.closed / weeks, 2),
+    reopened: bucket.reopened,
+    reopenRate: bucket.resolutions ? round(bucket.reopened / bucket.resolutions * 100, 1) : null
+  };
+}
+
+function bucketsToRows(buckets, weeks) {
+  return Object.keys(buckets).map(function(key) { return summarize(buckets[key], weeks); })
+    .sort(function(a, b) { return b.closed - a.closed || b.open - a.open || a.name.localeCompare(b.name); });
+}
+
+/**
+ * Per-technician report.
+ * options: { from, to (YYYY-MM-DD, inclusive), source: 'all'|'requests'|'traps' }
+ * Returns { from, to, source, days, technicians, totals }
+ *   technicians: [{ technicianId, name, open, assigned, closed, mttaMinutes, mttrMinutes,
+ *                   closedPerWeek, reopened, reopenRate, byDeviceType: [...], byLocation: [...] }]
+ */
+function getReport(options) {
+  var opts = options || {};
+  var source = SOURCES.indexOf(opts.source) >= 0 ? opts.source : 'all';
+  var today = new Date().toISOString().slice(0, 10);
+  var to = dateOnly(opts.to, today);
+  var from = dateOnly(opts.from, new Date(new Date(to + 'T00:00:00Z').getTime() - (DEFAULT_DAYS - 1) * 86400000).toISOString().slice(0, 10));
+  if (from > to) throw new Error('The start date is after the end date');
+  var days = Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / 86400000) + 1;
+  if (days > MAX_DAYS) throw new Error('The report covers at most ' + MAX_DAYS + ' days');
+  var weeks = days / 7;
+  var range = { from: from, until: new Date(new Date(to + 'T00:00:00Z').getTime() + 86400000).toISOString() };
+
+  var techs = {};
+  var total = newBucket('All technicians');
+  loadWorkItems(source).forEach(function(item) {
+    var key = item.technicianId || 'name:' + String(item.technicianName).toLowerCase();
+    var tech = techs[key];
+    if (!tech) {
+      tech = techs[key] = { technicianId: item.technicianId, bucket: newBucket(item.technicianName || 'Unknown'), byDeviceType: {}, byLocation: {} };
+    }
+    var type = item.deviceType || 'No device type';
+    var location = item.location || 'No location';
+    tech.byDeviceType[type] = tech.byDeviceType[type] || newBucket(type);
+    tech.byLocation[location] = tech.byLocation[location] || newBucket(location);
+    [tech.bucket, tech.byDeviceType[type], tech.byLocation[location], total].forEach(function(bucket) {
+      addItem(bucket, item, range);
+    });
+  });
+
+  var technicians = Object.keys(techs).map(function(key) {
+    var t = techs[key];
+    return {
+      technicianId: t.technicianId,
+      ...summarize(t.bucket, weeks),
+      byDeviceType: bucketsToRows(t.byDeviceType, weeks),
+      byLocation: bucketsToRows(t.byLocation, weeks)
+    };
+  }).sort(function(a, b) { return b.closed - a.closed || b.open - a.open || a.name.localeCompare(b.name); });
+
+  return { from: from, to: to, source: source, days: days, technicians: technicians, totals: summarize(total, weeks) };
+}
+
+module.exports = {
+  SOURCES,
+  getReport
+};
@@ -0,0 +1,266 @@
+/**
+ * Technician Schedules
+ * Weekly shifts, PTO and the after-hours on-call rotation.
+ *
+ * Shifts repeat every week: a day (mon..sun) with a start and end time in
+ * TIMEZONE; an end at or before the start runs past midnight into the next
+ * day. A technician with no shifts counts as always scheduled, so the
+ * on-shift switch alone decides for them. PTO is whole days, start to end
+ * inclusive.
+ *
+ * A technician is available now when they are active, their on-shift
+ * switch is on, they are not on PTO today and they are inside a shift.
+ *
+ * The on-call rotation is an ordered list of technicians, each on call for
+ * `days` days in turn from the start date (changing over at midnight). An
+ * inactive technician or one on PTO is skipped for the next in line.
+ *
+ * Settings: onCallRotation (JSON { technicianIds, startDate, days })
+ */
+const db = require('../db/database');
+const { toMinutes, localMinute, localParts } = require('./workingHours');
+
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const DAY_MINUTES = 24 * 60;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================
+// SHIFTS
+// ============================================
+
+function getShifts(technicianId) {
+  if (technicianId) {
+    return db.db.prepare('SELECT * FROM technician_shifts WHERE technicianId = ? ORDER BY rowid').all(technicianId);
+  }
+  return db.db.prepare('SELECT * FROM technician_shifts ORDER BY technicianId, rowid').all();
+}
+
+/**
+ * Replace a technician's weekly shifts.
+ * shifts: [{ day: 'mon', startTime: '07:00', endTime: '15:30' }]
+ */
+function saveShifts(technicianId, shifts) {
+  if (!db.getById('technicians', technicianId)) throw new Error('Technician not found');
+  var clean = (shifts || []).map(function(s) {
+    var day = String(s.day || '').toLowerCase();
+    if (DAYS.indexOf(day) < 0) throw new Error('Unknown day: ' + s.day);
+    if (!TIME_RE.test(s.startTime || '') || !TIME_RE.test(s.endTime || '')) {
+      throw new Error('Shift times must be HH:MM (' + day + ')');
+    }
+    if (s.startTime === s.endTime) throw new Error('A shift cannot start and end at the same time (' + day + ')');
+    return { day: day, startTime: s.startTime, endTime: s.endTime };
+  });
+  var now = new Date().toISOString();
+  db.db.transaction(function() {
+    db.db.prepare('DELETE FROM technician_shifts WHERE technicianId = ?').run(technicianId);
+    clean.forEach(function(s) {
+      db.insert('technician_shifts', { id: db.generateId(), technicianId: technicianId, ...s, createdAt: now });
+    });
+  })();
+  return getShifts(technicianId);
+}
+
+// The shift covering a local day/minute, or null. Yesterday's overnight
+// shifts count until they end.
+function shiftAt(shifts, local) {
+  var yesterday = DAYS[(DAYS.indexOf(local.day) + 6) % 7];
+  return shifts.find(function(s) {
+    var start = toMinutes(s.startTime);
+    var end = toMinutes(s.endTime);
+    if (s.day === local.day) return local.minute >= start && local.minute < (end > start ? end : DAY_MINUTES);
+    return s.day === yesterday && end <= start && local.minute < end;
+  }) || null;
+}
+
+// ============================================
+// PTO
+// ============================================
+
+/**
+ * PTO entries, soonest first. With upcoming only those not yet over.
+ */
+function getPto(options) {
+  var opts = options || {};
+  if (opts.upcoming) {
+    return db.db.prepare('SELECT * FROM technician_pto WHERE endDate >= ? ORDER BY startDate, rowid').all(localParts(new Date()).date);
+  }
+  return db.db.prepare('SELECT * FROM technician_pto ORDER BY startDate, rowid').all();
+}
+
+/**
+ * entry: { technicianId, startDate: 'YYYY-MM-DD', endDate, note }
+ */
+function addPto(entry, createdBy) {
+  var e = entry || {};
+  if (!db.getById('technicians', e.technicianId)) throw new Error('Technician not found');
+  var endDate = e.endDate || e.startDate;
+  if (!DATE_RE.test(e.startDate || '') || !DATE_RE.test(endDate || '')) throw new Error('PTO dates must be YYYY-MM-DD');
+  if (endDate < e.startDate) throw new Error('PTO cannot end before it starts');
+  var pto = {
+    id: db.generateId(),
+    technicianId: e.technicianId,
+    startDate: e.startDate,
+    endDate: endDate,
+    note: String(e.note || '').trim(),
+    createdBy: createdBy || '',
+    createdAt: new Date().toISOString()
+  };
+  db.insert('technician_pto', pto);
+  return pto;
+}
+
+function deletePto(ptoId) {
+  if (!db.getById('technician_pto', ptoId)) throw new Error('PTO entry not found');
+  db.remove('technician_pto', ptoId);
+}
+
+function ptoOn(ptoEntries, technicianId, date) {
+  return ptoEntries.find(function(p) {
+    return p.technicianId === technicianId && p.startDate <= date && p.endDate >= date;
+  }) || null;
+}
+
+// ============================================
+// ON-CALL ROTATION
+// ============================================
+
+function getRotation() {
+  var saved = {};
+  try { saved = JSON.parse(db.getSetting('onCallRotation') || '{}') || {}; } catch (e) {}
+  return {
+    technicianIds: Array.isArray(saved.technicianIds) ? saved.technicianIds : [],
+    startDate: DATE_RE.test(saved.startDate || '') ? saved.startDate : '',
+    days: parseInt(saved.days) > 0 ? parseInt(saved.days) : 7
+  };
+}
+
+/**
+ * rotation: { technicianIds: [id, ...] in turn order, startDate: 'YYYY-MM-DD', days }
+ */
+function saveRotation(rotation) {
+  var r = rotation || {};
+  var ids = (r.technicianIds || []).map(String).filter(function(id, i, all) { return all.indexOf(id) === i; });
+  ids.forEach(function(id) {
+    if (!db.getById('technicians', id)) throw new Error('Technician not found: ' + id);
+  });
+  var days = parseInt(r.days);
+  if (!(days >= 1 && days <= 31)) throw new Error('Each turn must be 1-31 days');
+  if (ids.length > 0 && !DATE_RE.test(r.startDate || '')) throw new Error('Pick the date the rotation starts');
+  db.setSetting('onCallRotation', JSON.stringify({ technicianIds: ids, startDate: r.startDate || '', days: days }));
+  return getRotation();
+}
+
+function dayNumber(date) {
+  var parts = date.split('-');
+  return Math.floor(Date.UTC(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2])) / 86400000);
+}
+
+function isActive(tech) {
+  return !!tech && tech.active !== false && tech.active !== 'false';
+}
+
+/**
+ * The technician on call at an instant (default now), or null when there is
+ * no rotation or everyone in it is away.
+ * Returns { technician, scheduledId } - scheduledId is whose turn it is, when someone covers.
+ */
+function getOnCall(at, context) {
+  var rotation = getRotation();
+  if (rotation.technicianIds.length === 0 || !rotation.startDate) return null;
+  var ctx = context || loadContext();
+  var today = localParts(at || new Date()).date;
+  var elapsed = dayNumber(today) - dayNumber(rotation.startDate);
+  if (elapsed < 0) return null;
+  var n = rotation.technicianIds.length;
+  var turn = Math.floor(elapsed / rotation.days) % n;
+  for (var i = 0; i < n; i++) {
+    var tech = ctx.techniciansById[rotation.technicianIds[(turn + i) % n]];
+    if (isActive(tech) && !ptoOn(ctx.pto, tech.id, today)) {
+      return { technician: tech, scheduledId: rotation.technicianIds[turn] };
+    }
+  }
+  return null;
+}
+
+// ============================================
+// AVAILABILITY
+// ============================================
+
+/**
+ * Technicians, shifts and PTO loaded once for a batch of availability checks.
+ */
+function loadContext() {
+  var shiftsByTech = {};
+  getShifts().forEach(function(s) {
+    (shiftsByTech[s.technicianId] = shiftsByTech[s.technicianId] || []).push(s);
+  });
+  var techniciansById = {};
+  db.getAll('technicians').forEach(function(t) { techniciansById[t.id] = t; });
+  return { shiftsByTech: shiftsByTech, pto: getPto({ upcoming: true }), techniciansById: techniciansById };
+}
+
+/**
+ * Where a technician stands at an instant.
+ * Returns { available, status: 'on-shift'|'off-shift'|'pto'|'off', label }
+ */
+function availabilityOf(tech, at, context) {
+  var ctx = context || loadContext();
+  var when = at || new Date();
+  var today = localParts(when).date;
+  var pto = ptoOn(ctx.pto, tech.id, today);
+  if (pto) return { available: false, status: 'pto', label: 'PTO until ' + pto.endDate };
+  if (tech.onShift === false || tech.onShift === 'false') return { available: false, status: 'off', label: 'Marked off shift' };
+  var shifts = ctx.shiftsByTech[tech.id] || [];
+  if (shifts.length === 0) return { available: true, status: 'on-shift', label: 'Available' };
+  var shift = shiftAt(shifts, localMinute(when));
+  return shift
+    ? { available: true, status: 'on-shift', label: 'On shift until ' + shift.endTime }
+    : { available: false, status: 'off-shift', label: 'Off shift' };
+}
+
+function isAvailable(tech, at, context) {
+  return availabilityOf(tech, at, context).available;
+}
+
+/**
+ * Every active technician's availability now, and who is on call.
+ * Returns { technicians: [{ id, name, email, phone, available, status, label, onCall }], onCallId }
+ */
+function getAvailability() {
+  var ctx = loadContext();
+  var now = new Date();
+  var onCall = getOnCall(now, ctx);
+  var onCallId = onCall ? onCall.technician.id : '';
+  return {
+    technicians: Object.keys(ctx.techniciansById).map(function(id) { return ctx.techniciansById[id]; })
+      .filter(isActive)
+      .map(function(tech) {
+        return {
+          id: tech.id,
+          name: tech.name,
+          email: tech.email,
+          phone: tech.phone,
+          ...availabilityOf(tech, now, ctx),
+          onCall: tech.id === onCallId
+        };
+      }),
+    onCallId: onCallId
+  };
+}
+
+module.exports = {
+  DAYS,
+  getShifts,
+  saveShifts,
+  getPto,
+  addPto,
+  deletePto,
+  getRotation,
+  saveRotation,
+  getOnCall,
+  loadContext,
+  availabilityOf,
+  isAvailable,
+  getAvailability
+};
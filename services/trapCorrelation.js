@@ -0,0 +1,263 @@
+/**
+ * Trap Correlation
+ * Every trap goes through record() instead of being inserted directly:
+ *
+ *   - A trap whose alert matches an open trap from the same source is folded
+ *     into it: occurrences is incremented and lastSeenAt, message, severity
+ *     (never lowered) and trapData follow the latest trap. A jammed copier
+ *     repeating "Paper Jam" every few seconds stays one row.
+ *   - A closing alert (CLEARS, e.g. coverClosed, doorClosed) resolves the
+ *     open traps from the same source whose alert it pairs with in the same
+ *     prtAlertGroup and prtAlertLocation, recording itself in clearedBy. It
+ *     is only stored (already resolved, for the history) when there was
+ *     nothing open to clear.
+ *   - Anything else is inserted as a new trap.
+ *
+ * Alerts are compared by alertKey(sourceIp, trapData), built from the codes
+ * in the trap's varbinds - prtAlertGroup, prtAlertCode and prtAlertLocation
+ * (where vendors put their own codes) of each prtAlertTable entry, or the
+ * supply index of a prtMarkerSupplies level -
+ * never from the parsed message, whose wording depends on the dictionaries.
+ * So "Black Toner Low (15%)" and "(12%)" fold, while a vendor 1001 alert and
+ * a bare group 11 alert that both read "Toner/Supply Alert" do not. Only a
+ * trap without any codes falls back to its message text.
+ * Publishes 'trap.added' for new traps and 'trap.updated' for folded or
+ * cleared ones.
+ */
+const db = require('../db/database');
+const eventBus = require('./eventBus');
+
+const TIMELINE_LIMIT = 100;
+const SEVERITY_RANK = { info: 1, warning: 2, critical: 3 };
+
+const ALERT_ENTRY_RE = /43\.18\.1\.1\.(\d+)(?:\.([\d.]+))?$/;      // prtAlertTable.FIELD.INDEX
+const SUPPLY_LEVEL_RE = /43\.11\.1\.1\.9(?:\.([\d.]+))?$/;         // prtMarkerSuppliesLevel.INDEX
+
+// Closing prtAlertCode (PrtAlertCodeTC) -> the codes it closes
+const CLEARS = {
+  4: [3],                                  // coverClosed -> coverOpen
+  6: [5],                                  // interlockClosed -> interlockOpen
+  19: [18],                                // subunitClosed -> subunitOpened
+  20: [21],                                // subunitTurnedOn -> subunitTurnedOff
+  25: [9, 26],                             // subunitAdded -> subunitMissing, subunitRemoved
+  502: [501],                              // doorClosed -> doorOpen
+  503: [504]                               // powerUp -> powerDown
+};
+
+/**
+ * The trap's varbinds as [oid, value] pairs, whichever format the gateway
+ * or receiver sent (decodedVarbinds, pdu.varbinds or varbinds).
+ */
+function varbindPairs(trapData) {
+  var data = trapData || {};
+  var pairs = [];
+  if (data.decodedVarbinds && typeof data.decodedVarbinds === 'object') {
+    Object.keys(data.decodedVarbinds).forEach(function(oid) { pairs.push([oid, data.decodedVarbinds[oid]]); });
+  }
+  [data.pdu && data.pdu.varbinds, data.varbinds].forEach(function(list) {
+    if (!Array.isArray(list)) return;
+    list.forEach(function(vb) { if (vb && vb.oid) pairs.push([String(vb.oid), vb.value]); });
+  });
+  return pairs;
+}
+
+/**
+ * The alerts a trap carries: [{ group, code, location }] per prtAlertTable
+ * entry, plus { supply } per supply level and { code } for a gateway's
+ * alertCode.
+ */
+function trapAlerts(trapData) {
+  var entries = {};
+  var alerts = [];
+  varbindPairs(trapData).forEach(function(pair) {
+    var alert = pair[0].match(ALERT_ENTRY_RE);
+    if (alert) {
+      var index = alert[2] || '0';
+      entries[index] = entries[index] || {};
+      entries[index][alert[1]] = parseInt(pair[1]) || 0;
+      return;
+    }
+    var supply = pair[0].match(SUPPLY_LEVEL_RE);
+    if (supply) alerts.push({ supply: supply[1] || '0' });
+  });
+  Object.keys(entries).forEach(function(index) {
+    var entry = entries[index];
+    if (entry['4'] || entry['6'] || entry['7']) {
+      alerts.push({ group: entry['4'] || 0, code: entry['7'] || 0, location: entry['6'] || 0 });
+    }
+  });
+  var alertCode = parseInt(trapData && trapData.alertCode) || 0;
+  if (alertCode) alerts.push({ group: 0, code: alertCode, location: 0 });
+  return alerts;
+}
+
+function alertId(alert) {
+  return alert.supply !== undefined
+    ? 'supply:' + alert.supply
+    : 'alert:' + alert.group + '/' + alert.code + '/' + alert.location;
+}
+
+/**
+ * Comparable form of a trap: its source and the alert codes in its varbinds.
+ * A trap without codes is compared by its message, ignoring case and
+ * trailing levels such as "(15%)".
+ */
+function alertKey(sourceIp, trapData, message) {
+  var ids = trapAlerts(trapData).map(alertId)
+    .filter(function(id, i, all) { return all.indexOf(id) === i; })
+    .sort();
+  if (ids.length === 0) {
+    ids = ['text:' + String(message || '')
+      .toLowerCase()
+      .replace(/\s*\(\d+(\.\d+)?%\)\s*$/, '')
+      .replace(/\s+/g, ' ')
+      .trim()];
+  }
+  return (sourceIp || 'unknown') + '|' + ids.join(',');
+}
+
+/**
+ * The closing alerts a trap carries (codes in CLEARS), empty when it is
+ * not a clear.
+ */
+function closingAlerts(trapData) {
+  return trapAlerts(trapData).filter(function(alert) { return CLEARS[alert.code]; });
+}
+
+/**
+ * Whether a trap holds an alert one of the closing alerts pairs with, in
+ * the same group and location.
+ */
+function isClearedBy(trapData, closing) {
+  return trapAlerts(trapData).some(function(alert) {
+    return closing.some(function(c) {
+      return c.group === alert.group && c.location === alert.location && CLEARS[c.code].indexOf(alert.code) >= 0;
+    });
+  });
+}
+
+function storedTrapData(row) {
+  try { return row.trapData ? JSON.parse(row.trapData) : {}; } catch (e) { return {}; }
+}
+
+function openTraps(sourceIp) {
+  return db.db.prepare("SELECT * FROM snmp_traps WHERE sourceIp = ? AND resolvedAt = '' ORDER BY receivedAt").all(sourceIp);
+}
+
+function parseTrapRow(row) {
+  return { ...row, trapData: storedTrapData(row) };
+}
+
+/**
+ * Store, fold or clear a trap.
+ * data: { sourceIp, parsedMessage, severity, trapData }
+ * Returns { success, trapId, folded, occurrences, cleared: [trapId] }
+ */
+function record(data) {
+  var now = new Date().toISOString();
+  var sourceIp = data.sourceIp || 'unknown';
+  var message = data.parsedMessage || 'SNMP Alert';
+  var severity = data.severity || 'info';
+  var trapData = JSON.stringify(data.trapData || {});
+  var key = alertKey(sourceIp, data.trapData, message);
+  var open = openTraps(sourceIp);
+
+  // Cleared alerts close their pair instead of being stored
+  var clears = closingAlerts(data.trapData);
+  if (clears.length > 0) {
+    var cleared = open.filter(function(t) { return isClearedBy(storedTrapData(t), clears); });
+    if (cleared.length > 0) {
+      db.db.transaction(function() {
+        cleared.forEach(function(t) {
+          db.update('snmp_traps', t.id, { processed: '1', resolvedAt: now, resolvedBy: 'Auto-cleared', clearedBy: message });
+        });
+      })();
+      cleared.forEach(function(t) {
+        eventBus.publish('trap.updated', { trap: parseTrapRow(db.getById('snmp_traps', t.id)) });
+      });
+      console.log('Cleared ' + cleared.length + ' trap(s) from ' + sourceIp + ': ' + message);
+      return { success: true, trapId: '', folded: false, occurrences: 0, cleared: cleared.map(function(t) { return t.id; }) };
+    }
+  }
+
+  var existing = open.find(function(t) { return alertKey(t.sourceIp, storedTrapData(t), t.parsedMessage) === key; });
+  if (existing) {
+    var occurrences = (parseInt(existing.occurrences) || 1) + 1;
+    var keepSeverity = (SEVERITY_RANK[existing.severity] || 0) > (SEVERITY_RANK[severity] || 0);
+    db.update('snmp_traps', existing.id, {
+      parsedMessage: message,
+      severity: keepSeverity ? existing.severity : severity,
+      trapData: trapData,
+      occurrences: occurrences,
+      lastSeenAt: now
+    });
+    eventBus.publish('trap.updated', { trap: parseTrapRow(db.getById('snmp_traps', existing.id)) });
+    return { success: true, trapId: existing.id, folded: true, occurrences: occurrences, cleared: [] };
+  }
+
+  // An unpaired clear is history, not an open alert
+  var resolved = clears.length > 0;
+  var trapRow = {
+    id: db.generateId(),
+    sourceIp: sourceIp,
+    trapData: trapData,
+    parsedMessage: message,
+    severity: severity,
+    receivedAt: now,
+    processed: resolved ? '1' : '0',
+    resolvedAt: resolved ? now : '',
+    resolvedBy: resolved ? 'Auto-cleared' : '',
+    assignedTo: '',
+    assignedAt: '',
+    occurrences: 1,
+    firstSeenAt: now,
+    lastSeenAt: now,
+    clearedBy: ''
+  };
+  db.insert('snmp_traps', trapRow);
+  eventBus.publish('trap.added', { trap: { ...trapRow, trapData: data.trapData || {} } });
+  console.log('Added trap: ' + trapRow.id + ' - ' + message + ' (' + severity + ')');
+  return { success: true, trapId: trapRow.id, folded: false, occurrences: 1, cleared: [] };
+}
+
+/**
+ * A device's traps as a timeline, newest first.
+ * Returns [{ at, type: 'raised'|'repeated'|'assigned'|'cleared'|'resolved',
+ *            trapId, message, severity, occurrences, firstSeenAt, detail }]
+ */
+function getDeviceTimeline(deviceId, limit) {
+  var device = db.getById('devices', deviceId, { includeDeleted: true });
+  if (!device) throw new Error('Device not found');
+  var traps = device.ip
+    ? db.db.prepare('SELECT * FROM snmp_traps WHERE sourceIp = ? ORDER BY receivedAt DESC LIMIT ?').all(device.ip, limit || TIMELINE_LIMIT)
+    : [];
+
+  var entries = [];
+  traps.forEach(function(t) {
+    var firstSeen = t.firstSeenAt || t.receivedAt;
+    var base = { trapId: t.id, message: t.parsedMessage, severity: t.severity, occurrences: parseInt(t.occurrences) || 1, firstSeenAt: firstSeen };
+    // A stored clear had nothing open to close; it is a single event
+    if (closingAlerts(storedTrapData(t)).length > 0) {
+      entries.push({ ...base, at: firstSeen, type: 'cleared', detail: '' });
+      return;
+    }
+    entries.push({ ...base, at: firstSeen, type: 'raised', detail: '' });
+    if (base.occurrences > 1 && t.lastSeenAt && t.lastSeenAt !== firstSeen) {
+      entries.push({ ...base, at: t.lastSeenAt, type: 'repeated', detail: '' });
+    }
+    if (t.assignedAt) entries.push({ ...base, at: t.assignedAt, type: 'assigned', detail: t.assignedTo || '' });
+    if (t.resolvedAt) {
+      entries.push(t.clearedBy
+        ? { ...base, at: t.resolvedAt, type: 'cleared', detail: t.clearedBy }
+        : { ...base, at: t.resolvedAt, type: 'resolved', detail: t.resolvedBy || '' });
+    }
+  });
+  return entries.sort(function(a, b) { return a.at < b.at ? 1 : a.at > b.at ? -1 : 0; });
+}
+
+module.exports = {
+  CLEARS,
+  alertKey,
+  record,
+  getDeviceTimeline
+};
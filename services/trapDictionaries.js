@@ -0,0 +1,387 @@
+/**
+ * Vendor Trap Dictionaries
+ * Printers report vendor-specific alert codes (prtAlertTable column 6, or
+ * vendorCode= in a gateway varbind summary) that the RFC 3805 table doesn't
+ * cover. Each dictionary maps one vendor's codes to a message and severity,
+ * or marks them ignored (status chatter like "Sleep Mode") so no trap is
+ * raised for them.
+ *
+ * A dictionary may name its vendor's enterprise number (1.3.6.1.4.1.<n>).
+ * Traps whose enterprise / trap OID falls under it are looked up in that
+ * dictionary first; otherwise every enabled dictionary is searched in the
+ * order they were added (Sharp first, as before). The Sharp and Ricoh codes
+ * that used to be hard-coded in parseTrapMessage are seeded once, with empty
+ * Canon, HP, Xerox and Konica Minolta dictionaries to fill in from Settings.
+ */
+const db = require('../db/database');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CACHE_TTL_MS = 60 * 1000;
+const EXPORT_VERSION = 1;
+
+const BUILT_IN = [
+  {
+    vendor: 'Sharp',
+    enterpriseOid: '2385',
+    codes: [
+      [800, 'Normal Operation', 'info', true],
+      [801, 'Ready', 'info', true],
+      [802, 'Warming Up', 'info', true],
+      [803, 'Energy Saver Mode', 'info', true],
+      [804, 'Sleep Mode', 'info', true],
+      [805, 'Paper Jam', 'critical'],
+      [806, 'Cover Open', 'warning'],
+      [807, 'Paper Low', 'warning'],
+      [808, 'Input Tray Empty', 'warning'],
+      [809, 'Toner Low', 'warning'],
+      [810, 'Toner Empty', 'critical'],
+      [811, 'Waste Toner Almost Full', 'warning'],
+      [812, 'Waste Toner Full', 'critical'],
+      [813, 'Drum Near End', 'warning'],
+      [814, 'Drum End of Life', 'critical'],
+      [815, 'Developer Low', 'warning'],
+      [816, 'Fuser Error', 'critical'],
+      [817, 'Service Required', 'critical'],
+      [818, 'Multi-Feed Jam', 'critical'],
+      [819, 'Output Tray Full', 'warning'],
+      [820, 'Staple Empty', 'warning'],
+      [821, 'Staple Jam', 'critical'],
+      [822, 'Punch Waste Full', 'warning'],
+      [823, 'Door Open', 'warning'],
+      [824, 'Misfeed', 'critical'],
+      [825, 'Communication Error', 'critical']
+    ]
+  },
+  {
+    vendor: 'Ricoh',
+    enterpriseOid: '367',
+    codes: [
+      [10003, 'Normal Operation', 'info', true],
+      [10033, 'Energy Saver Mode', 'info', true],
+      [10034, 'Sleep Mode', 'info', true],
+      [13100, 'Toner OK', 'info', true],
+      [13200, 'Drum OK', 'info', true],
+      [13300, 'Fuser OK', 'info', true],
+      [13400, 'Paper Feed OK', 'info', true],
+      [13500, 'Output OK', 'info', true]
+    ]
+  },
+  { vendor: 'Canon', enterpriseOid: '1602', codes: [] },
+  { vendor: 'HP', enterpriseOid: '11', codes: [] },
+  { vendor: 'Xerox', enterpriseOid: '253', codes: [] },
+  { vendor: 'Konica Minolta', enterpriseOid: '18334', codes: [] }
+];
+
+var cache = null;
+
+// ============================================
+// SEEDING
+// ============================================
+
+/**
+ * Add the built-in dictionaries the first time (deleting them later sticks).
+ */
+function ensureSeeded() {
+  if (db.getSetting('trapDictionariesSeeded') === 'true') return;
+  var now = new Date().toISOString();
+  var existing = {};
+  db.getAll('trap_dictionaries').forEach(function(d) { existing[d.vendor.toLowerCase()] = true; });
+  db.db.transaction(function() {
+    BUILT_IN.forEach(function(builtIn) {
+      if (existing[builtIn.vendor.toLowerCase()]) return;
+      var dictionaryId = db.generateId();
+      db.insert('trap_dictionaries', {
+        id: dictionaryId,
+        vendor: builtIn.vendor,
+        enterpriseOid: builtIn.enterpriseOid,
+        enabled: 'true',
+        createdAt: now,
+        updatedAt: now
+      });
+      builtIn.codes.forEach(function(c) {
+        db.insert('trap_dictionary_codes', {
+          id: db.generateId(),
+          dictionaryId: dictionaryId,
+          code: c[0],
+          message: c[1],
+          severity: c[2],
+          ignored: c[3] ? 'true' : 'false',
+          updatedAt: now
+        });
+      });
+    });
+    db.setSetting('trapDictionariesSeeded', 'true');
+  })();
+  invalidate();
+}
+
+// ============================================
+// LOOKUP
+// ============================================
+
+function invalidate() {
+  cache = null;
+}
+
+// Enabled dictionaries and their codes, rebuilt after edits or once a minute
+// (so data restores and sheet imports are picked up)
+function load() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+  ensureSeeded();
+  var dictionaries = db.db.prepare("SELECT * FROM trap_dictionaries WHERE enabled = 'true' ORDER BY createdAt, rowid").all();
+  var codes = {};
+  dictionaries.forEach(function(d) { codes[d.id] = {}; });
+  db.db.prepare('SELECT * FROM trap_dictionary_codes').all().forEach(function(c) {
+    if (codes[c.dictionaryId]) codes[c.dictionaryId][c.code] = c;
+  });
+  cache = { loadedAt: Date.now(), dictionaries: dictionaries, codes: codes };
+  return cache;
+}
+
+/**
+ * Enterprise number a trap came from ('2385'), or '' when unknown.
+ */
+function enterpriseOf(trapData) {
+  var oid = trapData ? String(trapData.enterprise || trapData.oid || '') : '';
+  var match = oid.match(/^\.?1\.3\.6\.1\.4\.1\.(\d+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Look a vendor code up for a trap.
+ * Returns { vendor, message, severity, ignore } or null.
+ */
+function lookup(code, trapData) {
+  var vendorCode = parseInt(code);
+  if (!(vendorCode > 0)) return null;
+  var loaded = load();
+  var enterprise = enterpriseOf(trapData);
+  var ordered = loaded.dictionaries;
+  if (enterprise) {
+    ordered = ordered.filter(function(d) { return d.enterpriseOid === enterprise; })
+      .concat(ordered.filter(function(d) { return d.enterpriseOid !== enterprise; }));
+  }
+  for (var i = 0; i < ordered.length; i++) {
+    var entry = loaded.codes[ordered[i].id][vendorCode];
+    if (entry) {
+      return {
+        vendor: ordered[i].vendor,
+        message: entry.message,
+        severity: entry.severity || 'warning',
+        ignore: entry.ignored === 'true'
+      };
+    }
+  }
+  return null;
+}
+
+// ============================================
+// EDITING
+// ============================================
+
+/**
+ * Dictionaries with their code counts, by vendor.
+ */
+function getDictionaries() {
+  ensureSeeded();
+  var counts = {};
+  db.db.prepare('SELECT dictionaryId, COUNT(*) AS n FROM trap_dictionary_codes GROUP BY dictionaryId').all()
+    .forEach(function(r) { counts[r.dictionaryId] = r.n; });
+  return db.db.prepare('SELECT * FROM trap_dictionaries ORDER BY vendor COLLATE NOCASE').all()
+    .map(function(d) { return { ...d, codeCount: counts[d.id] || 0 }; });
+}
+
+function getCodes(dictionaryId) {
+  return db.db.prepare('SELECT * FROM trap_dictionary_codes WHERE dictionaryId = ? ORDER BY code').all(dictionaryId);
+}
+
+function normalizeEnterpriseOid(value) {
+  var oid = String(value || '').trim().replace(/^\.?1\.3\.6\.1\.4\.1\./, '');
+  if (oid && !/^\d+$/.test(oid)) throw new Error('Enterprise OID must be a number such as 2385 (or 1.3.6.1.4.1.2385)');
+  return oid;
+}
+
+/**
+ * Create or update a dictionary.
+ * data: { id?, vendor, enterpriseOid, enabled }
+ */
+function saveDictionary(data) {
+  var d = data || {};
+  var vendor = String(d.vendor || '').trim();
+  if (!vendor) throw new Error('A vendor name is required');
+  var duplicate = db.db.prepare('SELECT id FROM trap_dictionaries WHERE vendor = ? COLLATE NOCASE AND id != ?').get(vendor, d.id || '');
+  if (duplicate) throw new Error('There is already a dictionary for ' + vendor);
+
+  var now = new Date().toISOString();
+  var row = {
+    vendor: vendor,
+    enterpriseOid: normalizeEnterpriseOid(d.enterpriseOid),
+    enabled: d.enabled === false ? 'false' : 'true',
+    updatedAt: now
+  };
+  var id = d.id;
+  if (id && db.getById('trap_dictionaries', id)) {
+    db.update('trap_dictionaries', id, row);
+  } else {
+    id = db.generateId();
+    db.insert('trap_dictionaries', { id: id, ...row, createdAt: now });
+  }
+  invalidate();
+  return db.getById('trap_dictionaries', id);
+}
+
+function deleteDictionary(dictionaryId) {
+  if (!db.getById('trap_dictionaries', dictionaryId)) throw new Error('Dictionary not found');
+  db.db.transaction(function() {
+    db.db.prepare('DELETE FROM trap_dictionary_codes WHERE dictionaryId = ?').run(dictionaryId);
+    db.remove('trap_dictionaries', dictionaryId);
+  })();
+  invalidate();
+}
+
+// { code, message, severity, ignore } -> column values, or throws
+function normalizeCode(entry) {
+  var e = entry || {};
+  var code = parseInt(e.code);
+  if (!(code > 0) || String(code) !== String(e.code).trim()) throw new Error('Alert code must be a positive whole number: ' + e.code);
+  var ignore = e.ignore === true || e.ignore === 'true' || e.ignored === 'true';
+  var message = String(e.message || '').trim();
+  if (!message) throw new Error('Code ' + code + ' needs a message');
+  var severity = SEVERITIES.indexOf(e.severity) >= 0 ? e.severity : (ignore ? 'info' : 'warning');
+  return { code: code, message: message, severity: severity, ignored: ignore ? 'true' : 'false' };
+}
+
+/**
+ * Add or update a code; a code already in the dictionary is overwritten.
+ * data: { dictionaryId, id?, code, message, severity, ignore }
+ */
+function saveCode(data) {
+  var d = data || {};
+  if (!db.getById('trap_dictionaries', d.dictionaryId)) throw new Error('Dictionary not found');
+  var values = normalizeCode(d);
+  var now = new Date().toISOString();
+  var existing = db.db.prepare('SELECT id FROM trap_dictionary_codes WHERE dictionaryId = ? AND code = ?').get(d.dictionaryId, values.code);
+  if (existing && d.id && existing.id !== d.id) throw new Error('Code ' + values.code + ' is already in this dictionary');
+
+  var id = d.id && db.getById('trap_dictionary_codes', d.id) ? d.id : (existing ? existing.id : '');
+  if (id) {
+    db.update('trap_dictionary_codes', id, { ...values, updatedAt: now });
+  } else {
+    id = db.generateId();
+    db.insert('trap_dictionary_codes', { id: id, dictionaryId: d.dictionaryId, ...values, updatedAt: now });
+  }
+  invalidate();
+  return db.getById('trap_dictionary_codes', id);
+}
+
+function deleteCode(codeId) {
+  if (!db.getById('trap_dictionary_codes', codeId)) throw new Error('Code not found');
+  db.remove('trap_dictionary_codes', codeId);
+  invalidate();
+}
+
+// ============================================
+// IMPORT / EXPORT
+// ============================================
+
+/**
+ * Dictionaries as a portable JSON document (all of them, or just dictionaryIds).
+ */
+function exportDictionaries(dictionaryIds) {
+  var dictionaries = getDictionaries().filter(function(d) {
+    return !dictionaryIds || !dictionaryIds.length || dictionaryIds.indexOf(d.id) >= 0;
+  });
+  return {
+    type: 'trap-dictionaries',
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    dictionaries: dictionaries.map(function(d) {
+      return {
+        vendor: d.vendor,
+        enterpriseOid: d.enterpriseOid,
+        enabled: d.enabled === 'true',
+        codes: getCodes(d.id).map(function(c) {
+          return { code: c.code, message: c.message, severity: c.severity, ignore: c.ignored === 'true' };
+        })
+      };
+    })
+  };
+}
+
+/**
+ * Merge an exported document: dictionaries are matched by vendor name and
+ * codes by number; with replace, codes missing from the file are removed.
+ * Everything is validated before anything is written.
+ * Returns { dictionaries, added, updated, removed }
+ */
+function importDictionaries(payload, options) {
+  var replace = !!(options && options.replace);
+  var list = payload && Array.isArray(payload.dictionaries) ? payload.dictionaries : null;
+  if (!list) throw new Error('Not a trap dictionary export (no "dictionaries" list)');
+  ensureSeeded();
+
+  var prepared = list.map(function(d) {
+    var vendor = String(d && d.vendor || '').trim();
+    if (!vendor) throw new Error('Every dictionary needs a vendor name');
+    var seen = {};
+    var codes = (Array.isArray(d.codes) ? d.codes : []).map(function(c) {
+      var values = normalizeCode(c);
+      if (seen[values.code]) throw new Error(vendor + ': code ' + values.code + ' is listed twice');
+      seen[values.code] = true;
+      return values;
+    });
+    return { vendor: vendor, enterpriseOid: normalizeEnterpriseOid(d.enterpriseOid), enabled: d.enabled === false ? 'false' : 'true', codes: codes };
+  });
+
+  var now = new Date().toISOString();
+  var result = { dictionaries: prepared.length, added: 0, updated: 0, removed: 0 };
+  db.db.transaction(function() {
+    prepared.forEach(function(d) {
+      var existing = db.db.prepare('SELECT * FROM trap_dictionaries WHERE vendor = ? COLLATE NOCASE').get(d.vendor);
+      var dictionaryId = existing ? existing.id : db.generateId();
+      if (existing) {
+        db.update('trap_dictionaries', dictionaryId, { enterpriseOid: d.enterpriseOid || existing.enterpriseOid, enabled: d.enabled, updatedAt: now });
+      } else {
+        db.insert('trap_dictionaries', { id: dictionaryId, vendor: d.vendor, enterpriseOid: d.enterpriseOid, enabled: d.enabled, createdAt: now, updatedAt: now });
+      }
+
+      var current = {};
+      getCodes(dictionaryId).forEach(function(c) { current[c.code] = c; });
+      d.codes.forEach(function(values) {
+        if (current[values.code]) {
+          db.update('trap_dictionary_codes', current[values.code].id, { ...values, updatedAt: now });
+          result.updated++;
+          delete current[values.code];
+        } else {
+          db.insert('trap_dictionary_codes', { id: db.generateId(), dictionaryId: dictionaryId, ...values, updatedAt: now });
+          result.added++;
+        }
+      });
+      if (replace) {
+        Object.keys(current).forEach(function(code) {
+          db.remove('trap_dictionary_codes', current[code].id);
+          result.removed++;
+        });
+      }
+    });
+  })();
+  invalidate();
+  return result;
+}
+
+module.exports = {
+  SEVERITIES,
+  BUILT_IN,
+  ensureSeeded,
+  invalidate,
+  enterpriseOf,
+  lookup,
+  getDictionaries,
+  getCodes,
+  saveDictionary,
+  deleteDictionary,
+  saveCode,
+  deleteCode,
+  exportDictionaries,
+  importDictionaries
+};
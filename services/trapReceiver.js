@@ -0,0 +1,291 @@
+/**
+ * Native SNMP Trap Receiver
+ * Listens for SNMPv1/v2c traps and informs on UDP (162 by default), decodes the
+ * varbinds into the same trapData shape the external gateway posts, and stores
+ * them via parseTrapMessage + addTrap (dropping ignored vendor codes). Traps
+ * are only accepted when the community is on the sending device's allowlist,
+ * and each source IP is rate limited.
+ */
+const snmp = require('net-snmp');
+const config = require('../config');
+const db = require('../db/database');
+
+const ALERT_TABLE_OID = '1.3.6.1.2.1.43.18.1.1';
+const SNMP_TRAP_OID = '1.3.6.1.6.3.1.1.4.1.0';
+const RATE_WINDOW_MS = 60000;
+
+// Generic traps (RFC 1157 generic-trap / RFC 3418 snmpTraps)
+const GENERIC_TRAPS = {
+  0: 'Device Restarted (Cold Start)',
+  1: 'Device Restarted (Warm Start)',
+  2: 'Link Down',
+  3: 'Link Up',
+  4: 'SNMP Authentication Failure',
+  5: 'EGP Neighbor Loss'
+};
+
+var receiver = null;
+var listeningPort = null;
+var startedAt = null;
+var lastError = '';
+var rateBuckets = new Map();
+var stats = { received: 0, stored: 0, ignored: 0, rejectedCommunity: 0, rateLimited: 0, errors: 0, lastTrapAt: null };
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Resolve receiver settings: settings table overrides env config.
+ */
+function getReceiverSettings() {
+  var enabled = db.getSetting('trapReceiverEnabled');
+  var port = parseInt(db.getSetting('trapReceiverPort'));
+  var rateLimit = parseInt(db.getSetting('trapRateLimit'));
+  return {
+    enabled: enabled !== null && enabled !== '' ? enabled === 'true' : config.SNMP_TRAP_RECEIVER_ENABLED,
+    port: port > 0 && port < 65536 ? port : config.SNMP_TRAP_PORT,
+    rateLimit: rateLimit > 0 ? rateLimit : config.SNMP_TRAP_RATE_LIMIT,
+    defaultCommunity: db.getEmailConfigValue('snmpCommunity') || config.SNMP_COMMUNITY
+  };
+}
+
+function splitCommunities(value) {
+  return String(value || '').split(',').map(function(c) { return c.trim(); }).filter(Boolean);
+}
+
+/**
+ * Communities accepted from a source IP. Devices with no allowlist entry
+ * accept the default SNMP community; unknown sources only the default.
+ */
+function getAllowedCommunities(sourceIp, settings) {
+  var device = db.db.prepare('SELECT id FROM devices WHERE TRIM(ip) = ? AND ' + db.liveCondition('devices')).get(sourceIp);
+  if (device) {
+    var entry = db.getById('trap_communities', device.id);
+    if (entry && splitCommunities(entry.communities).length > 0) {
+      return splitCommunities(entry.communities);
+    }
+  }
+  return [settings.defaultCommunity];
+}
+
+/**
+ * Fixed-window rate limit per source IP. Returns true if the trap may pass.
+ */
+function allowRate(sourceIp, limit) {
+  var now = Date.now();
+  if (rateBuckets.size > 1000) {
+    rateBuckets.forEach(function(b, ip) {
+      if (now - b.windowStart >= RATE_WINDOW_MS) rateBuckets.delete(ip);
+    });
+  }
+  var bucket = rateBuckets.get(sourceIp);
+  if (!bucket || now - bucket.windowStart >= RATE_WINDOW_MS) {
+    bucket = { windowStart: now, count: 0, dropped: 0 };
+    rateBuckets.set(sourceIp, bucket);
+  }
+  bucket.count++;
+  if (bucket.count > limit) {
+    bucket.dropped++;
+    if (bucket.dropped === 1) {
+      console.log('Trap rate limit exceeded for ' + sourceIp + ' (' + limit + '/min), dropping until window resets');
+    }
+    return false;
+  }
+  return true;
+}
+
+// ============================================
+// DECODING
+// ============================================
+
+function decodeValue(vb) {
+  if (Buffer.isBuffer(vb.value)) {
+    var text = vb.value.toString('utf8').replace(/\0+$/, '');
+    // Keep binary values (MAC addresses, etc.) readable as hex
+    return /^[\x20-\x7e\r\n\t]*$/.test(text) ? text.trim() : vb.value.toString('hex');
+  }
+  if (typeof vb.value === 'bigint') return vb.value.toString();
+  return vb.value;
+}
+
+/**
+ * Build the trapData object stored in snmp_traps.trapData.
+ * Mirrors what the external gateway sends: decodedVarbinds keyed by OID,
+ * plus a varbindSummary for alert-table traps.
+ */
+function buildTrapData(notification) {
+  var pdu = notification.pdu;
+  var isV1 = pdu.type === snmp.PduType.Trap;
+  var decodedVarbinds = {};
+  var summary = [];
+
+  (pdu.varbinds || []).forEach(function(vb) {
+    if (snmp.isVarbindError(vb)) return;
+    var value = decodeValue(vb);
+    decodedVarbinds[vb.oid] = value;
+
+    if (vb.oid.indexOf(ALERT_TABLE_OID + '.') === 0) {
+      var column = vb.oid.substring(ALERT_TABLE_OID.length + 1).split('.')[0];
+      if (column === '4') summary.push('alertGroup=' + value);
+      if (column === '6') summary.push('vendorCode=' + value);
+      if (column === '7') summary.push('alertCode=' + value);
+    }
+  });
+
+  var trapData = {
+    source: 'builtin-receiver',
+    version: isV1 ? 'v1' : 'v2c',
+    decodedVarbinds: decodedVarbinds,
+    varbindSummary: summary.join(', ')
+  };
+
+  var genericCode = null;
+  if (isV1) {
+    trapData.enterprise = pdu.enterprise;
+    trapData.agentAddr = pdu.agentAddr;
+    trapData.genericTrap = pdu.generic;
+    trapData.specificTrap = pdu.specific;
+    trapData.oid = pdu.enterprise;
+    if (pdu.generic !== 6) genericCode = pdu.generic;
+  } else {
+    trapData.oid = decodedVarbinds[SNMP_TRAP_OID] || '';
+    var genericMatch = String(trapData.oid).match(/^1\.3\.6\.1\.6\.3\.1\.1\.5\.(\d+)$/);
+    if (genericMatch) genericCode = parseInt(genericMatch[1]) - 1;
+  }
+
+  // Generic traps carry no printer alert varbinds, so name them directly
+  if (genericCode !== null && GENERIC_TRAPS[genericCode] && !summary.length) {
+    trapData.message = GENERIC_TRAPS[genericCode];
+  }
+
+  return trapData;
+}
+
+// ============================================
+// RECEIVING
+// ============================================
+
+function handleNotification(error, notification) {
+  if (error) {
+    stats.errors++;
+    lastError = error.message;
+    return;
+  }
+
+  try {
+    stats.received++;
+    var sourceIp = notification.rinfo.address;
+    var settings = getReceiverSettings();
+
+    var allowed = getAllowedCommunities(sourceIp, settings);
+    if (allowed.indexOf(notification.pdu.community) < 0) {
+      stats.rejectedCommunity++;
+      return;
+    }
+    if (!allowRate(sourceIp, settings.rateLimit)) {
+      stats.rateLimited++;
+      return;
+    }
+
+    var trapData = buildTrapData(notification);
+    var parsed = require('../routes/traps').parseTrapMessage(trapData);
+    // Codes the vendor dictionaries mark as ignored (status chatter)
+    if (parsed.ignored) {
+      stats.ignored++;
+      return;
+    }
+    var result = require('../routes/gateway').addTrap({
+      sourceIp: sourceIp,
+      trapData: trapData,
+      parsedMessage: parsed.message,
+      severity: parsed.severity
+    });
+
+    if (result.success) {
+      stats.stored++;
+      stats.lastTrapAt = new Date().toISOString();
+    } else {
+      stats.errors++;
+      lastError = result.error;
+    }
+  } catch (e) {
+    stats.errors++;
+    lastError = e.message;
+    console.error('Error handling trap:', e);
+  }
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+function start() {
+  var settings = getReceiverSettings();
+  if (receiver || !settings.enabled) return;
+
+  try {
+    receiver = snmp.createReceiver({
+      port: settings.port,
+      disableAuthorization: true,
+      includeAuthentication: true
+    }, handleNotification);
+    listeningPort = settings.port;
+    startedAt = new Date().toISOString();
+    lastError = '';
+
+    // Bind failures (port in use / no privilege for 162) arrive asynchronously
+    Object.values(receiver.listener.sockets || {}).forEach(function(socket) {
+      socket.on('error', function(err) {
+        console.error('SNMP trap receiver error on udp/' + settings.port + ':', err.message);
+        stop();
+        lastError = err.message;
+      });
+    });
+    console.log('SNMP trap receiver listening on udp/' + settings.port);
+  } catch (e) {
+    lastError = e.message;
+    receiver = null;
+    console.error('Failed to start SNMP trap receiver:', e.message);
+  }
+}
+
+function stop() {
+  if (receiver) {
+    try { receiver.close(); } catch (e) {}
+  }
+  receiver = null;
+  listeningPort = null;
+  startedAt = null;
+}
+
+/**
+ * Apply changed settings (enable/disable, port) without a server restart.
+ */
+function restart() {
+  stop();
+  start();
+}
+
+function getStatus() {
+  var settings = getReceiverSettings();
+  return {
+    enabled: settings.enabled,
+    listening: !!receiver,
+    port: settings.port,
+    listeningPort: listeningPort,
+    rateLimit: settings.rateLimit,
+    startedAt: startedAt,
+    lastError: lastError,
+    stats: { ...stats }
+  };
+}
+
+module.exports = {
+  getReceiverSettings,
+  buildTrapData,
+  start,
+  stop,
+  restart,
+  getStatus
+};
@@ -0,0 +1,348 @@
+/**
+ * Trap Retention
+ * snmp_traps would otherwise grow forever. Once a day at the archive hour
+ * (TIMEZONE) traps past their retention period are written to a gzipped
+ * JSONL file and removed from the database:
+ *
+ *   archive/snmp_traps-20250101-030000.jsonl.gz   (one trap row per line)
+ *
+ * The archive directory is TRAP_ARCHIVE_DIR, default archive/ next to the
+ * database. Each file is recorded in trap_archives so the Data Management
+ * stats can report archived vs live counts.
+ *
+ * Retention is set per severity for resolved traps (counted from resolvedAt)
+ * and for open ones (counted from the last time they were seen); 0 keeps
+ * them. Settings (settings table overrides env config):
+ *   trapArchiveEnabled, trapArchiveHour, trapRetentionDays (JSON)
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('../config');
+const db = require('../db/database');
+const { localParts } = require('./workingHours');
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const BATCH_SIZE = 2000;
+const MAX_ROWS_PER_RUN = 100000;
+const SEVERITIES = ['info', 'warning', 'critical'];
+const MAX_DAYS = 3650;
+
+// Resolved info traps go after a month, warnings after six; open traps stay
+const DEFAULT_RETENTION = {
+  resolved: { info: 30, warning: 180, critical: 365 },
+  open: { info: 0, warning: 0, critical: 0 }
+};
+
+var timer = null;
+var running = false;
+var lastResult = null;
+var lastError = null;
+
+// ============================================
+// SETTINGS
+// ============================================
+
+function getArchiveDir() {
+  return config.TRAP_ARCHIVE_DIR
+    ? path.resolve(config.TRAP_ARCHIVE_DIR)
+    : path.join(path.dirname(path.resolve(config.DB_PATH)), 'archive');
+}
+
+function cleanDays(value, fallback) {
+  var days = parseInt(value);
+  return days >= 0 && days <= MAX_DAYS ? days : fallback;
+}
+
+/**
+ * Retention days by state and severity, with defaults filled in.
+ * Returns { resolved: { info, warning, critical }, open: { ... } }
+ */
+function getRetention() {
+  var saved = {};
+  try { saved = JSON.parse(db.getSetting('trapRetentionDays') || '{}') || {}; } catch (e) {}
+  var retention = {};
+  Object.keys(DEFAULT_RETENTION).forEach(function(state) {
+    retention[state] = {};
+    SEVERITIES.forEach(function(severity) {
+      retention[state][severity] = cleanDays((saved[state] || {})[severity], DEFAULT_RETENTION[state][severity]);
+    });
+  });
+  return retention;
+}
+
+function getSettings() {
+  var enabled = db.getSetting('trapArchiveEnabled');
+  var hour = parseInt(db.getSetting('trapArchiveHour'));
+  return {
+    enabled: enabled !== null && enabled !== '' ? enabled === 'true' : config.TRAP_ARCHIVE_ENABLED,
+    hour: hour >= 0 && hour <= 23 ? hour : config.TRAP_ARCHIVE_HOUR,
+    retention: getRetention(),
+    directory: getArchiveDir()
+  };
+}
+
+/**
+ * Save the schedule and retention periods.
+ * settings: { enabled, hour, retention: { resolved: {...}, open: {...} } }
+ */
+function saveSettings(settings) {
+  var s = settings || {};
+  var hour = parseInt(s.hour);
+  if (!(hour >= 0 && hour <= 23)) throw new Error('Archive hour must be 0-23');
+  var retention = {};
+  Object.keys(DEFAULT_RETENTION).forEach(function(state) {
+    retention[state] = {};
+    SEVERITIES.forEach(function(severity) {
+      var days = parseInt(((s.retention || {})[state] || {})[severity]);
+      if (!(days >= 0 && days <= MAX_DAYS)) {
+        throw new Error('Retention for ' + state + ' ' + severity + ' traps must be 0-' + MAX_DAYS + ' days');
+      }
+      retention[state][severity] = days;
+    });
+  });
+  db.setSetting('trapArchiveEnabled', s.enabled ? 'true' : 'false');
+  db.setSetting('trapArchiveHour', String(hour));
+  db.setSetting('trapRetentionDays', JSON.stringify(retention));
+  return getSettings();
+}
+
+// ============================================
+// ARCHIVING
+// ============================================
+
+// WHERE clause (and params) for traps past one retention period
+function expiredClause(state, severity, cutoff) {
+  var severityClause = severity === 'info' ? "severity NOT IN ('warning', 'critical')" : 'severity = ?';
+  var params = severity === 'info' ? [] : [severity];
+  if (state === 'resolved') {
+    return { sql: "resolvedAt != '' AND " + severityClause + ' AND resolvedAt < ?', params: params.concat(cutoff) };
+  }
+  return {
+    sql: "resolvedAt = '' AND " + severityClause + " AND COALESCE(NULLIF(lastSeenAt, ''), receivedAt) < ?",
+    params: params.concat(cutoff)
+  };
+}
+
+// One clause per retention period that is switched on
+function expiredClauses(retention, now) {
+  var clauses = [];
+  Object.keys(retention).forEach(function(state) {
+    SEVERITIES.forEach(function(severity) {
+      var days = retention[state][severity];
+      if (!days) return;
+      var cutoff = new Date(now.getTime() - days * 86400000).toISOString();
+      clauses.push(expiredClause(state, severity, cutoff));
+    });
+  });
+  return clauses;
+}
+
+/**
+ * How many traps the retention periods would archive right now.
+ * Returns { total, resolved: { info, warning, critical }, open: { ... } }
+ */
+function previewExpired() {
+  var retention = getRetention();
+  var now = new Date();
+  var preview = { total: 0 };
+  Object.keys(retention).forEach(function(state) {
+    preview[state] = {};
+    SEVERITIES.forEach(function(severity) {
+      var days = retention[state][severity];
+      var n = 0;
+      if (days) {
+        var clause = expiredClause(state, severity, new Date(now.getTime() - days * 86400000).toISOString());
+        n = db.db.prepare('SELECT COUNT(*) AS n FROM snmp_traps WHERE ' + clause.sql).get(...clause.params).n;
+      }
+      preview[state][severity] = n;
+      preview.total += n;
+    });
+  });
+  return preview;
+}
+
+/**
+ * Move expired traps to a new archive file. Each batch is appended to the
+ * file (as its own gzip member) before it is deleted, so a failure part way
+ * loses nothing; the archive is recorded with whatever was written.
+ * Returns { archived, fileName, bySeverity } - fileName is '' when nothing expired.
+ */
+function archiveExpired() {
+  var clauses = expiredClauses(getRetention(), new Date());
+  if (clauses.length === 0) return { archived: 0, fileName: '', bySeverity: {} };
+  var where = clauses.map(function(c) { return '(' + c.sql + ')'; }).join(' OR ');
+  var params = clauses.reduce(function(all, c) { return all.concat(c.params); }, []);
+  var selectBatch = db.db.prepare('SELECT * FROM snmp_traps WHERE ' + where + ' ORDER BY receivedAt LIMIT ' + BATCH_SIZE);
+  var deleteRow = db.db.prepare('DELETE FROM snmp_traps WHERE id = ?');
+
+  var archivedAt = new Date().toISOString();
+  var fileName = 'snmp_traps-' + archivedAt.replace(/[-:]/g, '').replace('T', '-').substring(0, 15) + '.jsonl.gz';
+  var dir = getArchiveDir();
+  var filePath = path.join(dir, fileName);
+  var archived = 0;
+  var bySeverity = {};
+  var oldestAt = '';
+  var newestAt = '';
+
+  try {
+    while (archived < MAX_ROWS_PER_RUN) {
+      var rows = selectBatch.all(...params);
+      if (rows.length === 0) break;
+      if (archived === 0) fs.mkdirSync(dir, { recursive: true });
+
+      var lines = rows.map(function(r) { return JSON.stringify(r); }).join('\n') + '\n';
+      var fd = fs.openSync(filePath, 'a');
+      try {
+        fs.writeSync(fd, zlib.gzipSync(lines));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      db.db.transaction(function() {
+        rows.forEach(function(r) { deleteRow.run(r.id); });
+      })();
+      rows.forEach(function(r) {
+        var severity = r.severity || 'info';
+        bySeverity[severity] = (bySeverity[severity] || 0) + 1;
+        if (!oldestAt || r.receivedAt < oldestAt) oldestAt = r.receivedAt;
+        if (r.receivedAt > newestAt) newestAt = r.receivedAt;
+      });
+      archived += rows.length;
+    }
+  } finally {
+    if (archived > 0) {
+      db.insert('trap_archives', {
+        id: db.generateId(),
+        fileName: fileName,
+        archivedAt: archivedAt,
+        rowCount: archived,
+        bySeverity: JSON.stringify(bySeverity),
+        oldestAt: oldestAt,
+        newestAt: newestAt,
+        bytes: fs.existsSync(filePath) ? fs.statSync(filePath).size : 0
+      });
+    }
+  }
+  return { archived: archived, fileName: archived ? fileName : '', bySeverity: bySeverity };
+}
+
+/**
+ * Archive files, newest first, with whether the file is still on disk.
+ */
+function listArchives() {
+  var dir = getArchiveDir();
+  return db.db.prepare('SELECT * FROM trap_archives ORDER BY archivedAt DESC').all().map(function(a) {
+    var bySeverity = {};
+    try { bySeverity = JSON.parse(a.bySeverity || '{}'); } catch (e) {}
+    return { ...a, bySeverity: bySeverity, exists: fs.existsSync(path.join(dir, a.fileName)) };
+  });
+}
+
+/**
+ * Total trap rows moved to archive files.
+ */
+function getArchivedCount() {
+  return db.db.prepare('SELECT COALESCE(SUM(rowCount), 0) AS n FROM trap_archives').get().n;
+}
+
+/**
+ * Read an archive back (for download): the JSONL text of every member.
+ */
+function readArchive(archiveId) {
+  var archive = db.getById('trap_archives', archiveId);
+  if (!archive) throw new Error('Archive not found');
+  var filePath = path.join(getArchiveDir(), archive.fileName);
+  if (!fs.existsSync(filePath)) throw new Error('Archive file is missing: ' + archive.fileName);
+  return { fileName: archive.fileName, content: zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8') };
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+function isDue(now) {
+  var settings = getSettings();
+  var today = localParts(now);
+  if (!settings.enabled || today.hour < settings.hour) return false;
+  var lastRun = db.getSetting('trapArchiveLastRun');
+  return !lastRun || localParts(new Date(lastRun)).date !== today.date;
+}
+
+/**
+ * Archive now (scheduled or from Data Management).
+ */
+function run() {
+  if (running) throw new Error('The trap archive is already running');
+  running = true;
+  try {
+    var result = archiveExpired();
+    db.setSetting('trapArchiveLastRun', new Date().toISOString());
+    lastResult = result;
+    lastError = null;
+    if (result.archived > 0) console.log('Trap retention: archived ' + result.archived + ' trap(s) to ' + result.fileName);
+    return result;
+  } catch (e) {
+    lastError = e.message;
+    throw e;
+  } finally {
+    running = false;
+  }
+}
+
+function runScheduled() {
+  if (running || !isDue(new Date())) return;
+  try {
+    run();
+  } catch (e) {
+    console.error('Trap archive failed:', e);
+  }
+}
+
+function start() {
+  if (timer) return;
+  runScheduled();
+  timer = setInterval(runScheduled, CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+function getStatus() {
+  var settings = getSettings();
+  return {
+    enabled: settings.enabled,
+    hour: settings.hour,
+    retention: settings.retention,
+    directory: settings.directory,
+    timeZone: config.TIMEZONE,
+    running: running,
+    lastRun: db.getSetting('trapArchiveLastRun') || null,
+    lastResult: lastResult,
+    lastError: lastError,
+    archivedCount: getArchivedCount(),
+    liveCount: db.count('snmp_traps')
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_RETENTION,
+  getArchiveDir,
+  getRetention,
+  getSettings,
+  saveSettings,
+  previewExpired,
+  archiveExpired,
+  listArchives,
+  getArchivedCount,
+  readArchive,
+  run,
+  start,
+  stop,
+  getStatus
+};
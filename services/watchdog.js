@@ -0,0 +1,228 @@
+/**
+ * Stale Device Watchdog
+ * Device status only changes when the gateway (or the built-in poller)
+ * reports, so a dead gateway would leave every device "online" forever.
+ * Once a minute this checks how long ago data last arrived:
+ *
+ *   - Gateway silent: nothing has reported for the silence window. One
+ *     critical "Gateway silent" trap is raised (and resolved when reports
+ *     resume) instead of one trap per device.
+ *   - Device unreachable: reports are arriving but a device that was online
+ *     hasn't been seen for the silence window. A warning trap is raised for
+ *     it and resolved once the device is seen again.
+ *
+ * Either way, online/issue devices whose lastSeen is older than the window
+ * are set to the stale status ('offline' or 'unknown') through
+ * updateDeviceStatus, so availability history and live updates follow.
+ * Watchdog traps carry trapData.source = 'watchdog'.
+ */
+const config = require('../config');
+const db = require('../db/database');
+const snmpPoller = require('./snmpPoller');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const STALE_STATUSES = ['offline', 'unknown'];
+const TRAP_SOURCE = 'watchdog';
+
+var timer = null;
+var startedAt = Date.now();
+var lastCheck = null;
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Settings table overrides env config.
+ */
+function getSettings() {
+  var enabled = db.getSetting('watchdogEnabled');
+  var minutes = parseInt(db.getSetting('watchdogSilenceMinutes'));
+  var staleStatus = db.getSetting('watchdogStaleStatus');
+  return {
+    enabled: enabled !== null && enabled !== '' ? enabled === 'true' : config.WATCHDOG_ENABLED,
+    silenceMinutes: minutes >= 1 ? minutes : config.WATCHDOG_SILENCE_MINUTES,
+    staleStatus: STALE_STATUSES.indexOf(staleStatus) >= 0 ? staleStatus : config.WATCHDOG_STALE_STATUS
+  };
+}
+
+// ============================================
+// CHECK-INS
+// ============================================
+
+/**
+ * The gateway's most recent accepted request.
+ * Returns { at, gatewayName, sourceIp, action } or null.
+ */
+function getLastCheckIn() {
+  var row = db.db.prepare("SELECT timestamp, gatewayName, sourceIp, action FROM gateway_reports WHERE accepted = 'true' ORDER BY timestamp DESC LIMIT 1").get();
+  return row ? { at: row.timestamp, gatewayName: row.gatewayName, sourceIp: row.sourceIp, action: row.action } : null;
+}
+
+/**
+ * When device data last arrived from either source, as an ISO string ('' if never).
+ */
+function getLastReportAt() {
+  var checkIn = getLastCheckIn();
+  var latest = checkIn ? checkIn.at : '';
+  var poller = snmpPoller.getStatus();
+  if (poller.enabled && poller.lastRun) {
+    var pollEnd = new Date(Date.parse(poller.lastRun.startedAt) + (poller.lastRun.durationMs || 0)).toISOString();
+    if (pollEnd > latest) latest = pollEnd;
+  }
+  return latest;
+}
+
+// ============================================
+// WATCHDOG TRAPS
+// ============================================
+
+function raiseTrap(sourceIp, message, severity, details) {
+  var addTrap = require('../routes/gateway').addTrap;
+  var result = addTrap({
+    sourceIp: sourceIp,
+    parsedMessage: message,
+    severity: severity,
+    trapData: { source: TRAP_SOURCE, ...details }
+  });
+  return result.success ? result.trapId : '';
+}
+
+function resolveTrap(trapId) {
+  var trap = trapId ? db.getById('snmp_traps', trapId) : null;
+  if (!trap || trap.resolvedAt) return;
+  db.update('snmp_traps', trapId, {
+    processed: '1',
+    resolvedAt: new Date().toISOString(),
+    resolvedBy: 'Watchdog'
+  });
+}
+
+// Unresolved "Device unreachable" traps: [{ id, deviceId, receivedAt }]
+function openDeviceTraps() {
+  return db.db.prepare("SELECT id, trapData, receivedAt FROM snmp_traps WHERE resolvedAt = '' AND trapData LIKE '%\"source\":\"watchdog\"%'").all()
+    .map(function(t) {
+      var data = {};
+      try { data = JSON.parse(t.trapData); } catch (e) {}
+      return { id: t.id, type: data.type, deviceId: data.deviceId, receivedAt: t.receivedAt };
+    })
+    .filter(function(t) { return t.type === 'deviceUnreachable'; });
+}
+
+// ============================================
+// CHECK
+// ============================================
+
+/**
+ * Age out stale devices and raise/resolve watchdog traps.
+ * Returns { gatewaySilent, lastReportAt, staleDevices: [deviceId] }
+ */
+function check() {
+  var settings = getSettings();
+  var now = Date.now();
+  var windowMs = settings.silenceMinutes * 60000;
+  var cutoff = new Date(now - windowMs).toISOString();
+  var lastReportAt = getLastReportAt();
+  var result = { gatewaySilent: false, lastReportAt: lastReportAt, staleDevices: [] };
+  lastCheck = { at: new Date(now).toISOString(), ...result };
+
+  // Give the gateway a full window to report after a server restart
+  if (!settings.enabled || now - startedAt < windowMs) return result;
+
+  // Gateway silence (only once something has reported at all)
+  var silentSince = db.getSetting('watchdogGatewaySilentSince') || '';
+  result.gatewaySilent = !!lastReportAt && lastReportAt < cutoff;
+  if (result.gatewaySilent && !silentSince) {
+    var checkIn = getLastCheckIn();
+    var trapId = raiseTrap(
+      checkIn && checkIn.sourceIp ? checkIn.sourceIp : 'gateway',
+      'Gateway silent: no reports since ' + lastReportAt,
+      'critical',
+      { type: 'gatewaySilent', lastReportAt: lastReportAt, gatewayName: checkIn ? checkIn.gatewayName : '' }
+    );
+    db.setSetting('watchdogGatewaySilentSince', lastReportAt);
+    db.setSetting('watchdogGatewayTrapId', trapId);
+    console.log('Watchdog: gateway silent since ' + lastReportAt);
+  } else if (!result.gatewaySilent && silentSince) {
+    resolveTrap(db.getSetting('watchdogGatewayTrapId'));
+    db.setSetting('watchdogGatewaySilentSince', '');
+    db.setSetting('watchdogGatewayTrapId', '');
+    console.log('Watchdog: gateway reporting again');
+  }
+
+  // Devices that stopped reporting
+  var gateway = require('../routes/gateway');
+  var devices = gateway.getDevicesParsed();
+  devices.forEach(function(d) {
+    if (d.status !== 'online' && d.status !== 'issue') return;
+    if (!d.lastSeen || d.lastSeen >= cutoff) return;
+    gateway.updateDeviceStatus({ deviceId: d.id, status: settings.staleStatus });
+    result.staleDevices.push(d.id);
+    if (!result.gatewaySilent) {
+      raiseTrap(d.ip || 'unknown', 'Device unreachable: ' + (d.name || d.ip) + ' has not reported since ' + d.lastSeen, 'warning',
+        { type: 'deviceUnreachable', deviceId: d.id, lastSeen: d.lastSeen });
+    }
+  });
+  if (result.staleDevices.length) {
+    console.log('Watchdog: marked ' + result.staleDevices.length + ' device(s) ' + settings.staleStatus);
+  }
+
+  // Devices seen again since their trap was raised
+  var byId = {};
+  devices.forEach(function(d) { byId[d.id] = d; });
+  openDeviceTraps().forEach(function(t) {
+    var device = byId[t.deviceId];
+    if (!device || (device.lastSeen && device.lastSeen > t.receivedAt)) resolveTrap(t.id);
+  });
+
+  lastCheck = { at: new Date(now).toISOString(), ...result };
+  return result;
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+function start() {
+  if (timer) return;
+  startedAt = Date.now();
+  timer = setInterval(function() {
+    try {
+      check();
+    } catch (e) {
+      console.error('Watchdog check failed:', e);
+    }
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+function getStatus() {
+  var settings = getSettings();
+  var lastReportAt = getLastReportAt();
+  var silentSince = db.getSetting('watchdogGatewaySilentSince') || '';
+  return {
+    ...settings,
+    lastCheckIn: getLastCheckIn(),
+    pollerEnabled: snmpPoller.getStatus().enabled,
+    lastReportAt: lastReportAt,
+    gatewaySilent: !!silentSince,
+    silentSince: silentSince,
+    lastCheck: lastCheck
+  };
+}
+
+module.exports = {
+  STALE_STATUSES,
+  getSettings,
+  getLastCheckIn,
+  getLastReportAt,
+  check,
+  start,
+  stop,
+  getStatus
+};
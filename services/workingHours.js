@@ -80,4 +80,111 @@ function isWithinWorkingHours(afterHoursSettings) {
   }
 }
 
-module.exports = { isWithinWorkingHours };
+// ============================================
+// WORKING TIME ARITHMETIC
+// ============================================
+// SLA clocks only run inside the working window. These step through the
+// window day by day in config.TIMEZONE using the same after-hours settings
+// as checkWorkingHours (routes/settings.js); with the feature disabled, or
+// settings that leave no working window, every minute counts.
+
+var MAX_STEPS = 2000;
+var DAY_MINUTES = 24 * 60;
+
+function toMinutes(hhmm, fallback) {
+  var parts = String(hhmm || fallback).split(':');
+  return parseInt(parts[0], 10) * 60 + (parseInt(parts[1], 10) || 0);
+}
+
+// Weekday and minute of the day of an instant in the configured timezone
+function localMinute(date) {
+  var timeZone = config.TIMEZONE || 'America/New_York';
+  var timeParts = date.toLocaleString('en-US', { timeZone: timeZone, hour12: false, hour: '2-digit', minute: '2-digit' }).split(':');
+  return {
+    day: date.toLocaleString('en-US', { timeZone: timeZone, weekday: 'short' }).toLowerCase().substring(0, 3),
+    minute: (parseInt(timeParts[0], 10) % 24) * 60 + parseInt(timeParts[1], 10)
+  };
+}
+
+// Date, hour and weekday of an instant in the configured timezone
+function localParts(date) {
+  var timeZone = config.TIMEZONE || 'America/New_York';
+  return {
+    date: date.toLocaleDateString('en-CA', { timeZone: timeZone }),
+    hour: parseInt(date.toLocaleString('en-US', { timeZone: timeZone, hour12: false, hour: '2-digit' }), 10) % 24,
+    weekday: date.toLocaleString('en-US', { timeZone: timeZone, weekday: 'short' })
+  };
+}
+
+// Whether the settings leave any working time in a week. With no work days
+// ticked or a start at/after the end there is no window to step to.
+function hasWorkingWindow(settings) {
+  if (!settings || !settings.enabled) return false;
+  if (toMinutes(settings.workStart, '06:30') >= toMinutes(settings.workEnd, '16:00')) return false;
+  var days = settings.workDays || {};
+  return Object.keys(days).some(function(day) { return days[day]; });
+}
+
+/**
+ * Call visit(windowStart, windowEnd) for each stretch of working time from
+ * an instant onwards until it returns true.
+ */
+function eachWorkingWindow(from, settings, visit) {
+  var start = toMinutes(settings.workStart, '06:30');
+  var end = toMinutes(settings.workEnd, '16:00');
+  var t = from.getTime();
+  for (var i = 0; i < MAX_STEPS; i++) {
+    var local = localMinute(new Date(t));
+    var intoMinute = t % 60000;
+    var workDay = settings.workDays && settings.workDays[local.day];
+    var next;
+    if (workDay && local.minute >= start && local.minute < end) {
+      next = t + (end - local.minute) * 60000 - intoMinute;
+      if (visit(t, next)) return;
+    } else if (workDay && local.minute < start) {
+      next = t + (start - local.minute) * 60000 - intoMinute;
+    } else {
+      next = t + (DAY_MINUTES - local.minute) * 60000 - intoMinute;
+    }
+    t = next;
+  }
+}
+
+/**
+ * The instant a number of working minutes after from.
+ * settings: the after-hours settings ({ enabled, workStart, workEnd, workDays })
+ */
+function addWorkingMinutes(from, minutes, settings) {
+  var start = new Date(from);
+  if (!hasWorkingWindow(settings)) return new Date(start.getTime() + minutes * 60000);
+  var remaining = minutes * 60000;
+  var due = null;
+  eachWorkingWindow(start, settings, function(windowStart, windowEnd) {
+    if (remaining <= windowEnd - windowStart) {
+      due = new Date(windowStart + remaining);
+      return true;
+    }
+    remaining -= windowEnd - windowStart;
+    return false;
+  });
+  return due || new Date(start.getTime() + minutes * 60000);
+}
+
+/**
+ * Working minutes between two instants (negative when to is before from).
+ */
+function workingMinutesBetween(from, to, settings) {
+  var a = new Date(from);
+  var b = new Date(to);
+  if (b < a) return -workingMinutesBetween(b, a, settings);
+  if (!hasWorkingWindow(settings)) return (b - a) / 60000;
+  var total = 0;
+  eachWorkingWindow(a, settings, function(windowStart, windowEnd) {
+    if (windowStart >= b.getTime()) return true;
+    total += Math.min(windowEnd, b.getTime()) - windowStart;
+    return false;
+  });
+  return total / 60000;
+}
+
+module.exports = { isWithinWorkingHours, addWorkingMinutes, workingMinutesBetween, toMinutes, localMinute, localParts };